@@ -1,8 +1,12 @@
 /**
  * settings.js
  *
- * Runtime bot settings — toggled via Telegram commands.
- * Persists in-memory for the duration of the process.
+ * Runtime bot settings and their defaults.
+ *
+ * Every module reads this object directly. Values changed with the Telegram
+ * /set command are stored in the Setting collection and applied on top of
+ * these defaults at startup (services/settingsStore.js), so they survive
+ * restarts. /settings lists the current values.
  */
 
 const settings = {
@@ -11,10 +15,176 @@ const settings = {
      * before a signal is emitted. When false, only EMA crossover + RSI > 50
      * are needed.
      *
-     * Default: false (volume filter OFF)
-     * (Volume command removed — toggle by editing this value directly)
+     * Default: false (volume filter OFF) — `/set requireVolumeSpike on`
      */
     requireVolumeSpike: false,
+
+    /**
+     * Alerts below this market cap (USD) are suppressed.
+     */
+    alertMinMcap: 5000,
+
+    /**
+     * Seconds between Moralis discovery polls.
+     */
+    discoveryIntervalSec: 60,
+
+    /**
+     * Most Moralis pages (20 tokens each) one discovery poll may read per
+     * launchpad while catching up to the last seen graduation. Each page costs
+     * CU (see live_test.js); an unfinished catch-up continues on the next poll.
+     */
+    discoveryMaxPages: 5,
+
+    /**
+     * Minutes before discovery re-examines a token it skipped (or that was
+     * pruned). The window doubles with each consecutive skip, up to 24h
+     * (services/discoveryLedger.js).
+     */
+    discoveryRecheckMinutes: 30,
+
+    /**
+     * Minutes between maintenance runs (the 'maintenance' prune rules).
+     */
+    maintenance: {
+        intervalMinutes: 60,
+    },
+
+    /**
+     * Jupiter request budget: 'free' (20 req/min) or 'paid' (600 req/min), or
+     * an explicit requestsPerMinute (null = the tier's). Shared by price polling
+     * and the trade feed's SOL price; beyond it the polling interval stretches
+     * (services/jupiter.js).
+     */
+    jupiter: {
+        tier: 'free',
+        requestsPerMinute: null,
+    },
+
+    /**
+     * Live price providers in order of preference (services/priceProviders.js):
+     * the first is polled every 15s; once it has not answered for staleAfterSec,
+     * prices come from the healthiest fallback until it recovers.
+     */
+    priceFeed: {
+        providers: ['jupiter', 'dexscreener', 'gecko'],
+        staleAfterSec: 45,
+    },
+
+    /**
+     * Carry-forward candles: a tracked token without a price update in a 15s
+     * period gets a flat candle at its last close (volume 0, flagged synthetic)
+     * instead of a hole, so EMA/RSI periods match wall-clock time. Stops
+     * maxMinutes after the token's last real tick. Strategies with
+     * `ignoreSynthetic` (mean_reversion) skip these candles.
+     */
+    carryForward: {
+        enabled: false,
+        maxMinutes: 10,
+    },
+
+    /**
+     * Bad-tick filter for live prices (services/tickFilter.js). A tick more than
+     * maxDeviationPct away from the median of the token's last `window` ticks is
+     * rejected (mode 'reject') or kept and counted on its candle (mode 'flag',
+     * stored as `flaggedTicks`; strategies with `ignoreFlagged` — breakout — skip
+     * those candles).
+     * With confirmJumps such a tick is held until another price provider
+     * confirms it within confirmWithinSec. A move that persists is accepted once
+     * it becomes the median (about window / 2 ticks).
+     */
+    tickFilter: {
+        enabled: true,
+        maxDeviationPct: 50,
+        window: 9,
+        mode: 'reject',
+        confirmJumps: false,
+        confirmWithinSec: 30,
+    },
+
+    /**
+     * Real trades for live candles (services/tradeFeed.js): a Helius pool-log
+     * WebSocket plus one getTransaction per swap, giving candles USD volume,
+     * buy / sell volume and trader counts (Jupiter prices carry no volume).
+     * Needs HELIUS_API_KEY. maxTxPerMinute caps the getTransaction calls
+     * (RPC credits); swaps beyond it are not counted.
+     */
+    tradeFeed: {
+        enabled: false,
+        maxTxPerMinute: 120,
+    },
+
+    /**
+     * Prune rule overrides by rule name, e.g. { low_volume: { threshold: 250 } }
+     * (see DEFAULT_PRUNE_RULES in services/pruneRules.js). Empty = defaults:
+     * MC < $2k on candle close; 5-min volume < $100, or MC < $5k after 2h,
+     * in the maintenance loop. Pinned tokens are never pruned.
+     */
+    pruneRules: {},
+
+    /**
+     * Launchpad overrides by Moralis slug, e.g. { launchlab: { enabled: true } }
+     * (see DEFAULT_LAUNCHPADS in services/launchpads.js). Per launchpad: whether
+     * discovery polls it, the supply assumed for market cap, and its own alert
+     * MC floor and strategy list (unset = alertMinMcap / enabledStrategies).
+     * Empty = pump.fun only.
+     */
+    launchpads: {},
+
+    /**
+     * Strategies evaluated on every closed candle, by registry name
+     * (services/strategies): 'ema_rsi', 'breakout', 'mean_reversion'.
+     * Each one that fires sends its own alert.
+     */
+    enabledStrategies: ['ema_rsi'],
+
+    /**
+     * Candle timeframe per strategy, e.g. { breakout: '5m' }. Strategies not
+     * listed run on the live 15s candles. One of '15s', '1m', '5m', '15m'.
+     */
+    strategyTimeframes: {},
+
+    /**
+     * While a token's live 15s series is shorter than the strategies need,
+     * pad it with its 1m GeckoTerminal backfill split into 15s slices, so
+     * indicators warm up right after discovery. The series stays uniform (15s).
+     */
+    fillFromBackfill: true,
+
+    /**
+     * Attach a candlestick chart (EMA overlays + RSI panel) to every alert,
+     * showing the last `chartBars` candles of the strategy's timeframe.
+     */
+    alertCharts: true,
+    chartBars: 60,
+
+    /**
+     * Parameter overrides per strategy, e.g. { breakout: { lookback: 30 } }.
+     * Missing keys fall back to the strategy's schema defaults. Loaded at
+     * startup from the latest promoted sweep of each strategy
+     * (scripts/sweep.js --promote); values set with /set win over both.
+     */
+    strategyParams: {},
+
+    /**
+     * Exit rules for tokens with an open alert (see DEFAULT_EXIT_PARAMS in
+     * services/exits.js). Empty = defaults: take profit at 3×, 30% trailing
+     * stop, bearish EMA cross, RSI < 40.
+     */
+    exitParams: {},
+
+    /**
+     * Paper trading: every alert opens a simulated position of `size` USD,
+     * closed at +takeProfitPct / -stopLossPct or after timeStopHours
+     * (see services/paperTrading.js). /positions, /pnl and /closed report on it.
+     */
+    paperTrading: {
+        enabled: true,
+        size: 100,
+        takeProfitPct: 100,
+        stopLossPct: 30,
+        timeStopHours: 24,
+    },
 };
 
 module.exports = settings;
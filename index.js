@@ -3,21 +3,38 @@ require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
 const connectDB = require('./config/db');
 const settings = require('./config/settings');
+const settingsStore = require('./services/settingsStore');
 const Token = require('./models/Token');
 const { getMigratedTokens, getLastUpdate: getMoralisUpdate } = require('./services/moralis');
 const { resolvePoolAddress, getBackfillData } = require('./services/gecko');
-const { start: startJupiter, trackToken, untrackToken, getLastUpdate: getJupiterUpdate } = require('./services/jupiter');
+const priceFeed = require('./services/priceFeed');
+const { trackToken, untrackToken } = priceFeed;
+const { getStats: getJupiterStats } = require('./services/jupiter');
 const candleManager = require('./services/candleManager');
-const { saveCandle, backfillCandles, getRecentCandles } = require('./services/storage');
-const { checkStrategy } = require('./services/strategy');
+const tradeFeed = require('./services/tradeFeed');
+const { ensureCandleIndexes, saveCandle, backfillCandles, getRecentCandles } = require('./services/storage');
+const { evaluateCandle, historyLengthFor } = require('./services/candleEvaluator');
+const { rulesFor, evaluatePruneRules, describeHit, recordPrune } = require('./services/pruneRules');
+const { labelFor, alertMinMcapFor, strategiesFor, launchpadFromMint, enabledLaunchpads } = require('./services/launchpads');
+const { loadMetadata, marketCapOf } = require('./services/tokenMetadata');
+const { logEvent } = require('./services/tokenEvents');
+const ledger = require('./services/discoveryLedger');
+const { getStrategy, getEnabledStrategies } = require('./services/strategies');
+const { TIMEFRAMES, BASE_TIMEFRAME, isTimeframe, bucketStart, barsForLookback } = require('./services/timeframes');
+const { resolveToken, formatAmbiguous, escapeMarkdown, isMint } = require('./services/tokenLookup');
+const { getTokenDetails, formatTokenDetails } = require('./services/tokenInfo');
+const { renderChartPng } = require('./services/chart');
+const { DEFAULT_PARAMS } = require('./services/strategy');
+const { recordAlert, getAlertSummaries, getAlertsFor } = require('./services/alerts');
+const { start: startOutcomeTracker } = require('./services/outcomeTracker');
+const exits = require('./services/exits');
+const paper = require('./services/paperTrading');
+const { getPromotedParams } = require('./services/optimizer');
 const backfillQ = require('./services/backfillQueue');
 const { gapFillOnStartup, remove: removeFromQueue } = require('./services/backfillQueue');
-const { getVolume5m, getMarketCaps } = require('./services/dexscreener');
+const { getVolume5m, getMarketCaps, getTokenInfo } = require('./services/dexscreener');
 
 // ── Config ────────────────────────────────────────────────────────────────────
-const DISCOVERY_INTERVAL_MS = 60 * 1000;
-const seenAddresses = new Set();
-const MAX_SEEN = 5000; // cap to avoid unbounded memory growth
 
 // ── Telegram ──────────────────────────────────────────────────────────────────
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
@@ -31,20 +48,40 @@ bot.onText(/\/api/, async (msg) => {
     if (String(msg.chat.id) !== String(CHAT_ID)) return;
 
     const now = Date.now();
-    const jupUpdate = getJupiterUpdate();
     const morUpdate = getMoralisUpdate();
+    const feedUpdate = tradeFeed.getLastUpdate();
 
-    const jupDiff = jupUpdate > 0 ? ((now - jupUpdate) / 1000).toFixed(1) + 's' : 'Never';
     const morDiff = morUpdate > 0 ? ((now - morUpdate) / 1000).toFixed(1) + 's' : 'Never';
+    const feedDiff = feedUpdate > 0 ? ((now - feedUpdate) / 1000).toFixed(1) + 's' : 'Never';
+
+    // Price providers: stale = no answer within priceFeed.staleAfterSec; unused fallbacks are on standby
+    const priceLines = priceFeed.getHealth().map(p => {
+        const light = p.attempts === 0 && !p.primary ? '⚪' : p.stale ? '🔴' : '🟢';
+        const diff = p.lastUpdate > 0 ? ((now - p.lastUpdate) / 1000).toFixed(1) + 's ago' : 'Never';
+        const role = [p.primary ? 'primary' : 'fallback', p.active ? 'active' : null].filter(Boolean).join(', ');
+        return `${light} *${p.label}* (${role}): ${p.attempts === 0 ? 'standby' : diff} · health ${(p.score * 100).toFixed(0)}%` +
+            (p.failures > 0 && p.lastError ? ` · ${p.failures} failed (${p.lastError})` : '');
+    });
+
+    const jup = getJupiterStats();
 
-    // Check if received data recently (Jup 50s, Moralis 70s)
-    const jupOk = jupUpdate > 0 && (now - jupUpdate) < 50000;
+    // Check if received data recently (Moralis 70s)
     const morOk = morUpdate > 0 && (now - morUpdate) < 70000; // Moralis polls every 60s
 
+    // Trade feed: last trade can be minutes old on quiet tokens, so show the socket too
+    let feedLine = `⚪ *Trade feed*: off`;
+    if (settings.tradeFeed.enabled) {
+        const feed = tradeFeed.getStats();
+        feedLine = `${feed.connected ? '🟢' : '🔴'} *Trade feed*: last trade ${feedDiff} ago · ` +
+            `${feed.pools} pools · ${feed.trades} trades · ${feed.skipped} over budget · ${feed.missing} not found`;
+    }
+
     await bot.sendMessage(CHAT_ID,
         `📡 *API Status*\n\n` +
-        `${jupOk ? '🟢' : '🔴'} *Jupiter*: ${jupDiff} ago\n` +
-        `${morOk ? '🟢' : '🔴'} *Moralis*: ${morDiff} ago`,
+        priceLines.join('\n') + '\n' +
+        `⏱ Polling every ${priceFeed.getIntervalMs() / 1000}s · Jupiter budget ${jup.budget} req/min (${jup.tier}) · ${jup.throttled}× 429\n` +
+        `${morOk ? '🟢' : '🔴'} *Moralis*: ${morDiff} ago\n` +
+        feedLine,
         { parse_mode: 'Markdown' });
 });
 
@@ -52,6 +89,7 @@ bot.onText(/\/status/, async (msg) => {
     if (String(msg.chat.id) !== String(CHAT_ID)) return;
 
     const qs = await backfillQ.queueStatus();
+    const ls = await ledger.getLedgerStats();
     const tracked = candleManager.tracked.size;
     const volState = settings.requireVolumeSpike ? '🟢 ON' : '🔴 OFF';
 
@@ -59,11 +97,16 @@ bot.onText(/\/status/, async (msg) => {
         `🤖 *Token Tracker V0.2*\n\n` +
         `📌 Tokens tracked:     ${tracked}\n` +
         `📊 Volume filter:      ${volState}\n` +
+        `🚀 Launchpads:         ${enabledLaunchpads().map(labelFor).join(', ') || 'none'}\n` +
         `\n📥 *Backfill Queue*\n` +
         `  Pending:  ${qs.pending}\n` +
         `  Done:     ${qs.done}\n` +
         `  Failed:   ${qs.failed}\n` +
-        `  Total:    ${qs.total}`,
+        `  Total:    ${qs.total}\n` +
+        `\n🗂 *Discovery Ledger*\n` +
+        `  Skipped:  ${ls.skipped} (${ls.due} due for recheck)\n` +
+        `  Pruned:   ${ls.pruned}\n` +
+        `  Untracked: ${ls.untracked}`,
         { parse_mode: 'Markdown' });
 });
 
@@ -92,7 +135,7 @@ bot.onText(/\/tokenlist/, async (msg) => {
     for (let i = 0; i < tracked.length; i += CHUNK_SIZE) {
         const chunk = tracked.slice(i, i + CHUNK_SIZE);
         const lines = chunk.map(([address, meta], idx) =>
-            `${i + idx + 1}. *${meta.symbol || '?'}*\n\`${address}\``
+            `${i + idx + 1}. *${meta.symbol || '?'}*${meta.pinned ? ' 📌' : ''}\n\`${address}\``
         ).join('\n\n');
 
         let message = '';
@@ -117,30 +160,284 @@ bot.onText(/\/topcoins/, async (msg) => {
     await bot.sendMessage(CHAT_ID, topCoinsMsg, { parse_mode: 'Markdown', disable_web_page_preview: true });
 });
 
+// /chart <symbol|mint> [timeframe] [lookback]  e.g. /chart PEPE 1m 6h, /chart 7xKX… 5m 120
+const CHART_DEFAULT_BARS = 60;
+const CHART_MAX_BARS = 300;
+
+bot.onText(/\/chart(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    if (String(msg.chat.id) !== String(CHAT_ID)) return;
+
+    try {
+        const [query, tfArg, lookbackArg] = (match[1] || '').trim().split(/\s+/).filter(Boolean);
+        if (!query) {
+            await bot.sendMessage(CHAT_ID, 'Usage: `/chart <symbol|mint> [15s|1m|5m|15m] [bars|30m|6h|2d]`', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const timeframe = tfArg || BASE_TIMEFRAME;
+        if (!isTimeframe(timeframe)) {
+            await bot.sendMessage(CHAT_ID, `❌ Unknown timeframe "${timeframe}". Use one of: ${Object.keys(TIMEFRAMES).join(', ')}`);
+            return;
+        }
+        const bars = lookbackArg ? barsForLookback(lookbackArg, timeframe) : CHART_DEFAULT_BARS;
+        if (!bars) {
+            await bot.sendMessage(CHAT_ID, `❌ Can't read lookback "${lookbackArg}". Use a bar count or e.g. 30m, 6h, 2d.`);
+            return;
+        }
+
+        const { token, matches } = await resolveToken(query);
+        if (!token) {
+            await bot.sendMessage(CHAT_ID, formatAmbiguous(query, matches), { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const shown = Math.min(bars, CHART_MAX_BARS);
+        const [candles] = await Promise.all([
+            getRecentCandles(token.address, shown + DEFAULT_PARAMS.emaSlow, timeframe),
+            loadMetadata([token.address])
+        ]);
+        if (candles.length < 2) {
+            await bot.sendMessage(CHAT_ID, `📉 Not enough ${timeframe} candles stored for ${token.symbol || token.address}.`);
+            return;
+        }
+
+        // Alerts fire at the close of their candle — mark the candle they fired on
+        const alerts = await getAlertsFor(token.address);
+        const markers = [];
+        const exitTimes = new Set();
+        for (const a of alerts) {
+            markers.push({ timestamp: bucketStart(new Date(a.sentAt).getTime() - TIMEFRAMES[BASE_TIMEFRAME], timeframe), type: 'entry' });
+            if (a.exit?.sentAt) exitTimes.add(bucketStart(new Date(a.exit.sentAt).getTime() - TIMEFRAMES[BASE_TIMEFRAME], timeframe));
+        }
+        for (const ts of exitTimes) markers.push({ timestamp: ts, type: 'exit' });
+
+        const png = renderChartPng(candles, { title: `${token.symbol || token.address.slice(0, 8)} · ${timeframe}`, bars: shown, markers });
+        const lastPrice = candleManager.getLastPrice(token.address) || candles[candles.length - 1].close;
+        const caption =
+            `📊 ${escapeMarkdown(token.symbol || '?')} · ${timeframe} · ${Math.min(shown, candles.length)} candles\n` +
+            `💰 *Mkt Cap:* ${formatMc(marketCapOf(token, lastPrice))} · 🚨 ${alerts.length} alert(s)\n` +
+            `\`${token.address}\``;
+        await bot.sendPhoto(CHAT_ID, png, { caption, parse_mode: 'Markdown' }, { filename: 'chart.png', contentType: 'image/png' });
+    } catch (err) {
+        console.error('[Chart] Error:', err.message);
+        await bot.sendMessage(CHAT_ID, `❌ Chart failed: ${err.message}`);
+    }
+});
+
+// /token <symbol|mint> — full state of one token
+bot.onText(/\/token(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    if (String(msg.chat.id) !== String(CHAT_ID)) return;
+
+    try {
+        const query = (match[1] || '').trim();
+        if (!query) {
+            await bot.sendMessage(CHAT_ID, 'Usage: `/token <symbol|mint>`', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const { token, matches } = await resolveToken(query);
+        if (!token) {
+            await bot.sendMessage(CHAT_ID, formatAmbiguous(query, matches), { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const details = await getTokenDetails(token.address, {
+            strategyParams: settings.strategyParams.ema_rsi,
+            fillFromBackfill: settings.fillFromBackfill
+        });
+        await bot.sendMessage(CHAT_ID, formatTokenDetails(details), { parse_mode: 'Markdown', disable_web_page_preview: true });
+    } catch (err) {
+        console.error('[Token] Error:', err.message);
+        await bot.sendMessage(CHAT_ID, `❌ Token lookup failed: ${err.message}`);
+    }
+});
+
+// /track <mint> — start tracking a token manually; it is pinned (never auto-pruned)
+bot.onText(/\/track(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    if (String(msg.chat.id) !== String(CHAT_ID)) return;
+
+    const address = (match[1] || '').trim();
+    if (!isMint(address)) {
+        await bot.sendMessage(CHAT_ID, 'Usage: `/track <mint>`', { parse_mode: 'Markdown' });
+        return;
+    }
+
+    try {
+        // Already tracked (e.g. via discovery) — just pin it
+        const meta = candleManager.tracked.get(address);
+        if (meta) {
+            meta.pinned = true;
+            await Token.updateOne({ address }, { $set: { pinned: true } });
+            await bot.sendMessage(CHAT_ID, `📌 *${meta.symbol || address.slice(0, 8)}* is already tracked — now pinned.`, { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const [doc, info] = await Promise.all([Token.findOne({ address }).lean(), getTokenInfo(address)]);
+        const token = {
+            address,
+            symbol: doc?.symbol || info?.symbol,
+            name: doc?.name || info?.name,
+            createdAt: doc?.launchedAt || info?.createdAt || null,
+            source: doc?.source || launchpadFromMint(address)
+        };
+
+        await bot.sendMessage(CHAT_ID, `⏳ Tracking ${token.symbol || address}...`);
+        console.log(`\n[Track] Manually tracking ${token.symbol || address}...`);
+        const { poolAddress, backfilled } = await startTracking(token, { pinned: true, tag: 'Track' });
+
+        await bot.sendMessage(CHAT_ID,
+            `📌 *Now tracking ${token.symbol || '?'}* (pinned)\n` +
+            `\`${address}\`\n` +
+            `🏊 Pool: ${poolAddress ? `\`${poolAddress}\`` : 'not found yet'}\n` +
+            `🕯 Backfill: ${backfilled > 0 ? `${backfilled} candles` : 'queued for retry'}` +
+            `${info?.marketCap ? `\n💰 *Mkt Cap:* ${formatMc(info.marketCap)}` : ''}`,
+            { parse_mode: 'Markdown' });
+    } catch (err) {
+        console.error('[Track] Error:', err.message);
+        await bot.sendMessage(CHAT_ID, `❌ Track failed: ${err.message}`);
+    }
+});
+
+// /untrack <sym|mint> — stop tracking a token (pinned or not)
+bot.onText(/\/untrack(?:@\w+)?(?:\s+(.+))?$/, async (msg, match) => {
+    if (String(msg.chat.id) !== String(CHAT_ID)) return;
+
+    try {
+        const query = (match[1] || '').trim();
+        if (!query) {
+            await bot.sendMessage(CHAT_ID, 'Usage: `/untrack <symbol|mint>`', { parse_mode: 'Markdown' });
+            return;
+        }
+
+        const { token, matches } = await resolveToken(query);
+        if (!token) {
+            await bot.sendMessage(CHAT_ID, formatAmbiguous(query, matches), { parse_mode: 'Markdown' });
+            return;
+        }
+        if (!candleManager.tracked.has(token.address)) {
+            await bot.sendMessage(CHAT_ID, `ℹ️ ${token.symbol || token.address} is not being tracked.`);
+            return;
+        }
+
+        const price = candleManager.getLastPrice(token.address);
+        await stopTracking(token.address, {
+            reason: 'untracked', price, marketCap: marketCapOf(token, price), source: 'track', detail: 'manual /untrack'
+        });
+        console.log(`[Track] Untracked ${token.symbol || token.address}`);
+        await bot.sendMessage(CHAT_ID, `🛑 Stopped tracking ${escapeMarkdown(token.symbol || '?')}\n\`${token.address}\``, { parse_mode: 'Markdown' });
+    } catch (err) {
+        console.error('[Track] Untrack error:', err.message);
+        await bot.sendMessage(CHAT_ID, `❌ Untrack failed: ${err.message}`);
+    }
+});
+
+// /settings — every runtime setting and its current value
+bot.onText(/\/settings/, async (msg) => {
+    if (String(msg.chat.id) !== String(CHAT_ID)) return;
+    await bot.sendMessage(CHAT_ID, settingsStore.formatSettings(), { parse_mode: 'Markdown' });
+});
+
+// /set <key> <value> — change a setting (persisted); `/set <key> default` undoes it
+bot.onText(/\/set(?:@\w+)?(?:\s+(\S+))?(?:\s+(.+))?$/, async (msg, match) => {
+    if (String(msg.chat.id) !== String(CHAT_ID)) return;
+
+    const [, key, raw] = match;
+    if (!key) {
+        await bot.sendMessage(CHAT_ID, 'Usage: `/set <key> <value>` — see /settings for keys', { parse_mode: 'Markdown' });
+        return;
+    }
+
+    try {
+        if (raw === undefined) {
+            await bot.sendMessage(CHAT_ID, settingsStore.describe(key), { parse_mode: 'Markdown' });
+            return;
+        }
+        const isReset = /^(default|reset)$/i.test(raw.trim());
+        const { value, previous } = isReset ? await settingsStore.reset(key) : await settingsStore.set(key, raw);
+        await bot.sendMessage(CHAT_ID,
+            `✅ \`${key}\`: ${settingsStore.formatValue(previous)} → *${settingsStore.formatValue(value)}*${isReset ? ' (default)' : ''}`,
+            { parse_mode: 'Markdown' });
+    } catch (err) {
+        await bot.sendMessage(CHAT_ID, `❌ ${err.message}`);
+    }
+});
+
+bot.onText(/\/positions/, async (msg) => {
+    if (String(msg.chat.id) !== String(CHAT_ID)) return;
+    await bot.sendMessage(CHAT_ID, await formatPositions(), { parse_mode: 'Markdown' });
+});
+
+bot.onText(/\/pnl/, async (msg) => {
+    if (String(msg.chat.id) !== String(CHAT_ID)) return;
+    await bot.sendMessage(CHAT_ID, await formatPnl(), { parse_mode: 'Markdown' });
+});
+
+bot.onText(/\/closed/, async (msg) => {
+    if (String(msg.chat.id) !== String(CHAT_ID)) return;
+    await bot.sendMessage(CHAT_ID, await formatClosed(15), { parse_mode: 'Markdown' });
+});
+
 bot.onText(/\/help/, async (msg) => {
     if (String(msg.chat.id) !== String(CHAT_ID)) return;
     await bot.sendMessage(CHAT_ID,
         `🤖 *Token Tracker V0.2 — Commands*\n\n` +
-        `/api          — check data feed health (Jupiter/Moralis)\n` +
+        `/api          — check data feed health (price providers/Moralis/trade feed)\n` +
         `/tokenlist    — list all tracked tokens + addresses\n` +
         `/topcoins     — show top performing active tokens\n` +
+        `/chart <sym|mint> [tf] [lookback] — candlestick chart with alerts\n` +
+        `/token <sym|mint> — everything the bot knows about a token\n` +
+        `/track <mint>  — track a token manually (pinned, never auto-pruned)\n` +
+        `/untrack <sym|mint> — stop tracking a token\n` +
         `/status       — tracked count + backfill queue\n` +
         `/backfill     — manually trigger a backfill drain\n` +
+        `/settings     — current runtime settings\n` +
+        `/set <key> <value> — change a setting (persisted)\n` +
+        `/positions    — open paper-trading positions\n` +
+        `/pnl          — paper-trading realized/unrealized PnL\n` +
+        `/closed       — recently closed paper positions\n` +
         `/help         — this message`,
         { parse_mode: 'Markdown' });
 });
 
 // ── Alert ─────────────────────────────────────────────────────────────────────
-const PUMP_FUN_SUPPLY = 1_000_000_000; // Fixed supply for all pump.fun tokens
 
 // Map: tokenAddress → { marketCap, sentAt, firstMarketCap, firstSentAt }
 const lastAlertData = new Map();
 
+const formatMc = (marketCap) => marketCap >= 1000
+    ? `$${(marketCap / 1000).toFixed(1)}K`
+    : `$${marketCap.toFixed(2)}`;
+
+const buildLinks = (mint, pool) => [
+    `[Jupiter](https://jup.ag/tokens/${mint})`,
+    pool ? `[Axiom](https://axiom.trade/meme/${pool})` : null,
+    `[DexScreener](https://dexscreener.com/solana/${mint})`
+].filter(Boolean).join(' · ');
+
+const TELEGRAM_CAPTION_LIMIT = 1024;
+
+/**
+ * PNG chart of the candles leading up to an alert, or null if it can't be drawn.
+ */
+const renderAlertChart = async (signal, title) => {
+    try {
+        const p = { ...DEFAULT_PARAMS, ...(signal.params || {}) };
+        const candles = await getRecentCandles(signal.tokenAddress, settings.chartBars + p.emaSlow,
+            signal.timeframe || BASE_TIMEFRAME, { fillFromBackfill: settings.fillFromBackfill });
+        if (candles.length < 2) return null;
+        return renderChartPng(candles, {
+            title, bars: settings.chartBars,
+            emaFast: p.emaFast, emaSlow: p.emaSlow, rsiPeriod: p.rsiPeriod, rsiThreshold: p.rsiThreshold
+        });
+    } catch (err) {
+        console.warn(`[Alert] Chart render failed for ${signal.symbol}:`, err.message);
+        return null;
+    }
+};
+
 const sendAlert = async (signal) => {
-    const marketCap = signal.price * PUMP_FUN_SUPPLY;
-    const mcFormatted = marketCap >= 1000
-        ? `$${(marketCap / 1000).toFixed(1)}K`
-        : `$${marketCap.toFixed(2)}`;
+    const marketCap = marketCapOf(signal, signal.price);
+    const mcFormatted = formatMc(marketCap);
 
     // ── Token age ────────────────────────────────────────────────────
     let ageLine = '';
@@ -177,28 +474,29 @@ const sendAlert = async (signal) => {
     }
 
     const mint = signal.tokenAddress;
-    const pool = signal.poolAddress;
+    const links = buildLinks(mint, signal.poolAddress);
 
-    const linkParts = [
-        `[Jupiter](https://jup.ag/tokens/${mint})`,
-        pool ? `[Axiom](https://axiom.trade/meme/${pool})` : null,
-        `[DexScreener](https://dexscreener.com/solana/${mint})`
-    ].filter(Boolean);
-    const links = linkParts.join(' · ');
+    const strategy = getStrategy(signal.strategy);
+    const label = strategy?.label || signal.strategy;
+    const details = strategy?.describe ? strategy.describe(signal).join('\n') : '';
 
     const msg =
-        `🚨 *EMA RSI Alert*
+        `🚨 *${label} Alert*${signal.timeframe && signal.timeframe !== BASE_TIMEFRAME ? ` (${signal.timeframe})` : ''}
 ──────────────────
-📌 *Ticker:* ${signal.symbol}${ageLine}
+📌 *Ticker:* ${signal.symbol} · ${labelFor(signal.launchpad)}${ageLine}
 💰 *Mkt Cap:* ${mcFormatted}${mcChangeLine}
-📈 *RSI:* ${signal.rsi.toFixed(2)}
-📐 *EMA 9:*  ${signal.ema9.toExponential(4)}
-📐 *EMA 20:* ${signal.ema20.toExponential(4)}
+${details}
 🔗 ${links}
 \`${mint}\``;
 
     try {
-        await bot.sendMessage(CHAT_ID, msg, { parse_mode: 'Markdown' });
+        // Chart + text as its caption; plain text if the chart is off, fails, or the caption is too long
+        const chart = settings.alertCharts && msg.length <= TELEGRAM_CAPTION_LIMIT
+            ? await renderAlertChart(signal, `${signal.symbol} · ${label} · MC ${mcFormatted}`)
+            : null;
+        const sent = chart
+            ? await bot.sendPhoto(CHAT_ID, chart, { caption: msg, parse_mode: 'Markdown' }, { filename: 'chart.png', contentType: 'image/png' })
+            : await bot.sendMessage(CHAT_ID, msg, { parse_mode: 'Markdown' });
         console.log(`[Alert] Sent signal for ${signal.symbol}`);
         // Update in-memory cache
         const existing = lastAlertData.get(signal.tokenAddress);
@@ -208,186 +506,276 @@ const sendAlert = async (signal) => {
             marketCap, sentAt: Date.now(),
             firstMarketCap: firstMC, firstSentAt: firstAt
         });
-        // Persist last alert to DB always
-        const dbUpdate = { lastAlertMarketCap: marketCap, lastAlertSentAt: new Date() };
-        // Persist first alert only once
-        if (!existing?.firstMarketCap) {
-            dbUpdate.firstAlertMarketCap = marketCap;
-            dbUpdate.firstAlertSentAt = new Date();
-        }
-        Token.updateOne({ address: signal.tokenAddress }, dbUpdate)
-            .catch(e => console.error('[Alert] DB persist error:', e.message));
+        // Persist every alert to the Alert collection and open (or join) the token's position
+        const saved = await recordAlert(signal, { marketCap, telegramMessageId: sent?.message_id ?? null });
+        exits.openPosition(saved);
+        if (settings.paperTrading.enabled) await paper.openPaperPosition(saved, settings.paperTrading);
     } catch (err) {
         console.error('[Alert] Telegram error:', err.message);
     }
 };
 
+const sendExit = async (tokenAddress, exit, meta = {}) => {
+    const position = exits.getPosition(tokenAddress);
+    if (!position) return;
+
+    const marketCap = marketCapOf({ address: tokenAddress, source: meta.source }, exit.price);
+    const sign = exit.gainPct >= 0 ? '+' : '';
+    const arrow = exit.gainPct >= 0 ? '📈' : '📉';
+    const hrsOpen = (Date.now() - position.openedAt) / 3600000;
+    const openFor = hrsOpen >= 1 ? `${hrsOpen.toFixed(1)}h` : `${Math.round(hrsOpen * 60)}m`;
+    const peakPct = ((position.peakPrice - position.entryPrice) / position.entryPrice) * 100;
+
+    const msg =
+        `🔻 *Exit — ${exits.EXIT_REASONS[exit.reason] || exit.reason}*
+──────────────────
+📌 *Ticker:* ${position.symbol || meta.symbol || tokenAddress.slice(0, 8)}
+🎯 *Entry MC:* ${formatMc(position.entryMarketCap)} (${openFor} ago)
+💰 *Exit MC:* ${formatMc(marketCap)}
+${arrow} *P/L:* ${sign}${exit.gainPct.toFixed(1)}% (peak +${peakPct.toFixed(1)}%)
+ℹ️ ${exit.detail}
+🔗 ${buildLinks(tokenAddress, meta.poolAddress)}
+\`${tokenAddress}\``;
+
+    let sent = null;
+    try {
+        sent = await bot.sendMessage(CHAT_ID, msg, {
+            parse_mode: 'Markdown',
+            ...(position.telegramMessageId ? { reply_to_message_id: position.telegramMessageId } : {})
+        });
+        console.log(`[Exit] Sent ${exit.reason} exit for ${position.symbol}`);
+    } catch (err) {
+        console.error('[Exit] Telegram error:', err.message);
+    }
+    await exits.closePosition(tokenAddress, exit, { marketCap, telegramMessageId: sent?.message_id ?? null });
+};
+
 // ── Candle handler ────────────────────────────────────────────────────────────
 candleManager.on('candle', async (candle) => {
     await saveCandle(candle);
 
-    const history = await getRecentCandles(candle.tokenAddress, 60);
-    if (history.length === 0) return;
-
+    // Strategies only see candles of their own timeframe; exits run on the 15s series
+    const isBase = candle.timeframe === BASE_TIMEFRAME;
+    // Each launchpad may run its own strategy list (services/launchpads.js)
     const meta = candleManager.tracked.get(candle.tokenAddress) || {};
+    const strategies = getEnabledStrategies(strategiesFor(meta.source), settings.strategyParams, settings.strategyTimeframes)
+        .filter(s => s.timeframe === candle.timeframe);
+    if (!isBase && strategies.length === 0) return;
+
+    const history = await getRecentCandles(candle.tokenAddress, historyLengthFor(strategies), candle.timeframe, {
+        fillFromBackfill: settings.fillFromBackfill
+    });
+
     const symbol = meta.symbol || candle.tokenAddress.slice(0, 8);
 
-    // ── Low MC prune (< $2k) ────────────────────────────────────────────────────
-    const currentMcap = candle.close * PUMP_FUN_SUPPLY;
-    if (currentMcap < 2000) {
-        console.log(`[Prune] ${symbol} — MC $${currentMcap.toFixed(0)} < $2000. Stopping tracking.`);
-        candleManager.removeToken(candle.tokenAddress);
-        untrackToken(candle.tokenAddress);
-        lastAlertData.delete(candle.tokenAddress);   // clean up in-memory map
-        await removeFromQueue(candle.tokenAddress);  // remove from backfill queue
-        await Token.updateOne({ address: candle.tokenAddress }, { $set: { isActive: false } });
+    const result = evaluateCandle(candle, history, {
+        symbol,
+        requireVolumeSpike: settings.requireVolumeSpike,
+        strategies,
+        pruneRules: rulesFor('candle', settings.pruneRules),
+        pruneState: pruneStateFor(candle.tokenAddress),
+        launchedAt: meta.launchedAt,
+        alertMinMcap: alertMinMcapFor(meta.source)
+    });
+
+    // ── Candle prune rules (MC < $2k by default) — pinned tokens are never pruned
+    if (result.action === 'prune' && !meta.pinned) {
+        const ageHours = meta.launchedAt ? (Date.now() - new Date(meta.launchedAt).getTime()) / 3600000 : null;
+        console.log(`[Prune] ${symbol} — ${describeHit(result.hit, ageHours)}. Stopping tracking.`);
+        await recordPrune({ tokenAddress: candle.tokenAddress, symbol, scope: 'candle', hit: result.hit, metrics: { marketCap: result.marketCap, ageHours } });
+        await stopTracking(candle.tokenAddress, {
+            reason: 'pruned', price: candle.close, marketCap: result.marketCap,
+            source: 'candle', detail: describeHit(result.hit, ageHours)
+        });
         return;
     }
 
-    // ── Strategy ─────────────────────────────────────────────────────────────
-    const historyWithMeta = history.map(c => ({ ...c, symbol }));
-    const signal = checkStrategy(historyWithMeta, {
-        requireVolumeSpike: settings.requireVolumeSpike
-    });
-    if (signal) {
-        const mcap = signal.price * PUMP_FUN_SUPPLY;
-        if (mcap < 5000) return; // skip low-mcap tokens
-        await sendAlert({ ...signal, poolAddress: meta.poolAddress || null, launchedAt: meta.launchedAt || null });
+    // ── Exit rules for tokens with an open alert ────────────────────────────
+    const exit = isBase ? exits.checkExit(candle, history, settings.exitParams) : null;
+    if (exit) {
+        await sendExit(candle.tokenAddress, exit, meta);
+        return; // don't re-enter on the candle that closed the position
     }
-});
 
-// ── Discovery Loop ────────────────────────────────────────────────────────────
-const discoveryLoop = async () => {
-    // Cap seenAddresses to avoid unbounded memory growth over long uptime
-    if (seenAddresses.size > MAX_SEEN) {
-        seenAddresses.clear();
-        console.log('[Discovery] seenAddresses cleared (size cap reached).');
+    // ── Strategies (one alert per strategy that fired, MC ≥ $5k) ─────────────
+    if (result.action === 'alert') {
+        for (const signal of result.signals) {
+            await sendAlert({
+                ...signal,
+                timeframe: candle.timeframe,
+                poolAddress: meta.poolAddress || null,
+                launchedAt: meta.launchedAt || null,
+                launchpad: meta.source || null
+            });
+        }
     }
+});
 
-    console.log('\n[Discovery] Fetching migrated tokens from Moralis...');
+// ── Start / stop tracking ─────────────────────────────────────────────────────
 
-    const tokens = await getMigratedTokens(20);
-    if (tokens.length === 0) { console.log('[Discovery] No tokens returned.'); return; }
-    console.log(`[Discovery] Got ${tokens.length} tokens from Moralis.`);
+// tokenAddress → Map(rule name → first breach ms), for prune rule grace periods
+const pruneStates = new Map();
 
-    const addresses = tokens.map(t => t.address).filter(Boolean);
-    const notSeenYet = addresses.filter(a => !seenAddresses.has(a));
-
-    if (notSeenYet.length === 0) {
-        console.log('[Discovery] All tokens already in seen cache. Skipping.');
-        return;
-    }
-
-    // Find tokens in DB to filter out ACTIVE ones
-    // But allow INACTIVE ones to be reactivated if they appear again
-    const existing = await Token.find({ address: { $in: notSeenYet } }).lean();
+const pruneStateFor = (address) => {
+    if (!pruneStates.has(address)) pruneStates.set(address, new Map());
+    return pruneStates.get(address);
+};
 
-    // Create a Set of ACTIVE tokens we should definitely skip
-    const activeSet = new Set(existing.filter(t => t.isActive).map(t => t.address));
+/**
+ * Resolve the pool, backfill OHLCV and register a token for live tracking.
+ * Used by the discovery loop and by /track. If the pool or the candles aren't
+ * available yet the token is still tracked and the backfill queue retries.
+ *
+ * @param {object}  token - { address, symbol, name, createdAt, source }
+ * @param {object}  [opts]
+ * @param {boolean} [opts.pinned=false] - Exempt from automatic pruning
+ * @param {string}  [opts.tag='Discovery'] - Log prefix
+ * @param {number}  [opts.marketCap]    - MC at discovery, for the event log
+ * @returns {Promise<{ poolAddress: string|null, backfilled: number }>}
+ */
+const startTracking = async (token, { pinned = false, tag = 'Discovery', marketCap = null } = {}) => {
+    const launchedAt = token.createdAt ? new Date(token.createdAt) : new Date();
+    const event = { symbol: token.symbol, source: pinned ? 'track' : 'discovery', marketCap };
+
+    // The previous ledger entry tells a comeback from a first sighting
+    const previous = await ledger.markTracked(token);
+    const wasTracked = previous && (previous.status === 'pruned' || previous.status === 'untracked');
+    await logEvent(token.address, wasTracked ? 'reactivated' : 'discovered', {
+        ...event,
+        reason: pinned ? 'manual /track'
+            : wasTracked ? `rediscovered after ${previous.status === 'pruned' ? 'prune' : 'untrack'}`
+                : previous ? `passed recheck after ${previous.skips} skip(s)` : 'new migration'
+    });
 
-    // Our subset to process: Tokens that are NOT in activeSet
-    const processTokens = tokens.filter(t =>
-        t.address && !seenAddresses.has(t.address) && !activeSet.has(t.address)
+    const saveToken = (poolAddress) => Token.updateOne(
+        { address: token.address },
+        {
+            $set: {
+                symbol: token.symbol,
+                name: token.name,
+                poolAddress,
+                pinned,
+                ...(token.source ? { source: token.source } : {}),
+                isActive: true // Reactivate if it was pruned
+            }, // Use $setOnInsert for launchedAt so we don't overwrite history
+            $setOnInsert: { launchedAt }
+        },
+        { upsert: true }
     );
 
-    if (processTokens.length === 0) {
-        console.log('[Discovery] No activeable tokens to add or reactivate.');
-        return;
-    }
-    console.log(`[Discovery] ${processTokens.length} token(s) to add or reactivate.`);
+    // 1. Resolve pool
+    const poolAddress = await resolvePoolAddress(token.address);
+    let backfillData = [];
 
-    // ── MC check — skip dead tokens before starting expensive backfill ──────
-    const processAddresses = processTokens.map(t => t.address);
-    const mcMap = await getMarketCaps(processAddresses);
-    const liveTokens = processTokens.filter(t => {
-        const mc = mcMap.get(t.address);
-        if (mc !== undefined && mc < 2000) {
-            console.log(`[Discovery] Skipping ${t.symbol || t.address.slice(0, 8)} — MC $${mc.toFixed(0)} < $2000`);
-            seenAddresses.add(t.address); // mark as seen so we don't re-check
-            return false;
-        }
-        return true;
-    });
-    if (liveTokens.length === 0) { console.log('[Discovery] All processable tokens below $2k MC. Skipping.'); return; }
-
-    for (const token of liveTokens) {
-        seenAddresses.add(token.address);
-        console.log(`\n[Discovery] Processing ${token.symbol || token.address}...`);
-
-        // 1. Resolve pool
-        const poolAddress = await resolvePoolAddress(token.address);
-
-        if (!poolAddress) {
-            // Pool resolve failed (429 or not listed yet) — enqueue for retry
-            console.log(`[Discovery]  -> No pool found, queuing for backfill retry`);
-            await Token.updateOne(
-                { address: token.address },
-                {
-                    $set: {
-                        symbol: token.symbol,
-                        name: token.name,
-                        poolAddress: null,
-                        isActive: true // Reactivate if it was pruned
-                    }, // Use $setOnInsert for launchedAt so we don't overwrite history
-                    $setOnInsert: { launchedAt: token.createdAt ? new Date(token.createdAt) : new Date() }
-                },
-                { upsert: true }
-            );
-            await backfillQ.enqueue(token);
-            continue;
-        }
-
-        console.log(`[Discovery]  -> Pool: ${poolAddress}`);
+    if (!poolAddress) {
+        // Pool resolve failed (429 or not listed yet) — enqueue for retry
+        console.log(`[${tag}]  -> No pool found, queuing for backfill retry`);
+        await saveToken(null);
+        await backfillQ.enqueue(token);
+        await logEvent(token.address, 'backfill_queued', { ...event, reason: 'no pool found' });
+    } else {
+        console.log(`[${tag}]  -> Pool: ${poolAddress}`);
 
         // 2. Backfill OHLCV
-        const backfillData = await getBackfillData(poolAddress, 300);
+        backfillData = await getBackfillData(poolAddress, 300);
 
         if (backfillData.length === 0) {
             // OHLCV fetch failed (429 or no data) — save token with pool, enqueue for candle retry
-            console.log(`[Discovery]  -> OHLCV empty, queuing for backfill retry`);
-            await Token.updateOne(
-                { address: token.address },
-                {
-                    $set: {
-                        symbol: token.symbol,
-                        name: token.name,
-                        poolAddress,
-                        isActive: true
-                    },
-                    $setOnInsert: { launchedAt: token.createdAt ? new Date(token.createdAt) : new Date() }
-                },
-                { upsert: true }
-            );
+            console.log(`[${tag}]  -> OHLCV empty, queuing for backfill retry`);
+            await saveToken(poolAddress);
             await backfillQ.enqueue({ ...token, poolAddress });
-
+            await logEvent(token.address, 'backfill_queued', { ...event, reason: 'OHLCV empty' });
         } else {
             // Full success path
-            await backfillCandles(token.address, poolAddress, backfillData);
-            await Token.updateOne(
-                { address: token.address },
-                {
-                    $set: {
-                        symbol: token.symbol,
-                        name: token.name,
-                        poolAddress,
-                        isActive: true
-                    },
-                    $setOnInsert: { launchedAt: token.createdAt ? new Date(token.createdAt) : new Date() }
-                },
-                { upsert: true }
-            );
+            await backfillCandles(token.address, poolAddress, backfillData, token.source || null);
+            await saveToken(poolAddress);
+            await logEvent(token.address, 'backfilled', { ...event, reason: `${backfillData.length} candles` });
         }
+    }
 
-        // 3. Register for live tracking regardless of backfill result
-        candleManager.addToken(token.address, {
-            symbol: token.symbol, name: token.name, poolAddress,
-            launchedAt: token.createdAt ? new Date(token.createdAt) : new Date()
-        });
-        trackToken(token.address);
+    // 3. Register for live tracking regardless of backfill result (supply first, for market cap)
+    await loadMetadata([token.address]);
+    candleManager.addToken(token.address, {
+        symbol: token.symbol, name: token.name, poolAddress, launchedAt, pinned, source: token.source || null
+    });
+    trackToken(token.address);
+    tradeFeed.track(token.address, poolAddress);
+    await logEvent(token.address, 'tracked', { ...event, reason: pinned ? 'pinned' : null });
+
+    console.log(`[${tag}]  -> ✅ Now tracking ${token.symbol || token.address}` +
+        (pinned ? ' (pinned)' : '') +
+        (backfillData.length === 0 ? ' (backfill queued)' : ''));
+
+    return { poolAddress, backfilled: backfillData.length };
+};
+
+/**
+ * Stop tracking a token: drop it from the live feeds, close its exit and paper
+ * positions at the given price, mark it inactive and log why.
+ *
+ * @param {string} address
+ * @param {object} exit - { reason: 'pruned'|'untracked', price, marketCap, volume5m, source, detail }
+ */
+const stopTracking = async (address, { reason, price = null, marketCap = null, volume5m = null, source = null, detail = null }) => {
+    const symbol = candleManager.tracked.get(address)?.symbol;
+    candleManager.removeToken(address);
+    pruneStates.delete(address);
+    untrackToken(address);
+    tradeFeed.untrack(address);
+    lastAlertData.delete(address);   // clean up in-memory map
+    await exits.closePosition(address, { reason, price }, { marketCap });
+    await paper.closeTokenPositions(address, reason, price);
+    await removeFromQueue(address);  // remove from backfill queue
+    await Token.updateOne({ address }, { $set: { isActive: false, pinned: false } });
+    await logEvent(address, reason, { symbol, source, reason: detail, marketCap, volume5m });
+    await ledger.markDropped(address, reason, detail, settings.discoveryRecheckMinutes);
+};
+
+// ── Discovery Loop ────────────────────────────────────────────────────────────
+const discoveryLoop = async () => {
+    console.log('\n[Discovery] Fetching migrated tokens from Moralis...');
+
+    const tokens = await getMigratedTokens({ limit: 20, maxPages: settings.discoveryMaxPages });
+    if (tokens.length === 0) { console.log('[Discovery] No tokens returned.'); return; }
+    console.log(`[Discovery] Got ${tokens.length} tokens from Moralis.`);
+
+    // The ledger decides: new tokens, and skipped / pruned ones whose recheck
+    // window has passed. Tracked and manually untracked tokens are left alone.
+    const addresses = tokens.map(t => t.address).filter(Boolean);
+    const { due } = await ledger.getDue(addresses);
+    const processTokens = tokens.filter(t => t.address && due.has(t.address));
 
-        console.log(`[Discovery]  -> ✅ Now tracking ${token.symbol || token.address}` +
-            (backfillData.length === 0 ? ' (backfill queued)' : ''));
+    if (processTokens.length === 0) {
+        console.log('[Discovery] Nothing new or due for a recheck. Skipping.');
+        return;
+    }
+    console.log(`[Discovery] ${processTokens.length} token(s) to add or reactivate.`);
 
+    // ── MC check — skip dead tokens before starting expensive backfill ──────
+    const processAddresses = processTokens.map(t => t.address);
+    const mcMap = await getMarketCaps(processAddresses);
+    const candleRules = rulesFor('candle', settings.pruneRules);
+    const liveTokens = [];
+    for (const t of processTokens) {
+        const metrics = {
+            marketCap: mcMap.get(t.address),
+            ageHours: t.createdAt ? (Date.now() - new Date(t.createdAt).getTime()) / 3600000 : null
+        };
+        const hit = evaluatePruneRules(metrics, candleRules);
+        if (hit) {
+            const reason = describeHit(hit, metrics.ageHours);
+            const recheckAt = await ledger.markSkipped(t, reason, settings.discoveryRecheckMinutes);
+            console.log(`[Discovery] Skipping ${t.symbol || t.address.slice(0, 8)} — ${reason} (recheck ${recheckAt.toISOString().slice(11, 16)} UTC)`);
+            await recordPrune({ tokenAddress: t.address, symbol: t.symbol, scope: 'discovery', hit, metrics });
+            continue;
+        }
+        liveTokens.push(t);
+    }
+    if (liveTokens.length === 0) { console.log('[Discovery] All processable tokens hit a prune rule. Skipping.'); return; }
+
+    for (const token of liveTokens) {
+        console.log(`\n[Discovery] Processing ${token.symbol || token.address} (${labelFor(token.source)})...`);
+        await startTracking(token, { marketCap: mcMap.get(token.address) ?? null });
         await sleep(500);
     }
 };
@@ -396,31 +784,40 @@ const discoveryLoop = async () => {
 const restoreTrackedTokens = async () => {
     const tokens = await Token.find({ isActive: true }).lean();
     console.log(`[Startup] Restoring ${tokens.length} previously tracked token(s)...`);
+    await ledger.syncTracked(tokens); // prevent re-discovery of restored tokens
+    await loadMetadata(tokens.map(t => t.address));
     for (const t of tokens) {
-        seenAddresses.add(t.address); // prevent re-discovery on first poll cycle
-        candleManager.addToken(t.address, { symbol: t.symbol, name: t.name, poolAddress: t.poolAddress, launchedAt: t.launchedAt || t.addedAt });
+        candleManager.addToken(t.address, { symbol: t.symbol, name: t.name, poolAddress: t.poolAddress, launchedAt: t.launchedAt || t.addedAt, pinned: !!t.pinned, source: t.source || null });
         trackToken(t.address);
-        // Pre-load persisted alert history into in-memory map
-        if (t.lastAlertMarketCap && t.lastAlertSentAt) {
-            lastAlertData.set(t.address, {
-                marketCap: t.lastAlertMarketCap,
-                sentAt: new Date(t.lastAlertSentAt).getTime(),
-                firstMarketCap: t.firstAlertMarketCap || t.lastAlertMarketCap,
-                firstSentAt: t.firstAlertSentAt
-                    ? new Date(t.firstAlertSentAt).getTime()
-                    : new Date(t.lastAlertSentAt).getTime()
-            });
-        }
+        tradeFeed.track(t.address, t.poolAddress);
+    }
+
+    // Pre-load persisted alert history into in-memory map
+    const summaries = await getAlertSummaries(tokens.map(t => t.address));
+    for (const [address, a] of summaries) {
+        lastAlertData.set(address, {
+            marketCap: a.lastMarketCap,
+            sentAt: new Date(a.lastSentAt).getTime(),
+            firstMarketCap: a.firstMarketCap,
+            firstSentAt: new Date(a.firstSentAt).getTime()
+        });
     }
+    console.log(`[Startup] Restored alert history for ${summaries.size} token(s).`);
+
+    const open = await exits.restoreOpenPositions(new Set(tokens.map(t => t.address)));
+    console.log(`[Startup] Restored ${open} open position(s) for exit tracking.`);
 };
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
 // ── Maintenance Loop (Pruning) ────────────────────────────────────────────────
-const PRUNE_INTERVAL_MS = 60 * 60 * 1000; // every hour
 
 const maintenanceLoop = async () => {
-    const addresses = [...candleManager.tracked.keys()];
+    // Refresh supplies (burns) of everything tracked, pinned tokens included
+    await loadMetadata([...candleManager.tracked.keys()]);
+
+    // Pinned (manually tracked) tokens are never pruned
+    const addresses = [...candleManager.tracked.keys()].filter(a => !candleManager.tracked.get(a).pinned);
     if (addresses.length === 0) return;
 
     console.log(`[Maintenance] Checking status for ${addresses.length} token(s)...`);
@@ -433,46 +830,38 @@ const maintenanceLoop = async () => {
 
     let pruned = 0;
     const now = Date.now();
+    const rules = rulesFor('maintenance', settings.pruneRules);
 
     for (const address of addresses) {
         const meta = candleManager.tracked.get(address) || {};
         const vol5m = volMap.get(address); // undefined if not found
 
         let mc = undefined;
-        // Fetch latest candle from DB for current price
-        const latestCandle = await Candle.findOne({ tokenAddress: address })
+        // Latest live 15s candle for the current price (not a rollup or backfill candle)
+        const latestCandle = await Candle.findOne({ tokenAddress: address, timeframe: BASE_TIMEFRAME })
             .sort({ timestamp: -1 })
             .lean();
 
         if (latestCandle && latestCandle.close) {
-            mc = latestCandle.close * PUMP_FUN_SUPPLY;
+            mc = marketCapOf({ address, source: meta.source }, latestCandle.close);
         }
 
-        const launchedAt = meta.launchedAt ? new Date(meta.launchedAt).getTime() : 0;
-        const ageHours = (now - launchedAt) / 3600000;
-
-        let reason = null;
+        const ageHours = meta.launchedAt ? (now - new Date(meta.launchedAt).getTime()) / 3600000 : null;
 
-        // Condition 1: Low Volume (<$100 in 5m)
-        // Only prune if we actually got a volume result (not null/undefined)
-        if (vol5m !== undefined && vol5m < 100) {
-            reason = `Low Volume ($${vol5m.toFixed(2)})`;
-        }
-
-        // Condition 2: Low MC (<$5k) AND Age > 2h
-        if (!reason && mc !== undefined && mc < 5000 && ageHours > 2) {
-            reason = `Old & Low MC ($${mc.toFixed(0)}, ${ageHours.toFixed(1)}h)`;
-        }
+        // Default rules: 5m volume < $100, or MC < $5k once older than 2h.
+        // Unknown metrics (no DexScreener result, no candle yet) never prune.
+        const metrics = { marketCap: mc, volume5m: vol5m, ageHours };
+        const hit = evaluatePruneRules(metrics, rules, { state: pruneStateFor(address), now });
 
-        if (reason) {
+        if (hit) {
             const sym = meta.symbol || address.slice(0, 8);
-            console.log(`[Maintenance] Pruning ${sym} — ${reason}`);
+            console.log(`[Maintenance] Pruning ${sym} — ${describeHit(hit, ageHours)}`);
 
-            candleManager.removeToken(address);
-            untrackToken(address);
-            lastAlertData.delete(address);
-            await removeFromQueue(address);
-            await Token.updateOne({ address }, { $set: { isActive: false } });
+            await recordPrune({ tokenAddress: address, symbol: meta.symbol, scope: 'maintenance', hit, metrics });
+            await stopTracking(address, {
+                reason: 'pruned', price: latestCandle?.close ?? null, marketCap: mc ?? null, volume5m: vol5m ?? null,
+                source: 'maintenance', detail: describeHit(hit, ageHours)
+            });
             pruned++;
         }
     }
@@ -480,15 +869,63 @@ const maintenanceLoop = async () => {
     if (pruned > 0) console.log(`[Maintenance] Pruned ${pruned} token(s).`);
     else console.log('[Maintenance] No tokens pruned.');
 };
+
+// ── Loop timers (intervals are editable at runtime) ───────────────────────────
+let discoveryTimer = null;
+let maintenanceTimer = null;
+
+const scheduleDiscovery = () => {
+    clearInterval(discoveryTimer);
+    discoveryTimer = setInterval(async () => {
+        try {
+            await discoveryLoop();
+            await backfillQ.drain(5); // drain up to 5 per cycle
+        } catch (err) {
+            console.error('[Discovery] Error:', err.message);
+        }
+    }, settings.discoveryIntervalSec * 1000);
+    console.log(`[Discovery] Polling every ${settings.discoveryIntervalSec}s.`);
+};
+
+const scheduleMaintenance = () => {
+    clearInterval(maintenanceTimer);
+    maintenanceTimer = setInterval(() =>
+        maintenanceLoop().catch(err => console.error('[Maintenance] Error:', err.message)),
+        settings.maintenance.intervalMinutes * 60 * 1000
+    );
+    console.log(`[Maintenance] Running every ${settings.maintenance.intervalMinutes}m.`);
+};
+
 // ── Main Execution ────────────────────────────────────────────────────────────
-const { generateHourlyReport, getTopCoins } = require('./services/reports');
+const { generateHourlyReport, getTopCoins, formatPositions, formatPnl, formatClosed } = require('./services/reports');
 
 const main = async () => {
     // Connect to DB
     await connectDB();
 
-    // Wire backfill queue with runtime references
-    backfillQ.init(candleManager, trackToken);
+    // Per-timeframe candle index (drops the pre-timeframe one, which rejects rollups)
+    try {
+        await ensureCandleIndexes();
+    } catch (err) {
+        console.error('[Startup] Candle index check failed — rollups and backfill may not be stored:', err.message);
+    }
+
+    // Apply promoted parameter sweeps (if any) to the live strategies
+    const promotedParams = await getPromotedParams();
+    if (Object.keys(promotedParams).length > 0) {
+        settings.strategyParams = { ...settings.strategyParams, ...promotedParams };
+        console.log('[Startup] Using promoted strategy parameters:', JSON.stringify(promotedParams));
+    }
+
+    // Settings changed with /set (persisted) override defaults and promoted sweeps
+    await settingsStore.load();
+    console.log(`[Startup] Enabled strategies: ${settings.enabledStrategies.join(', ')}`);
+
+    // Wire backfill queue with runtime references (the trade feed needs the resolved pool)
+    backfillQ.init(candleManager, (address, poolAddress) => {
+        trackToken(address);
+        tradeFeed.track(address, poolAddress);
+    });
 
     // Startup audit — find any tracked token with 0 candles and re-enqueue
     await backfillQ.auditAndEnqueueMissing();
@@ -505,11 +942,24 @@ const main = async () => {
     // Restore state
     await restoreTrackedTokens();
 
-    // Gap-fill runs in the background — don't block Jupiter startup
+    // Gap-fill runs in the background — don't block price polling
     gapFillOnStartup().catch(err => console.error('[GapFill] Error:', err.message));
 
-    // Start Jupiter polling
-    startJupiter();
+    // Start price polling (Jupiter, failing over to DexScreener / GeckoTerminal)
+    priceFeed.onChange(({ message }) => {
+        bot.sendMessage(CHAT_ID, `📡 *Price feed:* ${message}`, { parse_mode: 'Markdown' })
+            .catch(err => console.error('[PriceFeed] Telegram error:', err.message));
+    });
+    priceFeed.start();
+
+    // Real swap volume for live candles (subscribes the pools restored above)
+    if (settings.tradeFeed.enabled) tradeFeed.start({ maxTxPerMinute: settings.tradeFeed.maxTxPerMinute });
+
+    // Score past alerts at +5m / +15m / +1h / +6h / +24h in the background
+    startOutcomeTracker();
+
+    // Mark paper positions to market (TP / SL / time stop) in the background
+    paper.start(() => settings.paperTrading);
 
     // Initial discovery
     await discoveryLoop();
@@ -517,18 +967,23 @@ const main = async () => {
     // Drain the backfill queue immediately after first discovery
     await backfillQ.drain(10);
 
-    // Recurring: discovery every 60s, then drain after each
-    setInterval(async () => {
-        await discoveryLoop();
-        await backfillQ.drain(5); // drain up to 5 per cycle
-    }, DISCOVERY_INTERVAL_MS);
+    // Recurring: discovery every settings.discoveryIntervalSec, then drain after each
+    scheduleDiscovery();
 
-    // Maintenance: run at startup, then every hour
+    // Maintenance: run at startup, then every settings.maintenance.intervalMinutes
     maintenanceLoop().catch(err => console.error('[Maintenance] Error:', err.message));
-    setInterval(() =>
-        maintenanceLoop().catch(err => console.error('[Maintenance] Error:', err.message)),
-        PRUNE_INTERVAL_MS
-    );
+    scheduleMaintenance();
+
+    // Reschedule the timed loops when their interval is changed with /set
+    settingsStore.onChange(({ key }) => {
+        if (key === 'discoveryIntervalSec') scheduleDiscovery();
+        if (key === 'maintenance.intervalMinutes') scheduleMaintenance();
+        if (key === 'tradeFeed.maxTxPerMinute') tradeFeed.setBudget(settings.tradeFeed.maxTxPerMinute);
+        if (key === 'tradeFeed.enabled') {
+            if (settings.tradeFeed.enabled) tradeFeed.start({ maxTxPerMinute: settings.tradeFeed.maxTxPerMinute });
+            else tradeFeed.stop();
+        }
+    });
 
     // Hourly Report Loop (60 min)
     setInterval(async () => {
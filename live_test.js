@@ -16,6 +16,7 @@ require('dotenv').config();
 const WebSocket = require('ws');
 const axios = require('axios');
 const mongoose = require('mongoose');
+const settings = require('./config/settings');
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Counters — everything we track
@@ -24,7 +25,9 @@ const stats = {
     startTime: Date.now(),
 
     moralis: {
-        calls: 0,    // HTTP requests made
+        calls: 0,    // HTTP requests made (one per page)
+        polls: 0,    // discovery polls
+        maxPagesPerPoll: 0,    // most pages one poll needed
         tokensFound: 0,    // total tokens returned across all calls
         newTokens: 0,    // tokens not previously seen
         errors: 0,
@@ -68,7 +71,7 @@ function printReport() {
     console.log(`  Runtime: ${runSec.toFixed(1)}s (~${runMin} min)\n`);
 
     console.log('── MORALIS ─────────────────────────────────────────────');
-    console.log(`  HTTP calls made:        ${stats.moralis.calls}`);
+    console.log(`  HTTP calls made:        ${stats.moralis.calls}  (${stats.moralis.polls} polls, max ${stats.moralis.maxPagesPerPoll} page(s) in one poll, cap ${MORALIS_MAX_PAGES})`);
     console.log(`  Tokens returned total:  ${stats.moralis.tokensFound}`);
     console.log(`  New tokens (unique):    ${stats.moralis.newTokens}`);
     console.log(`  Errors:                 ${stats.moralis.errors}`);
@@ -78,6 +81,9 @@ function printReport() {
     const moralisDailyCU = runSec > 0 ? (moralisCU / runSec * 86400).toFixed(0) : 0;
     console.log(`  Est. CU used:           ${moralisCU}  (5 CU × ${stats.moralis.calls} calls)`);
     console.log(`  Projected CU/day:       ~${moralisDailyCU}  (free tier: 40,000/day)`);
+    // Worst case: every poll catching up and hitting the page cap
+    const moralisCapCU = (86400000 / MORALIS_POLL_MS * MORALIS_MAX_PAGES * 5).toFixed(0);
+    console.log(`  CU/day if always capped: ~${moralisCapCU}  (${MORALIS_MAX_PAGES} pages × 5 CU every poll)`);
 
     console.log('\n── GECKOTERMINAL ────────────────────────────────────────');
     console.log(`  Pool resolve calls:     ${stats.gecko.poolResolves}`);
@@ -116,21 +122,44 @@ function printReport() {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Moralis polling (mirrors index.js interval: every 40s)
+// Pages back with `cursor` to the last graduation seen, like services/moralis.js,
+// capped at settings.discoveryMaxPages pages per poll. Each page is one call.
 // ─────────────────────────────────────────────────────────────────────────────
 const MORALIS_BASE = 'https://solana-gateway.moralis.io';
+const MORALIS_MAX_PAGES = settings.discoveryMaxPages;
 const seenAddresses = new Set();
+let lastGraduatedAt = 0;
 
-async function pollMoralis() {
+async function fetchMoralisPage(cursor) {
     const t0 = Date.now();
+    const resp = await axios.get(`${MORALIS_BASE}/token/mainnet/exchange/pumpfun/graduated`, {
+        headers: { 'accept': 'application/json', 'X-API-Key': process.env.MORALIS_API_KEY },
+        params: cursor ? { limit: 20, cursor } : { limit: 20 },
+        timeout: 15000,
+    });
+    stats.moralis.lastCallMs = Date.now() - t0;
+    stats.moralis.calls++;
+    return { tokens: resp.data?.result ?? resp.data ?? [], cursor: resp.data?.cursor || null };
+}
+
+async function pollMoralis() {
     try {
-        const resp = await axios.get(`${MORALIS_BASE}/token/mainnet/exchange/pumpfun/graduated`, {
-            headers: { 'accept': 'application/json', 'X-API-Key': process.env.MORALIS_API_KEY },
-            params: { limit: 10 },
-            timeout: 15000,
-        });
-        stats.moralis.lastCallMs = Date.now() - t0;
-        stats.moralis.calls++;
-        const tokens = resp.data?.result ?? resp.data ?? [];
+        stats.moralis.polls++;
+        const tokens = [];
+        let cursor = null;
+        let pages = 0;
+        let newest = lastGraduatedAt;
+        while (pages < (lastGraduatedAt ? MORALIS_MAX_PAGES : 1)) {
+            const page = await fetchMoralisPage(cursor);
+            pages++;
+            tokens.push(...page.tokens);
+            const times = page.tokens.map(t => new Date(t.graduatedAt).getTime()).filter(Number.isFinite);
+            newest = Math.max(newest, ...times);
+            if (!page.cursor || times.some(at => at <= lastGraduatedAt)) break;
+            cursor = page.cursor;
+        }
+        lastGraduatedAt = newest;
+        stats.moralis.maxPagesPerPoll = Math.max(stats.moralis.maxPagesPerPoll, pages);
         stats.moralis.tokensFound += tokens.length;
 
         for (const t of tokens) {
@@ -144,7 +173,7 @@ async function pollMoralis() {
                 backfillGecko(addr);
             }
         }
-        log('MORALIS', `call #${stats.moralis.calls} — ${tokens.length} tokens returned, ${stats.moralis.newTokens} unique total (${fmtMs(stats.moralis.lastCallMs)})`);
+        log('MORALIS', `poll #${stats.moralis.polls} — ${pages} page(s), ${tokens.length} tokens returned, ${stats.moralis.newTokens} unique total (${fmtMs(stats.moralis.lastCallMs)})`);
     } catch (err) {
         stats.moralis.errors++;
         log('MORALIS', `ERROR: ${err.response?.data?.message || err.message}`);
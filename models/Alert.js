@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Forward performance of an alert over one fixed horizon (see services/outcomeTracker.js).
+// Percentages are relative to the alert price; null when no candles covered the window.
+const outcomeSchema = new mongoose.Schema({
+    horizon: { type: String, required: true },   // '5m', '15m', '1h', '6h', '24h'
+    maxGain: { type: Number, default: null },     // highest high vs alert price
+    maxDrawdown: { type: Number, default: null }, // lowest low vs alert price
+    return: { type: Number, default: null },      // last close vs alert price
+    candleCount: { type: Number, default: 0 },
+    evaluatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// How the position opened by an alert ended (see services/exits.js)
+const exitSchema = new mongoose.Schema({
+    reason: { type: String, required: true },      // take_profit | trailing_stop | bearish_cross | rsi | pruned | untracked
+    price: { type: Number, default: null },
+    marketCap: { type: Number, default: null },
+    gainPct: { type: Number, default: null },       // exit price vs entry price of the opening alert
+    peakPrice: { type: Number, default: null },     // highest high between entry and exit
+    sentAt: { type: Date, default: Date.now },
+    telegramMessageId: { type: Number, default: null }
+}, { _id: false });
+
+/**
+ * Alert — one document per signal sent to Telegram.
+ *
+ * Replaces the first/last snapshot that used to live on Token so every
+ * intermediate alert is kept and can be scored on its own.
+ */
+const alertSchema = new mongoose.Schema({
+    tokenAddress: { type: String, required: true, index: true },
+    symbol: { type: String, default: '' },
+    launchpad: { type: String, default: null },           // Token.source at alert time
+    strategy: { type: String, default: 'ema_rsi' },
+    timeframe: { type: String, default: '15s' },          // candle timeframe the strategy ran on
+    sentAt: { type: Date, default: Date.now },
+
+    // Snapshot at the time of the alert
+    price: { type: Number, required: true },
+    marketCap: { type: Number, required: true },
+    rsi: { type: Number },
+    emaFast: { type: Number },
+    emaSlow: { type: Number },
+    volume: { type: Number, default: 0 },
+    avgVolume: { type: Number, default: 0 },
+    volumeSpikeActive: { type: Boolean, default: false }, // filter was required
+    isVolumeSpike: { type: Boolean, default: false },     // spike was present
+    params: { type: mongoose.Schema.Types.Mixed, default: null }, // strategy parameters in effect
+    indicators: { type: mongoose.Schema.Types.Mixed, default: null }, // strategy-specific values (e.g. breakout range)
+
+    telegramMessageId: { type: Number, default: null },
+
+    // Open until an exit signal fires for the token. No default: alerts predating exits
+    // (and those seeded by scripts/migrate_alerts.js) have no status and never open a position.
+    status: { type: String, enum: ['open', 'closed'], index: true },
+    exit: { type: exitSchema, default: null },
+
+    // Filled in by the outcome tracker as each horizon elapses
+    outcomes: { type: [outcomeSchema], default: [] },
+    outcomesComplete: { type: Boolean, default: false, index: true }
+});
+
+// Per-token history in chronological order
+alertSchema.index({ tokenAddress: 1, sentAt: 1 });
+
+module.exports = mongoose.model('Alert', alertSchema);
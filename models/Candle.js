@@ -1,18 +1,37 @@
 const mongoose = require('mongoose');
 
-// 15-second OHLCV candle
+// OHLCV candle. `timeframe` separates the live 15s series from its 1m/5m/15m
+// rollups and the 1m GeckoTerminal backfill; `source` records which of those
+// produced it, and for live candles which price provider (see services/timeframes.js). `launchpad` is the token's
+// launchpad (Token.source) so candles can be split by it without a join.
+// buyVolume / sellVolume / traderCount come from the trade feed
+// (services/tradeFeed.js); traderCount is distinct signers, 15s candles only.
+// tradeCount is the ticks folded in; flaggedTicks those the bad-tick filter kept
+// but marked as outliers (settings.tickFilter.mode 'flag').
 const candleSchema = new mongoose.Schema({
     tokenAddress: { type: String, required: true, index: true },
     poolAddress: { type: String },
+    timeframe: { type: String, enum: ['15s', '1m', '5m', '15m'], default: '15s' },
+    intervalSec: { type: Number, default: 15 },   // candle length in seconds (mirrors timeframe)
+    source: { type: String, enum: ['jupiter', 'dexscreener', 'gecko', 'trades', 'carry', 'rollup'], default: 'jupiter' },
+    launchpad: { type: String, default: null },
     timestamp: { type: Date, required: true },
     open: { type: Number, required: true },
     high: { type: Number, required: true },
     low: { type: Number, required: true },
     close: { type: Number, required: true },
-    volume: { type: Number, default: 0 }
+    volume: { type: Number, default: 0 },
+    buyVolume: { type: Number, default: 0 },
+    sellVolume: { type: Number, default: 0 },
+    traderCount: { type: Number, default: 0 },
+    tradeCount: { type: Number, default: 0 },
+    flaggedTicks: { type: Number, default: 0 },
+    synthetic: { type: Boolean, default: false }   // carry-forward candle (no ticks in the period)
 }, { timeseries: false });
 
-// Compound index for fast querying by token + time
-candleSchema.index({ tokenAddress: 1, timestamp: 1 }, { unique: true });
+// One candle per token, timeframe and bucket start; also serves per-timeframe history queries.
+// Replaces the old { tokenAddress, timestamp } unique index, which storage.ensureCandleIndexes()
+// drops at startup; scripts/migrate_candle_timeframes.js tags and rolls up pre-timeframe candles.
+candleSchema.index({ tokenAddress: 1, timeframe: 1, timestamp: 1 }, { unique: true });
 
 module.exports = mongoose.model('Candle', candleSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+/**
+ * DiscoveryCursor — how far back Moralis discovery has read, per exchange
+ * (services/moralis.js).
+ *
+ *   lastGraduatedAt   newest graduation seen; each poll pages back to it
+ *   backlogCursor     Moralis cursor of a catch-up left unfinished by the page cap
+ *   backlogUntil      …which runs back to this graduation time
+ */
+const discoveryCursorSchema = new mongoose.Schema({
+    exchange: { type: String, required: true, unique: true },
+    lastGraduatedAt: { type: Date, default: null },
+    backlogCursor: { type: String, default: null },
+    backlogUntil: { type: Date, default: null },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('DiscoveryCursor', discoveryCursorSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * DiscoveryLedger — every mint discovery has looked at, and when to look again
+ * (services/discoveryLedger.js).
+ *
+ * Status flow:
+ *   (new) → tracked                     passed the discovery checks
+ *   (new) → skipped → … → tracked       failed a prune rule; rechecked at `recheckAt`
+ *   tracked → pruned → tracked          pruned; may be rediscovered after `recheckAt`
+ *   tracked → untracked                 removed with /untrack; never rediscovered
+ *
+ * Skipped and pruned entries expire (`expiresAt`, TTL index) once Moralis can no
+ * longer return them; tracked and untracked entries are kept.
+ */
+const discoveryLedgerSchema = new mongoose.Schema({
+    address: { type: String, required: true, unique: true },
+    symbol: { type: String, default: '' },
+    status: { type: String, enum: ['tracked', 'skipped', 'pruned', 'untracked'], required: true, index: true },
+    skipReason: { type: String, default: null },   // last skip / prune reason
+    skips: { type: Number, default: 0 },           // consecutive skips — widens the recheck window
+    firstSeen: { type: Date, default: Date.now },
+    lastChecked: { type: Date, default: Date.now },
+    recheckAt: { type: Date, default: null },      // null = never re-evaluated by discovery
+    expiresAt: { type: Date, default: null }
+});
+
+discoveryLedgerSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DiscoveryLedger', discoveryLedgerSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Position — a simulated (paper) trade opened at the price of one alert.
+ *
+ * Status flow:
+ *   open → closed (take_profit | stop_loss | time_stop | pruned | untracked)
+ *
+ * While open, the paper trader marks the position to market and keeps
+ * `lastPrice` / `unrealizedPnl` current. On close the PnL is realized.
+ * PnL values are in USD; percentages are relative to the entry price.
+ */
+const positionSchema = new mongoose.Schema({
+    alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert', default: null, index: true },
+    tokenAddress: { type: String, required: true, index: true },
+    symbol: { type: String, default: '' },
+    strategy: { type: String, default: 'ema_rsi' },
+
+    status: { type: String, enum: ['open', 'closed'], default: 'open', index: true },
+
+    // Entry
+    size: { type: Number, required: true },          // USD committed
+    entryPrice: { type: Number, required: true },
+    entryMarketCap: { type: Number, default: null },
+    quantity: { type: Number, required: true },      // size / entryPrice
+    openedAt: { type: Date, default: Date.now },
+
+    // Mark-to-market while open
+    lastPrice: { type: Number, default: null },
+    lastPricedAt: { type: Date, default: null },
+    peakPrice: { type: Number, default: null },
+    unrealizedPnl: { type: Number, default: 0 },
+    unrealizedPct: { type: Number, default: 0 },
+
+    // Exit
+    exitPrice: { type: Number, default: null },
+    exitReason: { type: String, default: null },
+    closedAt: { type: Date, default: null },
+    realizedPnl: { type: Number, default: null },
+    realizedPct: { type: Number, default: null }
+});
+
+// Recently closed first for /closed
+positionSchema.index({ status: 1, closedAt: -1 });
+
+module.exports = mongoose.model('Position', positionSchema);
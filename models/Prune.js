@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Prune — one token dropped from tracking, with the rule that triggered it
+ * (services/pruneRules.js). `scope` is where the rule was evaluated:
+ * 'candle' (candle close), 'maintenance' (periodic loop) or 'discovery'
+ * (skipped before tracking started).
+ */
+const pruneSchema = new mongoose.Schema({
+    tokenAddress: { type: String, required: true, index: true },
+    symbol: { type: String, default: '' },
+    prunedAt: { type: Date, default: Date.now, index: true },
+    scope: { type: String, enum: ['candle', 'maintenance', 'discovery'], required: true },
+
+    // The rule as it was configured at prune time
+    rule: { type: String, required: true },
+    metric: { type: String, required: true },
+    op: { type: String, required: true },
+    threshold: { type: Number, required: true },
+    value: { type: Number, required: true },
+    minAgeHours: { type: Number, default: 0 },
+    graceMinutes: { type: Number, default: 0 },
+
+    // Token state at prune time (null = unknown)
+    marketCap: { type: Number, default: null },
+    volume5m: { type: Number, default: null },
+    ageHours: { type: Number, default: null }
+});
+
+module.exports = mongoose.model('Prune', pruneSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+/**
+ * Setting — one runtime override of config/settings.js, set with /set.
+ *
+ * `key` is a dotted path into the settings object (e.g. `paperTrading.size`,
+ * `strategyParams.breakout.lookback`). Keys without a document use the
+ * defaults from config/settings.js.
+ */
+const settingSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: { type: mongoose.Schema.Types.Mixed },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Score of one parameter combination within a sweep
+const sweepResultSchema = new mongoose.Schema({
+    params: { type: mongoose.Schema.Types.Mixed, required: true },
+    alerts: { type: Number, default: 0 },
+    hitRate: { type: Number, default: null },
+    winRate: { type: Number, default: null },
+    medianReturn: { type: Number, default: null },
+    avgMaxDrawdown: { type: Number, default: null }
+}, { _id: false });
+
+/**
+ * SweepRun — one parameter sweep over historical candles (scripts/sweep.js).
+ *
+ * `results` is ranked best-first. Promoting a run copies one of its parameter
+ * sets into `promotedParams`; on startup the bot loads the latest promoted run
+ * of each strategy.
+ */
+const sweepRunSchema = new mongoose.Schema({
+    createdAt: { type: Date, default: Date.now },
+    strategy: { type: String, default: 'ema_rsi' },   // registry name (services/strategies)
+    timeframe: { type: String, default: '15s' },      // candle timeframe replayed
+    mode: { type: String, enum: ['grid', 'random'], default: 'grid' },
+    horizon: { type: String, default: '1h' },        // outcome horizon used for ranking
+    minAlerts: { type: Number, default: 5 },
+    requireVolumeSpike: { type: Boolean, default: false },
+    from: { type: Date, default: null },
+    to: { type: Date, default: null },
+    tokens: { type: [String], default: [] },          // empty = all tokens
+    candleCount: { type: Number, default: 0 },
+    combinations: { type: Number, default: 0 },
+    results: { type: [sweepResultSchema], default: [] },
+
+    promoted: { type: Boolean, default: false, index: true },
+    promotedAt: { type: Date, default: null },
+    promotedParams: { type: mongoose.Schema.Types.Mixed, default: null }
+});
+
+module.exports = mongoose.model('SweepRun', sweepRunSchema);
@@ -7,13 +7,17 @@ const tokenSchema = new mongoose.Schema({
     name: { type: String },
     poolAddress: { type: String },
     network: { type: String, default: 'solana' },
+    // Launchpad it graduated from (Moralis slug, services/launchpads.js); missing = pumpfun
+    source: { type: String },
     launchedAt: { type: Date },
     addedAt: { type: Date, default: Date.now },
     isActive: { type: Boolean, default: true },
-    // Last alert — persisted for cross-session MC delta
+    // Tracked manually via /track — exempt from automatic pruning
+    pinned: { type: Boolean, default: false },
+    // Legacy first/last alert snapshot — superseded by the Alert collection.
+    // No longer written; kept so scripts/migrate_alerts.js can import old data.
     lastAlertMarketCap: { type: Number },
     lastAlertSentAt: { type: Date },
-    // First alert ever — never overwritten, used for cumulative MC change
     firstAlertMarketCap: { type: Number },
     firstAlertSentAt: { type: Date }
 });
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * TokenEvent — one step in a token's lifecycle (services/tokenEvents.js).
+ *
+ *   discovered      first seen by discovery (or /track)
+ *   reactivated     an inactive token was discovered / tracked again
+ *   backfill_queued pool or OHLCV not available yet — handed to the backfill queue
+ *   backfilled      historical candles stored
+ *   backfill_failed the backfill queue gave up
+ *   tracked         registered for live prices
+ *   pruned          dropped by a prune rule
+ *   untracked       dropped manually (/untrack)
+ *
+ * `marketCap` / `volume5m` are the values known when the event was written (null = unknown).
+ */
+const tokenEventSchema = new mongoose.Schema({
+    tokenAddress: { type: String, required: true },
+    symbol: { type: String, default: '' },
+    type: {
+        type: String,
+        enum: ['discovered', 'reactivated', 'backfill_queued', 'backfilled', 'backfill_failed', 'tracked', 'pruned', 'untracked'],
+        required: true,
+        index: true
+    },
+    source: { type: String, default: null },     // discovery | track | backfill_queue | candle | maintenance
+    reason: { type: String, default: null },
+    marketCap: { type: Number, default: null },
+    volume5m: { type: Number, default: null },
+    at: { type: Date, default: Date.now, index: true }
+});
+
+tokenEventSchema.index({ tokenAddress: 1, at: -1 });
+
+module.exports = mongoose.model('TokenEvent', tokenEventSchema);
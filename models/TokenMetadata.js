@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+/**
+ * TokenMetadata — cached on-chain supply and decimals per mint
+ * (services/tokenMetadata.js). Supplies are in whole tokens (UI amount).
+ * Refreshed once `fetchedAt` is older than the service's refresh window,
+ * since burns shrink the supply after launch.
+ */
+const tokenMetadataSchema = new mongoose.Schema({
+    address: { type: String, required: true, unique: true },
+    decimals: { type: Number, default: null },
+    totalSupply: { type: Number, default: null },
+    circulatingSupply: { type: Number, default: null },   // null = same as total
+    provider: { type: String, default: null },
+    fetchedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('TokenMetadata', tokenMetadataSchema);
@@ -1,19 +1,22 @@
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
 const connectDB = require('../config/db');
 const Token = require('../models/Token');
+const { getAlertSummaries } = require('../services/alerts');
 const Candle = require('../models/Candle');
-
-const PUMP_FUN_SUPPLY = 1_000_000_000;
+const { loadMetadata, marketCapOf } = require('../services/tokenMetadata');
 
 async function run() {
     await connectDB();
 
     // Get active tokens
     const activeTokens = await Token.find({ isActive: true }).lean();
+    await loadMetadata(activeTokens.map(t => t.address));
     console.log(`Found ${activeTokens.length} active tokens.\n`);
 
     if (activeTokens.length === 0) process.exit(0);
 
+    const alertSummaries = await getAlertSummaries(activeTokens.map(t => t.address));
+
     console.log('Fetching price data from internal database...\n');
 
     // Object to hold our calculated data
@@ -31,7 +34,7 @@ async function run() {
         let currentMc = 0;
         let currentMcStr = 'N/A';
         if (latestCandle && latestCandle.close) {
-            currentMc = latestCandle.close * PUMP_FUN_SUPPLY;
+            currentMc = marketCapOf(token, latestCandle.close);
             currentMcStr = `$${currentMc.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
         }
 
@@ -45,12 +48,12 @@ async function run() {
         let peakMc = 0;
         let peakMcStr = 'N/A';
         if (peakCandle && peakCandle.high) {
-            peakMc = peakCandle.high * PUMP_FUN_SUPPLY;
+            peakMc = marketCapOf(token, peakCandle.high);
             peakMcStr = `$${peakMc.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
         }
 
         // Alert sent status
-        const alertSentBool = !!token.firstAlertSentAt;
+        const alertSentBool = alertSummaries.has(addr);
         const alertSentStr = alertSentBool ? 'Yes' : 'No';
 
         tokenData.push({
@@ -2,10 +2,11 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const axios = require('axios');
 const Token = require('../models/Token');
+const { getAlertSummaries } = require('../services/alerts');
 const Candle = require('../models/Candle');
+const { loadMetadata, marketCapOf } = require('../services/tokenMetadata');
 
 const JUP_API_URL = 'https://api.jup.ag/price/v3';
-const PUMP_FUN_SUPPLY = 1_000_000_000;
 
 const run = async () => {
     try {
@@ -13,17 +14,21 @@ const run = async () => {
         console.log('Connected to DB');
 
         // Only fetch active tokens that have fired an alert
-        const tokens = await Token.find({ isActive: true, firstAlertMarketCap: { $exists: true, $ne: null } }).lean();
+        const alertSummaries = await getAlertSummaries();
+        const tokens = await Token.find({ isActive: true, address: { $in: [...alertSummaries.keys()] } }).lean();
+        await loadMetadata(tokens.map(t => t.address));
         console.log(`Analyzing ${tokens.length} active alerted tokens...`);
 
         // 1. Resolve Initial Data (Alert)
         const enrichedTokens = await Promise.all(tokens.map(async (t) => {
-            let initialMC = t.firstAlertMarketCap;
-            let startTime = t.firstAlertSentAt;
+            const alert = alertSummaries.get(t.address);
+            let initialMC = alert.firstMarketCap;
+            let startTime = alert.firstSentAt;
             let source = 'alert';
 
             return {
                 ...t,
+                lastAlertMC: alert.lastMarketCap,
                 initialMC,
                 startTime,
                 initialSource: 'alert'
@@ -78,12 +83,12 @@ const run = async () => {
             let currentGain = 0;
 
             if (currentPrice) {
-                currentMC = currentPrice * PUMP_FUN_SUPPLY;
+                currentMC = marketCapOf(t, currentPrice);
                 currentGain = ((currentMC - t.initialMC) / t.initialMC) * 100;
             } else {
                 const lastCandle = await Candle.findOne({ tokenAddress: t.address }).sort({ timestamp: -1 });
                 if (lastCandle) {
-                    currentMC = lastCandle.close * PUMP_FUN_SUPPLY;
+                    currentMC = marketCapOf(t, lastCandle.close);
                     currentGain = ((currentMC - t.initialMC) / t.initialMC) * 100;
                 }
             }
@@ -97,12 +102,12 @@ const run = async () => {
                 }).sort({ high: -1 });
 
                 if (peakCandle) {
-                    const candleHighMc = peakCandle.high * PUMP_FUN_SUPPLY;
+                    const candleHighMc = marketCapOf(t, peakCandle.high);
                     if (candleHighMc > peakMC) peakMC = candleHighMc;
                 }
             }
-            if (t.lastAlertMarketCap && t.lastAlertMarketCap > peakMC) {
-                peakMC = t.lastAlertMarketCap;
+            if (t.lastAlertMC && t.lastAlertMC > peakMC) {
+                peakMC = t.lastAlertMC;
             }
 
             const peakGain = ((peakMC - t.initialMC) / t.initialMC) * 100;
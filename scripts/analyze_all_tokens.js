@@ -2,10 +2,11 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const axios = require('axios');
 const Token = require('../models/Token');
+const { getAlertSummaries } = require('../services/alerts');
 const Candle = require('../models/Candle');
+const { loadMetadata, marketCapOf } = require('../services/tokenMetadata');
 
 const JUP_API_URL = 'https://api.jup.ag/price/v3';
-const PUMP_FUN_SUPPLY = 1_000_000_000;
 
 const run = async () => {
     try {
@@ -13,21 +14,24 @@ const run = async () => {
         console.log('Connected to DB');
 
         const tokens = await Token.find().lean();
+        await loadMetadata(tokens.map(t => t.address));
         console.log(`Analyzing ${tokens.length} tokens...`);
 
+        const alertSummaries = await getAlertSummaries();
+
         // 1. Get initial price/MC for each token
         // Strategy: 
-        // - If alert history exists, use firstAlertMarketCap.
+        // - If alert history exists, use the first alert's market cap.
         // - If not, find the earliest candle in DB.
         // - If no candles (rare/dead), skip or mark as no data.
 
         const tasks = tokens.map(async (t) => {
-            let initialMC = t.firstAlertMarketCap;
+            let initialMC = alertSummaries.get(t.address)?.firstMarketCap;
 
             if (!initialMC) {
                 const firstCandle = await Candle.findOne({ tokenAddress: t.address }).sort({ timestamp: 1 });
                 if (firstCandle) {
-                    initialMC = firstCandle.open * PUMP_FUN_SUPPLY;
+                    initialMC = marketCapOf(t, firstCandle.open);
                 }
             }
             return { ...t, initialMC };
@@ -93,7 +97,7 @@ const run = async () => {
                 continue;
             }
 
-            const currentMC = currentPrice * PUMP_FUN_SUPPLY;
+            const currentMC = marketCapOf(t, currentPrice);
             const gain = ((currentMC - t.initialMC) / t.initialMC) * 100;
 
             stats.total++;
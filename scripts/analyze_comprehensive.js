@@ -2,10 +2,11 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const axios = require('axios');
 const Token = require('../models/Token');
+const { getAlertSummaries } = require('../services/alerts');
 const Candle = require('../models/Candle');
+const { loadMetadata, marketCapOf } = require('../services/tokenMetadata');
 
 const JUP_API_URL = 'https://api.jup.ag/price/v3';
-const PUMP_FUN_SUPPLY = 1_000_000_000;
 
 const run = async () => {
     try {
@@ -13,19 +14,23 @@ const run = async () => {
         console.log('Connected to DB');
 
         // Only fetch tokens that have fired an alert
-        const tokens = await Token.find({ firstAlertMarketCap: { $exists: true, $ne: null } }).lean();
+        const alertSummaries = await getAlertSummaries();
+        const tokens = await Token.find({ address: { $in: [...alertSummaries.keys()] } }).lean();
+        await loadMetadata(tokens.map(t => t.address));
         console.log(`Analyzing ${tokens.length} alerted tokens...`);
 
         // 1. Resolve Initial Data (Alert vs Candle fallback)
         const enrichedTokens = await Promise.all(tokens.map(async (t) => {
-            let initialMC = t.firstAlertMarketCap;
-            let startTime = t.firstAlertSentAt;
+            const alert = alertSummaries.get(t.address);
+            let initialMC = alert.firstMarketCap;
+            let startTime = alert.firstSentAt;
             let source = 'alert';
 
             // No fallback to candles anymore, we only want alerts!
 
             return {
                 ...t,
+                lastAlertMC: alert.lastMarketCap,
                 initialMC,
                 startTime,
                 initialSource: 'alert'
@@ -80,14 +85,14 @@ const run = async () => {
             let currentGain = 0;
 
             if (currentPrice) {
-                currentMC = currentPrice * PUMP_FUN_SUPPLY;
+                currentMC = marketCapOf(t, currentPrice);
                 currentGain = ((currentMC - t.initialMC) / t.initialMC) * 100;
             } else {
                 // If no price, assume dead/inactive if old
                 // But let's verify if we have candles
                 const lastCandle = await Candle.findOne({ tokenAddress: t.address }).sort({ timestamp: -1 });
                 if (lastCandle) {
-                    currentMC = lastCandle.close * PUMP_FUN_SUPPLY;
+                    currentMC = marketCapOf(t, lastCandle.close);
                     currentGain = ((currentMC - t.initialMC) / t.initialMC) * 100;
                 }
             }
@@ -101,13 +106,13 @@ const run = async () => {
                 }).sort({ high: -1 });
 
                 if (peakCandle) {
-                    const candleHighMc = peakCandle.high * PUMP_FUN_SUPPLY;
+                    const candleHighMc = marketCapOf(t, peakCandle.high);
                     if (candleHighMc > peakMC) peakMC = candleHighMc;
                 }
             }
             // Also check latest alert if it was higher
-            if (t.lastAlertMarketCap && t.lastAlertMarketCap > peakMC) {
-                peakMC = t.lastAlertMarketCap;
+            if (t.lastAlertMC && t.lastAlertMC > peakMC) {
+                peakMC = t.lastAlertMC;
             }
 
             const peakGain = ((peakMC - t.initialMC) / t.initialMC) * 100;
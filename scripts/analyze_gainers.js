@@ -1,19 +1,17 @@
 require('dotenv').config(); // Assumes running from project root
 const mongoose = require('mongoose');
 const Token = require('../models/Token'); // Resolves relative to this file
+const { getAlertSummaries } = require('../services/alerts');
 
 const run = async () => {
     try {
         await mongoose.connect(process.env.MONGODB_URI);
         console.log('Connected to DB');
 
-        // Find tokens with at least two alerts (first and last differ) or check logical growth
-        // Actually, schema has firstAlertMarketCap and lastAlertMarketCap.
+        // Compare first vs last alert market cap per token (from the Alert collection).
         // We want tokens where last > first (positive gain).
-        const tokens = await Token.find({
-            firstAlertMarketCap: { $exists: true },
-            lastAlertMarketCap: { $exists: true }
-        }).lean();
+        const alertSummaries = await getAlertSummaries();
+        const tokens = await Token.find({ address: { $in: [...alertSummaries.keys()] } }).lean();
 
         let gainers = 0;
         let losers = 0;
@@ -26,8 +24,7 @@ const run = async () => {
         console.log(`Analyzing ${tokens.length} tokens with alert history...`);
 
         for (const t of tokens) {
-            const first = t.firstAlertMarketCap;
-            const last = t.lastAlertMarketCap;
+            const { firstMarketCap: first, lastMarketCap: last } = alertSummaries.get(t.address);
 
             if (last > first) {
                 gainers++;
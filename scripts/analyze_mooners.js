@@ -1,9 +1,9 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Token = require('../models/Token');
+const { getAlertSummaries } = require('../services/alerts');
 const Candle = require('../models/Candle');
-
-const PUMP_FUN_SUPPLY = 1_000_000_000;
+const { loadMetadata, marketCapOf } = require('../services/tokenMetadata');
 
 const run = async () => {
     try {
@@ -11,10 +11,9 @@ const run = async () => {
         console.log('Connected to DB');
 
         // 1. Fetch tokens WITH first alert data
-        const tokens = await Token.find({
-            firstAlertMarketCap: { $exists: true, $ne: null },
-            firstAlertSentAt: { $exists: true, $ne: null }
-        }).lean();
+        const alertSummaries = await getAlertSummaries();
+        const tokens = await Token.find({ address: { $in: [...alertSummaries.keys()] } }).lean();
+        await loadMetadata(tokens.map(t => t.address));
 
         console.log(`Scanning ${tokens.length} tokens with valid alert history...`);
 
@@ -24,8 +23,9 @@ const run = async () => {
         let countWithLaunchData = 0;
 
         for (const t of tokens) {
-            const firstMC = t.firstAlertMarketCap;
-            const alertTime = t.firstAlertSentAt;
+            const alert = alertSummaries.get(t.address);
+            const firstMC = alert.firstMarketCap;
+            const alertTime = alert.firstSentAt;
 
             // Determine Peak Gain
             let peakMC = firstMC;
@@ -37,13 +37,13 @@ const run = async () => {
             }).sort({ high: -1 });
 
             if (peakCandle) {
-                const candleHigh = peakCandle.high * PUMP_FUN_SUPPLY;
+                const candleHigh = marketCapOf(t, peakCandle.high);
                 if (candleHigh > peakMC) peakMC = candleHigh;
             }
 
             // Also check lastAlert if higher (in case candle gap)
-            if (t.lastAlertMarketCap && t.lastAlertMarketCap > peakMC) {
-                peakMC = t.lastAlertMarketCap;
+            if (alert.lastMarketCap > peakMC) {
+                peakMC = alert.lastMarketCap;
             }
 
             const gain = ((peakMC - firstMC) / firstMC) * 100;
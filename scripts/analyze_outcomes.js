@@ -0,0 +1,49 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const { getHitRates, evaluatePending, HIT_THRESHOLD_PCT } = require('../services/outcomeTracker');
+
+// Usage: node scripts/analyze_outcomes.js [days] [strategy]
+const DAYS = parseFloat(process.argv[2]) || null;
+const STRATEGY = process.argv[3] || null;
+
+const fmt = (v) => v === null ? 'N/A' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`;
+
+const run = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to DB');
+
+        // Score anything that elapsed while the bot was down
+        await evaluatePending();
+
+        const since = DAYS ? new Date(Date.now() - DAYS * 24 * 60 * 60 * 1000) : null;
+        const query = since ? { sentAt: { $gte: since } } : {};
+        if (STRATEGY) query.strategy = STRATEGY;
+        const total = await Alert.countDocuments(query);
+
+        console.log(`Alerts: ${total}${DAYS ? ` (last ${DAYS}d)` : ''}${STRATEGY ? ` — strategy ${STRATEGY}` : ''}`);
+        console.log('---------------------------------------------------');
+        console.log(`HORIZON | N     | HIT (>=${HIT_THRESHOLD_PCT}%) | WIN (>0) | MEDIAN RTN | AVG MAX DD`);
+
+        const rates = await getHitRates({ since, strategy: STRATEGY });
+        for (const r of rates) {
+            if (r.count === 0) {
+                console.log(`${r.horizon.padEnd(7)} | ${'0'.padEnd(5)} | not scored yet`);
+                continue;
+            }
+            console.log(
+                `${r.horizon.padEnd(7)} | ${String(r.count).padEnd(5)} | ` +
+                `${r.hitRate.toFixed(1).padStart(9)}% | ${r.winRate.toFixed(1).padStart(7)}% | ` +
+                `${fmt(r.medianReturn).padStart(10)} | ${fmt(r.avgMaxDrawdown).padStart(10)}`
+            );
+        }
+
+        process.exit(0);
+    } catch (e) {
+        console.error(e);
+        process.exit(1);
+    }
+};
+
+run();
@@ -1,9 +1,9 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Token = require('../models/Token');
+const { getAlertSummaries } = require('../services/alerts');
 const Candle = require('../models/Candle');
-
-const PUMP_FUN_SUPPLY = 1_000_000_000;
+const { loadMetadata, marketCapOf } = require('../services/tokenMetadata');
 
 const run = async () => {
     try {
@@ -11,10 +11,9 @@ const run = async () => {
         console.log('Connected to DB');
 
         // Find tokens that have triggered at least one alert
-        const tokens = await Token.find({
-            firstAlertMarketCap: { $exists: true },
-            firstAlertSentAt: { $exists: true }
-        }).lean();
+        const alertSummaries = await getAlertSummaries();
+        const tokens = await Token.find({ address: { $in: [...alertSummaries.keys()] } }).lean();
+        await loadMetadata(tokens.map(t => t.address));
 
         console.log(`Analyzing peak performance for ${tokens.length} alerted tokens...`);
         console.log('---------------------------------------------------');
@@ -31,8 +30,9 @@ const run = async () => {
 
         for (const t of tokens) {
             stats.total++;
-            const firstMC = t.firstAlertMarketCap;
-            const launchTime = t.firstAlertSentAt;
+            const alert = alertSummaries.get(t.address);
+            const firstMC = alert.firstMarketCap;
+            const launchTime = alert.firstSentAt;
 
             // Find the highest "high" in candles after the first alert
             const peakCandle = await Candle.findOne({
@@ -42,10 +42,10 @@ const run = async () => {
 
             let peakMC = firstMC;
             if (peakCandle) {
-                peakMC = peakCandle.high * PUMP_FUN_SUPPLY;
+                peakMC = marketCapOf(t, peakCandle.high);
             } else {
                 // Fallback: if no candles after alert (rare, maybe immediate crash or gap), use lastAlertMC
-                peakMC = Math.max(firstMC, t.lastAlertMarketCap || 0);
+                peakMC = Math.max(firstMC, alert.lastMarketCap || 0);
             }
 
             const gain = ((peakMC - firstMC) / firstMC) * 100;
@@ -0,0 +1,14 @@
+// Minimal `--key value` / `--flag` parser shared by the CLI scripts.
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) args[key] = true;
+        else { args[key] = next; i++; }
+    }
+    return args;
+};
+
+module.exports = { parseArgs };
@@ -0,0 +1,102 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Token = require('../models/Token');
+const { runBacktest, liveRules, mongoCandleSource, arrayCandleSource } = require('../services/backtest');
+const { HIT_THRESHOLD_PCT } = require('../services/outcomeTracker');
+const { getEnabledStrategies } = require('../services/strategies');
+const { loadMetadata, getProvider } = require('../services/tokenMetadata');
+const settingsStore = require('../services/settingsStore');
+const { parseArgs } = require('./args');
+
+// Usage:
+//   node scripts/backtest.js [--tokens mint1,mint2] [--from 2026-01-01] [--to 2026-01-07]
+//                            [--volume] [--fixture candles.json] [--out results.json]
+//                            [--strategy ema_rsi,breakout] [--timeframe 15s|1m|5m|15m]
+//                            [--emaFast 9] [--emaSlow 20] [--rsiThreshold 50] ...
+//
+// --fixture replays a JSON array of candles instead of MongoDB (no DB connection at all).
+// --volume  requires the volume spike, like settings.requireVolumeSpike = true.
+// Market caps use the supplies cached in MongoDB (no RPC calls), or the file in
+// TOKEN_METADATA_FIXTURE; mints without either use their launchpad's supply.
+// Parameter flags apply to every selected strategy that has a parameter of that name.
+// Prune rules, alert MC floors and exit parameters are the live ones (settings plus
+// /set overrides stored in MongoDB; --fixture runs use config/settings.js only).
+
+const fmt = (v) => v === null ? 'N/A' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`;
+
+const run = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const tokens = args.tokens ? String(args.tokens).split(',').filter(Boolean) : null;
+    const from = args.from ? new Date(args.from) : null;
+    const to = args.to ? new Date(args.to) : null;
+    const timeframe = args.timeframe || '15s';
+
+    // Strategies and parameter overrides, e.g. --strategy breakout --lookback 30
+    const names = String(args.strategy || 'ema_rsi').split(',').filter(Boolean);
+    const strategies = getEnabledStrategies(names).map(({ strategy, params }) => {
+        for (const key of Object.keys(strategy.params)) {
+            if (args[key] !== undefined && !isNaN(Number(args[key]))) params[key] = Number(args[key]);
+        }
+        return { strategy, params };
+    });
+    if (strategies.length === 0) throw new Error(`No known strategy in "${names.join(',')}"`);
+
+    let source;
+    let symbols = new Map();
+    let tokenInfo = new Map();
+    let addresses;
+
+    if (args.fixture) {
+        const candles = JSON.parse(fs.readFileSync(args.fixture, 'utf8'));
+        source = arrayCandleSource(candles, { tokens, from, to, timeframe });
+        addresses = [...new Set(candles.map(c => c.tokenAddress))];
+        console.log(`Replaying fixture ${args.fixture} (${candles.length} candles)`);
+    } else {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to DB');
+        await settingsStore.load();
+        const tokenDocs = await Token.find(tokens ? { address: { $in: tokens } } : {}).select('address symbol launchedAt source').lean();
+        symbols = new Map(tokenDocs.map(t => [t.address, t.symbol]));
+        tokenInfo = new Map(tokenDocs.map(t => [t.address, { launchedAt: t.launchedAt, source: t.source }]));
+        addresses = tokenDocs.map(t => t.address);
+        source = mongoCandleSource({ tokens, from, to, timeframe });
+    }
+    await loadMetadata(addresses, { fetch: getProvider().name === 'fixture' });
+
+    const t0 = Date.now();
+    const results = await runBacktest({
+        ...liveRules(), source, from, to, requireVolumeSpike: !!args.volume, strategies, timeframe, symbols, tokenInfo
+    });
+
+    console.log(`\nProcessed ${results.candlesProcessed} candles across ${results.tokens} tokens in ${((Date.now() - t0) / 1000).toFixed(1)}s`);
+    console.log(`Simulated alerts: ${results.alerts.length} | Pruned tokens: ${results.pruned.length}`);
+
+    console.log('\n---------------------------------------------------');
+    console.log('🚨 SIMULATED ALERTS');
+    console.log('---------------------------------------------------');
+    for (const a of results.alerts) {
+        const byHorizon = a.outcomes.map(o => `${o.horizon} ${fmt(o.return)}`).join(' | ');
+        console.log(`${a.timestamp.toISOString()} ${String(a.symbol).padEnd(10)} ${a.strategy.padEnd(14)} MC $${(a.marketCap / 1000).toFixed(1)}k | ${byHorizon}`);
+    }
+
+    console.log('\n---------------------------------------------------');
+    console.log(`📊 SUMMARY (hit = peak ≥ +${HIT_THRESHOLD_PCT}%)`);
+    console.log('---------------------------------------------------');
+    for (const r of results.summary) {
+        if (r.count === 0) { console.log(`${r.horizon.padEnd(4)} no forward data`); continue; }
+        console.log(`${r.horizon.padEnd(4)} n=${String(r.count).padEnd(4)} Hit ${r.hitRate.toFixed(1)}% | Win ${r.winRate.toFixed(1)}% | Median ${fmt(r.medianReturn)} | Avg Max DD ${fmt(r.avgMaxDrawdown)}`);
+    }
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify(results, null, 2));
+        console.log(`\nResults written to ${args.out}`);
+    }
+
+    process.exit(0);
+};
+
+run().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
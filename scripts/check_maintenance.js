@@ -1,6 +1,13 @@
 require('dotenv').config();
 const connectDB = require('../config/db');
 const Token = require('../models/Token');
+const { getRecentEvents, countEvents } = require('../services/tokenEvents');
+
+// Active/inactive counts, lifecycle events of the last 24h and the most recent
+// deactivations with their actual time and reason (from the TokenEvent log).
+
+const fmtTime = (d) => new Date(d).toISOString().slice(0, 16).replace('T', ' ');
+const fmtMc = (v) => (v === null || v === undefined ? '?' : `$${v.toFixed(0)}`);
 
 async function check() {
     await connectDB();
@@ -12,16 +19,30 @@ async function check() {
     console.log(`Active tokens: ${activeCount}`);
     console.log(`Inactive tokens: ${inactiveCount}`);
 
-    // Get the most recent 10 inactive tokens to see when they were added and deactivated
-    const recentInactive = await Token.find({ isActive: false })
-        .sort({ addedAt: -1 })
-        .limit(10)
-        .lean();
+    const counts = await countEvents(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    console.log('\nLifecycle events (last 24h):');
+    if (counts.size === 0) console.log('  none');
+    for (const [type, count] of [...counts.entries()].sort((a, b) => b[1] - a[1])) {
+        console.log(`  ${type.padEnd(16)} ${count}`);
+    }
+
+    // Most recent deactivations, with when and why they happened
+    const deactivations = await getRecentEvents({ types: ['pruned', 'untracked'], limit: 10 });
+    console.log('\nRecently deactivated tokens:');
+    if (deactivations.length === 0) console.log('  none logged yet');
+    for (const e of deactivations) {
+        console.log(`- ${e.symbol || e.tokenAddress}: ${e.type} ${fmtTime(e.at)} (${e.source || '?'}) — ${e.reason || 'no reason'}` +
+            ` · MC ${fmtMc(e.marketCap)}${e.volume5m !== null ? ` · 5m vol $${e.volume5m.toFixed(2)}` : ''}`);
+    }
 
-    console.log('\nRecently deactivated/inactive tokens:');
-    recentInactive.forEach(t => {
-        console.log(`- ${t.symbol || t.address}: Added ${t.addedAt}, Launched: ${t.launchedAt}`);
-    });
+    // Recently reactivated tokens (were inactive, seen again)
+    const reactivations = await getRecentEvents({ types: ['reactivated'], limit: 5 });
+    if (reactivations.length > 0) {
+        console.log('\nRecently reactivated tokens:');
+        for (const e of reactivations) {
+            console.log(`- ${e.symbol || e.tokenAddress}: ${fmtTime(e.at)} (${e.reason || e.source || '?'})`);
+        }
+    }
 
     process.exit(0);
 }
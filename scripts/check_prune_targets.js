@@ -1,56 +1,85 @@
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
 const connectDB = require('../config/db');
+const settings = require('../config/settings');
 const Token = require('../models/Token');
+const Candle = require('../models/Candle');
+const Prune = require('../models/Prune');
+const settingsStore = require('../services/settingsStore');
+const { rulesFor, evaluatePruneRules, describeHit, describeRule, SCOPES } = require('../services/pruneRules');
 const { getVolume5m, getMarketCaps } = require('../services/dexscreener');
+const { loadMetadata, marketCapOf } = require('../services/tokenMetadata');
+const { parseArgs } = require('./args');
+
+// Dry run of the prune rules against every active token — nothing is pruned.
+//
+// Usage: node scripts/check_prune_targets.js [--recent N]
+//   Uses the same rules as the bot (defaults + /set overrides). MC comes from the
+//   latest stored candle × real supply, like the live bot, falling back to DexScreener.
+//   Grace periods are not waited for: a token that matches a rule with a grace
+//   period is listed as a target the bot would prune once the grace has passed.
+//   --recent N  also lists the last N recorded prunes and the rule behind each.
 
 async function checkTargets() {
+    const args = parseArgs(process.argv.slice(2));
     await connectDB();
+    await settingsStore.load();
 
-    // Get all active tokens from DB
-    const activeTokens = await Token.find({ isActive: true }).lean();
-    console.log(`Found ${activeTokens.length} active tokens in DB.`);
-
-    if (activeTokens.length === 0) {
-        process.exit(0);
-    }
-
-    const addresses = activeTokens.map(t => t.address);
-    console.log(`Fetching DexScreener data for ${addresses.length} tokens...`);
+    const rulesByScope = Object.fromEntries(SCOPES.map(scope => [scope, rulesFor(scope, settings.pruneRules)]));
+    console.log('Prune rules:');
+    for (const scope of SCOPES) rulesByScope[scope].forEach(rule => console.log(`  ${describeRule(rule)}`));
 
-    const [volMap, mcMap] = await Promise.all([
-        getVolume5m(addresses),
-        getMarketCaps(addresses)
-    ]);
+    // Get all active tokens from DB (pinned tokens are never pruned)
+    const activeTokens = await Token.find({ isActive: true }).lean();
+    const candidates = activeTokens.filter(t => !t.pinned);
+    console.log(`\nFound ${activeTokens.length} active tokens in DB (${activeTokens.length - candidates.length} pinned).`);
 
-    const now = Date.now();
-    let targetsCount = 0;
+    if (candidates.length > 0) {
+        const addresses = candidates.map(t => t.address);
+        console.log(`Fetching DexScreener data for ${addresses.length} tokens...`);
 
-    for (const token of activeTokens) {
-        const address = token.address;
-        const vol5m = volMap.get(address);
-        const mc = mcMap.get(address);
-        const launchedAt = token.launchedAt ? new Date(token.launchedAt).getTime() : 0;
-        const ageHours = (now - launchedAt) / 3600000;
+        const [volMap, mcMap] = await Promise.all([
+            getVolume5m(addresses),
+            getMarketCaps(addresses),
+            loadMetadata(addresses)
+        ]);
 
-        let reason = null;
+        const now = Date.now();
+        let targetsCount = 0;
 
-        if (vol5m !== undefined && vol5m < 100) {
-            reason = `Low Volume ($${vol5m.toFixed(2)})`;
-        }
+        for (const token of candidates) {
+            const address = token.address;
+            const latestCandle = await Candle.findOne({ tokenAddress: address, timeframe: '15s' })
+                .sort({ timestamp: -1 })
+                .lean();
+            const launchedAt = token.launchedAt || token.addedAt;
+            const metrics = {
+                marketCap: latestCandle ? marketCapOf(token, latestCandle.close) : mcMap.get(address),
+                volume5m: volMap.get(address),
+                ageHours: launchedAt ? (now - new Date(launchedAt).getTime()) / 3600000 : null
+            };
 
-        if (!reason && mc !== undefined && mc < 5000 && ageHours > 2) {
-            reason = `Old & Low MC ($${mc.toFixed(0)}, ${ageHours.toFixed(1)}h)`;
+            for (const scope of SCOPES) {
+                const hit = evaluatePruneRules(metrics, rulesByScope[scope]);
+                if (!hit) continue;
+                console.log(`[Target] ${token.symbol || address.slice(0, 8)} needs pruning (${scope}): ${describeHit(hit, metrics.ageHours)}`);
+                targetsCount++;
+                break;
+            }
         }
 
-        if (reason) {
-            console.log(`[Target] ${token.symbol || address.slice(0, 8)} needs pruning: ${reason}`);
-            targetsCount++;
+        console.log(`\nFound ${targetsCount} active tokens that currently meet a prune rule.`);
+        if (targetsCount > 0) {
+            console.log(`NOTE: 'candle' rules apply on the next candle close; 'maintenance' rules run every ${settings.maintenance.intervalMinutes}m, so tokens can sit in this state until the next run.`);
         }
     }
 
-    console.log(`\nFound ${targetsCount} active tokens that currently meet the pruning criteria.`);
-    if (targetsCount > 0) {
-        console.log(`NOTE: The maintenance loop runs every 1 hour. It is normal for tokens to sit in this state for up to an hour before being pruned.`);
+    if (args.recent) {
+        const recent = await Prune.find({}).sort({ prunedAt: -1 }).limit(parseInt(args.recent, 10) || 20).lean();
+        console.log(`\nLast ${recent.length} prune(s):`);
+        for (const p of recent) {
+            console.log(`  ${p.prunedAt.toISOString().slice(0, 16).replace('T', ' ')}  ${(p.symbol || p.tokenAddress.slice(0, 8)).padEnd(10)} ` +
+                `${p.scope.padEnd(11)} ${p.rule} (${p.metric} ${p.value.toFixed(2)} ${p.op} ${p.threshold})`);
+        }
     }
 
     process.exit(0);
@@ -0,0 +1,35 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const { resolveToken, formatAmbiguous } = require('../services/tokenLookup');
+const { getTokenDetails, formatTokenDetails } = require('../services/tokenInfo');
+
+// Usage: node scripts/inspect_token.js <symbol|mint> [--json]
+// Same report as the /token Telegram command (live price/tracking are unavailable offline).
+
+const run = async () => {
+    const query = process.argv[2];
+    if (!query) {
+        console.error('Usage: node scripts/inspect_token.js <symbol|mint> [--json]');
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        const { token, matches } = await resolveToken(query);
+        if (!token) {
+            console.log(formatAmbiguous(query, matches).replace(/[*`]/g, ''));
+            process.exit(1);
+        }
+
+        const details = await getTokenDetails(token.address);
+        if (process.argv.includes('--json')) console.log(JSON.stringify(details, null, 2));
+        else console.log(formatTokenDetails(details).replace(/[*`]/g, ''));
+        process.exit(0);
+    } catch (e) {
+        console.error(e);
+        process.exit(1);
+    }
+};
+
+run();
@@ -0,0 +1,68 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Token = require('../models/Token');
+const Alert = require('../models/Alert');
+
+const PUMP_FUN_SUPPLY = 1_000_000_000; // legacy MCs were computed with the fixed supply
+
+// One-off: seed the Alert collection from the legacy first/last alert fields on Token.
+// Tokens that already have Alert documents are skipped, so the script is safe to re-run.
+const run = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to DB');
+
+        const tokens = await Token.find({
+            $or: [
+                { firstAlertMarketCap: { $exists: true, $ne: null } },
+                { lastAlertMarketCap: { $exists: true, $ne: null } }
+            ]
+        }).lean();
+        console.log(`Found ${tokens.length} tokens with legacy alert data.`);
+
+        let migrated = 0;
+        let inserted = 0;
+
+        for (const t of tokens) {
+            const existing = await Alert.countDocuments({ tokenAddress: t.address });
+            if (existing > 0) continue;
+
+            const docs = [];
+
+            if (t.firstAlertMarketCap && t.firstAlertSentAt) {
+                docs.push({
+                    tokenAddress: t.address,
+                    symbol: t.symbol || '',
+                    sentAt: t.firstAlertSentAt,
+                    marketCap: t.firstAlertMarketCap,
+                    price: t.firstAlertMarketCap / PUMP_FUN_SUPPLY
+                });
+            }
+
+            const lastDiffers = !t.firstAlertSentAt ||
+                new Date(t.lastAlertSentAt).getTime() !== new Date(t.firstAlertSentAt).getTime();
+            if (t.lastAlertMarketCap && t.lastAlertSentAt && lastDiffers) {
+                docs.push({
+                    tokenAddress: t.address,
+                    symbol: t.symbol || '',
+                    sentAt: t.lastAlertSentAt,
+                    marketCap: t.lastAlertMarketCap,
+                    price: t.lastAlertMarketCap / PUMP_FUN_SUPPLY
+                });
+            }
+
+            if (docs.length === 0) continue;
+            await Alert.insertMany(docs);
+            migrated++;
+            inserted += docs.length;
+        }
+
+        console.log(`Migrated ${migrated} tokens (${inserted} alert documents).`);
+        process.exit(0);
+    } catch (e) {
+        console.error(e);
+        process.exit(1);
+    }
+};
+
+run();
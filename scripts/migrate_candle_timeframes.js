@@ -0,0 +1,147 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const mongoose = require('mongoose');
+const Candle = require('../models/Candle');
+const { rollup, intervalSec, bucketStart } = require('../services/timeframes');
+const { LEGACY_INDEX } = require('../services/storage');
+
+// One-off: tag legacy candles with `timeframe`, `intervalSec` and `source`, and move to the
+// per-timeframe unique index.
+//
+// Before timeframes, live 15s candles and 1m GeckoTerminal backfill shared one series.
+// The interval is inferred from spacing: a candle is 1m when it sits on a minute boundary
+// and no neighbour is closer than 60s; everything else is 15s (source jupiter / gecko).
+// Candles already tagged with a timeframe but no source get one too: 1m candles whose minute
+// also has 15s candles were rolled up from them, the rest came from GeckoTerminal.
+//
+// Then 1m/5m/15m rollups are built from the 15s series, and 5m/15m from the 1m backfill
+// (existing candles win on conflicts). Safe to re-run.
+//
+// Usage: node scripts/migrate_candle_timeframes.js [--dry-run] [--no-rollups]
+
+const MINUTE_MS = 60 * 1000;
+
+const classify = (timestamps) => timestamps.map((ts, i) => {
+    if (ts % MINUTE_MS !== 0) return '15s';
+    const prevGap = i > 0 ? ts - timestamps[i - 1] : Infinity;
+    const nextGap = i < timestamps.length - 1 ? timestamps[i + 1] - ts : Infinity;
+    return Math.min(prevGap, nextGap) < MINUTE_MS ? '15s' : '1m';
+});
+
+const SOURCE_BY_TIMEFRAME = { '15s': 'jupiter', '1m': 'gecko', '5m': 'rollup', '15m': 'rollup' };
+
+const insertRollups = async (tokenAddress, poolAddress, candles, timeframe) => {
+    const docs = rollup(candles, timeframe).map(c => ({
+        tokenAddress, poolAddress, timeframe, intervalSec: intervalSec(timeframe), source: 'rollup',
+        timestamp: c.timestamp, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume
+    }));
+    if (docs.length === 0) return 0;
+    try {
+        const res = await Candle.insertMany(docs, { ordered: false });
+        return res.length;
+    } catch (err) {
+        if (!err.writeErrors) throw err;
+        if (err.writeErrors.some(e => e.code !== 11000)) throw err;
+        return err.insertedDocs ? err.insertedDocs.length : docs.length - err.writeErrors.length;
+    }
+};
+
+const run = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const withRollups = !process.argv.includes('--no-rollups');
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log(`Connected to DB${dryRun ? ' (dry run)' : ''}`);
+
+        // ── 1. Drop the legacy unique index (it would reject rollups sharing a bucket start)
+        const indexes = await Candle.collection.indexes();
+        if (indexes.some(i => i.name === LEGACY_INDEX)) {
+            console.log(`Dropping legacy index ${LEGACY_INDEX}`);
+            if (!dryRun) await Candle.collection.dropIndex(LEGACY_INDEX);
+        }
+
+        // ── 2. Tag untagged candles
+        const tokens = await Candle.distinct('tokenAddress', { timeframe: { $exists: false } });
+        console.log(`Found ${tokens.length} token(s) with untagged candles.`);
+
+        const totals = { '15s': 0, '1m': 0 };
+        for (const tokenAddress of tokens) {
+            const docs = await Candle.find({ tokenAddress, timeframe: { $exists: false } })
+                .sort({ timestamp: 1 })
+                .select('_id timestamp')
+                .lean();
+            const labels = classify(docs.map(d => new Date(d.timestamp).getTime()));
+
+            const ids = { '15s': [], '1m': [] };
+            labels.forEach((tf, i) => ids[tf].push(docs[i]._id));
+            totals['15s'] += ids['15s'].length;
+            totals['1m'] += ids['1m'].length;
+
+            if (!dryRun) {
+                for (const tf of ['15s', '1m']) {
+                    if (ids[tf].length === 0) continue;
+                    await Candle.updateMany({ _id: { $in: ids[tf] } }, {
+                        $set: { timeframe: tf, intervalSec: intervalSec(tf), source: SOURCE_BY_TIMEFRAME[tf] }
+                    });
+                }
+            }
+        }
+        console.log(`Tagged ${totals['15s']} candle(s) as 15s and ${totals['1m']} as 1m.`);
+
+        // ── 2b. Source + interval for candles tagged with a timeframe only
+        let sourced = 0;
+        for (const tf of ['15s', '5m', '15m']) {
+            if (dryRun) { sourced += await Candle.countDocuments({ timeframe: tf, source: { $exists: false } }); continue; }
+            const res = await Candle.updateMany({ timeframe: tf, source: { $exists: false } }, {
+                $set: { intervalSec: intervalSec(tf), source: SOURCE_BY_TIMEFRAME[tf] }
+            });
+            sourced += res.modifiedCount;
+        }
+        const minuteTokens = await Candle.distinct('tokenAddress', { timeframe: '1m', source: { $exists: false } });
+        for (const tokenAddress of minuteTokens) {
+            const liveMinutes = new Set((await Candle.find({ tokenAddress, timeframe: '15s' }).select('timestamp').lean())
+                .map(c => bucketStart(c.timestamp, '1m')));
+            const minutes = await Candle.find({ tokenAddress, timeframe: '1m', source: { $exists: false } }).select('_id timestamp').lean();
+
+            const ids = { rollup: [], gecko: [] };
+            for (const m of minutes) ids[liveMinutes.has(new Date(m.timestamp).getTime()) ? 'rollup' : 'gecko'].push(m._id);
+            sourced += minutes.length;
+
+            if (!dryRun) {
+                for (const source of ['rollup', 'gecko']) {
+                    if (ids[source].length === 0) continue;
+                    await Candle.updateMany({ _id: { $in: ids[source] } }, { $set: { intervalSec: intervalSec('1m'), source } });
+                }
+            }
+        }
+        console.log(`Set source/interval on ${sourced} previously tagged candle(s).`);
+
+        if (!dryRun) {
+            await Candle.createIndexes();
+            console.log('Per-timeframe unique index in place.');
+        }
+
+        // ── 3. Rollups
+        if (withRollups && !dryRun) {
+            const all = await Candle.distinct('tokenAddress');
+            let inserted = 0;
+            for (const tokenAddress of all) {
+                const backfill = await Candle.find({ tokenAddress, timeframe: '1m', source: 'gecko' }).sort({ timestamp: 1 }).lean();
+                const live = await Candle.find({ tokenAddress, timeframe: '15s' }).sort({ timestamp: 1 }).lean();
+                const poolAddress = (live[0] || backfill[0] || {}).poolAddress || null;
+
+                for (const tf of ['5m', '15m']) inserted += await insertRollups(tokenAddress, poolAddress, backfill, tf);
+                for (const tf of ['1m', '5m', '15m']) inserted += await insertRollups(tokenAddress, poolAddress, live, tf);
+            }
+            console.log(`Inserted ${inserted} rollup candle(s) across ${all.length} token(s).`);
+        }
+
+        console.log('Done.');
+        process.exit(0);
+    } catch (err) {
+        console.error(err);
+        process.exit(1);
+    }
+};
+
+run();
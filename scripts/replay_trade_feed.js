@@ -0,0 +1,123 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const fs = require('fs');
+const http = require('http');
+const WebSocket = require('ws');
+const { parseArgs } = require('./args');
+
+// Usage:
+//   node scripts/replay_trade_feed.js <recording.jsonl> [--speed 10] [--sol-usd 150]
+//                                     [--budget 120] [--port 8899]
+//
+// Runs services/tradeFeed.js against a local stand-in for the Helius WebSocket
+// and RPC, replaying a recording made with TRADE_FEED_RECORD=<file>:
+//   - answers logsSubscribe and replays the recorded logsNotification frames of
+//     the subscribed pool (original timing divided by --speed),
+//   - answers getTransaction with the recorded transaction.
+// Then prints the live candles the trades produced per token. No network, no DB.
+//
+// --sol-usd  SOL price for SOL-quoted swaps (default: the one in the recording)
+// --budget   getTransaction budget per minute (default: unlimited)
+
+const run = async () => {
+    const argv = process.argv.slice(2);
+    const file = argv.find(a => !a.startsWith('--') && fs.existsSync(a));
+    const args = parseArgs(argv);
+    if (!file) {
+        console.error('Usage: node scripts/replay_trade_feed.js <recording.jsonl> [--speed 10] [--sol-usd 150] [--budget 120]');
+        process.exit(1);
+    }
+    const speed = Number(args.speed) || 10;
+    const port = Number(args.port) || 8899;
+
+    const entries = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const frames = entries.filter(e => e.kind === 'frame');
+    const txs = new Map(entries.filter(e => e.kind === 'tx').map(e => [e.signature, e.data]));
+    const solUsd = Number(args['sol-usd']) || entries.find(e => e.kind === 'tx' && e.solUsd)?.solUsd || null;
+    const mints = new Map(frames.map(f => [f.pool, f.mint]));
+    console.log(`Recording: ${frames.length} frames, ${txs.size} transactions, ${mints.size} pool(s), SOL $${solUsd ?? '?'}`);
+
+    // ── Stand-in for the Helius RPC (getTransaction) and WebSocket (logsSubscribe) ──
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const call = JSON.parse(body || '{}');
+            const result = call.method === 'getTransaction' ? txs.get(call.params[0]) || null : null;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: call.id, result }));
+        });
+    });
+    const wss = new WebSocket.Server({ server });
+    const replayed = { frames: 0 };
+    let replay = null;
+
+    wss.on('connection', (socket) => {
+        const subscriptions = new Map(); // pool → subscription id
+        let nextSub = 1;
+
+        socket.on('message', (raw) => {
+            const msg = JSON.parse(raw.toString());
+            if (msg.method !== 'logsSubscribe') return;
+            const pool = msg.params[0].mentions[0];
+            subscriptions.set(pool, nextSub);
+            socket.send(JSON.stringify({ jsonrpc: '2.0', id: msg.id, result: nextSub++ }));
+
+            // Start once the feed had a moment to subscribe every pool
+            if (!replay) replay = setTimeout(async () => {
+                const t0 = frames.length > 0 ? frames[0].at : 0;
+                const started = Date.now();
+                for (const f of frames) {
+                    const wait = (f.at - t0) / speed - (Date.now() - started);
+                    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+                    const sub = subscriptions.get(f.pool);
+                    if (sub === undefined || socket.readyState !== WebSocket.OPEN) continue;
+                    socket.send(JSON.stringify({ ...f.data, params: { ...f.data.params, subscription: sub } }));
+                    replayed.frames++;
+                }
+                replayed.done = true;
+            }, 500);
+        });
+    });
+    await new Promise(resolve => server.listen(port, resolve));
+
+    // ── The real feed, pointed at the stand-in ──
+    process.env.TRADE_FEED_WS_URL = `ws://127.0.0.1:${port}`;
+    process.env.TRADE_FEED_RPC_URL = `http://127.0.0.1:${port}`;
+    delete process.env.TRADE_FEED_RECORD;
+    const candleManager = require('../services/candleManager');
+    const tradeFeed = require('../services/tradeFeed');
+
+    const candles = [];
+    candleManager.on('candle', c => { if (c.timeframe === '15s') candles.push(c); });
+    for (const [pool, mint] of mints) {
+        candleManager.addToken(mint, { symbol: mint.slice(0, 6), poolAddress: pool });
+        tradeFeed.track(mint, pool);
+    }
+    tradeFeed.start({ solUsd, maxTxPerMinute: Number(args.budget) || Infinity });
+
+    // Wait for the replay to finish and the feed to work off its queue
+    while (!replayed.done || tradeFeed.getStats().queued > 0 || tradeFeed.getStats().retrying > 0) await new Promise(r => setTimeout(r, 200));
+    await new Promise(r => setTimeout(r, 500));
+    candleManager.closeCandlesFor(new Date(Math.floor(Date.now() / 15000) * 15000));
+    tradeFeed.stop();
+
+    const stats = tradeFeed.getStats();
+    console.log(`\nReplayed ${replayed.frames} frames → ${stats.notifications} notifications, ${stats.fetched} fetched, ` +
+        `${stats.trades} trades, ${stats.skipped} over budget, ${stats.missing} missing, ${stats.failed} failed`);
+
+    console.log('\nToken    Candles  Volume $    Buy $       Sell $      Trades  Traders');
+    for (const mint of new Set(mints.values())) {
+        const own = candles.filter(c => c.tokenAddress === mint);
+        const sum = (field) => own.reduce((s, c) => s + (c[field] || 0), 0);
+        console.log(`${mint.slice(0, 6).padEnd(9)}${String(own.length).padEnd(9)}${sum('volume').toFixed(2).padEnd(12)}` +
+            `${sum('buyVolume').toFixed(2).padEnd(12)}${sum('sellVolume').toFixed(2).padEnd(12)}` +
+            `${String(sum('tradeCount')).padEnd(8)}${sum('traderCount')}`);
+    }
+
+    process.exit(0);
+};
+
+run().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,135 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Token = require('../models/Token');
+const { loadCandles, arrayCandleSource, liveRules } = require('../services/backtest');
+const {
+    spaceFor, gridCombinations, randomCombinations,
+    runSweep, saveSweep, listSweeps, promoteSweep
+} = require('../services/optimizer');
+const { getStrategy } = require('../services/strategies');
+const { HORIZONS } = require('../services/outcomeTracker');
+const { loadMetadata, getProvider } = require('../services/tokenMetadata');
+const settingsStore = require('../services/settingsStore');
+const { parseArgs } = require('./args');
+
+// Usage:
+//   node scripts/sweep.js [--strategy ema_rsi] [--mode grid|random] [--samples 50] [--horizon 1h] [--min-alerts 5]
+//                         [--from 2026-01-01] [--to 2026-01-07] [--tokens mint1,mint2] [--volume] [--timeframe 15s]
+//                         [--emaFast 5,9,12] [--emaSlow 20,26] [--rsiThreshold 50,55] ...
+//                         [--fixture candles.json] [--top 10]
+//   node scripts/sweep.js --list
+//   node scripts/sweep.js --promote <runId> [--rank 1]
+//
+// Any parameter of the swept strategy can be given as a comma-separated list to override the default space.
+// Sweeps over MongoDB are saved as SweepRun documents; --fixture runs are printed only.
+// Supplies for market cap as in scripts/backtest.js (MongoDB cache or TOKEN_METADATA_FIXTURE);
+// prune rules, alert floors and exit parameters are the live ones, as there.
+
+const fmt = (v) => v === null ? 'N/A' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`;
+const fmtParams = (p) => Object.entries(p || {}).map(([k, v]) => `${k}=${v}`).join(' ');
+
+const parseOverrides = (strategy, args) => {
+    const overrides = {};
+    for (const key of Object.keys(strategy.params)) {
+        if (args[key] === undefined) continue;
+        overrides[key] = String(args[key]).split(',').map(Number).filter(n => !isNaN(n));
+    }
+    return overrides;
+};
+
+const run = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    // ── Management commands ─────────────────────────────────────────────────
+    if (args.list || args.promote) {
+        await mongoose.connect(process.env.MONGODB_URI);
+
+        if (args.promote) {
+            const { strategy, params } = await promoteSweep(args.promote, parseInt(args.rank, 10) || 1);
+            console.log(`Promoted run ${args.promote} (${strategy}): ${fmtParams(params)}`);
+            console.log('Restart the bot to apply.');
+        } else {
+            const runs = await listSweeps(20);
+            for (const r of runs) {
+                console.log(`${r._id} ${r.createdAt.toISOString()} ${(r.strategy || 'ema_rsi').padEnd(14)} ${r.mode.padEnd(6)} horizon=${r.horizon} ` +
+                    `combos=${r.combinations}${r.promoted ? ' ⭐ PROMOTED: ' + fmtParams(r.promotedParams) : ''}`);
+            }
+        }
+        process.exit(0);
+    }
+
+    // ── Sweep ───────────────────────────────────────────────────────────────
+    const strategyName = args.strategy || 'ema_rsi';
+    const strategy = getStrategy(strategyName);
+    if (!strategy) throw new Error(`Unknown strategy "${strategyName}"`);
+
+    const tokens = args.tokens ? String(args.tokens).split(',').filter(Boolean) : null;
+    const from = args.from ? new Date(args.from) : null;
+    const to = args.to ? new Date(args.to) : null;
+    const mode = args.mode === 'random' ? 'random' : 'grid';
+    const horizon = args.horizon || '1h';
+    if (!HORIZONS.some(h => h.label === horizon)) {
+        throw new Error(`Unknown horizon "${horizon}" (one of ${HORIZONS.map(h => h.label).join(', ')})`);
+    }
+    const minAlerts = parseInt(args['min-alerts'], 10) || 5;
+    const requireVolumeSpike = !!args.volume;
+    const timeframe = args.timeframe || '15s';
+
+    const space = spaceFor(strategy, parseOverrides(strategy, args), requireVolumeSpike);
+    const combinations = mode === 'random'
+        ? randomCombinations(strategy, space, parseInt(args.samples, 10) || 50)
+        : gridCombinations(strategy, space);
+
+    let candles;
+    let symbols = new Map();
+    let tokenInfo = new Map();
+    if (args.fixture) {
+        candles = arrayCandleSource(JSON.parse(fs.readFileSync(args.fixture, 'utf8')), { tokens, timeframe });
+    } else {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to DB');
+        await settingsStore.load();
+        candles = await loadCandles({ tokens, from, to, timeframe });
+        const tokenDocs = await Token.find({ address: { $in: [...new Set(candles.map(c => c.tokenAddress))] } })
+            .select('address symbol launchedAt source').lean();
+        symbols = new Map(tokenDocs.map(t => [t.address, t.symbol]));
+        tokenInfo = new Map(tokenDocs.map(t => [t.address, { launchedAt: t.launchedAt, source: t.source }]));
+    }
+    await loadMetadata([...new Set(candles.map(c => c.tokenAddress))], { fetch: getProvider().name === 'fixture' });
+
+    console.log(`Sweeping ${strategy.label}: ${combinations.length} combination(s) (${mode}) over ${candles.length} ${timeframe} candles, ranked at ${horizon}...`);
+
+    const t0 = Date.now();
+    const results = await runSweep({
+        ...liveRules(), strategy: strategyName, candles, timeframe, combinations, horizon, minAlerts, requireVolumeSpike, from, to,
+        symbols, tokenInfo,
+        onProgress: (done, total) => {
+            if (done % 10 === 0 || done === total) console.log(`  ${done}/${total} (${((Date.now() - t0) / 1000).toFixed(0)}s)`);
+        }
+    });
+
+    const top = parseInt(args.top, 10) || 10;
+    console.log('\n---------------------------------------------------');
+    console.log(`🏆 TOP ${Math.min(top, results.length)} (min ${minAlerts} alerts)`);
+    console.log('---------------------------------------------------');
+    results.slice(0, top).forEach((r, i) => {
+        const hit = r.hitRate === null ? 'N/A' : `${r.hitRate.toFixed(1)}%`;
+        console.log(`${String(i + 1).padStart(2)}. n=${String(r.alerts).padEnd(4)} Hit ${hit.padEnd(6)} Median ${fmt(r.medianReturn).padEnd(7)} DD ${fmt(r.avgMaxDrawdown).padEnd(7)} | ${fmtParams(r.params)}`);
+    });
+
+    if (!args.fixture) {
+        const saved = await saveSweep({
+            strategy: strategyName, timeframe, mode, horizon, minAlerts, requireVolumeSpike, from, to,
+            tokens: tokens || [], candleCount: candles.length
+        }, results);
+        console.log(`\nSaved as SweepRun ${saved._id}. Promote with: node scripts/sweep.js --promote ${saved._id} [--rank N]`);
+    }
+
+    process.exit(0);
+};
+
+run().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
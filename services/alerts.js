@@ -0,0 +1,86 @@
+/**
+ * alerts.js
+ * Persists every fired alert to the Alert collection and provides
+ * per-token summaries (first / last / count) for the bot and the analysis scripts.
+ */
+
+const Alert = require('../models/Alert');
+
+/**
+ * Save a single alert. It opens (or joins) the token's exit position, see services/exits.js.
+ * @param {object} signal          - Signal object from checkStrategy (+ symbol)
+ * @param {object} extra
+ * @param {number} extra.marketCap - Market cap at alert time
+ * @param {number|null} [extra.telegramMessageId]
+ * @returns {Promise<object|null>} The saved alert, or null on error
+ */
+const recordAlert = async (signal, { marketCap, telegramMessageId = null }) => {
+    try {
+        const doc = await Alert.create({
+            tokenAddress: signal.tokenAddress,
+            symbol: signal.symbol || '',
+            launchpad: signal.launchpad || null,
+            strategy: signal.strategy || 'ema_rsi',
+            timeframe: signal.timeframe || '15s',
+            sentAt: new Date(),
+            price: signal.price,
+            marketCap,
+            rsi: signal.rsi,
+            emaFast: signal.emaFast,
+            emaSlow: signal.emaSlow,
+            volume: signal.volume || 0,
+            avgVolume: signal.avgVolume || 0,
+            volumeSpikeActive: !!signal.volumeSpikeActive,
+            isVolumeSpike: !!signal.isVolumeSpike,
+            params: signal.params || null,
+            indicators: signal.indicators || null,
+            telegramMessageId,
+            status: 'open'
+        });
+        return doc.toObject();
+    } catch (err) {
+        console.error('[Alerts] Save alert error:', err.message);
+        return null;
+    }
+};
+
+/**
+ * Returns first/last alert data per token, aggregated from the Alert collection.
+ *
+ * @param {string[]|null} [tokenAddresses] - Restrict to these tokens (null = all)
+ * @returns {Promise<Map<string, { firstMarketCap, firstSentAt, lastMarketCap, lastSentAt, count }>>}
+ */
+const getAlertSummaries = async (tokenAddresses = null) => {
+    const match = tokenAddresses ? { tokenAddress: { $in: tokenAddresses } } : {};
+
+    const rows = await Alert.aggregate([
+        { $match: match },
+        { $sort: { sentAt: 1 } },
+        {
+            $group: {
+                _id: '$tokenAddress',
+                firstMarketCap: { $first: '$marketCap' },
+                firstSentAt: { $first: '$sentAt' },
+                lastMarketCap: { $last: '$marketCap' },
+                lastSentAt: { $last: '$sentAt' },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const result = new Map();
+    for (const r of rows) {
+        const { _id, ...summary } = r;
+        result.set(_id, summary);
+    }
+    return result;
+};
+
+/**
+ * Full alert history for a single token, oldest-first.
+ */
+const getAlertsFor = async (tokenAddress) => {
+    return Alert.find({ tokenAddress }).sort({ sentAt: 1 }).lean();
+};
+
+module.exports = { recordAlert, getAlertSummaries, getAlertsFor };
@@ -12,6 +12,7 @@
  *   - Items with the fewest attempts are processed first (priority)
  *   - After MAX_ATTEMPTS failures, status is set to 'failed' (no more retries)
  *   - On success: Token document updated with poolAddress, candles persisted, CandleManager + Jupiter registered
+ *   - Successes, newly tracked tokens and give-ups are written to the token event log
  */
 
 'use strict';
@@ -20,6 +21,7 @@ const BackfillQueue = require('../models/BackfillQueue');
 const Token = require('../models/Token');
 const { resolvePoolAddress, getBackfillData } = require('./gecko');
 const { backfillCandles, getRecentCandles, getLatestCandleTime } = require('./storage');
+const { logEvent } = require('./tokenEvents');
 
 const MAX_ATTEMPTS = 5;   // give up after this many failures per token
 const RETRY_AFTER_MS = 2 * 60 * 1000; // wait at least 2 min between retries
@@ -191,22 +193,32 @@ const processItem = async (item) => {
         }
 
         // ── Step 3: Persist candles ──────────────────────────────────────────
-        await backfillCandles(item.address, pool, candles);
+        // launchedAt for the Age line in alerts, source for the launchpad
+        const tokenDoc = await Token.findOne(
+            { address: item.address },
+            { launchedAt: 1, pinned: 1, source: 1 }
+        ).lean();
+        await backfillCandles(item.address, pool, candles, tokenDoc?.source || null);
+        await logEvent(item.address, 'backfilled', {
+            symbol: item.symbol, source: 'backfill_queue', reason: `${candles.length} candles (attempt ${item.attempts + 1})`
+        });
 
         // ── Step 4: Register for live tracking (if not already) ───────────────
         if (_candleManager && !_candleManager.tracked.has(item.address)) {
-            // Fetch launchedAt from Token so Age line appears in alerts
-            const tokenDoc = await Token.findOne(
-                { address: item.address },
-                { launchedAt: 1 }
-            ).lean();
             _candleManager.addToken(item.address, {
                 symbol: item.symbol,
                 name: item.name,
                 poolAddress: pool,
-                launchedAt: tokenDoc?.launchedAt || null
+                launchedAt: tokenDoc?.launchedAt || null,
+                pinned: !!tokenDoc?.pinned,
+                source: tokenDoc?.source || null
             });
-            if (_trackToken) _trackToken(item.address);
+            if (_trackToken) _trackToken(item.address, pool);
+            await logEvent(item.address, 'tracked', { symbol: item.symbol, source: 'backfill_queue' });
+        } else if (_candleManager && !_candleManager.tracked.get(item.address).poolAddress) {
+            // Tracked before its pool resolved — the trade feed subscribes by pool
+            _candleManager.tracked.get(item.address).poolAddress = pool;
+            if (_trackToken) _trackToken(item.address, pool);
         }
 
         // ── Step 5: Mark done ────────────────────────────────────────────────
@@ -232,6 +244,9 @@ const maybeMarkFailed = async (item) => {
             $set: { status: 'failed', error: `Exhausted ${MAX_ATTEMPTS} attempts` }
         });
         console.warn(`[BackfillQ] ❌ ${item.symbol || item.address} failed after ${MAX_ATTEMPTS} attempts`);
+        await logEvent(item.address, 'backfill_failed', {
+            symbol: item.symbol, source: 'backfill_queue', reason: `Exhausted ${MAX_ATTEMPTS} attempts`
+        });
     }
     // else: stays 'pending' for the next drain cycle
 };
@@ -300,7 +315,7 @@ const gapFillOnStartup = async () => {
         try {
             const candles = await getBackfillData(token.poolAddress, 300);
             if (candles.length > 0) {
-                await backfillCandles(token.address, token.poolAddress, candles);
+                await backfillCandles(token.address, token.poolAddress, candles, token.source || null);
                 filled++;
             }
         } catch (err) {
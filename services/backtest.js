@@ -0,0 +1,283 @@
+/**
+ * backtest.js
+ *
+ * Replays stored candles through the same per-candle decision the live bot uses
+ * (services/candleEvaluator.js) and reports the simulated alerts with their
+ * forward returns. Runs fully offline — MongoDB or an in-memory fixture, no APIs.
+ *
+ * Design:
+ *   - A candle source is any (async) iterable of candles of one timeframe sorted by token,
+ *     then time. `mongoCandleSource` streams the Candle collection; `arrayCandleSource`
+ *     wraps a fixture (candles without a `timeframe` count as 15s).
+ *   - Each token keeps a rolling history as long as the live handler loads (historyLengthFor).
+ *   - Every enabled strategy is evaluated per candle; each signal becomes its own alert.
+ *   - A prune ('candle' prune rules, MC < $2k by default) stops signal evaluation for that
+ *     token, as in the live handler. Grace periods and minimum ages run on candle time.
+ *   - Callers pass the live rules, per-launchpad alert floors, launch times and exit
+ *     parameters (see scripts/backtest.js); the defaults are the built-in ones.
+ *   - On the 15s series, alerts open a simulated position that the live exit rules
+ *     (exits.evaluateExit) close; as in the live handler, no alert fires on the candle
+ *     where an exit did.
+ *   - Candles after each simulated alert are collected for up to the longest outcome
+ *     horizon and scored with the same maths as the live outcome tracker. A horizon
+ *     the data ends before is left unscored (nulls, `incomplete: true`), as the live
+ *     tracker doesn't score a horizon until it has elapsed.
+ *   - Candles before `from` only warm up the indicators; candles after `to` only feed
+ *     forward returns.
+ */
+
+'use strict';
+
+const Candle = require('../models/Candle');
+const settings = require('../config/settings');
+const { evaluateCandle, historyLengthFor, ALERT_MIN_MCAP } = require('./candleEvaluator');
+const { getEnabledStrategies } = require('./strategies');
+const { TIMEFRAMES, BASE_TIMEFRAME } = require('./timeframes');
+const { HORIZONS, computeOutcome, summarizeOutcomes } = require('./outcomeTracker');
+const { DEFAULT_PARAMS } = require('./strategy');
+const { evaluateExit } = require('./exits');
+const { rulesFor } = require('./pruneRules');
+const { alertMinMcapFor } = require('./launchpads');
+
+const WARMUP_MS = 60 * 60 * 1000;            // history loaded before `from`
+const MAX_HORIZON_MS = HORIZONS[HORIZONS.length - 1].ms;
+
+// ── Candle sources ────────────────────────────────────────────────────────────
+
+/**
+ * Stream candles from MongoDB, padded for warm-up and forward returns.
+ * @param {object}   [opts]
+ * @param {string[]} [opts.tokens] - Token addresses (default: all)
+ * @param {Date}     [opts.from]
+ * @param {Date}     [opts.to]
+ * @param {string}   [opts.timeframe='15s']
+ */
+const mongoCandleSource = ({ tokens = null, from = null, to = null, timeframe = BASE_TIMEFRAME } = {}) => {
+    const query = { timeframe };
+    if (tokens && tokens.length > 0) query.tokenAddress = { $in: tokens };
+    if (from || to) {
+        query.timestamp = {};
+        if (from) query.timestamp.$gte = new Date(from.getTime() - WARMUP_MS);
+        if (to) query.timestamp.$lte = new Date(to.getTime() + MAX_HORIZON_MS);
+    }
+
+    return Candle.find(query)
+        .sort({ tokenAddress: 1, timestamp: 1 })
+        .lean()
+        .cursor();
+};
+
+/**
+ * Materialise a MongoDB candle stream into an array so it can be replayed many times
+ * (parameter sweeps). Holds every candle in memory — keep the token/date range tight.
+ */
+const loadCandles = async (opts = {}) => {
+    const candles = [];
+    for await (const c of mongoCandleSource(opts)) candles.push(c);
+    return candles;
+};
+
+/**
+ * Wrap an in-memory array of candles (e.g. a JSON fixture) as a candle source.
+ * Applies the same token / date filtering as mongoCandleSource.
+ */
+const arrayCandleSource = (candles, { tokens = null, from = null, to = null, timeframe = BASE_TIMEFRAME } = {}) => {
+    const tokenSet = tokens && tokens.length > 0 ? new Set(tokens) : null;
+    const minTs = from ? from.getTime() - WARMUP_MS : -Infinity;
+    const maxTs = to ? to.getTime() + MAX_HORIZON_MS : Infinity;
+
+    return candles
+        .map(c => ({ ...c, timestamp: new Date(c.timestamp) }))
+        .filter(c => (c.timeframe || BASE_TIMEFRAME) === timeframe &&
+            (!tokenSet || tokenSet.has(c.tokenAddress)) &&
+            c.timestamp.getTime() >= minTs && c.timestamp.getTime() <= maxTs)
+        .sort((a, b) => a.tokenAddress.localeCompare(b.tokenAddress) || a.timestamp - b.timestamp);
+};
+
+// ── Engine ────────────────────────────────────────────────────────────────────
+
+/**
+ * The live handler's prune rules, alert floors and exit parameters from config/settings
+ * (call settingsStore.load() first to include /set overrides), as runBacktest options.
+ */
+const liveRules = () => ({
+    pruneRules: rulesFor('candle', settings.pruneRules),
+    alertMinMcapFor,
+    exitParams: settings.exitParams
+});
+
+/**
+ * Score every simulated alert of a token once its candles are exhausted.
+ */
+const finalizeToken = (state, results) => {
+    for (const alert of state.alerts) {
+        const alertAt = alert.timestamp.getTime();
+        const { forward, ...rest } = alert;
+        results.alerts.push({
+            ...rest,
+            outcomes: HORIZONS.map(h => ({
+                horizon: h.label,
+                windowEnd: alertAt + h.ms,
+                ...computeOutcome(alert.price, forward.filter(c => c.timestamp.getTime() < alertAt + h.ms))
+            }))
+        });
+    }
+    if (state.prunedAt) {
+        results.pruned.push({ tokenAddress: state.tokenAddress, symbol: state.symbol, timestamp: state.prunedAt, rule: state.pruneRule });
+    }
+};
+
+/**
+ * Clear outcomes whose window reaches past the end of the data — they would
+ * report a partial window as the full horizon.
+ */
+const markIncomplete = (alerts, dataEnd) => {
+    for (const alert of alerts) {
+        alert.outcomes = alert.outcomes.map(({ windowEnd, ...o }) => (windowEnd <= dataEnd ? o : {
+            horizon: o.horizon, ...computeOutcome(null, []), incomplete: true
+        }));
+    }
+};
+
+/**
+ * Position opened by a simulated alert, shaped like exits.positionFromAlert
+ * (the EMA cross uses the opening signal's periods when it has them).
+ */
+const simulatedPosition = (alert, params) => ({
+    entryPrice: alert.price,
+    peakPrice: alert.price,
+    emaFast: params?.emaFast || DEFAULT_PARAMS.emaFast,
+    emaSlow: params?.emaSlow || DEFAULT_PARAMS.emaSlow,
+    alerts: [alert]
+});
+
+/**
+ * Run a backtest.
+ *
+ * @param {object}   opts
+ * @param {Iterable|AsyncIterable} opts.source - Candles sorted by token, then timestamp
+ * @param {Date}     [opts.from]               - First candle to evaluate (earlier ones warm up)
+ * @param {Date}     [opts.to]                 - Last candle to evaluate (later ones feed returns)
+ * @param {boolean}  [opts.requireVolumeSpike=false]
+ * @param {object[]} [opts.strategies]       - Enabled { strategy, params } pairs (default: ema_rsi)
+ * @param {string}   [opts.timeframe='15s'] - Timeframe of the source candles
+ * @param {object}   [opts.exitParams]      - Overrides for exits.DEFAULT_EXIT_PARAMS (settings.exitParams)
+ * @param {object[]} [opts.pruneRules]      - 'candle' prune rules (rulesFor('candle', settings.pruneRules))
+ * @param {Function} [opts.alertMinMcapFor] - launchpad → alert MC floor (launchpads.alertMinMcapFor)
+ * @param {Map<string,string>} [opts.symbols]  - tokenAddress → symbol, for readable output
+ * @param {Map<string,object>} [opts.tokenInfo] - tokenAddress → { launchedAt, source } (Token fields);
+ *   without a `source` the candles' `launchpad` is used
+ * @returns {Promise<{ alerts, pruned, tokens, candlesProcessed, summary }>}
+ */
+const runBacktest = async ({
+    source, from = null, to = null, requireVolumeSpike = false,
+    strategies = getEnabledStrategies(['ema_rsi']), timeframe = BASE_TIMEFRAME, symbols = new Map(),
+    exitParams = {}, pruneRules = rulesFor('candle'), alertMinMcapFor = () => ALERT_MIN_MCAP, tokenInfo = new Map()
+}) => {
+    const candleMs = TIMEFRAMES[timeframe];
+    if (!candleMs) throw new Error(`Unknown timeframe "${timeframe}"`);
+
+    const results = { alerts: [], pruned: [], tokens: 0, candlesProcessed: 0, summary: [] };
+    const fromTs = from ? from.getTime() : -Infinity;
+    const toTs = to ? to.getTime() : Infinity;
+
+    const historyLength = historyLengthFor(strategies);
+    const withExits = timeframe === BASE_TIMEFRAME; // live exits run on the 15s series only
+    let state = null;
+    let dataEnd = -Infinity;
+
+    for await (const raw of source) {
+        const candle = { ...raw, timestamp: new Date(raw.timestamp) };
+        const ts = candle.timestamp.getTime();
+
+        if (!state || state.tokenAddress !== candle.tokenAddress) {
+            if (state) finalizeToken(state, results);
+            const info = tokenInfo.get(candle.tokenAddress) || {};
+            state = {
+                tokenAddress: candle.tokenAddress,
+                symbol: symbols.get(candle.tokenAddress) || candle.symbol || candle.tokenAddress.slice(0, 8),
+                launchedAt: info.launchedAt || null,
+                alertMinMcap: alertMinMcapFor(info.source || candle.launchpad || null),
+                history: [],
+                alerts: [],
+                pruneState: new Map(),
+                prunedAt: null,
+                pruneRule: null,
+                position: null
+            };
+            results.tokens++;
+        }
+        results.candlesProcessed++;
+        dataEnd = Math.max(dataEnd, ts + candleMs);
+
+        // Feed forward-return windows of earlier alerts
+        for (const alert of state.alerts) {
+            if (ts >= alert.timestamp.getTime() && ts < alert.timestamp.getTime() + MAX_HORIZON_MS) {
+                alert.forward.push(candle);
+            }
+        }
+
+        state.history.push(candle);
+        if (state.history.length > historyLength) state.history.shift();
+
+        if (state.prunedAt || ts < fromTs || ts > toTs) continue;
+
+        const result = evaluateCandle(candle, state.history, {
+            symbol: state.symbol, requireVolumeSpike, strategies, pruneRules, pruneState: state.pruneState,
+            launchedAt: state.launchedAt, alertMinMcap: state.alertMinMcap
+        });
+
+        if (result.action === 'prune') {
+            state.prunedAt = candle.timestamp;
+            state.pruneRule = result.hit.rule.name;
+            continue;
+        }
+
+        // Exit rules for an open position (index.js candle handler, exits.checkExit)
+        const position = state.position;
+        if (position) {
+            const exit = evaluateExit(position, state.history, exitParams);
+            position.peakPrice = Math.max(position.peakPrice, candle.high, candle.close);
+            if (exit) {
+                const closed = { reason: exit.reason, price: exit.price, gainPct: exit.gainPct, timestamp: new Date(ts + candleMs) };
+                for (const alert of position.alerts) alert.exit = closed;
+                state.position = null;
+                continue; // don't re-enter on the candle that closed the position
+            }
+        }
+
+        if (result.action === 'alert') {
+            for (const signal of result.signals) {
+                const alert = {
+                    tokenAddress: state.tokenAddress,
+                    symbol: state.symbol,
+                    strategy: signal.strategy,
+                    timeframe,
+                    timestamp: new Date(ts + candleMs), // live alerts fire when the candle closes
+                    price: signal.price,
+                    marketCap: result.marketCap,
+                    rsi: signal.rsi,
+                    emaFast: signal.emaFast,
+                    emaSlow: signal.emaSlow,
+                    indicators: signal.indicators || null,
+                    isVolumeSpike: signal.isVolumeSpike,
+                    exit: null,
+                    forward: []
+                };
+                state.alerts.push(alert);
+
+                if (!withExits) continue;
+                if (state.position) state.position.alerts.push(alert);
+                else state.position = simulatedPosition(alert, signal.params);
+            }
+        }
+    }
+    if (state) finalizeToken(state, results);
+    markIncomplete(results.alerts, dataEnd);
+
+    results.alerts.sort((a, b) => a.timestamp - b.timestamp);
+    results.summary = summarizeOutcomes(results.alerts.map(a => a.outcomes));
+    return results;
+};
+
+module.exports = { runBacktest, liveRules, mongoCandleSource, loadCandles, arrayCandleSource };
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runBacktest, arrayCandleSource } = require('./backtest');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+// Fires on every candle, so the rules under test decide what is kept
+const probe = { name: 'probe', params: {}, warmup: () => 1, evaluate: (series) => ({ price: series[series.length - 1].close }) };
+const strategies = [{ strategy: probe, params: {} }];
+
+const candlesFor = (tokenAddress, closes, extra = {}) => closes.map((close, i) => ({
+    tokenAddress, timestamp: new Date(T0 + i * 15000), open: close, high: close, low: close, close, volume: 1, ...extra
+}));
+
+const A = 'AAAA1111111111111111111111111111111111pump';
+const B = 'BBBB1111111111111111111111111111111111pump';
+const C = 'CCCC1111111111111111111111111111111111bonk';
+
+test('alert floors follow the token launchpad', async () => {
+    const closes = [0.00001, 0.00001]; // MC $10k at a 1B supply
+    const source = arrayCandleSource([
+        ...candlesFor(A, closes), ...candlesFor(B, closes), ...candlesFor(C, closes, { launchpad: 'launchlab' })
+    ]);
+    const { alerts } = await runBacktest({
+        source, strategies,
+        alertMinMcapFor: (launchpad) => (launchpad === 'launchlab' ? 20000 : 5000),
+        tokenInfo: new Map([[A, { source: 'launchlab' }]])
+    });
+    assert.deepEqual([...new Set(alerts.map(a => a.tokenAddress))], [B]);
+});
+
+test('prune rules with a minimum age use the launch time', async () => {
+    const youngLowMcap = { name: 'young_low', metric: 'marketCap', op: '<', threshold: 20000, minAgeHours: 1, graceMinutes: 0, scope: 'candle', enabled: true };
+    const run = (tokenInfo) => runBacktest({
+        source: arrayCandleSource(candlesFor(A, [0.00001, 0.00001, 0.00001, 0.00001])),
+        strategies, pruneRules: [youngLowMcap], tokenInfo
+    });
+
+    const known = await run(new Map([[A, { launchedAt: new Date(T0 - 3600000 + 30000) }]]));
+    assert.equal(known.pruned.length, 1);
+    assert.equal(known.pruned[0].timestamp.getTime(), T0 + 30000);
+    assert.equal(known.alerts.length, 2);
+
+    const unknown = await run(new Map());
+    assert.equal(unknown.pruned.length, 0);
+    assert.equal(unknown.alerts.length, 4);
+});
+
+test('exit parameters are the ones passed in', async () => {
+    const run = (exitParams) => runBacktest({
+        source: arrayCandleSource(candlesFor(A, [0.00001, 0.000012, 0.000012])), strategies, exitParams
+    });
+
+    const tight = await run({ takeProfitMultiple: 1.1 });
+    assert.equal(tight.alerts[0].exit.reason, 'take_profit');
+    assert.equal(tight.alerts.length, 2); // none on the exit candle
+
+    const defaults = await run(undefined);
+    assert.equal(defaults.alerts[0].exit, null);
+    assert.equal(defaults.alerts.length, 3);
+});
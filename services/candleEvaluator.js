@@ -0,0 +1,85 @@
+/**
+ * candleEvaluator.js
+ *
+ * The per-candle decision shared by the live candle handler (index.js) and the
+ * backtest engine (services/backtest.js), so a replay behaves exactly like the bot.
+ *
+ * Given a freshly closed candle and its recent history it decides whether to:
+ *   - prune the token   (first 'candle' prune rule that hits — MC < $2k by default)
+ *   - send alerts       (one per enabled strategy that fired, MC >= $5k by default)
+ *   - do nothing
+ *
+ * The live bot passes its rules and alert floor from settings (`pruneRules`, `alertMinMcap`).
+ * Market cap comes from marketCapOf() (services/tokenMetadata.js) — real supply when
+ * the mint's metadata is loaded, the launchpad's assumed supply otherwise.
+ */
+
+const { getEnabledStrategies, requiredHistory, runStrategies } = require('./strategies');
+const { rulesFor, evaluatePruneRules } = require('./pruneRules');
+const { marketCapOf } = require('./tokenMetadata');
+
+const ALERT_MIN_MCAP = 5000;           // suppress alerts below this
+const HISTORY_LENGTH = 60;             // minimum candles loaded for indicator calculation
+
+// Used when the caller does not pass an explicit strategy list / rule set
+const DEFAULT_STRATEGIES = getEnabledStrategies(['ema_rsi']);
+const DEFAULT_PRUNE_RULES = rulesFor('candle');
+
+/**
+ * Candles to load so every enabled strategy is warmed up.
+ * @param {object[]} [strategies] - Enabled { strategy, params } pairs
+ */
+const historyLengthFor = (strategies = DEFAULT_STRATEGIES) => {
+    return Math.max(HISTORY_LENGTH, requiredHistory(strategies));
+};
+
+/**
+ * @param {object}   candle  - The candle that just closed
+ * @param {object[]} history - Recent candles sorted oldest→newest (including `candle`)
+ * @param {object}   [opts]
+ * @param {string}   [opts.symbol]
+ * @param {boolean}  [opts.requireVolumeSpike=false]
+ * @param {object[]} [opts.strategies] - Enabled { strategy, params } pairs (default: ema_rsi)
+ * @param {object[]} [opts.pruneRules]  - 'candle' scope prune rules (default: DEFAULT_PRUNE_RULES)
+ * @param {Map}      [opts.pruneState]  - Per-token grace-period state for the prune rules
+ * @param {Date}     [opts.launchedAt]  - For rules with a minimum age
+ * @param {number}   [opts.alertMinMcap=ALERT_MIN_MCAP]
+ * @returns {{ action: 'none' } | { action: 'prune', marketCap, hit } | { action: 'alert', marketCap, signals }}
+ */
+const evaluateCandle = (candle, history, opts = {}) => {
+    const {
+        symbol = candle.tokenAddress.slice(0, 8),
+        requireVolumeSpike = false,
+        strategies = DEFAULT_STRATEGIES,
+        pruneRules = DEFAULT_PRUNE_RULES,
+        pruneState = null,
+        launchedAt = null,
+        alertMinMcap = ALERT_MIN_MCAP
+    } = opts;
+
+    if (!history || history.length === 0) return { action: 'none' };
+
+    // ── Prune rules ──────────────────────────────────────────────────────────
+    const currentMcap = marketCapOf(candle, candle.close);
+    const now = new Date(candle.timestamp).getTime();
+    const ageHours = launchedAt ? (now - new Date(launchedAt).getTime()) / 3600000 : null;
+    const hit = evaluatePruneRules({ marketCap: currentMcap, ageHours }, pruneRules, { state: pruneState, now });
+    if (hit) return { action: 'prune', marketCap: currentMcap, hit };
+
+    // ── Strategies ───────────────────────────────────────────────────────────
+    const historyWithMeta = history.map(c => ({ ...c, symbol }));
+    const signals = runStrategies(historyWithMeta, strategies, { requireVolumeSpike });
+    if (signals.length === 0) return { action: 'none' };
+
+    // All signals fire on the same candle close, so they share one market cap
+    if (currentMcap < alertMinMcap) return { action: 'none' }; // skip low-mcap tokens
+
+    return { action: 'alert', marketCap: currentMcap, signals };
+};
+
+module.exports = {
+    evaluateCandle,
+    historyLengthFor,
+    ALERT_MIN_MCAP,
+    HISTORY_LENGTH
+};
@@ -2,34 +2,75 @@
  * candleManager.js
  * 
  * Manages per-token 15-second candle aggregation from raw live trade data.
- * Trade data is fed in by the Jupiter Price API polling service.
+ * Trade data is fed in by the price feed (Jupiter, or a fallback provider; price
+ * only) and, when enabled, the trade feed (real swaps with USD volume, side, trader).
  * 
  * Design:
  *   - A "CandleBuffer" holds the in-progress candle for each token.
  *   - Every 15s, a timer fires, closes the candle, emits it, and resets the buffer.
- *   - External code calls `addTrade(tokenAddress, price, volume)` to feed data.
+ *   - Each closed 15s candle is also merged into 1m / 5m / 15m rollup buffers; a rollup
+ *     is emitted when the 15s candle closing its bucket fires (even if that slot had no trades).
+ *   - Every emitted candle carries its `timeframe` ('15s', '1m', '5m', '15m').
+ *   - External code calls `addTrade(tokenAddress, price, volume, { side, trader, source })` to feed data.
+ *     Trades with a side add to buyVolume / sellVolume; 15s candles also count distinct traders.
+ *   - A 15s candle's `source` is the provider of its close ('jupiter', 'dexscreener', 'gecko', 'trades').
+ *   - With settings.carryForward, a token without ticks in a period still gets a flat 15s candle
+ *     at its last close (volume 0, `synthetic: true`, source 'carry') for up to maxMinutes after
+ *     its last tick, so indicator periods stay wall-clock time.
+ *   - Ticks pass the bad-tick filter first (services/tickFilter.js, settings.tickFilter): outliers
+ *     against the recent median are rejected, flagged (`flaggedTicks` on the candle) or held
+ *     for a second source — a held tick is announced as a `tickHeld` event. A trade feed swap
+ *     keeps its volume, side and trader either way; only its price is dropped. Rejections are
+ *     logged as one summary per minute.
  *   - External code registers callbacks for `candle` events.
  */
 
 const EventEmitter = require('events');
+const settings = require('../config/settings');
+const { TIMEFRAMES, BASE_TIMEFRAME, ROLLUP_TIMEFRAMES, bucketStart, mergeCandle } = require('./timeframes');
+const { createTickState, checkTick } = require('./tickFilter');
 
 const CANDLE_INTERVAL_MS = 15 * 1000; // 15 seconds
+const REJECT_LOG_MS = 60 * 1000;      // rejected-tick summary interval
+
+// Empty in-progress candle at `price`; ticks and trades are folded in by the caller
+const openBuffer = (price, source) => ({
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volume: 0,
+    buyVolume: 0,
+    sellVolume: 0,
+    tradeCount: 0,
+    traders: new Set(),
+    flaggedTicks: 0,
+    source
+});
 
 class CandleManager extends EventEmitter {
     constructor() {
         super();
-        // Map: tokenAddress -> { open, high, low, close, volume, tradeCount }
+        // Map: tokenAddress -> { open, high, low, close, volume, buyVolume, sellVolume, tradeCount, traders, flaggedTicks, source }
         this.buffers = new Map();
         // Map: tokenAddress -> token metadata
         this.tracked = new Map();
         // Map: tokenAddress -> last known price (persists across candles)
         this.lastPrices = new Map();
+        // Map: tokenAddress -> ms of the last accepted tick (bounds carry-forward)
+        this.lastTickAt = new Map();
+        // Map: tokenAddress -> { timeframe: { start, candle } } in-progress rollups
+        this.rollups = new Map();
+        // Map: tokenAddress -> bad-tick filter state (recent ticks, held jump, counters)
+        this.ticks = new Map();
+        // Map: tokenAddress -> ticks rejected since the last summary log
+        this.rejectedSinceLog = new Map();
     }
 
     /**
      * Register a token for tracking.
      * @param {string} tokenAddress - Solana token mint address
-     * @param {object} meta         - { symbol, name, poolAddress }
+     * @param {object} meta         - { symbol, name, poolAddress, launchedAt, pinned, source }
      */
     addToken(tokenAddress, meta = {}) {
         if (this.tracked.has(tokenAddress)) return;
@@ -39,9 +80,6 @@ class CandleManager extends EventEmitter {
         console.log(`[CandleManager] +Tracking ${meta.symbol || tokenAddress}`);
     }
 
-    /**
-     * Remove a token from tracking.
-     */
     /**
      * Remove a token from tracking.
      */
@@ -49,6 +87,10 @@ class CandleManager extends EventEmitter {
         this.tracked.delete(tokenAddress);
         this.buffers.delete(tokenAddress);
         this.lastPrices.delete(tokenAddress);
+        this.lastTickAt.delete(tokenAddress);
+        this.rollups.delete(tokenAddress);
+        this.ticks.delete(tokenAddress);
+        this.rejectedSinceLog.delete(tokenAddress);
     }
 
     /**
@@ -61,37 +103,103 @@ class CandleManager extends EventEmitter {
     }
 
     /**
-     * Called by Jupiter price polling to feed live price data.
+     * Bad-tick filter counters for a token: { accepted, rejected, flagged, held, confirmed, unconfirmed }.
+     * @returns {object|null}
+     */
+    getTickStats(tokenAddress) {
+        return this.ticks.get(tokenAddress)?.counts || null;
+    }
+
+    /**
+     * Called by the price feed and the trade feed to feed live data.
+     * The tick is checked against the bad-tick filter first.
      * @param {string} tokenAddress
      * @param {number} price  - price in USD of the base token
      * @param {number} volume - USD volume of the trade (0 for Jupiter)
+     * @param {object} [trade]
+     * @param {'buy'|'sell'} [trade.side]
+     * @param {string} [trade.trader] - Signer wallet
+     * @param {string} [trade.source] - Provider of the price (default 'jupiter')
      */
-    addTrade(tokenAddress, price, volume) {
+    addTrade(tokenAddress, price, volume, { side = null, trader = null, source = 'jupiter' } = {}) {
         if (!this.tracked.has(tokenAddress)) return;
         if (isNaN(price) || price <= 0) return;
 
-        const buf = this.buffers.get(tokenAddress);
+        let flagged = false;
+        if (settings.tickFilter.enabled) {
+            if (!this.ticks.has(tokenAddress)) this.ticks.set(tokenAddress, createTickState());
+            const verdict = checkTick(this.ticks.get(tokenAddress), price, source, settings.tickFilter);
+
+            if (verdict.action === 'reject' || verdict.action === 'hold') {
+                // An executed swap still traded, whatever its price looked like
+                if (volume > 0) this._applyVolume(tokenAddress, volume, { side, trader, source });
+            }
+            if (verdict.action === 'reject') {
+                this.rejectedSinceLog.set(tokenAddress, (this.rejectedSinceLog.get(tokenAddress) || 0) + 1);
+                return;
+            }
+            if (verdict.action === 'hold') {
+                this.emit('tickHeld', { tokenAddress, price, source, deviationPct: verdict.deviationPct });
+                return;
+            }
+            if (verdict.confirmed) {
+                console.log(`[CandleManager] ${source} confirmed ${verdict.confirmed.source} jump for ${tokenAddress.slice(0, 8)}: ${verdict.confirmed.price}`);
+                this._applyTick(tokenAddress, verdict.confirmed.price, 0, { source: verdict.confirmed.source });
+            }
+            flagged = verdict.action === 'flag';
+        }
+
+        this._applyTick(tokenAddress, price, volume, { side, trader, source, flagged });
+    }
+
+    /**
+     * Fold an accepted tick into the token's open candle.
+     */
+    _applyTick(tokenAddress, price, volume, { side = null, trader = null, source = 'jupiter', flagged = false }) {
+        let buf = this.buffers.get(tokenAddress);
 
         // Update persistent price cache
         this.lastPrices.set(tokenAddress, price);
+        this.lastTickAt.set(tokenAddress, Date.now());
 
         if (buf === null) {
             // First trade in this candle period
-            this.buffers.set(tokenAddress, {
-                open: price,
-                high: price,
-                low: price,
-                close: price,
-                volume: volume || 0,
-                tradeCount: 1
-            });
+            buf = openBuffer(price, source);
+            this.buffers.set(tokenAddress, buf);
         } else {
             buf.high = Math.max(buf.high, price);
             buf.low = Math.min(buf.low, price);
             buf.close = price;
-            buf.volume += (volume || 0);
-            buf.tradeCount++;
+            buf.source = source;
         }
+
+        this._countTrade(buf, volume, { side, trader });
+        if (flagged) buf.flaggedTicks++;
+    }
+
+    /**
+     * Count a trade whose price the bad-tick filter dropped: volume, side and trader
+     * go into the open candle, its prices stay as they were (a candle opened here is
+     * flat at the last accepted price).
+     */
+    _applyVolume(tokenAddress, volume, { side = null, trader = null, source = 'trades' }) {
+        const price = this.lastPrices.get(tokenAddress);
+        if (!price) return;
+
+        let buf = this.buffers.get(tokenAddress);
+        if (buf === null) {
+            buf = openBuffer(price, source);
+            this.buffers.set(tokenAddress, buf);
+        }
+        this._countTrade(buf, volume, { side, trader });
+    }
+
+    _countTrade(buf, volume, { side, trader }) {
+        buf.volume += (volume || 0);
+        buf.tradeCount++;
+        if (side === 'buy') buf.buyVolume += (volume || 0);
+        if (side === 'sell') buf.sellVolume += (volume || 0);
+        if (trader) buf.traders.add(trader);
     }
 
     /**
@@ -100,28 +208,153 @@ class CandleManager extends EventEmitter {
      */
     closeCandlesFor(candleTimestamp) {
         for (const [tokenAddress, buf] of this.buffers.entries()) {
-            if (buf === null) continue; // No trades this candle
+            if (buf === null) {
+                // No trades this candle — carry the last close forward if enabled
+                const carried = this._carryForward(tokenAddress, candleTimestamp);
+                if (carried) {
+                    this.emit('candle', carried);
+                    this._mergeRollups(carried);
+                }
+                continue;
+            }
 
             const meta = this.tracked.get(tokenAddress) || {};
             const candle = {
                 tokenAddress,
                 poolAddress: meta.poolAddress || null,
                 symbol: meta.symbol || '',
+                launchpad: meta.source || null,
                 timestamp: candleTimestamp,
                 open: buf.open,
                 high: buf.high,
                 low: buf.low,
                 close: buf.close,
                 volume: buf.volume,
-                tradeCount: buf.tradeCount
+                buyVolume: buf.buyVolume,
+                sellVolume: buf.sellVolume,
+                tradeCount: buf.tradeCount,
+                traderCount: buf.traders.size,
+                flaggedTicks: buf.flaggedTicks,
+                synthetic: false,
+                timeframe: BASE_TIMEFRAME,
+                source: buf.source
             };
 
             // Emit for strategy to process
             this.emit('candle', candle);
+            this._mergeRollups(candle);
 
             // Reset buffer for next period
             this.buffers.set(tokenAddress, null);
         }
+
+        this._closeRollups(candleTimestamp);
+        this._logRejects(candleTimestamp);
+    }
+
+    /**
+     * One line per minute with the ticks the bad-tick filter rejected, by token
+     * (a sharp move can reject several ticks per token per minute).
+     */
+    _logRejects(candleTimestamp) {
+        const periodEnd = new Date(candleTimestamp).getTime() + TIMEFRAMES[BASE_TIMEFRAME];
+        if (periodEnd % REJECT_LOG_MS !== 0 || this.rejectedSinceLog.size === 0) return;
+
+        const total = [...this.rejectedSinceLog.values()].reduce((a, b) => a + b, 0);
+        const byToken = [...this.rejectedSinceLog.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([address, n]) => `${this.tracked.get(address)?.symbol || address.slice(0, 8)} ×${n}`);
+        console.warn(`[CandleManager] Rejected ${total} outlier tick(s) in the last minute: ${byToken.join(', ')}`);
+        this.rejectedSinceLog.clear();
+    }
+
+    /**
+     * Flat candle at the token's last close for a period without ticks, or null
+     * when carry-forward is off, there is no price yet, or the last tick is older
+     * than settings.carryForward.maxMinutes.
+     */
+    _carryForward(tokenAddress, candleTimestamp) {
+        const { enabled, maxMinutes } = settings.carryForward;
+        const price = this.lastPrices.get(tokenAddress);
+        const lastTickAt = this.lastTickAt.get(tokenAddress);
+        if (!enabled || !price || !lastTickAt) return null;
+
+        const periodEnd = new Date(candleTimestamp).getTime() + TIMEFRAMES[BASE_TIMEFRAME];
+        if (periodEnd - lastTickAt > maxMinutes * 60000) return null;
+
+        const meta = this.tracked.get(tokenAddress) || {};
+        return {
+            tokenAddress,
+            poolAddress: meta.poolAddress || null,
+            symbol: meta.symbol || '',
+            launchpad: meta.source || null,
+            timestamp: candleTimestamp,
+            open: price,
+            high: price,
+            low: price,
+            close: price,
+            volume: 0,
+            buyVolume: 0,
+            sellVolume: 0,
+            tradeCount: 0,
+            traderCount: 0,
+            flaggedTicks: 0,
+            synthetic: true,
+            timeframe: BASE_TIMEFRAME,
+            source: 'carry'
+        };
+    }
+
+    /**
+     * Add a closed 15s candle to the token's rollup buckets. A bucket that is still
+     * open from an earlier period (clock skipped) is emitted first.
+     */
+    _mergeRollups(candle) {
+        let byTf = this.rollups.get(candle.tokenAddress);
+        if (!byTf) {
+            byTf = {};
+            this.rollups.set(candle.tokenAddress, byTf);
+        }
+
+        for (const tf of ROLLUP_TIMEFRAMES) {
+            const start = bucketStart(candle.timestamp, tf);
+            const current = byTf[tf];
+            if (current && current.start !== start) {
+                this._emitRollup(candle.tokenAddress, tf, current);
+                delete byTf[tf];
+            }
+            byTf[tf] = { start, candle: mergeCandle(byTf[tf]?.candle || null, candle) };
+        }
+    }
+
+    /**
+     * Emit every rollup whose bucket ends with the 15s period that just closed.
+     */
+    _closeRollups(candleTimestamp) {
+        const periodEnd = new Date(candleTimestamp).getTime() + TIMEFRAMES[BASE_TIMEFRAME];
+
+        for (const [tokenAddress, byTf] of this.rollups.entries()) {
+            for (const tf of ROLLUP_TIMEFRAMES) {
+                const current = byTf[tf];
+                if (!current || periodEnd < current.start + TIMEFRAMES[tf]) continue;
+                this._emitRollup(tokenAddress, tf, current);
+                delete byTf[tf];
+            }
+        }
+    }
+
+    _emitRollup(tokenAddress, timeframe, { start, candle }) {
+        const meta = this.tracked.get(tokenAddress) || {};
+        this.emit('candle', {
+            tokenAddress,
+            poolAddress: meta.poolAddress || null,
+            symbol: meta.symbol || '',
+            launchpad: meta.source || null,
+            timestamp: new Date(start),
+            ...candle,
+            timeframe,
+            source: 'rollup'
+        });
     }
 }
 
@@ -141,8 +374,8 @@ const startCandleClock = () => {
         };
 
         fireCandleClose();
-        setInterval(fireCandleClose, CANDLE_INTERVAL_MS);
-    }, remainder);
+        setInterval(fireCandleClose, CANDLE_INTERVAL_MS).unref();
+    }, remainder).unref(); // the clock alone doesn't keep a process (script, test) alive
 
     console.log(`[CandleManager] Clock started. First candle in ${(remainder / 1000).toFixed(1)}s`);
 };
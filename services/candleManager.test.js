@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const settings = require('../config/settings');
+const candleManager = require('./candleManager');
+const { runStrategies } = require('./strategies');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+let seq = 0;
+const track = (t) => {
+    const address = `Carry${++seq}111111111111111111111111111111pump`;
+    candleManager.addToken(address, { symbol: `C${seq}` });
+    t.after(() => candleManager.removeToken(address));
+    return address;
+};
+
+const withCarryForward = (t, carryForward) => {
+    const saved = settings.carryForward;
+    settings.carryForward = carryForward;
+    t.after(() => { settings.carryForward = saved; });
+};
+
+test('carries the last close forward until maxMinutes after the last tick', (t) => {
+    withCarryForward(t, { enabled: true, maxMinutes: 1 });
+    t.mock.timers.enable({ apis: ['Date'], now: T0 + 5000 });
+    const address = track(t);
+
+    assert.equal(candleManager._carryForward(address, new Date(T0)), null); // no price yet
+    candleManager.addTrade(address, 2, 0);
+
+    const carried = candleManager._carryForward(address, new Date(T0 + 15000));
+    assert.deepEqual(
+        { open: carried.open, high: carried.high, low: carried.low, close: carried.close, volume: carried.volume },
+        { open: 2, high: 2, low: 2, close: 2, volume: 0 }
+    );
+    assert.equal(carried.synthetic, true);
+    assert.equal(carried.source, 'carry');
+
+    // Last tick at T0+5s: the period ending at T0+65s is the last one within a minute
+    assert.ok(candleManager._carryForward(address, new Date(T0 + 50000)));
+    assert.equal(candleManager._carryForward(address, new Date(T0 + 65000)), null);
+});
+
+test('nothing is carried when carry-forward is off or there was no tick', (t) => {
+    withCarryForward(t, { enabled: false, maxMinutes: 10 });
+    const address = track(t);
+    assert.equal(candleManager._carryForward(address, new Date(T0)), null);
+
+    settings.carryForward = { enabled: true, maxMinutes: 10 };
+    assert.equal(candleManager._carryForward(address, new Date(T0)), null);
+});
+
+test('closeCandlesFor emits a synthetic candle for a quiet token', (t) => {
+    withCarryForward(t, { enabled: true, maxMinutes: 10 });
+    t.mock.timers.enable({ apis: ['Date'], now: T0 + 1000 });
+    const address = track(t);
+    const emitted = [];
+    const onCandle = (c) => { if (c.tokenAddress === address) emitted.push(c); };
+    candleManager.on('candle', onCandle);
+    t.after(() => candleManager.off('candle', onCandle));
+
+    candleManager.addTrade(address, 1.5, 10);
+    candleManager.closeCandlesFor(new Date(T0));
+    candleManager.closeCandlesFor(new Date(T0 + 15000));
+
+    assert.deepEqual(emitted.map(c => [c.close, c.volume, c.synthetic]), [[1.5, 10, false], [1.5, 0, true]]);
+});
+
+test('strategies with ignoreSynthetic skip carried candles and never fire on one', () => {
+    const strategy = {
+        name: 'probe', ignoreSynthetic: true,
+        warmup: () => 2,
+        evaluate: (series) => ({ bars: series.length })
+    };
+    const enabled = [{ strategy, params: {} }];
+    const real = { close: 1, synthetic: false };
+    const carried = { close: 1, synthetic: true };
+
+    assert.deepEqual(runStrategies([real, carried, real, real], enabled), [{ bars: 3, strategy: 'probe' }]);
+    assert.deepEqual(runStrategies([real, real, carried], enabled), []);
+    assert.deepEqual(runStrategies([real, real, carried], [{ strategy: { ...strategy, ignoreSynthetic: false }, params: {} }]),
+        [{ bars: 3, strategy: 'probe' }]);
+});
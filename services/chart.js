@@ -0,0 +1,201 @@
+/**
+ * chart.js
+ *
+ * Server-side candlestick charts for alerts — no browser involved.
+ *
+ * Layout:
+ *   - Price panel: candles with fast/slow EMA overlays and entry / exit markers
+ *   - RSI panel:   RSI line with 30 / threshold / 70 guides
+ *
+ * Design:
+ *   - `renderChartSvg` is pure: candles in, SVG string out.
+ *   - `renderChartPng` rasterises the SVG with resvg (prebuilt native binary, no
+ *     system dependencies) so it can be sent through bot.sendPhoto.
+ *   - Indicators are computed over the full input and only the last `bars` candles
+ *     are drawn, so the EMA lines are warmed up from the left edge.
+ */
+
+'use strict';
+
+const { EMA, RSI } = require('technicalindicators');
+const { Resvg } = require('@resvg/resvg-js');
+const { DEFAULT_PARAMS } = require('./strategy');
+
+const WIDTH = 900;
+const HEIGHT = 560;
+const PAD = { left: 12, right: 86, top: 34, bottom: 24 };
+const PRICE_H = 360;
+const GAP = 18;
+const RSI_H = HEIGHT - PAD.top - PAD.bottom - PRICE_H - GAP;
+
+const COLORS = {
+    bg: '#131722',
+    grid: '#2a2e39',
+    text: '#b2b5be',
+    up: '#26a69a',
+    down: '#ef5350',
+    emaFast: '#f5c542',
+    emaSlow: '#2962ff',
+    rsi: '#b388ff',
+    marker: '#ffffff',
+    exit: '#ff9800',
+};
+
+const fmtPrice = (v) => (v >= 0.01 ? v.toFixed(4) : v.toExponential(2));
+
+const escapeXml = (s) => String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+/**
+ * Right-align an indicator series with its input (leading entries become null).
+ */
+const align = (series, length) => [...new Array(length - series.length).fill(null), ...series];
+
+const polyline = (points, color, width = 1.5) => {
+    const segments = [];
+    let current = [];
+    for (const p of points) {
+        if (p === null) {
+            if (current.length > 1) segments.push(current);
+            current = [];
+            continue;
+        }
+        current.push(`${p[0].toFixed(1)},${p[1].toFixed(1)}`);
+    }
+    if (current.length > 1) segments.push(current);
+    return segments.map(s => `<polyline fill="none" stroke="${color}" stroke-width="${width}" points="${s.join(' ')}"/>`).join('');
+};
+
+/**
+ * Render a candlestick chart as SVG.
+ *
+ * @param {object[]} candles - Sorted oldest→newest
+ * @param {object}   [opts]
+ * @param {string}   [opts.title]
+ * @param {number}   [opts.bars=60]        - Candles drawn (the rest only warm up indicators)
+ * @param {number}   [opts.emaFast=9]
+ * @param {number}   [opts.emaSlow=20]
+ * @param {number}   [opts.rsiPeriod=14]
+ * @param {number}   [opts.rsiThreshold=50]
+ * @param {object[]} [opts.markers]       - { timestamp, type: 'entry'|'exit' }; each marks the last
+ *                                          candle starting at/before it. Default: entry on the last candle.
+ * @returns {string}
+ */
+const renderChartSvg = (candles, opts = {}) => {
+    const {
+        title = '',
+        bars = 60,
+        emaFast = DEFAULT_PARAMS.emaFast,
+        emaSlow = DEFAULT_PARAMS.emaSlow,
+        rsiPeriod = DEFAULT_PARAMS.rsiPeriod,
+        rsiThreshold = DEFAULT_PARAMS.rsiThreshold,
+        markers = null
+    } = opts;
+
+    if (!candles || candles.length === 0) throw new Error('No candles to chart');
+
+    const closes = candles.map(c => c.close);
+    const fastAll = align(EMA.calculate({ period: emaFast, values: closes }), closes.length);
+    const slowAll = align(EMA.calculate({ period: emaSlow, values: closes }), closes.length);
+    const rsiAll = align(RSI.calculate({ period: rsiPeriod, values: closes }), closes.length);
+
+    const from = Math.max(0, candles.length - bars);
+    const shown = candles.slice(from);
+    const fast = fastAll.slice(from);
+    const slow = slowAll.slice(from);
+    const rsi = rsiAll.slice(from);
+
+    // ── Scales ────────────────────────────────────────────────────────────
+    const plotW = WIDTH - PAD.left - PAD.right;
+    const step = plotW / shown.length;
+    const bodyW = Math.max(1, step * 0.65);
+    const x = (i) => PAD.left + step * i + step / 2;
+
+    const priceValues = shown.flatMap(c => [c.high, c.low])
+        .concat(fast.filter(v => v !== null), slow.filter(v => v !== null));
+    let max = Math.max(...priceValues);
+    let min = Math.min(...priceValues);
+    if (max === min) { max *= 1.01; min *= 0.99; }
+    const margin = (max - min) * 0.05;
+    max += margin;
+    min -= margin;
+    const priceTop = PAD.top;
+    const y = (v) => priceTop + ((max - v) / (max - min)) * PRICE_H;
+
+    const rsiTop = PAD.top + PRICE_H + GAP;
+    const ry = (v) => rsiTop + ((100 - v) / 100) * RSI_H;
+
+    const parts = [];
+    parts.push(`<rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.bg}"/>`);
+
+    // ── Grid + price labels ──────────────────────────────────────────────
+    for (let k = 0; k <= 4; k++) {
+        const v = min + ((max - min) * k) / 4;
+        const gy = y(v);
+        parts.push(`<line x1="${PAD.left}" y1="${gy.toFixed(1)}" x2="${WIDTH - PAD.right}" y2="${gy.toFixed(1)}" stroke="${COLORS.grid}"/>`);
+        parts.push(`<text x="${WIDTH - PAD.right + 6}" y="${(gy + 4).toFixed(1)}" fill="${COLORS.text}" font-size="11" font-family="sans-serif">${fmtPrice(v)}</text>`);
+    }
+
+    // ── Candles ──────────────────────────────────────────────────────────
+    shown.forEach((c, i) => {
+        const color = c.close >= c.open ? COLORS.up : COLORS.down;
+        const top = y(Math.max(c.open, c.close));
+        const h = Math.max(1, Math.abs(y(c.open) - y(c.close)));
+        parts.push(`<line x1="${x(i).toFixed(1)}" y1="${y(c.high).toFixed(1)}" x2="${x(i).toFixed(1)}" y2="${y(c.low).toFixed(1)}" stroke="${color}"/>`);
+        parts.push(`<rect x="${(x(i) - bodyW / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${bodyW.toFixed(1)}" height="${h.toFixed(1)}" fill="${color}"/>`);
+    });
+
+    // ── EMA overlays ─────────────────────────────────────────────────────
+    parts.push(polyline(fast.map((v, i) => (v === null ? null : [x(i), y(v)])), COLORS.emaFast));
+    parts.push(polyline(slow.map((v, i) => (v === null ? null : [x(i), y(v)])), COLORS.emaSlow));
+
+    // ── Entry / exit markers ─────────────────────────────────────────────
+    const firstTs = new Date(shown[0].timestamp).getTime();
+    const marks = markers || [{ timestamp: shown[shown.length - 1].timestamp, type: 'entry' }];
+    for (const m of marks) {
+        const ts = new Date(m.timestamp).getTime();
+        if (ts < firstTs) continue; // before the visible window
+        let idx = shown.length - 1;
+        while (idx > 0 && new Date(shown[idx].timestamp).getTime() > ts) idx--;
+
+        const mx = x(idx);
+        if (m.type === 'exit') {
+            // ▼ above the candle
+            const my = y(shown[idx].high) - 14;
+            parts.push(`<polygon points="${mx.toFixed(1)},${(my + 8).toFixed(1)} ${(mx - 6).toFixed(1)},${(my - 2).toFixed(1)} ${(mx + 6).toFixed(1)},${(my - 2).toFixed(1)}" fill="${COLORS.exit}"/>`);
+        } else {
+            // ▲ below the candle
+            const my = y(shown[idx].low) + 14;
+            parts.push(`<polygon points="${mx.toFixed(1)},${(my - 8).toFixed(1)} ${(mx - 6).toFixed(1)},${(my + 2).toFixed(1)} ${(mx + 6).toFixed(1)},${(my + 2).toFixed(1)}" fill="${COLORS.marker}"/>`);
+        }
+    }
+
+    // ── RSI panel ────────────────────────────────────────────────────────
+    parts.push(`<rect x="${PAD.left}" y="${rsiTop}" width="${plotW}" height="${RSI_H}" fill="none" stroke="${COLORS.grid}"/>`);
+    for (const level of [...new Set([30, rsiThreshold, 70])]) {
+        const ly = ry(level).toFixed(1);
+        parts.push(`<line x1="${PAD.left}" y1="${ly}" x2="${WIDTH - PAD.right}" y2="${ly}" stroke="${COLORS.grid}" stroke-dasharray="4 4"/>`);
+        parts.push(`<text x="${WIDTH - PAD.right + 6}" y="${(Number(ly) + 4).toFixed(1)}" fill="${COLORS.text}" font-size="11" font-family="sans-serif">${level}</text>`);
+    }
+    parts.push(polyline(rsi.map((v, i) => (v === null ? null : [x(i), ry(v)])), COLORS.rsi));
+
+    // ── Legend ───────────────────────────────────────────────────────────
+    const lastRsi = rsi[rsi.length - 1];
+    parts.push(`<text x="${PAD.left}" y="20" fill="${COLORS.text}" font-size="14" font-family="sans-serif" font-weight="bold">${escapeXml(title)}</text>`);
+    parts.push(`<text x="${WIDTH - PAD.right - 260}" y="20" font-size="12" font-family="sans-serif">` +
+        `<tspan fill="${COLORS.emaFast}">EMA ${emaFast}</tspan><tspan fill="${COLORS.text}">  ·  </tspan>` +
+        `<tspan fill="${COLORS.emaSlow}">EMA ${emaSlow}</tspan><tspan fill="${COLORS.text}">  ·  </tspan>` +
+        `<tspan fill="${COLORS.rsi}">RSI ${rsiPeriod}${lastRsi !== null && lastRsi !== undefined ? ` ${lastRsi.toFixed(1)}` : ''}</tspan></text>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">${parts.join('')}</svg>`;
+};
+
+/**
+ * Render the chart as a PNG buffer.
+ * @returns {Buffer}
+ */
+const renderChartPng = (candles, opts = {}) => {
+    const svg = renderChartSvg(candles, opts);
+    return new Resvg(svg, { font: { loadSystemFonts: true, defaultFontFamily: 'sans-serif' } }).render().asPng();
+};
+
+module.exports = { renderChartSvg, renderChartPng };
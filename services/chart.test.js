@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderChartSvg, renderChartPng } = require('./chart');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+// Gentle uptrend with alternating candle colours
+const candles = Array.from({ length: 80 }, (_, i) => {
+    const open = 1 + i / 100;
+    const close = i % 3 === 0 ? open - 0.02 : open + 0.03;
+    return {
+        timestamp: new Date(T0 + i * 15000),
+        open, close, high: Math.max(open, close) + 0.01, low: Math.min(open, close) - 0.01, volume: 1
+    };
+});
+
+const count = (svg, pattern) => (svg.match(pattern) || []).length;
+
+test('draws the last `bars` candles with EMA and RSI lines', () => {
+    const svg = renderChartSvg(candles, { bars: 30 });
+    assert.ok(svg.startsWith('<svg'));
+    assert.ok(!svg.includes('NaN'));
+    assert.equal(count(svg, /<rect /g), 30 + 2); // background + candle bodies + RSI panel
+    assert.equal(count(svg, /<polyline /g), 3);   // fast EMA, slow EMA, RSI
+});
+
+test('defaults to one entry marker on the latest candle', () => {
+    const svg = renderChartSvg(candles);
+    assert.equal(count(svg, /<polygon [^>]*fill="#ffffff"/g), 1);
+    assert.equal(count(svg, /<polygon [^>]*fill="#ff9800"/g), 0);
+});
+
+test('draws entry and exit markers inside the window only', () => {
+    const svg = renderChartSvg(candles, {
+        bars: 30,
+        markers: [
+            { timestamp: candles[5].timestamp, type: 'entry' },   // before the window
+            { timestamp: candles[60].timestamp, type: 'entry' },
+            { timestamp: candles[75].timestamp, type: 'exit' }
+        ]
+    });
+    assert.equal(count(svg, /<polygon [^>]*fill="#ffffff"/g), 1);
+    assert.equal(count(svg, /<polygon [^>]*fill="#ff9800"/g), 1);
+});
+
+test('escapes the title', () => {
+    const svg = renderChartSvg(candles, { title: 'A&B <15s>' });
+    assert.ok(svg.includes('A&amp;B &lt;15s&gt;'));
+});
+
+test('renders a PNG', () => {
+    const png = renderChartPng(candles);
+    assert.deepEqual([...png.subarray(0, 4)], [0x89, 0x50, 0x4e, 0x47]);
+});
@@ -1,7 +1,9 @@
 /**
  * dexscreener.js
  *
- * Fetches 5-minute trading volume for a batch of Solana tokens from DexScreener.
+ * Fetches 5-minute trading volume for a batch of Solana tokens from DexScreener,
+ * plus market caps, token info, and USD prices as a live price fallback
+ * (services/priceFeed.js).
  *
  * Endpoint: GET https://api.dexscreener.com/tokens/v1/solana/{addresses}
  *   - Up to 30 token addresses per request (comma-separated)
@@ -20,6 +22,13 @@ const BATCH_DELAY_MS = 250;   // ~4 batches/sec — well under 300/min limit
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
+let lastUpdate = 0;
+
+/**
+ * Timestamp of the last successful price fetch (getPrices).
+ */
+const getLastUpdate = () => lastUpdate;
+
 /**
  * Get 5-minute USD volume for a list of token addresses.
  * Returns a Map<address, volume5m>.
@@ -99,4 +108,74 @@ const getMarketCaps = async (addresses) => {
     return result;
 };
 
-module.exports = { getVolume5m, getMarketCaps };
+/**
+ * Symbol, name, market cap and pair creation time for a single token, taken from
+ * its highest-MC pair. Used when a token is tracked manually (/track) and we
+ * have no Moralis record for it.
+ *
+ * @param {string} address
+ * @returns {Promise<{ symbol, name, marketCap, createdAt }|null>} null if not listed
+ */
+const getTokenInfo = async (address) => {
+    try {
+        const { data } = await axios.get(`${BASE_URL}/${address}`, { timeout: 10000 });
+        const pairs = (Array.isArray(data) ? data : data?.pairs || [])
+            .filter(p => p?.baseToken?.address === address);
+        if (pairs.length === 0) return null;
+
+        const best = pairs.reduce((a, b) => ((b.marketCap ?? b.fdv ?? 0) > (a.marketCap ?? a.fdv ?? 0) ? b : a));
+        return {
+            symbol: best.baseToken.symbol,
+            name: best.baseToken.name,
+            marketCap: best.marketCap ?? best.fdv ?? null,
+            createdAt: best.pairCreatedAt ? new Date(best.pairCreatedAt) : null
+        };
+    } catch (err) {
+        console.error('[DexScreener] Token info error:', err.message);
+        return null;
+    }
+};
+
+/**
+ * USD price for a list of token addresses, from each token's most liquid pair.
+ * Returns a Map<address, price>; tokens not found are left out.
+ *
+ * @param {string[]} addresses
+ * @returns {Promise<Map<string, number>>}
+ */
+const getPrices = async (addresses) => {
+    const result = new Map();
+    const liquidity = new Map();
+    if (!addresses || addresses.length === 0) return result;
+
+    for (let i = 0; i < addresses.length; i += BATCH_SIZE) {
+        const batch = addresses.slice(i, i + BATCH_SIZE);
+        const url = `${BASE_URL}/${batch.join(',')}`;
+
+        try {
+            const { data } = await axios.get(url, { timeout: 10000 });
+            const pairs = Array.isArray(data) ? data : data?.pairs || [];
+            lastUpdate = Date.now();
+
+            for (const pair of pairs) {
+                const addr = pair?.baseToken?.address;
+                const price = parseFloat(pair?.priceUsd);
+                if (!addr || isNaN(price) || price <= 0) continue;
+
+                const liq = pair?.liquidity?.usd ?? 0;
+                if (!result.has(addr) || liq > liquidity.get(addr)) {
+                    result.set(addr, price);
+                    liquidity.set(addr, liq);
+                }
+            }
+        } catch (err) {
+            console.error(`[DexScreener] Price batch ${i / BATCH_SIZE + 1} error:`, err.message);
+        }
+
+        if (i + BATCH_SIZE < addresses.length) await sleep(BATCH_DELAY_MS);
+    }
+
+    return result;
+};
+
+module.exports = { getVolume5m, getMarketCaps, getTokenInfo, getPrices, getLastUpdate };
@@ -0,0 +1,162 @@
+/**
+ * discoveryLedger.js
+ *
+ * Persistent record of every mint the discovery loop has looked at. Decides
+ * which tokens returned by Moralis are worth processing:
+ *
+ *   - not in the ledger                       → new, process
+ *   - tracked / untracked                     → never (already live, or removed by hand)
+ *   - skipped / pruned, `recheckAt` passed    → re-evaluate
+ *   - skipped / pruned, still in its window   → ignore
+ *
+ * Re-evaluation windows start at `recheckMinutes` (settings.discoveryRecheckMinutes)
+ * and double with every consecutive skip, up to MAX_RECHECK_MINUTES, so a token
+ * that keeps failing the MC check is looked at less and less often instead of on
+ * every poll. Skipped / pruned entries expire after EXPIRE_AFTER_MS via a TTL index.
+ */
+
+const DiscoveryLedger = require('../models/DiscoveryLedger');
+
+const MAX_RECHECK_MINUTES = 24 * 60;
+const EXPIRE_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Minutes until the next re-evaluation after `skips` consecutive skips.
+ */
+const recheckDelayMinutes = (skips, recheckMinutes) =>
+    Math.min(MAX_RECHECK_MINUTES, recheckMinutes * 2 ** Math.max(0, skips - 1));
+
+/**
+ * Which of these addresses discovery should process now.
+ *
+ * @param {string[]} addresses
+ * @param {number}   [now]
+ * @returns {Promise<{ due: Set<string>, entries: Map<string, object> }>}
+ *   `entries` holds the existing ledger entry of every known address.
+ */
+const getDue = async (addresses, now = Date.now()) => {
+    const docs = await DiscoveryLedger.find({ address: { $in: addresses } }).lean();
+    const entries = new Map(docs.map(d => [d.address, d]));
+
+    const due = new Set();
+    for (const address of addresses) {
+        const entry = entries.get(address);
+        if (!entry) { due.add(address); continue; }
+        if (entry.status === 'tracked' || entry.status === 'untracked' || !entry.recheckAt) continue;
+        if (new Date(entry.recheckAt).getTime() <= now) due.add(address);
+    }
+    return { due, entries };
+};
+
+/**
+ * Token failed a discovery check — look again after a widening window.
+ * @returns {Promise<Date>} When it will be re-evaluated
+ */
+const markSkipped = async ({ address, symbol = '' }, reason, recheckMinutes) => {
+    const entry = await DiscoveryLedger.findOne({ address }, { skips: 1, status: 1 }).lean();
+    const skips = (entry && entry.status === 'skipped' ? entry.skips : 0) + 1;
+    const now = Date.now();
+    const recheckAt = new Date(now + recheckDelayMinutes(skips, recheckMinutes) * 60000);
+
+    await DiscoveryLedger.updateOne(
+        { address },
+        {
+            $set: {
+                symbol, status: 'skipped', skipReason: reason, skips,
+                lastChecked: new Date(now), recheckAt, expiresAt: new Date(now + EXPIRE_AFTER_MS)
+            },
+            $setOnInsert: { firstSeen: new Date(now) }
+        },
+        { upsert: true }
+    );
+    return recheckAt;
+};
+
+/**
+ * Token is being tracked (discovery or /track).
+ * @returns {Promise<object|null>} The entry as it was before, null if new
+ */
+const markTracked = async ({ address, symbol = '' }) => {
+    const now = new Date();
+    return DiscoveryLedger.findOneAndUpdate(
+        { address },
+        {
+            $set: { symbol, status: 'tracked', skips: 0, lastChecked: now, recheckAt: null, expiresAt: null },
+            $setOnInsert: { firstSeen: now }
+        },
+        { upsert: true, new: false }
+    ).lean();
+};
+
+/**
+ * Token stopped being tracked. Pruned tokens may be rediscovered after
+ * `recheckMinutes`; tokens removed with /untrack are never rediscovered.
+ *
+ * @param {string} address
+ * @param {'pruned'|'untracked'} status
+ * @param {string} [reason]
+ * @param {number} recheckMinutes
+ */
+const markDropped = async (address, status, reason, recheckMinutes) => {
+    const now = Date.now();
+    const pruned = status === 'pruned';
+    await DiscoveryLedger.updateOne(
+        { address },
+        {
+            $set: {
+                status,
+                skipReason: reason || null,
+                skips: 0,
+                lastChecked: new Date(now),
+                recheckAt: pruned ? new Date(now + recheckMinutes * 60000) : null,
+                expiresAt: pruned ? new Date(now + EXPIRE_AFTER_MS) : null
+            },
+            $setOnInsert: { firstSeen: new Date(now) }
+        },
+        { upsert: true }
+    );
+};
+
+/**
+ * Mark every restored token as tracked — covers databases from before the ledger.
+ * @param {object[]} tokens - { address, symbol }
+ */
+const syncTracked = async (tokens) => {
+    if (tokens.length === 0) return;
+    const now = new Date();
+    await DiscoveryLedger.bulkWrite(tokens.map(t => ({
+        updateOne: {
+            filter: { address: t.address },
+            update: {
+                $set: { symbol: t.symbol || '', status: 'tracked', skips: 0, recheckAt: null, expiresAt: null },
+                $setOnInsert: { firstSeen: t.addedAt || now, lastChecked: now }
+            },
+            upsert: true
+        }
+    })), { ordered: false });
+};
+
+/**
+ * Entry counts by status, plus skipped / pruned entries already due for a recheck.
+ * @returns {Promise<{ tracked, skipped, pruned, untracked, due }>}
+ */
+const getLedgerStats = async () => {
+    const [rows, due] = await Promise.all([
+        DiscoveryLedger.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        DiscoveryLedger.countDocuments({ status: { $in: ['skipped', 'pruned'] }, recheckAt: { $lte: new Date() } })
+    ]);
+    const stats = { tracked: 0, skipped: 0, pruned: 0, untracked: 0, due };
+    for (const r of rows) stats[r._id] = r.count;
+    return stats;
+};
+
+module.exports = {
+    MAX_RECHECK_MINUTES,
+    recheckDelayMinutes,
+    getDue,
+    markSkipped,
+    markTracked,
+    markDropped,
+    syncTracked,
+    getLedgerStats
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DiscoveryLedger = require('../models/DiscoveryLedger');
+const ledger = require('./discoveryLedger');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const MINUTE = 60000;
+
+// In-memory stand-in for the collection: address → entry
+const mockLedger = (t) => {
+    const docs = new Map();
+    t.mock.method(DiscoveryLedger, 'find', (query) => ({
+        lean: async () => query.address.$in.filter(a => docs.has(a)).map(a => ({ ...docs.get(a) }))
+    }));
+    t.mock.method(DiscoveryLedger, 'findOne', ({ address }) => ({
+        lean: async () => (docs.has(address) ? { ...docs.get(address) } : null)
+    }));
+    t.mock.method(DiscoveryLedger, 'updateOne', async ({ address }, update) => {
+        const insert = docs.has(address) ? {} : { address, ...update.$setOnInsert };
+        docs.set(address, { ...docs.get(address), ...insert, ...update.$set });
+    });
+    return docs;
+};
+
+test('recheck windows double per consecutive skip, up to a day', () => {
+    assert.deepEqual([1, 2, 3, 4].map(s => ledger.recheckDelayMinutes(s, 30)), [30, 60, 120, 240]);
+    assert.equal(ledger.recheckDelayMinutes(0, 30), 30);
+    assert.equal(ledger.recheckDelayMinutes(12, 30), ledger.MAX_RECHECK_MINUTES);
+});
+
+test('a token skipped again is rechecked after twice the window', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: T0 });
+    const docs = mockLedger(t);
+    const token = { address: 'Skip1', symbol: 'SK' };
+
+    assert.equal((await ledger.markSkipped(token, 'low MC', 30)).getTime(), T0 + 30 * MINUTE);
+    assert.equal((await ledger.markSkipped(token, 'low MC', 30)).getTime(), T0 + 60 * MINUTE);
+    assert.equal(docs.get('Skip1').skips, 2);
+    assert.equal(docs.get('Skip1').firstSeen.getTime(), T0);
+
+    // A prune resets the count: the next skip starts from the first window again
+    await ledger.markDropped('Skip1', 'pruned', 'low_mcap', 30);
+    assert.equal(docs.get('Skip1').recheckAt.getTime(), T0 + 30 * MINUTE);
+    assert.equal((await ledger.markSkipped(token, 'low MC', 30)).getTime(), T0 + 30 * MINUTE);
+});
+
+test('getDue returns new tokens and skipped / pruned ones whose window has passed', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: T0 });
+    const docs = mockLedger(t);
+
+    await ledger.markSkipped({ address: 'Skipped' }, 'low MC', 30);
+    await ledger.markDropped('Pruned', 'pruned', 'low_volume', 60);
+    await ledger.markDropped('Untracked', 'untracked', null, 60);
+    docs.set('Tracked', { address: 'Tracked', status: 'tracked', recheckAt: null });
+
+    const addresses = ['New', 'Skipped', 'Pruned', 'Untracked', 'Tracked'];
+    const early = await ledger.getDue(addresses, T0 + 29 * MINUTE);
+    assert.deepEqual([...early.due], ['New']);
+    assert.deepEqual([...early.entries.keys()].sort(), ['Pruned', 'Skipped', 'Tracked', 'Untracked']);
+
+    const later = await ledger.getDue(addresses, T0 + 30 * MINUTE);
+    assert.deepEqual([...later.due], ['New', 'Skipped']);
+
+    const muchLater = await ledger.getDue(addresses, T0 + 365 * 24 * 60 * MINUTE);
+    assert.deepEqual([...muchLater.due], ['New', 'Skipped', 'Pruned']);
+});
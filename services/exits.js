@@ -0,0 +1,231 @@
+/**
+ * exits.js
+ *
+ * Exit (sell) signals for tokens that already alerted.
+ *
+ * A token is "open" from its first entry alert until an exit fires. Further entry
+ * alerts while open join the same position — exits are always measured against the
+ * alert that opened it. On every closed candle of an open token we check, in order:
+ *   1. Take profit    — close ≥ takeProfitMultiple × entry price
+ *   2. Trailing stop  — close ≥ trailingStopPct below the highest high since entry
+ *   3. Bearish cross  — fast EMA crosses back below slow EMA
+ *   4. RSI            — RSI drops below rsiExitBelow
+ *
+ * Design:
+ *   - `evaluateExit` is pure (position + history in, exit or null out).
+ *   - Open positions live in memory and are rebuilt from Alert.status on startup;
+ *     the post-entry peak is recomputed from stored candles.
+ *   - Closing a position marks every open alert of the token as closed and stores the exit.
+ */
+
+'use strict';
+
+const { EMA, RSI } = require('technicalindicators');
+const Alert = require('../models/Alert');
+const Candle = require('../models/Candle');
+const { DEFAULT_PARAMS } = require('./strategy');
+
+const DEFAULT_EXIT_PARAMS = {
+    takeProfitMultiple: 3,  // exit at 3× the entry price
+    trailingStopPct: 30,    // exit when 30% below the post-entry high
+    bearishCross: true,     // exit when the fast EMA crosses below the slow EMA
+    rsiExitBelow: 40,       // exit when RSI drops below this (0 = off)
+    rsiPeriod: DEFAULT_PARAMS.rsiPeriod,
+};
+
+const EXIT_REASONS = {
+    take_profit: 'Take Profit',
+    trailing_stop: 'Trailing Stop',
+    bearish_cross: 'Bearish EMA Cross',
+    rsi: 'RSI Breakdown',
+    pruned: 'Pruned',
+    untracked: 'Untracked',
+};
+
+// ── Pure evaluation ───────────────────────────────────────────────────────────
+
+/**
+ * Check exit conditions for an open position on the latest closed candle.
+ *
+ * @param {object}   position  - { entryPrice, peakPrice, emaFast, emaSlow }
+ * @param {object[]} history   - Candles sorted oldest→newest (latest = the candle that just closed)
+ * @param {object}   [params]  - Overrides for DEFAULT_EXIT_PARAMS
+ * @returns {{ reason, price, gainPct, drawdownPct, detail } | null}
+ */
+const evaluateExit = (position, history, params = {}) => {
+    if (!history || history.length === 0) return null;
+    const p = { ...DEFAULT_EXIT_PARAMS, ...params };
+
+    const latest = history[history.length - 1];
+    const price = latest.close;
+    const peak = Math.max(position.peakPrice || 0, latest.high, price);
+    const gainPct = ((price - position.entryPrice) / position.entryPrice) * 100;
+    const drawdownPct = ((price - peak) / peak) * 100;
+    const exit = (reason, detail) => ({ reason, price, gainPct, drawdownPct, detail });
+
+    if (p.takeProfitMultiple > 0 && price >= position.entryPrice * p.takeProfitMultiple) {
+        return exit('take_profit', `${(price / position.entryPrice).toFixed(2)}× entry`);
+    }
+
+    if (p.trailingStopPct > 0 && drawdownPct <= -p.trailingStopPct) {
+        return exit('trailing_stop', `${drawdownPct.toFixed(1)}% from peak`);
+    }
+
+    const closes = history.map(c => c.close);
+
+    if (p.bearishCross && closes.length >= position.emaSlow + 1) {
+        const fast = EMA.calculate({ period: position.emaFast, values: closes });
+        const slow = EMA.calculate({ period: position.emaSlow, values: closes });
+        if (fast.length >= 2 && slow.length >= 2) {
+            const crossedDown = fast[fast.length - 2] >= slow[slow.length - 2] &&
+                fast[fast.length - 1] < slow[slow.length - 1];
+            if (crossedDown) return exit('bearish_cross', `EMA ${position.emaFast} < EMA ${position.emaSlow}`);
+        }
+    }
+
+    if (p.rsiExitBelow > 0 && closes.length > p.rsiPeriod) {
+        const rsi = RSI.calculate({ period: p.rsiPeriod, values: closes });
+        const current = rsi[rsi.length - 1];
+        if (current !== undefined && current < p.rsiExitBelow) {
+            return exit('rsi', `RSI ${current.toFixed(1)} < ${p.rsiExitBelow}`);
+        }
+    }
+
+    return null;
+};
+
+// ── Open positions ────────────────────────────────────────────────────────────
+
+// tokenAddress → { tokenAddress, symbol, strategy, alertIds, entryPrice, entryMarketCap,
+//                  openedAt, telegramMessageId, peakPrice, emaFast, emaSlow }
+const positions = new Map();
+
+const positionFromAlert = (alert) => ({
+    tokenAddress: alert.tokenAddress,
+    symbol: alert.symbol,
+    strategy: alert.strategy,
+    alertIds: [alert._id],
+    entryPrice: alert.price,
+    entryMarketCap: alert.marketCap,
+    openedAt: new Date(alert.sentAt).getTime(),
+    telegramMessageId: alert.telegramMessageId ?? null,
+    peakPrice: alert.price,
+    // The cross uses the opening alert's EMA periods when it has them
+    emaFast: alert.params?.emaFast || DEFAULT_PARAMS.emaFast,
+    emaSlow: alert.params?.emaSlow || DEFAULT_PARAMS.emaSlow,
+});
+
+/**
+ * Register a freshly sent alert. Opens a position, or joins the existing one.
+ * @param {object} alert - Saved Alert document (plain object)
+ */
+const openPosition = (alert) => {
+    if (!alert) return;
+    const existing = positions.get(alert.tokenAddress);
+    if (existing) {
+        existing.alertIds.push(alert._id);
+        return;
+    }
+    positions.set(alert.tokenAddress, positionFromAlert(alert));
+};
+
+const getPosition = (tokenAddress) => positions.get(tokenAddress) || null;
+
+/**
+ * Update the position's peak with the latest candle and check the exit rules.
+ * @returns {object|null} Exit (see evaluateExit) or null
+ */
+const checkExit = (candle, history, params) => {
+    const position = positions.get(candle.tokenAddress);
+    if (!position) return null;
+
+    const exit = evaluateExit(position, history, params);
+    position.peakPrice = Math.max(position.peakPrice, candle.high, candle.close);
+    return exit;
+};
+
+/**
+ * Close the position of a token: mark its open alerts closed and store the exit.
+ *
+ * @param {string} tokenAddress
+ * @param {object} exit                       - { reason, price, gainPct, ... }
+ * @param {object} [extra]
+ * @param {number} [extra.marketCap]
+ * @param {number|null} [extra.telegramMessageId]
+ * @returns {Promise<object|null>} The closed position, or null if none was open
+ */
+const closePosition = async (tokenAddress, exit, { marketCap = null, telegramMessageId = null } = {}) => {
+    const position = positions.get(tokenAddress);
+    if (!position) return null;
+    positions.delete(tokenAddress);
+
+    try {
+        await Alert.updateMany(
+            { tokenAddress, status: 'open' },
+            {
+                $set: {
+                    status: 'closed',
+                    exit: {
+                        reason: exit.reason,
+                        price: exit.price ?? null,
+                        marketCap,
+                        gainPct: exit.gainPct ?? null,
+                        peakPrice: position.peakPrice,
+                        sentAt: new Date(),
+                        telegramMessageId
+                    }
+                }
+            }
+        );
+    } catch (err) {
+        console.error('[Exits] Close position error:', err.message);
+    }
+    return position;
+};
+
+/**
+ * Rebuild open positions from the Alert collection.
+ * Alerts of tokens that are no longer tracked are closed as pruned.
+ *
+ * @param {Set<string>} trackedAddresses
+ * @returns {Promise<number>} Positions restored
+ */
+const restoreOpenPositions = async (trackedAddresses) => {
+    positions.clear();
+    const alerts = await Alert.find({ status: 'open' }).sort({ sentAt: 1 }).lean();
+
+    const stale = new Set();
+    for (const alert of alerts) {
+        if (!trackedAddresses.has(alert.tokenAddress)) { stale.add(alert.tokenAddress); continue; }
+        openPosition(alert);
+    }
+
+    if (stale.size > 0) {
+        await Alert.updateMany(
+            { tokenAddress: { $in: [...stale] }, status: 'open' },
+            { $set: { status: 'closed', exit: { reason: 'pruned', sentAt: new Date() } } }
+        );
+    }
+
+    // Recompute each post-entry high from stored candles
+    for (const position of positions.values()) {
+        const [peak] = await Candle.aggregate([
+            { $match: { tokenAddress: position.tokenAddress, timestamp: { $gte: new Date(position.openedAt) } } },
+            { $group: { _id: null, high: { $max: '$high' } } }
+        ]);
+        if (peak && peak.high > position.peakPrice) position.peakPrice = peak.high;
+    }
+
+    return positions.size;
+};
+
+module.exports = {
+    DEFAULT_EXIT_PARAMS,
+    EXIT_REASONS,
+    evaluateExit,
+    openPosition,
+    getPosition,
+    checkExit,
+    closePosition,
+    restoreOpenPositions
+};
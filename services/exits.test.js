@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Alert = require('../models/Alert');
+const Candle = require('../models/Candle');
+const { recordAlert } = require('./alerts');
+const { evaluateExit, restoreOpenPositions, getPosition } = require('./exits');
+
+const LIVE = 'Live11111111111111111111111111111111111pump';
+const MIGRATED = 'Migr11111111111111111111111111111111111pump';
+
+test('only alerts recorded as open are restored as positions', async (t) => {
+    // What recordAlert and scripts/migrate_alerts.js store, with schema defaults applied
+    t.mock.method(Alert, 'create', async (doc) => new Alert(doc));
+    const live = await recordAlert({ tokenAddress: LIVE, symbol: 'LIVE', price: 0.001 }, { marketCap: 1_000_000 });
+    const migrated = new Alert({ tokenAddress: MIGRATED, symbol: 'OLD', sentAt: new Date(0), marketCap: 50000, price: 0.00005 }).toObject();
+    assert.equal(live.status, 'open');
+    assert.equal(migrated.status, undefined);
+
+    const stored = [migrated, live];
+    t.mock.method(Alert, 'find', (query) => {
+        const rows = stored.filter(a => a.status === query.status);
+        return { sort: () => ({ lean: async () => rows }) };
+    });
+    const updateMany = t.mock.method(Alert, 'updateMany', async () => ({}));
+    t.mock.method(Candle, 'aggregate', async () => []);
+
+    assert.equal(await restoreOpenPositions(new Set([LIVE, MIGRATED])), 1);
+    assert.equal(getPosition(LIVE).entryPrice, 0.001);
+    assert.equal(getPosition(MIGRATED), null);
+    assert.equal(updateMany.mock.callCount(), 0);
+});
+
+const candles = (closes) => closes.map(close => ({ open: close, high: close, low: close, close }));
+
+test('evaluateExit checks take profit, trailing stop, EMA cross, then RSI', () => {
+    const position = { entryPrice: 1, peakPrice: 1, emaFast: 2, emaSlow: 3 };
+
+    // 3× entry wins even though the close is far below the peak
+    assert.equal(evaluateExit({ ...position, peakPrice: 10 }, candles([3])).reason, 'take_profit');
+
+    const trailing = evaluateExit({ ...position, peakPrice: 2 }, candles([1.3]));
+    assert.equal(trailing.reason, 'trailing_stop');
+    assert.equal(trailing.drawdownPct, -35);
+    assert.equal(evaluateExit({ ...position, peakPrice: 2 }, candles([1.3]), { trailingStopPct: 40 }), null);
+
+    const rollover = candles([1, 1.1, 1.2, 1.3, 1.4, 1.15]);
+    assert.equal(evaluateExit(position, rollover).reason, 'bearish_cross');
+    assert.equal(evaluateExit(position, rollover, { bearishCross: false }), null); // too short for RSI
+
+    const bleed = candles(Array.from({ length: 20 }, (_, i) => 1 - i * 0.005));
+    assert.equal(evaluateExit({ ...position, emaFast: 9, emaSlow: 20 }, bleed).reason, 'rsi');
+    assert.equal(evaluateExit({ ...position, emaFast: 9, emaSlow: 20 }, bleed, { rsiExitBelow: 0 }), null);
+    assert.equal(evaluateExit(position, []), null);
+});
@@ -1,12 +1,18 @@
 /**
  * gecko.js
  * Backfills 1-minute OHLCV data from GeckoTerminal Public API (FREE, no key required).
+ * Also the last-resort live price provider (services/priceFeed.js).
  *
  * GeckoTerminal rate limit: 30 requests/minute on the public API.
  * To stay safe we use a sequential queue with a 2.5s delay between requests
  * (= max 24 req/min), so multiple tokens discovered at once won't instantly
  * fire 10+ parallel requests and trigger 429s.
  *
+ * Price requests and backfill share that queue, but waiting price requests go
+ * first, so a price poll never sits behind a burst of backfill. In return the
+ * price feed polls no more often than PRICE_SHARE of the slots allow
+ * (minIntervalMs), which leaves the rest to backfill.
+ *
  * GeckoTerminal Docs: https://www.geckoterminal.com/dex-api
  */
 
@@ -15,18 +21,43 @@ const axios = require('axios');
 const GECKO_BASE = 'https://api.geckoterminal.com/api/v2';
 const HEADERS = { 'Accept': 'application/json;version=20230302' };
 const THROTTLE_MS = 2500;   // min ms between requests (24 req/min < 30 limit)
+const PRICE_BATCH_SIZE = 30; // addresses per simple/token_price call
+const PRICE_SHARE = 0.5;     // share of the request slots price polling plans for
 
-// ── Simple sequential rate-limiter ───────────────────────────────────────────
+// ── Sequential rate-limiter, price requests first ────────────────────────────
+const waiting = { price: [], backfill: [] };
 let lastRequestAt = 0;
+let releaseTimer = null;
+
+// Let the next waiting request go once THROTTLE_MS has passed since the last one
+const scheduleRelease = () => {
+    if (releaseTimer) return;
+    const wait = Math.max(0, THROTTLE_MS - (Date.now() - lastRequestAt));
+    releaseTimer = setTimeout(() => {
+        releaseTimer = null;
+        const next = waiting.price.shift() || waiting.backfill.shift();
+        if (!next) return;
+        lastRequestAt = Date.now();
+        next();
+        if (waiting.price.length > 0 || waiting.backfill.length > 0) scheduleRelease();
+    }, wait);
+};
 
-const throttledGet = async (url, params) => {
-    const now = Date.now();
-    const wait = THROTTLE_MS - (now - lastRequestAt);
-    if (wait > 0) await new Promise(r => setTimeout(r, wait));
-    lastRequestAt = Date.now();
+const throttledGet = async (url, params, { priority = 'backfill' } = {}) => {
+    await new Promise(resolve => {
+        waiting[priority].push(resolve);
+        scheduleRelease();
+    });
     return axios.get(url, { headers: HEADERS, params, timeout: 15000 });
 };
 
+let lastUpdate = 0;
+
+/**
+ * Timestamp of the last successful price fetch (getPrices).
+ */
+const getLastUpdate = () => lastUpdate;
+
 /**
  * Resolves a Solana token address to its top-liquidity pool address on GeckoTerminal.
  * Returns null if not found.
@@ -95,4 +126,40 @@ const getBackfillData = async (poolAddress, limit = 300) => {
     }
 };
 
-module.exports = { resolvePoolAddress, getBackfillData };
+/**
+ * USD prices for a list of token addresses. Shares the request throttle with
+ * the backfill (ahead of it), so each batch of 30 costs 2.5s — a fallback,
+ * not a primary. Returns a Map<address, price>; tokens not found are left out.
+ */
+const getPrices = async (addresses) => {
+    const result = new Map();
+    for (let i = 0; i < addresses.length; i += PRICE_BATCH_SIZE) {
+        const batch = addresses.slice(i, i + PRICE_BATCH_SIZE);
+        try {
+            const url = `${GECKO_BASE}/simple/networks/solana/token_price/${batch.join(',')}`;
+            const res = await throttledGet(url, undefined, { priority: 'price' });
+            const prices = res.data?.data?.attributes?.token_prices || {};
+            lastUpdate = Date.now();
+
+            for (const address of batch) {
+                const price = parseFloat(prices[address]);
+                if (!isNaN(price) && price > 0) result.set(address, price);
+            }
+        } catch (err) {
+            console.error('[Gecko] Price fetch error:', err.response?.status, err.message);
+        }
+    }
+    return result;
+};
+
+/**
+ * Shortest polling interval for `mintCount` tokens that leaves backfill its
+ * share of the request slots.
+ * @returns {number} ms between polling cycles
+ */
+const minIntervalMs = (mintCount) => {
+    const batches = Math.ceil(mintCount / PRICE_BATCH_SIZE);
+    return Math.ceil(batches * THROTTLE_MS / PRICE_SHARE);
+};
+
+module.exports = { resolvePoolAddress, getBackfillData, getPrices, getLastUpdate, minIntervalMs };
@@ -1,112 +1,139 @@
 /**
  * jupiter.js
  *
- * Polls Jupiter Price API v3 for live price data.
+ * Jupiter Price API v3 — the primary live price provider (services/priceFeed.js
+ * polls it every 15s and fails over to DexScreener / GeckoTerminal when it
+ * goes stale).
  * Replaces Helius WebSocket to avoid rate limits and free tier restrictions.
  *
  * Endpoint: https://api.jup.ag/price/v3?ids=...
- * Limit: 100 tokens per batch. Rate limit ~20 calls/min (Free).
- * We poll every 15s (4 calls/min).
+ * Limit: 100 tokens per batch. Rate limit ~20 calls/min (Free), 600 (paid).
+ * We poll every 15s (4 calls/min per 100 tracked tokens).
+ *
+ * Rate limiting: every request (price polling and the trade feed's SOL price)
+ * takes a token from one shared bucket sized to the tier's budget
+ * (settings.jupiter). A 429 pauses the bucket for its Retry-After and the
+ * batch is retried with exponential backoff, as are 5xx and network errors.
+ * When the tracked tokens need more batches than the budget allows every 15s,
+ * minIntervalMs() tells the price feed how far to stretch its interval.
  */
 
 const axios = require('axios');
-const candleManager = require('./candleManager');
+const settings = require('../config/settings');
+const { createTokenBucket, parseRetryAfter, backoffDelay } = require('./rateLimiter');
 
-const POLLING_INTERVAL = 15000; // 15 seconds
 const JUP_API_URL = 'https://api.jup.ag/price/v3';
+const BATCH_SIZE = 100; // API limit is 100 IDs per call
+const MAX_RETRIES = 3;
+const POLL_SHARE = 0.9; // share of the budget price polling may plan for (rest: retries, SOL price)
+
+// Requests per minute by plan
+const JUPITER_TIERS = { free: 20, paid: 600 };
 
-let trackedMints = new Set();
-let timer = null;
 let lastUpdate = 0;
+const stats = { throttled: 0, retries: 0, failedBatches: 0 };
 
 /**
- * Get the timestamp of the last successful data fetch.
+ * Requests per minute we allow ourselves: settings.jupiter.requestsPerMinute,
+ * else the tier's budget.
  */
-const getLastUpdate = () => lastUpdate;
+const budgetPerMinute = () => settings.jupiter.requestsPerMinute || JUPITER_TIERS[settings.jupiter.tier] || JUPITER_TIERS.free;
+
+const limiter = createTokenBucket({ name: 'Jupiter', ratePerMinute: budgetPerMinute() });
 
 /**
- * Add a token to the polling list.
- * @param {string} mintAddress 
+ * Get the timestamp of the last successful data fetch.
  */
-const trackToken = (mintAddress) => {
-    trackedMints.add(mintAddress);
-    console.log(`[Jupiter] Tracking ${mintAddress} (Total: ${trackedMints.size})`);
-};
+const getLastUpdate = () => lastUpdate;
 
 /**
- * Remove a token from the polling list.
- * @param {string} mintAddress 
+ * One batch request, retried on 429 / 5xx / network errors.
  */
-const untrackToken = (mintAddress) => {
-    trackedMints.delete(mintAddress);
+const fetchBatch = async (ids) => {
+    const config = { timeout: 10000 };
+    // Attach API Key if present
+    if (process.env.JUPITER_API_KEY) {
+        config.headers = { 'x-api-key': process.env.JUPITER_API_KEY.trim() };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        await limiter.take();
+        try {
+            const resp = await axios.get(`${JUP_API_URL}?ids=${ids}`, config);
+            return resp.data;
+        } catch (err) {
+            const status = err.response?.status;
+            const retryable = status === 429 || status >= 500 || !err.response;
+            if (!retryable || attempt >= MAX_RETRIES) throw err;
+
+            const delay = Math.max(
+                status === 429 ? parseRetryAfter(err.response.headers?.['retry-after']) ?? 0 : 0,
+                backoffDelay(attempt)
+            );
+            stats.retries++;
+            if (status === 429) {
+                // Everyone sharing the budget waits, not just this batch
+                stats.throttled++;
+                limiter.pause(delay);
+            } else {
+                await new Promise(r => setTimeout(r, delay));
+            }
+            console.warn(`[Jupiter] ${status || err.code || err.message} — retry ${attempt + 1}/${MAX_RETRIES} in ${(delay / 1000).toFixed(1)}s`);
+        }
+    }
 };
 
 /**
- * Fetch prices for all tracked mints.
- * Handles batching (though we likely won't exceed 100 soon).
+ * USD prices for a list of mints. Mints Jupiter doesn't price are left out;
+ * a batch that still fails after its retries is logged and skipped.
+ *
+ * @param {string[]} mints
+ * @returns {Promise<Map<string, number>>}
  */
-const fetchPrices = async () => {
-    if (trackedMints.size === 0) return;
-
-    const mints = Array.from(trackedMints);
-    // Batching logic (API limit is 100 IDs per call)
-    const BATCH_SIZE = 100;
+const getPrices = async (mints) => {
+    const result = new Map();
+    limiter.setRate(budgetPerMinute());
 
     for (let i = 0; i < mints.length; i += BATCH_SIZE) {
         const batch = mints.slice(i, i + BATCH_SIZE);
-        const ids = batch.join(',');
 
         try {
-            const config = {};
-            // Attach API Key if present
-            if (process.env.JUPITER_API_KEY) {
-                config.headers = { 'x-api-key': process.env.JUPITER_API_KEY.trim() };
-            }
-            const resp = await axios.get(`${JUP_API_URL}?ids=${ids}`, config);
-            // v3 response is likely direct map
-            const data = resp.data;
-
-
+            // v3 response is a direct map: mint → { usdPrice, ... }
+            const data = await fetchBatch(batch.join(','));
             if (!data) continue;
 
             lastUpdate = Date.now(); // Update timestamp on success
 
-            // Process results
             for (const mint of batch) {
                 const item = data[mint];
-                // v3 uses 'usdPrice'
-                if (item && item.usdPrice) {
-                    const price = parseFloat(item.usdPrice);
-                    // Jupiter does not provide volume in this endpoint. 
-                    // We pass 0 for volume. Strategy should handle this.
-                    if (!isNaN(price)) {
-                        console.log(`[Jupiter] ${mint.slice(0, 8)}: ${price} USDC`);
-                        candleManager.addTrade(mint, price, 0);
-                    }
-                }
+                // v3 uses 'usdPrice'; no volume in this endpoint
+                const price = item ? parseFloat(item.usdPrice) : NaN;
+                if (!isNaN(price) && price > 0) result.set(mint, price);
             }
         } catch (err) {
+            stats.failedBatches++;
             console.error(`[Jupiter] Polling error: ${err.message}`);
         }
     }
+
+    return result;
 };
 
 /**
- * Start the polling loop.
+ * Shortest polling interval that keeps `mintCount` tokens within the budget.
+ * @returns {number} ms between polling cycles
  */
-const start = () => {
-    if (timer) return;
-    console.log('[Jupiter] Starting price polling (15s interval)...');
-
-    // Initial fetch
-    fetchPrices();
-
-    timer = setInterval(fetchPrices, POLLING_INTERVAL);
+const minIntervalMs = (mintCount) => {
+    const batches = Math.ceil(mintCount / BATCH_SIZE);
+    return Math.ceil(batches / (budgetPerMinute() * POLL_SHARE) * 60000);
 };
 
+const getStats = () => ({ ...stats, budget: budgetPerMinute(), tier: settings.jupiter.tier, limiter: limiter.getStats() });
+
 module.exports = {
-    trackToken,
-    untrackToken,
-    start,
-    getLastUpdate
+    JUPITER_TIERS,
+    getPrices,
+    getLastUpdate,
+    minIntervalMs,
+    getStats
 };
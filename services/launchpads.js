@@ -0,0 +1,89 @@
+/**
+ * launchpads.js
+ *
+ * Per-launchpad configuration. A launchpad is a Moralis exchange slug
+ * (`pumpfun`, `launchlab`, …); discovery tags every token with the one it
+ * graduated from (Token.source) and candles / alerts carry it as `launchpad`.
+ *
+ * Each launchpad has:
+ *   label         display name in alerts and reports
+ *   enabled       polled by discovery (services/moralis.js)
+ *   supply        supply assumed for market cap until the mint's real supply
+ *                 is loaded (services/tokenMetadata.js)
+ *   alertMinMcap  alert floor for its tokens (null = settings.alertMinMcap)
+ *   strategies    strategies run on its tokens (null = settings.enabledStrategies)
+ *
+ * settings.launchpads holds per-launchpad overrides on top of DEFAULT_LAUNCHPADS
+ * (`/set launchpads.launchlab.enabled on`) and may add new slugs as Moralis
+ * supports them. Tokens without a source predate multi-launchpad discovery
+ * and are all pump.fun.
+ */
+
+const settings = require('../config/settings');
+
+const DEFAULT_SOURCE = 'pumpfun';
+
+const DEFAULT_LAUNCHPADS = {
+    pumpfun: { label: 'pump.fun', enabled: true, supply: 1_000_000_000, alertMinMcap: null, strategies: null },
+    launchlab: { label: 'LetsBonk', enabled: false, supply: 1_000_000_000, alertMinMcap: null, strategies: null },   // Raydium LaunchLab — not on Moralis yet
+    boop: { label: 'Boop', enabled: false, supply: 1_000_000_000, alertMinMcap: null, strategies: null },           // not on Moralis yet
+};
+
+const LAUNCHPAD_DEFAULTS = { enabled: false, supply: 1_000_000_000, alertMinMcap: null, strategies: null };
+
+// Mint vanity suffixes the launchpads grind for — used when a token arrives
+// without a source (/track)
+const MINT_SUFFIXES = { pump: 'pumpfun', bonk: 'launchlab' };
+
+/**
+ * Every known launchpad slug (defaults plus ones added in settings).
+ */
+const launchpadNames = () => [...new Set([...Object.keys(DEFAULT_LAUNCHPADS), ...Object.keys(settings.launchpads || {})])];
+
+/**
+ * Effective configuration of one launchpad. Unknown or missing sources fall
+ * back to DEFAULT_SOURCE.
+ * @param {string|null} source
+ * @returns {{ name, label, enabled, supply, alertMinMcap, strategies }}
+ */
+const getLaunchpad = (source) => {
+    const name = source || DEFAULT_SOURCE;
+    const overrides = (settings.launchpads || {})[name];
+    if (!DEFAULT_LAUNCHPADS[name] && !overrides) return getLaunchpad(DEFAULT_SOURCE);
+    return { name, label: name, ...LAUNCHPAD_DEFAULTS, ...(DEFAULT_LAUNCHPADS[name] || {}), ...(overrides || {}) };
+};
+
+/**
+ * Slugs discovery should poll.
+ */
+const enabledLaunchpads = () => launchpadNames().filter(name => getLaunchpad(name).enabled);
+
+const supplyFor = (source) => getLaunchpad(source).supply;
+
+const labelFor = (source) => getLaunchpad(source).label;
+
+const alertMinMcapFor = (source) => getLaunchpad(source).alertMinMcap ?? settings.alertMinMcap;
+
+const strategiesFor = (source) => getLaunchpad(source).strategies || settings.enabledStrategies;
+
+/**
+ * Launchpad a mint most likely came from, by its vanity suffix. null if unknown.
+ */
+const launchpadFromMint = (address) => {
+    const suffix = Object.keys(MINT_SUFFIXES).find(s => address.endsWith(s));
+    return suffix ? MINT_SUFFIXES[suffix] : null;
+};
+
+module.exports = {
+    DEFAULT_SOURCE,
+    DEFAULT_LAUNCHPADS,
+    LAUNCHPAD_DEFAULTS,
+    launchpadNames,
+    getLaunchpad,
+    enabledLaunchpads,
+    supplyFor,
+    labelFor,
+    alertMinMcapFor,
+    strategiesFor,
+    launchpadFromMint
+};
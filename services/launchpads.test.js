@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const settings = require('../config/settings');
+const {
+    getLaunchpad, enabledLaunchpads, launchpadNames, supplyFor, alertMinMcapFor, strategiesFor, launchpadFromMint
+} = require('./launchpads');
+
+const withLaunchpads = (t, overrides) => {
+    const saved = settings.launchpads;
+    settings.launchpads = overrides;
+    t.after(() => { settings.launchpads = saved; });
+};
+
+test('launchpadFromMint matches the vanity suffix', () => {
+    assert.equal(launchpadFromMint('7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hrpump'), 'pumpfun');
+    assert.equal(launchpadFromMint('9fmdkQipJK2teeUv53BMDXi52uRLbrEvV38K8GBNbonk'), 'launchlab');
+    assert.equal(launchpadFromMint('So11111111111111111111111111111111111111112'), null);
+    assert.equal(launchpadFromMint('7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hrPUMP'), null); // case-sensitive
+    assert.equal(launchpadFromMint('pumpBCHJtt7nM5DvvgWqvkcDb4Lsy9u1S8X7vGPhA1x'), null);    // prefix only
+});
+
+test('unknown or missing sources fall back to pump.fun', () => {
+    assert.equal(getLaunchpad(null).name, 'pumpfun');
+    assert.equal(getLaunchpad('nosuchpad').name, 'pumpfun');
+    assert.equal(supplyFor(undefined), 1_000_000_000);
+});
+
+test('settings override the defaults and can add launchpads', (t) => {
+    withLaunchpads(t, {
+        launchlab: { enabled: true, supply: 2_000_000_000, alertMinMcap: 20000 },
+        moonshot: { label: 'Moonshot', enabled: true, strategies: ['breakout'] }
+    });
+
+    assert.deepEqual(enabledLaunchpads().sort(), ['launchlab', 'moonshot', 'pumpfun']);
+    assert.ok(launchpadNames().includes('moonshot'));
+    assert.equal(supplyFor('launchlab'), 2_000_000_000);
+    assert.equal(getLaunchpad('launchlab').label, 'LetsBonk');
+    assert.equal(getLaunchpad('moonshot').supply, 1_000_000_000);
+    assert.equal(alertMinMcapFor('launchlab'), 20000);
+    assert.equal(alertMinMcapFor('pumpfun'), settings.alertMinMcap);
+    assert.deepEqual(strategiesFor('moonshot'), ['breakout']);
+    assert.deepEqual(strategiesFor('pumpfun'), settings.enabledStrategies);
+});
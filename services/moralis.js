@@ -9,49 +9,142 @@
  * Supported exchanges (confirmed by Moralis):
  *   pumpfun   — pump.fun / pumpswap
  *   launchlab — Raydium LaunchLab (LetsBonk.fun / Bonk launchpad)
+ *
+ * Which exchanges are polled is configured per launchpad (services/launchpads.js,
+ * `/set launchpads.<slug>.enabled on`) and read on every poll.
+ *
+ * Catch-up: results are newest first and paginated with `cursor`. Each poll
+ * pages back until it reaches the last graduation it has already seen
+ * (DiscoveryCursor, persisted per exchange), so downtime or a burst of
+ * graduations doesn't lose tokens. Every page costs CU, so a poll reads at most
+ * `maxPages` pages (settings.discoveryMaxPages); a catch-up cut short by the cap
+ * stores its cursor and continues on the next poll with whatever pages are left.
+ * The first page is always returned in full — the discovery ledger relies on
+ * seeing recent tokens again to recheck skipped ones. With no checkpoint yet
+ * (first run) only the first page is read.
  */
 
 const axios = require('axios');
+const DiscoveryCursor = require('../models/DiscoveryCursor');
+const { enabledLaunchpads } = require('./launchpads');
 
 const MORALIS_BASE = 'https://solana-gateway.moralis.io';
 
-// All launchpads to poll. Add slugs here as Moralis adds support.
-// Confirmed working (Feb 2026): pumpfun
-// Not yet supported:           launchlab (Bonk/LetsBonk), boop, bags, believe
-const EXCHANGES = [
-    'pumpfun',
-    // 'launchlab',  // Raydium LaunchLab / LetsBonk — add when Moralis enables
-    // 'boop',       // Boop.fun — add when Moralis enables
-];
-
 let lastUpdate = 0;
 const getLastUpdate = () => lastUpdate;
 
 /**
- * Fetch graduated tokens from a single exchange.
- * Returns [] on any error (safe to call in parallel).
+ * One page of graduated tokens (newest first). Throws on HTTP errors.
+ * @returns {Promise<{ tokens: object[], cursor: string|null }>}
  */
-const fetchFromExchange = async (exchange, limit) => {
-    try {
-        const response = await axios.get(
-            `${MORALIS_BASE}/token/mainnet/exchange/${exchange}/graduated`,
-            {
-                headers: {
-                    'accept': 'application/json',
-                    'X-API-Key': process.env.MORALIS_API_KEY
-                },
-                params: { limit }
-            }
-        );
+const fetchPage = async (exchange, { limit, cursor = null }) => {
+    const response = await axios.get(
+        `${MORALIS_BASE}/token/mainnet/exchange/${exchange}/graduated`,
+        {
+            headers: {
+                'accept': 'application/json',
+                'X-API-Key': process.env.MORALIS_API_KEY
+            },
+            params: cursor ? { limit, cursor } : { limit }
+        }
+    );
 
-        const tokens = response.data?.result || response.data || [];
-        return tokens.map(t => ({
+    const tokens = response.data?.result || response.data || [];
+    return {
+        tokens: tokens.map(t => ({
             address: t.tokenAddress || t.address,
             symbol: t.symbol || '',
             name: t.name || '',
             createdAt: t.createdAt || t.blockTimestamp || new Date().toISOString(),
+            graduatedAt: t.graduatedAt || null,
             source: exchange     // tag which launchpad it came from
-        }));
+        })),
+        cursor: response.data?.cursor || null
+    };
+};
+
+const graduationTime = (t) => (t.graduatedAt ? new Date(t.graduatedAt).getTime() : NaN);
+
+/**
+ * Page back from `cursor` (null = newest) until a token graduated at or before
+ * `until`, the last page, or `pages` pages. Tokens older than `until` are
+ * dropped, except on the first page when `keepFirstPage` is set.
+ *
+ * @returns {Promise<{ tokens: object[], cursor: string|null, pages: number, done: boolean }>}
+ *   `cursor` is where to continue when the page limit cut the read short (`done` false).
+ */
+const readBack = async (exchange, { limit, cursor = null, until = null, pages, keepFirstPage = false }) => {
+    const untilMs = until ? new Date(until).getTime() : null;
+    const tokens = [];
+    let used = 0;
+
+    while (used < pages) {
+        const page = await fetchPage(exchange, { limit, cursor });
+        used++;
+
+        let reached = false;
+        for (const t of page.tokens) {
+            const at = graduationTime(t);
+            if (untilMs !== null && at <= untilMs) reached = true;
+            if ((keepFirstPage && used === 1) || untilMs === null || !(at < untilMs)) tokens.push(t);
+        }
+        if (reached || !page.cursor || page.tokens.length === 0) return { tokens, cursor: null, pages: used, done: true };
+        cursor = page.cursor;
+    }
+    return { tokens, cursor, pages: used, done: false };
+};
+
+/**
+ * Fetch graduated tokens from a single exchange, back to its checkpoint.
+ * Returns [] on any error (safe to call in parallel); the checkpoint only
+ * moves once a poll succeeds, so a failed poll is caught up on the next one.
+ */
+const fetchFromExchange = async (exchange, { limit, maxPages }) => {
+    try {
+        const state = await DiscoveryCursor.findOne({ exchange }).lean() || {};
+        const since = state.lastGraduatedAt || null;
+
+        // Newest tokens, back to the last graduation seen (one page on first run)
+        const head = await readBack(exchange, { limit, until: since, pages: since ? maxPages : 1, keepFirstPage: true });
+        const tokens = head.tokens;
+        let pages = head.pages;
+
+        let backlog = state.backlogCursor ? { cursor: state.backlogCursor, until: state.backlogUntil } : null;
+        if (since && !head.done) {
+            // Page cap hit before reaching the checkpoint — remember where to go on.
+            // A pending backlog is folded in: paging on from here passes through it.
+            backlog = { cursor: head.cursor, until: backlog ? backlog.until : since };
+            console.warn(`[Moralis] ${exchange}: page cap (${maxPages}) reached before the last seen graduation — catching up on the next poll.`);
+        } else if (backlog && pages < maxPages) {
+            try {
+                const rest = await readBack(exchange, { limit, cursor: backlog.cursor, until: backlog.until, pages: maxPages - pages });
+                tokens.push(...rest.tokens);
+                pages += rest.pages;
+                backlog = rest.done ? null : { cursor: rest.cursor, until: backlog.until };
+                console.log(`[Moralis] ${exchange}: catch-up ${rest.done ? 'complete' : 'continues next poll'} (${rest.tokens.length} older token(s)).`);
+            } catch (err) {
+                // Cursors don't live forever — give up on the gap rather than retry it every poll
+                console.warn(`[Moralis] ${exchange}: dropping unfinished catch-up (${err.response?.data?.message || err.message}).`);
+                backlog = null;
+            }
+        }
+
+        const newest = Math.max(since ? new Date(since).getTime() : 0, ...tokens.map(graduationTime).filter(Number.isFinite));
+        await DiscoveryCursor.updateOne(
+            { exchange },
+            {
+                $set: {
+                    lastGraduatedAt: newest > 0 ? new Date(newest) : null,
+                    backlogCursor: backlog ? backlog.cursor : null,
+                    backlogUntil: backlog ? backlog.until : null,
+                    updatedAt: new Date()
+                }
+            },
+            { upsert: true }
+        );
+
+        if (pages > 1) console.log(`[Moralis] ${exchange}: read ${pages} page(s).`);
+        return tokens;
 
     } catch (error) {
         const status = error.response?.status;
@@ -67,12 +160,19 @@ const fetchFromExchange = async (exchange, limit) => {
 };
 
 /**
- * Returns recently graduated tokens from all configured launchpads.
+ * Returns recently graduated tokens from all configured launchpads: the latest
+ * page, plus everything graduated since the previous poll (up to `maxPages`
+ * pages per launchpad).
  * Deduplicates by address in case the same token appears in multiple feeds.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.limit]     - Tokens per page
+ * @param {number} [opts.maxPages]  - Page cap per launchpad and poll (CU budget)
  */
-const getMigratedTokens = async (limit = 10) => {
+const getMigratedTokens = async ({ limit = 10, maxPages = 1 } = {}) => {
+    const exchanges = enabledLaunchpads();
     const results = await Promise.all(
-        EXCHANGES.map(ex => fetchFromExchange(ex, limit))
+        exchanges.map(ex => fetchFromExchange(ex, { limit, maxPages }))
     );
 
     // Flatten + deduplicate by address
@@ -90,10 +190,9 @@ const getMigratedTokens = async (limit = 10) => {
     if (tokens.length > 0) {
         lastUpdate = Date.now();
         // Log per-source count for visibility
-        for (const ex of EXCHANGES) {
-            const count = results[EXCHANGES.indexOf(ex)].length;
-            if (count > 0) console.log(`[Moralis] ${ex}: ${count} token(s)`);
-        }
+        exchanges.forEach((ex, i) => {
+            if (results[i].length > 0) console.log(`[Moralis] ${ex}: ${results[i].length} token(s)`);
+        });
     }
 
     return tokens;
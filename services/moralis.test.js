@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const settings = require('../config/settings');
+const DiscoveryCursor = require('../models/DiscoveryCursor');
+const { getMigratedTokens } = require('./moralis');
+
+const T0 = Date.parse('2026-01-01T12:00:00Z');
+const MINUTE = 60000;
+
+// Graduated tokens newest first, one a minute; `G<n>` graduated n minutes before T0
+const graduations = (count) => Array.from({ length: count }, (_, i) => ({
+    tokenAddress: `G${i}`, symbol: `G${i}`, graduatedAt: new Date(T0 - i * MINUTE).toISOString()
+}));
+
+// Moralis stand-in paging through `feed` by offset cursors, plus an in-memory DiscoveryCursor
+const mockMoralis = (t, feed, cursorDoc = null) => {
+    const state = { doc: cursorDoc, requests: [] };
+    const saved = settings.launchpads;
+    settings.launchpads = {};   // pump.fun only
+    t.after(() => { settings.launchpads = saved; });
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    t.mock.method(axios, 'get', async (url, { params }) => {
+        state.requests.push(params);
+        const from = params.cursor ? Number(params.cursor) : 0;
+        const to = from + params.limit;
+        return { data: { result: feed.slice(from, to), cursor: to < feed.length ? String(to) : null } };
+    });
+    t.mock.method(DiscoveryCursor, 'findOne', () => ({ lean: async () => state.doc }));
+    t.mock.method(DiscoveryCursor, 'updateOne', async (filter, update) => { state.doc = { ...filter, ...update.$set }; });
+    return state;
+};
+
+const addresses = (tokens) => tokens.map(t => t.address);
+
+test('the first run reads one page and checkpoints its newest graduation', async (t) => {
+    const state = mockMoralis(t, graduations(20));
+
+    const tokens = await getMigratedTokens({ limit: 5, maxPages: 4 });
+    assert.deepEqual(addresses(tokens), ['G0', 'G1', 'G2', 'G3', 'G4']);
+    assert.equal(state.requests.length, 1);
+    assert.equal(state.doc.lastGraduatedAt.getTime(), T0);
+    assert.equal(state.doc.backlogCursor, null);
+});
+
+test('pages back to the last seen graduation and stops there', async (t) => {
+    const state = mockMoralis(t, graduations(20), { exchange: 'pumpfun', lastGraduatedAt: new Date(T0 - 7 * MINUTE) });
+
+    const tokens = await getMigratedTokens({ limit: 5, maxPages: 4 });
+    // Second page stops at G7 (already seen); the first page is always kept whole
+    assert.deepEqual(addresses(tokens), ['G0', 'G1', 'G2', 'G3', 'G4', 'G5', 'G6', 'G7']);
+    assert.deepEqual(state.requests, [{ limit: 5 }, { limit: 5, cursor: '5' }]);
+    assert.equal(state.doc.lastGraduatedAt.getTime(), T0);
+    assert.equal(state.doc.backlogCursor, null);
+});
+
+test('a catch-up cut short by maxPages continues on the next poll', async (t) => {
+    const feed = graduations(30);
+    const since = new Date(T0 - 17 * MINUTE);
+    const state = mockMoralis(t, feed, { exchange: 'pumpfun', lastGraduatedAt: since });
+
+    const first = await getMigratedTokens({ limit: 5, maxPages: 2 });
+    assert.deepEqual(addresses(first), feed.slice(0, 10).map(t => t.tokenAddress));
+    assert.equal(state.doc.backlogCursor, '10');
+    assert.equal(new Date(state.doc.backlogUntil).getTime(), since.getTime());
+
+    // Nothing new since: the head page reaches the checkpoint at once, the rest of the budget goes to the backlog
+    state.requests.length = 0;
+    const second = await getMigratedTokens({ limit: 5, maxPages: 2 });
+    assert.deepEqual(state.requests, [{ limit: 5 }, { limit: 5, cursor: '10' }]);
+    assert.ok(addresses(second).includes('G14'));
+    assert.equal(state.doc.backlogCursor, '15');
+
+    state.requests.length = 0;
+    const third = await getMigratedTokens({ limit: 5, maxPages: 2 });
+    assert.deepEqual(state.requests, [{ limit: 5 }, { limit: 5, cursor: '15' }]);
+    assert.ok(addresses(third).includes('G17'));
+    assert.ok(!addresses(third).includes('G18'));
+    assert.equal(state.doc.backlogCursor, null);
+    assert.equal(state.doc.lastGraduatedAt.getTime(), T0);
+});
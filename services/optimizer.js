@@ -0,0 +1,205 @@
+/**
+ * optimizer.js
+ *
+ * Parameter sweeps for any registered strategy (EMA/RSI by default).
+ *
+ * Design:
+ *   - A parameter space maps each strategy parameter to the values to try.
+ *     The default space comes from the `sweep` lists in the strategy's schema.
+ *   - Combinations are generated as a full grid or a random sample of it.
+ *   - Every combination is replayed through the backtest engine over the same
+ *     in-memory candle set and scored at a single outcome horizon.
+ *   - Results are ranked by hit rate, then median forward return, then drawdown,
+ *     and saved as a SweepRun so runs can be compared and one promoted to live.
+ */
+
+'use strict';
+
+const SweepRun = require('../models/SweepRun');
+const { runBacktest, arrayCandleSource } = require('./backtest');
+const { getStrategy, validateParams } = require('./strategies');
+
+// ── Combinations ──────────────────────────────────────────────────────────────
+
+/**
+ * Default search space of a strategy, with optional per-parameter overrides.
+ *
+ * Parameters flagged `volumeOnly` have no effect unless the spike filter is on —
+ * they are pinned to their defaults then so the grid doesn't evaluate duplicates.
+ *
+ * @param {object}  strategy
+ * @param {object}  [overrides]        - { paramName: [values] }
+ * @param {boolean} [requireVolumeSpike=false]
+ * @returns {object} { paramName: [values] }
+ */
+const spaceFor = (strategy, overrides = {}, requireVolumeSpike = false) => {
+    const space = {};
+    for (const [key, spec] of Object.entries(strategy.params)) {
+        if (spec.volumeOnly && !requireVolumeSpike) space[key] = [spec.default];
+        else space[key] = overrides[key] || spec.sweep || [spec.default];
+    }
+    return space;
+};
+
+/**
+ * Every valid combination of the parameter space.
+ * @param {object} strategy
+ * @param {object} space - { paramName: [values] }
+ * @returns {object[]}
+ */
+const gridCombinations = (strategy, space) => {
+    let combos = [{}];
+    for (const [key, values] of Object.entries(space)) {
+        const next = [];
+        for (const combo of combos) {
+            for (const v of values) next.push({ ...combo, [key]: v });
+        }
+        combos = next;
+    }
+    return combos.filter(p => validateParams(strategy, p).length === 0);
+};
+
+/**
+ * Up to `samples` distinct valid combinations drawn at random from the space.
+ */
+const randomCombinations = (strategy, space, samples, rng = Math.random) => {
+    const grid = gridCombinations(strategy, space);
+    for (let i = grid.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [grid[i], grid[j]] = [grid[j], grid[i]];
+    }
+    return grid.slice(0, samples);
+};
+
+// ── Scoring ───────────────────────────────────────────────────────────────────
+
+/**
+ * Rank best-first. Combinations with fewer than `minAlerts` scored alerts go last.
+ */
+const rankResults = (results, minAlerts) => {
+    const score = (v) => (v === null ? -Infinity : v);
+    return [...results].sort((a, b) => {
+        const aOk = a.alerts >= minAlerts;
+        const bOk = b.alerts >= minAlerts;
+        if (aOk !== bOk) return aOk ? -1 : 1;
+        return (score(b.hitRate) - score(a.hitRate)) ||
+            (score(b.medianReturn) - score(a.medianReturn)) ||
+            (score(b.avgMaxDrawdown) - score(a.avgMaxDrawdown)); // closer to 0 is better
+    });
+};
+
+/**
+ * Backtest every combination over the same candle set.
+ *
+ * @param {object}   opts
+ * @param {string}   [opts.strategy='ema_rsi']
+ * @param {object[]} opts.candles       - Candles (loaded once, replayed per combination)
+ * @param {string}   [opts.timeframe='15s'] - Timeframe of `candles`
+ * @param {object[]} opts.combinations  - Parameter sets to evaluate
+ * @param {string}   [opts.horizon='1h']
+ * @param {number}   [opts.minAlerts=5]
+ * @param {boolean}  [opts.requireVolumeSpike=false]
+ * @param {Date}     [opts.from]
+ * @param {Date}     [opts.to]
+ * @param {Map}      [opts.symbols]
+ * @param {object}   [opts.exitParams]  - Live rules for the backtest (see runBacktest; default: built-in)
+ * @param {object[]} [opts.pruneRules]
+ * @param {Function} [opts.alertMinMcapFor]
+ * @param {Map}      [opts.tokenInfo]
+ * @param {Function} [opts.onProgress]  - (done, total) callback
+ * @returns {Promise<object[]>} Ranked results
+ */
+const runSweep = async ({
+    strategy = 'ema_rsi', candles, timeframe = '15s', combinations, horizon = '1h', minAlerts = 5, requireVolumeSpike = false,
+    from = null, to = null, symbols = new Map(), exitParams, pruneRules, alertMinMcapFor, tokenInfo, onProgress = null
+}) => {
+    const impl = getStrategy(strategy);
+    if (!impl) throw new Error(`Unknown strategy "${strategy}"`);
+
+    const source = arrayCandleSource(candles, { from, to, timeframe });
+    const results = [];
+
+    for (let i = 0; i < combinations.length; i++) {
+        const params = combinations[i];
+        const bt = await runBacktest({
+            source, from, to, requireVolumeSpike, symbols, timeframe,
+            exitParams, pruneRules, alertMinMcapFor, tokenInfo,
+            strategies: [{ strategy: impl, params }]
+        });
+        const row = bt.summary.find(s => s.horizon === horizon) || {};
+
+        results.push({
+            params,
+            alerts: row.count || 0,
+            hitRate: row.hitRate ?? null,
+            winRate: row.winRate ?? null,
+            medianReturn: row.medianReturn ?? null,
+            avgMaxDrawdown: row.avgMaxDrawdown ?? null
+        });
+        if (onProgress) onProgress(i + 1, combinations.length);
+    }
+
+    return rankResults(results, minAlerts);
+};
+
+// ── Persistence ───────────────────────────────────────────────────────────────
+
+/**
+ * Save a finished sweep. `meta` holds the SweepRun header fields.
+ */
+const saveSweep = async (meta, results) => {
+    const doc = await SweepRun.create({ ...meta, combinations: results.length, results });
+    return doc.toObject();
+};
+
+const listSweeps = async (limit = 10) => {
+    return SweepRun.find()
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('-results')
+        .lean();
+};
+
+/**
+ * Mark one ranked result of a sweep as the live parameter set for its strategy.
+ * Any previously promoted run of the same strategy is demoted.
+ *
+ * @param {string} runId
+ * @param {number} [rank=1] - 1-based rank within the run's results
+ * @returns {Promise<{ strategy, params }>} The promoted strategy and parameters
+ */
+const promoteSweep = async (runId, rank = 1) => {
+    const run = await SweepRun.findById(runId).lean();
+    if (!run) throw new Error(`Sweep run ${runId} not found`);
+
+    const chosen = run.results[rank - 1];
+    if (!chosen) throw new Error(`Sweep run ${runId} has no result at rank ${rank}`);
+
+    await SweepRun.updateMany({ strategy: run.strategy, promoted: true }, { $set: { promoted: false } });
+    await SweepRun.updateOne({ _id: runId }, {
+        $set: { promoted: true, promotedAt: new Date(), promotedParams: chosen.params }
+    });
+    return { strategy: run.strategy, params: chosen.params };
+};
+
+/**
+ * Promoted parameters per strategy: { strategyName: params }. Empty if none.
+ */
+const getPromotedParams = async () => {
+    const runs = await SweepRun.find({ promoted: true }).sort({ promotedAt: 1 }).lean();
+    const byStrategy = {};
+    for (const run of runs) byStrategy[run.strategy] = run.promotedParams; // newest wins
+    return byStrategy;
+};
+
+module.exports = {
+    spaceFor,
+    gridCombinations,
+    randomCombinations,
+    rankResults,
+    runSweep,
+    saveSweep,
+    listSweeps,
+    promoteSweep,
+    getPromotedParams
+};
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getStrategy } = require('./strategies');
+const { spaceFor, gridCombinations, randomCombinations, rankResults } = require('./optimizer');
+
+const emaRsi = getStrategy('ema_rsi');
+
+test('the default space uses sweep lists and pins volume-only parameters without the spike filter', () => {
+    const space = spaceFor(emaRsi, { emaFast: [3, 4] });
+    assert.deepEqual(space.emaFast, [3, 4]);
+    assert.deepEqual(space.emaSlow, [20, 26, 34]);
+    assert.deepEqual(space.volumeMultiplier, [emaRsi.params.volumeMultiplier.default]);
+    assert.deepEqual(spaceFor(emaRsi, {}, true).volumeMultiplier, [1.5, 2, 3]);
+});
+
+test('the grid drops invalid combinations', () => {
+    const space = { ...spaceFor(emaRsi), emaFast: [9, 20, 30], emaSlow: [20, 26], rsiThreshold: [50] };
+    const combos = gridCombinations(emaRsi, space);
+    assert.deepEqual(combos.map(c => [c.emaFast, c.emaSlow]), [[9, 20], [9, 26], [20, 26]]);
+    assert.ok(combos.every(c => c.rsiPeriod === 14));
+});
+
+test('random sampling draws distinct valid combinations', () => {
+    let seed = 1;
+    const rng = () => ((seed = (seed * 16807) % 2147483647) / 2147483647);
+    const space = spaceFor(emaRsi);
+    const sample = randomCombinations(emaRsi, space, 5, rng);
+    assert.equal(sample.length, 5);
+    assert.equal(new Set(sample.map(c => JSON.stringify(c))).size, 5);
+    assert.equal(randomCombinations(emaRsi, space, 1000, rng).length, gridCombinations(emaRsi, space).length);
+});
+
+test('ranking: enough alerts first, then hit rate, median return, drawdown', () => {
+    const row = (name, alerts, hitRate, medianReturn, avgMaxDrawdown) => ({ params: { name }, alerts, hitRate, medianReturn, avgMaxDrawdown });
+    const ranked = rankResults([
+        row('few', 2, 100, 50, -1),
+        row('best', 10, 60, 5, -20),
+        row('shallower', 10, 50, 8, -5),
+        row('deeper', 10, 50, 8, -25),
+        row('none', 10, null, null, null)
+    ], 5);
+    assert.deepEqual(ranked.map(r => r.params.name), ['best', 'shallower', 'deeper', 'none', 'few']);
+});
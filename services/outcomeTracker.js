@@ -0,0 +1,202 @@
+/**
+ * outcomeTracker.js
+ *
+ * Scores every alert at fixed horizons after it fired, using the stored candles.
+ *
+ * For each horizon (+5m, +15m, +1h, +6h, +24h) we record, relative to the alert price:
+ *   - maxGain     — highest high within the window
+ *   - maxDrawdown — lowest low within the window
+ *   - return      — close of the last candle in the window (close-to-close)
+ *
+ * Design:
+ *   - A background timer wakes every minute and looks for alerts with horizons
+ *     that have elapsed but are not yet scored (Alert.outcomesComplete not true —
+ *     alerts stored before the tracker have no such field).
+ *   - Each horizon is scored once and appended to Alert.outcomes.
+ *   - Once every horizon is scored the alert is marked complete and never queried again.
+ */
+
+'use strict';
+
+const Alert = require('../models/Alert');
+const Candle = require('../models/Candle');
+
+const HORIZONS = [
+    { label: '5m', ms: 5 * 60 * 1000 },
+    { label: '15m', ms: 15 * 60 * 1000 },
+    { label: '1h', ms: 60 * 60 * 1000 },
+    { label: '6h', ms: 6 * 60 * 60 * 1000 },
+    { label: '24h', ms: 24 * 60 * 60 * 1000 },
+];
+
+const CHECK_INTERVAL_MS = 60 * 1000;  // how often the tracker wakes up
+const SETTLE_MS = 60 * 1000;          // let the last candle of a window close + persist
+const HIT_THRESHOLD_PCT = 20;         // an alert "hits" if it gains >= 20% within the horizon
+
+// ── Pure scoring ──────────────────────────────────────────────────────────────
+
+/**
+ * Score a window of candles against an entry price.
+ * @param {number}   entryPrice
+ * @param {object[]} candles - Candles sorted oldest→newest that fall inside the window
+ * @returns {{ maxGain, maxDrawdown, return, candleCount }}
+ */
+const computeOutcome = (entryPrice, candles) => {
+    if (!entryPrice || !candles || candles.length === 0) {
+        return { maxGain: null, maxDrawdown: null, return: null, candleCount: 0 };
+    }
+
+    let high = -Infinity;
+    let low = Infinity;
+    for (const c of candles) {
+        if (c.high > high) high = c.high;
+        if (c.low < low) low = c.low;
+    }
+    const lastClose = candles[candles.length - 1].close;
+
+    return {
+        maxGain: ((high - entryPrice) / entryPrice) * 100,
+        maxDrawdown: ((low - entryPrice) / entryPrice) * 100,
+        return: ((lastClose - entryPrice) / entryPrice) * 100,
+        candleCount: candles.length
+    };
+};
+
+// ── Tracker ───────────────────────────────────────────────────────────────────
+
+/**
+ * Score all elapsed-but-unscored horizons for a single alert.
+ */
+const scoreAlert = async (alert, now) => {
+    const sentAt = new Date(alert.sentAt).getTime();
+    const scored = new Set((alert.outcomes || []).map(o => o.horizon));
+    const newOutcomes = [];
+
+    for (const h of HORIZONS) {
+        if (scored.has(h.label)) continue;
+        if (sentAt + h.ms + SETTLE_MS > now) break; // horizons are ascending
+
+        const candles = await Candle.find({
+            tokenAddress: alert.tokenAddress,
+            timeframe: '15s',
+            timestamp: { $gte: new Date(sentAt), $lt: new Date(sentAt + h.ms) }
+        })
+            .sort({ timestamp: 1 })
+            .lean();
+
+        newOutcomes.push({ horizon: h.label, ...computeOutcome(alert.price, candles), evaluatedAt: new Date() });
+    }
+
+    if (newOutcomes.length === 0) return 0;
+
+    const complete = scored.size + newOutcomes.length >= HORIZONS.length;
+    await Alert.updateOne(
+        { _id: alert._id },
+        {
+            $push: { outcomes: { $each: newOutcomes } },
+            $set: { outcomesComplete: complete }
+        }
+    );
+    return newOutcomes.length;
+};
+
+let _running = false;
+
+/**
+ * Find alerts with pending horizons and score them.
+ * Safe to call concurrently — overlapping runs are skipped.
+ */
+const evaluatePending = async () => {
+    if (_running) return;
+    _running = true;
+
+    try {
+        const now = Date.now();
+        const shortest = HORIZONS[0].ms + SETTLE_MS;
+        const alerts = await Alert.find({
+            outcomesComplete: { $ne: true },
+            sentAt: { $lte: new Date(now - shortest) }
+        })
+            .select('tokenAddress price sentAt outcomes')
+            .lean();
+
+        let scored = 0;
+        for (const alert of alerts) {
+            scored += await scoreAlert(alert, now);
+        }
+
+        if (scored > 0) console.log(`[Outcomes] Scored ${scored} horizon(s) across ${alerts.length} alert(s).`);
+    } catch (err) {
+        console.error('[Outcomes] Evaluation error:', err.message);
+    } finally {
+        _running = false;
+    }
+};
+
+let timer = null;
+
+/**
+ * Start the background scoring loop.
+ */
+const start = () => {
+    if (timer) return;
+    console.log('[Outcomes] Starting alert outcome tracker (60s interval)...');
+    evaluatePending();
+    timer = setInterval(evaluatePending, CHECK_INTERVAL_MS);
+};
+
+// ── Hit rates ─────────────────────────────────────────────────────────────────
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Aggregate outcomes per horizon. Outcomes without candle data are excluded.
+ *
+ * @param {Array<object[]>} outcomeLists - One `outcomes` array per alert
+ * @returns {Array<{ horizon, count, hitRate, winRate, medianReturn, avgMaxDrawdown }>}
+ */
+const summarizeOutcomes = (outcomeLists) => {
+    return HORIZONS.map(h => {
+        const rows = outcomeLists
+            .map(list => (list || []).find(o => o.horizon === h.label))
+            .filter(o => o && o.candleCount > 0);
+
+        if (rows.length === 0) {
+            return { horizon: h.label, count: 0, hitRate: null, winRate: null, medianReturn: null, avgMaxDrawdown: null };
+        }
+
+        const hits = rows.filter(o => o.maxGain >= HIT_THRESHOLD_PCT).length;
+        const wins = rows.filter(o => o.return > 0).length;
+        return {
+            horizon: h.label,
+            count: rows.length,
+            hitRate: (hits / rows.length) * 100,
+            winRate: (wins / rows.length) * 100,
+            medianReturn: median(rows.map(o => o.return)),
+            avgMaxDrawdown: rows.reduce((sum, o) => sum + o.maxDrawdown, 0) / rows.length
+        };
+    });
+};
+
+/**
+ * Hit-rate stats for stored alerts sent since `since`.
+ *
+ * @param {object} [opts]
+ * @param {Date}   [opts.since]    - Only alerts sent at/after this time (default: all)
+ * @param {string} [opts.strategy] - Only alerts from this strategy (default: all)
+ */
+const getHitRates = async ({ since = null, strategy = null } = {}) => {
+    const query = { 'outcomes.0': { $exists: true } };
+    if (since) query.sentAt = { $gte: since };
+    if (strategy) query.strategy = strategy;
+
+    const alerts = await Alert.find(query).select('outcomes').lean();
+    return summarizeOutcomes(alerts.map(a => a.outcomes));
+};
+
+module.exports = { HORIZONS, HIT_THRESHOLD_PCT, computeOutcome, summarizeOutcomes, evaluatePending, start, getHitRates };
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Alert = require('../models/Alert');
+const Candle = require('../models/Candle');
+const { HORIZONS, computeOutcome, summarizeOutcomes, evaluatePending } = require('./outcomeTracker');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+test('computeOutcome scores peak, trough and last close against the entry', () => {
+    const candles = [
+        { high: 1.5, low: 0.9, close: 1.2 },
+        { high: 2, low: 1.1, close: 1.8 },
+        { high: 1.9, low: 0.5, close: 0.75 }
+    ];
+    assert.deepEqual(computeOutcome(1, candles), { maxGain: 100, maxDrawdown: -50, return: -25, candleCount: 3 });
+    assert.deepEqual(computeOutcome(1, []), { maxGain: null, maxDrawdown: null, return: null, candleCount: 0 });
+    assert.equal(computeOutcome(0, candles).candleCount, 0);
+});
+
+test('summarizeOutcomes aggregates per horizon and skips empty windows', () => {
+    const outcome = (horizon, maxGain, ret, maxDrawdown) => ({ horizon, maxGain, return: ret, maxDrawdown, candleCount: 10 });
+    const summary = summarizeOutcomes([
+        [outcome('5m', 25, 10, -5), outcome('1h', 50, 40, -10)],
+        [outcome('5m', 5, -2, -15)],
+        [outcome('5m', 30, 4, -10)],
+        [{ horizon: '5m', candleCount: 0, maxGain: null, return: null, maxDrawdown: null }],
+        null
+    ]);
+
+    assert.deepEqual(summary.map(s => s.horizon), HORIZONS.map(h => h.label));
+    const fiveMin = summary[0];
+    assert.equal(fiveMin.count, 3);
+    assert.equal(fiveMin.hitRate, (2 / 3) * 100);
+    assert.equal(fiveMin.winRate, (2 / 3) * 100);
+    assert.equal(fiveMin.medianReturn, 4);
+    assert.equal(fiveMin.avgMaxDrawdown, -10);
+    assert.deepEqual(summary[1], { horizon: '15m', count: 0, hitRate: null, winRate: null, medianReturn: null, avgMaxDrawdown: null });
+    assert.equal(summary[2].medianReturn, 40);
+});
+
+test('evaluatePending scores only elapsed horizons, including alerts without the completion flag', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: T0 + 20 * 60000 });
+    const alert = { _id: 'a1', tokenAddress: 'Mint', price: 0.5, sentAt: new Date(T0), outcomes: [{ horizon: '5m' }] };
+
+    let query;
+    t.mock.method(Alert, 'find', (q) => { query = q; return { select: () => ({ lean: async () => [alert] }) }; });
+    const windows = [];
+    t.mock.method(Candle, 'find', (q) => {
+        windows.push(q.timestamp.$lt.getTime() - T0);
+        return { sort: () => ({ lean: async () => [{ high: 1, low: 0.25, close: 0.75 }] }) };
+    });
+    const updateOne = t.mock.method(Alert, 'updateOne', async () => ({}));
+    t.mock.method(console, 'log', () => {});
+
+    await evaluatePending();
+    assert.deepEqual(query.outcomesComplete, { $ne: true });
+    assert.deepEqual(windows, [15 * 60000]); // 5m already scored, 1h not elapsed
+    const update = updateOne.mock.calls[0].arguments[1];
+    assert.equal(update.$push.outcomes.$each[0].horizon, '15m');
+    assert.deepEqual(
+        [update.$push.outcomes.$each[0].maxGain, update.$push.outcomes.$each[0].maxDrawdown, update.$push.outcomes.$each[0].return],
+        [100, -50, 50]
+    );
+    assert.equal(update.$set.outcomesComplete, false);
+});
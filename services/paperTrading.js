@@ -0,0 +1,246 @@
+/**
+ * paperTrading.js
+ *
+ * Paper-trading portfolio: every alert opens a simulated position of a fixed USD
+ * size at the alert price, so the team can see how following the bot would have done.
+ *
+ * Exit rules (checked on every mark-to-market, first match wins):
+ *   - take_profit — price ≥ entry × (1 + takeProfitPct / 100)
+ *   - stop_loss   — price ≤ entry × (1 − stopLossPct / 100)
+ *   - time_stop   — position open for longer than timeStopHours
+ * Positions of pruned or untracked tokens are closed at the price they were dropped at.
+ *
+ * Design:
+ *   - Positions live in the Position collection; nothing is held in memory.
+ *   - A background timer prices every open position from candleManager.getLastPrice,
+ *     falling back to the latest stored candle close, and persists unrealized PnL.
+ */
+
+'use strict';
+
+const Position = require('../models/Position');
+const Candle = require('../models/Candle');
+const candleManager = require('./candleManager');
+const { BASE_TIMEFRAME } = require('./timeframes');
+
+const DEFAULT_PAPER_PARAMS = {
+    size: 100,            // USD per position
+    takeProfitPct: 100,   // close at +100% (2×)
+    stopLossPct: 30,      // close at −30%
+    timeStopHours: 24,    // close whatever is left after 24h
+};
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// ── Pure helpers ──────────────────────────────────────────────────────────────
+
+/**
+ * PnL of a position at a given price.
+ * @returns {{ pnl, pct }}
+ */
+const pnlAt = (position, price) => ({
+    pnl: position.quantity * price - position.size,
+    pct: ((price - position.entryPrice) / position.entryPrice) * 100
+});
+
+/**
+ * Which exit rule (if any) closes the position at `price`.
+ * @returns {'take_profit'|'stop_loss'|'time_stop'|null}
+ */
+const checkPaperExit = (position, price, now = Date.now(), params = {}) => {
+    const p = { ...DEFAULT_PAPER_PARAMS, ...params };
+    const { pct } = pnlAt(position, price);
+
+    if (p.takeProfitPct > 0 && pct >= p.takeProfitPct) return 'take_profit';
+    if (p.stopLossPct > 0 && pct <= -p.stopLossPct) return 'stop_loss';
+    if (p.timeStopHours > 0 && now - new Date(position.openedAt).getTime() >= p.timeStopHours * 3600000) {
+        return 'time_stop';
+    }
+    return null;
+};
+
+// ── Pricing ───────────────────────────────────────────────────────────────────
+
+/**
+ * Live price from the candle manager, or the latest stored 15s candle close
+ * (rollups and backfill can end earlier).
+ * @returns {Promise<number|null>}
+ */
+const currentPrice = async (tokenAddress) => {
+    const live = candleManager.getLastPrice(tokenAddress);
+    if (live) return live;
+
+    const latest = await Candle.findOne({ tokenAddress, timeframe: BASE_TIMEFRAME }).sort({ timestamp: -1 }).select('close').lean();
+    return latest ? latest.close : null;
+};
+
+// ── Positions ─────────────────────────────────────────────────────────────────
+
+/**
+ * Open a position for a freshly sent alert.
+ * @param {object} alert    - Saved Alert document (plain object)
+ * @param {object} [params] - Overrides for DEFAULT_PAPER_PARAMS
+ * @returns {Promise<object|null>}
+ */
+const openPaperPosition = async (alert, params = {}) => {
+    if (!alert || !alert.price) return null;
+    const { size } = { ...DEFAULT_PAPER_PARAMS, ...params };
+
+    try {
+        const doc = await Position.create({
+            alertId: alert._id,
+            tokenAddress: alert.tokenAddress,
+            symbol: alert.symbol,
+            strategy: alert.strategy,
+            size,
+            entryPrice: alert.price,
+            entryMarketCap: alert.marketCap,
+            quantity: size / alert.price,
+            openedAt: alert.sentAt || new Date(),
+            lastPrice: alert.price,
+            lastPricedAt: new Date(),
+            peakPrice: alert.price
+        });
+        return doc.toObject();
+    } catch (err) {
+        console.error('[Paper] Open position error:', err.message);
+        return null;
+    }
+};
+
+const closeWith = async (position, price, reason) => {
+    const { pnl, pct } = pnlAt(position, price);
+    await Position.updateOne({ _id: position._id, status: 'open' }, {
+        $set: {
+            status: 'closed',
+            exitPrice: price,
+            exitReason: reason,
+            closedAt: new Date(),
+            lastPrice: price,
+            lastPricedAt: new Date(),
+            realizedPnl: pnl,
+            realizedPct: pct,
+            unrealizedPnl: 0,
+            unrealizedPct: 0
+        }
+    });
+    console.log(`[Paper] Closed ${position.symbol} (${reason}) ${pct >= 0 ? '+' : ''}${pct.toFixed(1)}% / $${pnl.toFixed(2)}`);
+};
+
+/**
+ * Close every open position of a token (e.g. when it is pruned).
+ * @param {string} tokenAddress
+ * @param {string} [reason]
+ * @param {number|null} [price] - Price the token was dropped at; defaults to currentPrice()
+ * @returns {Promise<number>} Positions closed
+ */
+const closeTokenPositions = async (tokenAddress, reason = 'pruned', price = null) => {
+    const open = await Position.find({ tokenAddress, status: 'open' }).lean();
+    if (open.length === 0) return 0;
+
+    if (!price) price = await currentPrice(tokenAddress);
+    for (const position of open) await closeWith(position, price ?? position.lastPrice, reason);
+    return open.length;
+};
+
+let _running = false;
+
+/**
+ * Price every open position, persist unrealized PnL and apply the exit rules.
+ * Overlapping runs are skipped.
+ */
+const markToMarket = async (params = {}) => {
+    if (_running) return;
+    _running = true;
+
+    try {
+        const open = await Position.find({ status: 'open' }).lean();
+        const now = Date.now();
+
+        for (const position of open) {
+            const price = await currentPrice(position.tokenAddress);
+            if (!price) continue;
+
+            const reason = checkPaperExit(position, price, now, params);
+            if (reason) {
+                await closeWith(position, price, reason);
+                continue;
+            }
+
+            const { pnl, pct } = pnlAt(position, price);
+            await Position.updateOne({ _id: position._id }, {
+                $set: {
+                    lastPrice: price,
+                    lastPricedAt: new Date(now),
+                    peakPrice: Math.max(position.peakPrice || 0, price),
+                    unrealizedPnl: pnl,
+                    unrealizedPct: pct
+                }
+            });
+        }
+    } catch (err) {
+        console.error('[Paper] Mark-to-market error:', err.message);
+    } finally {
+        _running = false;
+    }
+};
+
+let timer = null;
+
+/**
+ * Start the background mark-to-market loop.
+ * @param {Function} getParams - Returns the current paper-trading params (read on every run)
+ */
+const start = (getParams = () => ({})) => {
+    if (timer) return;
+    console.log('[Paper] Starting paper-trading mark-to-market (30s interval)...');
+    markToMarket(getParams());
+    timer = setInterval(() => markToMarket(getParams()), CHECK_INTERVAL_MS);
+};
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+
+const getOpenPositions = async () => Position.find({ status: 'open' }).sort({ openedAt: -1 }).lean();
+
+const getClosedPositions = async (limit = 10) => {
+    return Position.find({ status: 'closed' }).sort({ closedAt: -1 }).limit(limit).lean();
+};
+
+/**
+ * Portfolio totals: realized PnL of closed positions and unrealized PnL of open ones.
+ */
+const getPnlSummary = async () => {
+    const [open, closed] = await Promise.all([
+        Position.find({ status: 'open' }).select('size unrealizedPnl').lean(),
+        Position.find({ status: 'closed' }).select('size realizedPnl').lean()
+    ]);
+
+    const realized = closed.reduce((sum, p) => sum + (p.realizedPnl || 0), 0);
+    const unrealized = open.reduce((sum, p) => sum + (p.unrealizedPnl || 0), 0);
+    const invested = closed.reduce((sum, p) => sum + p.size, 0);
+    const wins = closed.filter(p => p.realizedPnl > 0).length;
+
+    return {
+        openCount: open.length,
+        openSize: open.reduce((sum, p) => sum + p.size, 0),
+        closedCount: closed.length,
+        realized,
+        realizedPct: invested > 0 ? (realized / invested) * 100 : null,
+        unrealized,
+        winRate: closed.length > 0 ? (wins / closed.length) * 100 : null
+    };
+};
+
+module.exports = {
+    DEFAULT_PAPER_PARAMS,
+    pnlAt,
+    checkPaperExit,
+    currentPrice,
+    openPaperPosition,
+    closeTokenPositions,
+    markToMarket,
+    start,
+    getOpenPositions,
+    getClosedPositions,
+    getPnlSummary
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Position = require('../models/Position');
+const Candle = require('../models/Candle');
+const paper = require('./paperTrading');
+
+const MINT = 'Paper111111111111111111111111111111111pump';
+
+const openPosition = { _id: 'p1', tokenAddress: MINT, symbol: 'PAPER', size: 100, entryPrice: 1, quantity: 100, lastPrice: 1.2, status: 'open' };
+
+const mockPositions = (t) => {
+    t.mock.method(Position, 'find', () => ({ lean: async () => [openPosition] }));
+    t.mock.method(console, 'log', () => {});
+    return t.mock.method(Position, 'updateOne', async () => ({}));
+};
+
+test('closeTokenPositions closes at the price the token was dropped at', async (t) => {
+    const updateOne = mockPositions(t);
+    const findOne = t.mock.method(Candle, 'findOne', () => { throw new Error('not expected'); });
+
+    assert.equal(await paper.closeTokenPositions(MINT, 'pruned', 0.5), 1);
+    const { $set } = updateOne.mock.calls[0].arguments[1];
+    assert.equal($set.exitPrice, 0.5);
+    assert.equal($set.exitReason, 'pruned');
+    assert.equal($set.realizedPnl, -50);
+    assert.equal(findOne.mock.callCount(), 0);
+});
+
+test('without a price it falls back to the latest 15s close', async (t) => {
+    const updateOne = mockPositions(t);
+    let query;
+    t.mock.method(Candle, 'findOne', (q) => {
+        query = q;
+        const chain = { sort: () => chain, select: () => chain, lean: async () => ({ close: 2 }) };
+        return chain;
+    });
+
+    await paper.closeTokenPositions(MINT, 'untracked');
+    assert.deepEqual(query, { tokenAddress: MINT, timeframe: '15s' });
+    assert.equal(updateOne.mock.calls[0].arguments[1].$set.exitPrice, 2);
+});
+
+test('pnlAt and the paper exit rules', () => {
+    const position = { size: 100, entryPrice: 0.5, quantity: 200, openedAt: new Date(0) };
+    assert.deepEqual(paper.pnlAt(position, 0.75), { pnl: 50, pct: 50 });
+
+    const hour = 3600000;
+    assert.equal(paper.checkPaperExit(position, 1, hour), 'take_profit');
+    assert.equal(paper.checkPaperExit(position, 0.35, hour), 'stop_loss');
+    assert.equal(paper.checkPaperExit(position, 0.6, hour), null);
+    assert.equal(paper.checkPaperExit(position, 0.6, 24 * hour), 'time_stop');
+    assert.equal(paper.checkPaperExit(position, 1, hour, { takeProfitPct: 150 }), null);
+    assert.equal(paper.checkPaperExit(position, 0.6, 24 * hour, { timeStopHours: 0 }), null);
+});
+
+test('openPaperPosition buys a fixed USD size at the alert price', async (t) => {
+    const create = t.mock.method(Position, 'create', async (doc) => ({ toObject: () => doc }));
+    const alert = { _id: 'a1', tokenAddress: MINT, symbol: 'PAPER', strategy: 'ema_rsi', price: 0.25, marketCap: 250000, sentAt: new Date(0) };
+
+    const position = await paper.openPaperPosition(alert, { size: 50 });
+    assert.equal(position.quantity, 200);
+    assert.equal(position.size, 50);
+    assert.equal(await paper.openPaperPosition({ ...alert, price: 0 }), null);
+    assert.equal(create.mock.callCount(), 1);
+});
+
+test('markToMarket closes on an exit rule and marks the rest', async (t) => {
+    const positions = [
+        { _id: 'up', tokenAddress: 'Up', symbol: 'UP', size: 100, entryPrice: 1, quantity: 100, peakPrice: 1, openedAt: new Date(), status: 'open' },
+        { _id: 'flat', tokenAddress: 'Flat', symbol: 'FLAT', size: 100, entryPrice: 1, quantity: 100, peakPrice: 1.5, openedAt: new Date(), status: 'open' }
+    ];
+    t.mock.method(Position, 'find', () => ({ lean: async () => positions }));
+    const updateOne = t.mock.method(Position, 'updateOne', async () => ({}));
+    t.mock.method(console, 'log', () => {});
+    const candleManager = require('./candleManager');
+    t.mock.method(candleManager, 'getLastPrice', (address) => ({ Up: 2.5, Flat: 1.2 }[address]));
+
+    await paper.markToMarket();
+    const [[, closed], [, marked]] = updateOne.mock.calls.map(c => c.arguments);
+    assert.equal(closed.$set.exitReason, 'take_profit');
+    assert.equal(closed.$set.realizedPnl, 150);
+    assert.equal(marked.$set.unrealizedPnl.toFixed(2), '20.00');
+    assert.equal(marked.$set.peakPrice, 1.5);
+});
@@ -0,0 +1,277 @@
+/**
+ * priceFeed.js
+ *
+ * Polls live prices for every tracked token every 15s and feeds them into the
+ * candle manager, tagged with the provider they came from (candle `source`).
+ *
+ * Cycles never overlap: the next one is scheduled when the current one ends.
+ * When a provider's rate budget can't cover the tracked tokens every 15s
+ * (minIntervalMs: Jupiter's tier budget, GeckoTerminal's request queue), the interval stretches to the next multiple of 15s so
+ * candles stay aligned.
+ *
+ * Providers (services/priceProviders.js) are tried in the order of
+ * settings.priceFeed.providers — Jupiter first, DexScreener and GeckoTerminal
+ * as fallbacks:
+ *
+ *   - The primary is polled on every cycle.
+ *   - Once its last successful response (getLastUpdate) is older than
+ *     settings.priceFeed.staleAfterSec (at least two intervals), the feed
+ *     fails over: fallbacks are tried by health score until one returns prices.
+ *   - As soon as the primary answers again, prices come from it again.
+ *
+ * Second opinions: when the bad-tick filter holds a price jump until another
+ * source confirms it (settings.tickFilter.confirmJumps), the first provider
+ * other than the tick's own is asked for that token's price right away.
+ *
+ * Health per provider: an exponentially weighted success rate (1 = every
+ * recent call returned prices), consecutive failures, latency and last error.
+ * Failover and recovery are announced to onChange() listeners (Telegram).
+ */
+
+const EventEmitter = require('events');
+const settings = require('../config/settings');
+const candleManager = require('./candleManager');
+const { getPriceProvider, priceProviderNames } = require('./priceProviders');
+
+const POLLING_INTERVAL = 15000; // 15 seconds
+const SCORE_WEIGHT = 0.3;       // weight of the latest call in the health score
+
+const events = new EventEmitter();
+const trackedMints = new Set();
+const confirming = new Set();   // mints with a second-opinion request in flight
+const health = new Map(priceProviderNames().map(name => [name, {
+    score: 1, attempts: 0, failures: 0, lastError: null, latencyMs: null, priced: 0
+}]));
+
+let timer = null;
+let running = false;
+let polling = false;
+let intervalMs = POLLING_INTERVAL;
+let startedAt = 0;
+let lastUpdate = 0;
+let active = null;       // provider the last prices came from (null = none answered)
+
+/**
+ * Get the timestamp of the last price fed into the candle manager.
+ */
+const getLastUpdate = () => lastUpdate;
+
+const getActiveProvider = () => active;
+
+/**
+ * Add a token to the polling list.
+ * @param {string} mintAddress
+ */
+const trackToken = (mintAddress) => {
+    trackedMints.add(mintAddress);
+    console.log(`[PriceFeed] Tracking ${mintAddress} (Total: ${trackedMints.size})`);
+};
+
+/**
+ * Remove a token from the polling list.
+ * @param {string} mintAddress
+ */
+const untrackToken = (mintAddress) => {
+    trackedMints.delete(mintAddress);
+};
+
+const providerOrder = () => (settings.priceFeed.providers || []).map(getPriceProvider).filter(Boolean);
+
+const staleForMs = (provider) => Date.now() - Math.max(provider.getLastUpdate(), startedAt);
+
+// A stretched interval must not look like an outage
+const isStale = (provider) => staleForMs(provider) > Math.max(settings.priceFeed.staleAfterSec * 1000, 2 * intervalMs);
+
+/**
+ * Interval for the next cycle: 15s, stretched to a multiple of 15s when the
+ * primary's (or active fallback's) rate budget needs longer for all mints.
+ */
+const nextIntervalMs = () => {
+    const polled = providerOrder().filter((p, i) => i === 0 || p.name === active);
+    const needed = Math.max(0, ...polled.map(p => (p.minIntervalMs ? p.minIntervalMs(trackedMints.size) : 0)));
+    const next = Math.max(1, Math.ceil(needed / POLLING_INTERVAL)) * POLLING_INTERVAL;
+
+    if (next !== intervalMs) {
+        console.warn(next > POLLING_INTERVAL
+            ? `[PriceFeed] ${trackedMints.size} tokens exceed the rate budget — polling every ${next / 1000}s`
+            : `[PriceFeed] Back to polling every ${next / 1000}s`);
+    }
+    return next;
+};
+
+/**
+ * Fetch from one provider and update its health.
+ * @returns {Promise<Map<string, number>>}
+ */
+const attempt = async (provider, mints) => {
+    const h = health.get(provider.name);
+    const t0 = Date.now();
+    let prices = new Map();
+    try {
+        prices = await provider.getPrices(mints);
+        h.lastError = prices.size > 0 ? null : 'no prices returned';
+    } catch (err) {
+        h.lastError = err.message;
+    }
+
+    const ok = prices.size > 0;
+    h.attempts++;
+    h.failures = ok ? 0 : h.failures + 1;
+    h.score = h.score * (1 - SCORE_WEIGHT) + (ok ? 1 : 0) * SCORE_WEIGHT;
+    h.latencyMs = Date.now() - t0;
+    h.priced = prices.size;
+    return prices;
+};
+
+/**
+ * Record which provider is feeding prices; announce failover / recovery.
+ */
+const switchTo = (name, primary) => {
+    if (name === active) return;
+    const previous = active;
+    active = name;
+
+    const label = (n) => getPriceProvider(n)?.label || n;
+    let message;
+    if (name === primary.name) {
+        message = `${label(name)} is back — live prices from ${label(name)} again`;
+    } else if (name) {
+        message = `${primary.label} stale for ${Math.round(staleForMs(primary) / 1000)}s — live prices from ${label(name)}`;
+    } else {
+        message = 'No price provider is answering — live candles paused';
+    }
+    console.warn(`[PriceFeed] ${message}`);
+    events.emit('change', { from: previous, to: name, primary: primary.name, message });
+};
+
+/**
+ * One polling cycle: primary first, fallbacks by health score if it's stale.
+ */
+const poll = async () => {
+    // Also guards manual calls; the timer never overlaps cycles
+    if (trackedMints.size === 0 || polling) return;
+    polling = true;
+
+    try {
+        const mints = Array.from(trackedMints);
+        const [primary, ...fallbacks] = providerOrder();
+        if (!primary) return;
+
+        let prices = await attempt(primary, mints);
+        let source = primary.name;
+
+        if (prices.size === 0 && isStale(primary)) {
+            source = null;
+            const ranked = [...fallbacks].sort((a, b) => health.get(b.name).score - health.get(a.name).score);
+            for (const fallback of ranked) {
+                prices = await attempt(fallback, mints);
+                if (prices.size > 0) { source = fallback.name; break; }
+            }
+        }
+
+        if (prices.size > 0 || source === null) switchTo(source, primary);
+        if (prices.size === 0) return;
+
+        lastUpdate = Date.now();
+        for (const [mint, price] of prices) {
+            console.log(`[PriceFeed] ${mint.slice(0, 8)}: ${price} USDC (${source})`);
+            candleManager.addTrade(mint, price, 0, { source });
+        }
+    } finally {
+        polling = false;
+    }
+};
+
+/**
+ * Ask a provider other than the held tick's own for the token's price; the
+ * answer goes through addTrade and confirms or contradicts the jump.
+ */
+const confirmTick = async ({ tokenAddress, source }) => {
+    const other = providerOrder().find(p => p.name !== source);
+    if (!other || confirming.has(tokenAddress)) return;
+    confirming.add(tokenAddress);
+    try {
+        const price = (await other.getPrices([tokenAddress])).get(tokenAddress);
+        if (price) candleManager.addTrade(tokenAddress, price, 0, { source: other.name });
+    } catch (err) {
+        console.error(`[PriceFeed] Second opinion from ${other.label} failed:`, err.message);
+    } finally {
+        confirming.delete(tokenAddress);
+    }
+};
+
+candleManager.on('tickHeld', confirmTick);
+
+/**
+ * Health of every configured provider, in order of preference.
+ * @returns {{ name, label, primary, active, score, stale, lastUpdate, failures, latencyMs, priced, lastError }[]}
+ */
+const getHealth = () => providerOrder().map((p, i) => ({
+    name: p.name,
+    label: p.label,
+    primary: i === 0,
+    active: p.name === active,
+    ...health.get(p.name),
+    stale: startedAt > 0 && isStale(p),
+    lastUpdate: p.getLastUpdate()
+}));
+
+/**
+ * Subscribe to failover / recovery.
+ * @param {function({ from, to, primary, message }): void} listener
+ */
+const onChange = (listener) => events.on('change', listener);
+
+/**
+ * Run a cycle, then schedule the next one relative to when this one started.
+ * A cycle that outlasts the interval (retries, a throttled fallback) is
+ * followed by the next one right away instead of overlapping it.
+ */
+const cycle = async () => {
+    const t0 = Date.now();
+    try {
+        await poll();
+    } catch (err) {
+        console.error('[PriceFeed] Polling error:', err.message);
+    }
+    if (!running) return;
+
+    const elapsed = Date.now() - t0;
+    if (elapsed > intervalMs) console.warn(`[PriceFeed] Cycle took ${(elapsed / 1000).toFixed(1)}s (interval ${intervalMs / 1000}s)`);
+    intervalMs = nextIntervalMs();
+    timer = setTimeout(cycle, Math.max(0, intervalMs - elapsed));
+};
+
+/**
+ * Start the polling loop.
+ */
+const start = () => {
+    if (running) return;
+    running = true;
+    startedAt = Date.now();
+    active = providerOrder()[0]?.name || null;
+    console.log(`[PriceFeed] Starting price polling (15s interval, ${providerOrder().map(p => p.label).join(' → ')})...`);
+
+    cycle();
+};
+
+const stop = () => {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+};
+
+const getIntervalMs = () => intervalMs;
+
+module.exports = {
+    trackToken,
+    untrackToken,
+    start,
+    stop,
+    poll,
+    getLastUpdate,
+    getIntervalMs,
+    getActiveProvider,
+    getHealth,
+    onChange
+};
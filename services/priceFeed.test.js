@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const settings = require('../config/settings');
+const candleManager = require('./candleManager');
+const gecko = require('./gecko');
+const { PRICE_PROVIDERS } = require('./priceProviders');
+const priceFeed = require('./priceFeed');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const MINT = 'Feed111111111111111111111111111111111pump';
+
+// Provider stand-ins: `answers[name]` is the price to return (null = no prices, Error = throw)
+const mockProviders = (t, answers, lastUpdates = {}) => {
+    for (const name of Object.keys(PRICE_PROVIDERS)) {
+        t.mock.method(PRICE_PROVIDERS[name], 'getPrices', async (mints) => {
+            const answer = answers[name];
+            if (answer instanceof Error) throw answer;
+            return new Map(answer ? mints.map(m => [m, answer]) : []);
+        });
+        t.mock.method(PRICE_PROVIDERS[name], 'getLastUpdate', () => lastUpdates[name] || 0);
+    }
+};
+
+const setup = (t, apis = ['Date']) => {
+    const saved = settings.priceFeed;
+    settings.priceFeed = { providers: ['jupiter', 'dexscreener', 'gecko'], staleAfterSec: 60 };
+    t.mock.timers.enable({ apis, now: T0 });
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const trades = t.mock.method(candleManager, 'addTrade', () => {});
+    const changes = [];
+    priceFeed.onChange((change) => changes.push(change));
+    priceFeed.trackToken(MINT);
+    t.after(() => {
+        settings.priceFeed = saved;
+        priceFeed.untrackToken(MINT);
+    });
+    return { trades, changes };
+};
+
+const healthOf = (name) => priceFeed.getHealth().find(h => h.name === name);
+
+test('gecko plans price polls on half of its request slots', () => {
+    assert.equal(gecko.minIntervalMs(0), 0);
+    assert.equal(gecko.minIntervalMs(1), 5000);
+    assert.equal(gecko.minIntervalMs(30), 5000);
+    assert.equal(gecko.minIntervalMs(31), 10000);
+});
+
+test('a stale primary fails over to the healthiest fallback and back', async (t) => {
+    const { trades, changes } = setup(t);
+
+    // Jupiter down and never answered; DexScreener empty; GeckoTerminal answers
+    mockProviders(t, { jupiter: new Error('HTTP 503'), dexscreener: null, gecko: 2 });
+    await priceFeed.poll();
+    assert.deepEqual(trades.mock.calls.map(c => c.arguments), [[MINT, 2, 0, { source: 'gecko' }]]);
+    assert.equal(priceFeed.getActiveProvider(), 'gecko');
+    assert.match(changes.at(-1).message, /Jupiter stale .* live prices from GeckoTerminal/);
+    assert.equal(healthOf('jupiter').lastError, 'HTTP 503');
+    assert.equal(healthOf('jupiter').failures, 1);
+    assert.equal(healthOf('dexscreener').lastError, 'no prices returned');
+    assert.ok(healthOf('gecko').score > healthOf('dexscreener').score);
+
+    // Fallbacks are ranked by health: GeckoTerminal goes first now
+    const dexCalls = PRICE_PROVIDERS.dexscreener.getPrices.mock.callCount();
+    await priceFeed.poll();
+    assert.equal(PRICE_PROVIDERS.dexscreener.getPrices.mock.callCount(), dexCalls);
+    assert.equal(trades.mock.callCount(), 2);
+
+    // Jupiter answers again: back on the primary
+    PRICE_PROVIDERS.jupiter.getPrices.mock.mockImplementation(async (mints) => new Map(mints.map(m => [m, 3])));
+    await priceFeed.poll();
+    assert.equal(priceFeed.getActiveProvider(), 'jupiter');
+    assert.deepEqual(trades.mock.calls.at(-1).arguments, [MINT, 3, 0, { source: 'jupiter' }]);
+    assert.match(changes.at(-1).message, /Jupiter is back/);
+    assert.equal(healthOf('jupiter').failures, 0);
+});
+
+test('a primary that answered recently is not failed over from', async (t) => {
+    const { trades, changes } = setup(t);
+    mockProviders(t, { jupiter: null, dexscreener: 2, gecko: 2 }, { jupiter: T0 - 30000 });
+    const before = changes.length;
+
+    await priceFeed.poll();
+    assert.equal(PRICE_PROVIDERS.dexscreener.getPrices.mock.callCount(), 0);
+    assert.equal(PRICE_PROVIDERS.gecko.getPrices.mock.callCount(), 0);
+    assert.equal(trades.mock.callCount(), 0);
+    assert.equal(changes.length, before);
+
+    // Past staleAfterSec it is
+    t.mock.timers.tick(31000);
+    await priceFeed.poll();
+    assert.equal(trades.mock.callCount(), 1);
+});
+
+test('the interval stretches to a multiple of 15s when the primary\'s budget needs longer', async (t) => {
+    setup(t, ['Date', 'setTimeout']);
+    settings.priceFeed = { providers: ['gecko'], staleAfterSec: 60 };
+    mockProviders(t, { gecko: 1 });
+    const mints = Array.from({ length: 99 }, (_, i) => `Many${i}`);
+    for (const mint of mints) priceFeed.trackToken(mint);
+    t.after(() => {
+        priceFeed.stop();
+        for (const mint of mints) priceFeed.untrackToken(mint);
+    });
+
+    // 100 mints = 4 batches = 20s of gecko's price share → every 30s
+    priceFeed.start();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(priceFeed.getIntervalMs(), 30000);
+});
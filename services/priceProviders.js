@@ -0,0 +1,34 @@
+/**
+ * priceProviders.js
+ *
+ * Live price providers the price feed (services/priceFeed.js) can poll. Every
+ * provider has:
+ *   - name             id used in settings.priceFeed.providers and on candles (`source`)
+ *   - label            display name in /api and failover messages
+ *   - getPrices(mints) → Promise<Map<mint, usdPrice>> (unpriced mints left out)
+ *   - getLastUpdate()  ms of the provider's last successful response (0 = never)
+ *   - minIntervalMs(n) optional: shortest polling interval its rate budget allows for n mints
+ *
+ * Order of preference lives in settings.priceFeed.providers: the first is the
+ * primary, the rest are fallbacks.
+ */
+
+const jupiter = require('./jupiter');
+const dexscreener = require('./dexscreener');
+const gecko = require('./gecko');
+
+const PRICE_PROVIDERS = {
+    jupiter: { name: 'jupiter', label: 'Jupiter', getPrices: jupiter.getPrices, getLastUpdate: jupiter.getLastUpdate, minIntervalMs: jupiter.minIntervalMs },
+    dexscreener: { name: 'dexscreener', label: 'DexScreener', getPrices: dexscreener.getPrices, getLastUpdate: dexscreener.getLastUpdate },
+    gecko: { name: 'gecko', label: 'GeckoTerminal', getPrices: gecko.getPrices, getLastUpdate: gecko.getLastUpdate, minIntervalMs: gecko.minIntervalMs },
+};
+
+const getPriceProvider = (name) => PRICE_PROVIDERS[name] || null;
+
+const priceProviderNames = () => Object.keys(PRICE_PROVIDERS);
+
+module.exports = {
+    PRICE_PROVIDERS,
+    getPriceProvider,
+    priceProviderNames
+};
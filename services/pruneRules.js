@@ -0,0 +1,188 @@
+/**
+ * pruneRules.js
+ *
+ * Declarative rules for when a token stops being tracked, shared by the
+ * candle handler, the maintenance loop, discovery (skip dead tokens), the
+ * backtest and scripts/check_prune_targets.js (dry run).
+ *
+ * A rule:
+ *   metric        'marketCap' | 'volume5m' | 'ageHours'
+ *   op            '<' | '<=' | '>' | '>='
+ *   threshold     compared against the metric
+ *   minAgeHours   only applies once the token is at least this old (0 = always)
+ *   graceMinutes  the condition must hold this long before pruning (0 = at once)
+ *   scope         'candle' — every closed candle (and discovery)
+ *                 'maintenance' — the periodic maintenance loop
+ *   enabled       false disables the rule
+ *
+ * settings.pruneRules holds per-rule overrides on top of DEFAULT_PRUNE_RULES
+ * (`/set pruneRules.low_volume.threshold 250`) and may define new rules.
+ * A rule is skipped when its metric is unknown (e.g. DexScreener had no volume),
+ * or when it has a minimum age and the token's age is unknown.
+ *
+ * Grace periods need to remember when a condition first held: callers keep one
+ * state Map per token (rule name → first breach time) and pass it in. Without
+ * state (discovery, dry run) a matching rule hits immediately.
+ */
+
+const Prune = require('../models/Prune');
+
+const DEFAULT_PRUNE_RULES = {
+    low_mcap: { metric: 'marketCap', op: '<', threshold: 2000, minAgeHours: 0, graceMinutes: 0, scope: 'candle', enabled: true },
+    low_volume: { metric: 'volume5m', op: '<', threshold: 100, minAgeHours: 0, graceMinutes: 0, scope: 'maintenance', enabled: true },
+    old_low_mcap: { metric: 'marketCap', op: '<', threshold: 5000, minAgeHours: 2, graceMinutes: 0, scope: 'maintenance', enabled: true },
+};
+
+const RULE_DEFAULTS = { minAgeHours: 0, graceMinutes: 0, scope: 'maintenance', enabled: true };
+
+const METRICS = {
+    marketCap: { label: 'MC', format: (v) => `$${v.toFixed(0)}` },
+    volume5m: { label: '5m volume', format: (v) => `$${v.toFixed(2)}` },
+    ageHours: { label: 'age', format: (v) => `${v.toFixed(1)}h` },
+};
+
+const OPERATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+};
+
+const SCOPES = ['candle', 'maintenance'];
+
+/**
+ * Merge overrides onto the default rules.
+ * @param {object} [overrides] - { ruleName: { threshold, ... } } (settings.pruneRules)
+ * @returns {object[]} Complete rules, each with its `name`
+ */
+const resolveRules = (overrides = {}) => {
+    const names = [...new Set([...Object.keys(DEFAULT_PRUNE_RULES), ...Object.keys(overrides)])];
+    return names.map(name => ({ name, ...RULE_DEFAULTS, ...(DEFAULT_PRUNE_RULES[name] || {}), ...(overrides[name] || {}) }));
+};
+
+/**
+ * Problems with a rule definition.
+ * @returns {string[]} Error messages (empty = valid)
+ */
+const validateRule = (rule) => {
+    const errors = [];
+    if (!METRICS[rule.metric]) errors.push(`${rule.name}: unknown metric "${rule.metric}"`);
+    if (!OPERATORS[rule.op]) errors.push(`${rule.name}: unknown operator "${rule.op}"`);
+    if (typeof rule.threshold !== 'number' || isNaN(rule.threshold)) errors.push(`${rule.name}: threshold must be a number`);
+    if (!SCOPES.includes(rule.scope)) errors.push(`${rule.name}: scope must be one of ${SCOPES.join(', ')}`);
+    return errors;
+};
+
+/**
+ * Enabled, valid rules of one scope. Invalid rules are skipped with a warning.
+ */
+const rulesFor = (scope, overrides = {}) => resolveRules(overrides).filter(rule => {
+    if (rule.enabled === false || rule.scope !== scope) return false;
+    const errors = validateRule(rule);
+    if (errors.length > 0) {
+        console.warn(`[Prune] Skipping rule — ${errors.join('; ')}`);
+        return false;
+    }
+    return true;
+});
+
+const known = (v) => typeof v === 'number' && !isNaN(v);
+
+/**
+ * First rule that says the token should be pruned.
+ *
+ * @param {object}   metrics            - { marketCap, volume5m, ageHours } (missing = unknown)
+ * @param {object[]} rules              - From rulesFor()
+ * @param {object}   [opts]
+ * @param {Map}      [opts.state]       - Per-token grace state (rule name → first breach ms)
+ * @param {number}   [opts.now]         - Current time in ms (candle time in the backtest)
+ * @returns {{ rule, value }|null}
+ */
+const evaluatePruneRules = (metrics, rules, { state = null, now = Date.now() } = {}) => {
+    for (const rule of rules) {
+        const value = metrics[rule.metric];
+        const old = rule.minAgeHours > 0 ? known(metrics.ageHours) && metrics.ageHours >= rule.minAgeHours : true;
+
+        if (!known(value) || !old || !OPERATORS[rule.op](value, rule.threshold)) {
+            if (state) state.delete(rule.name);
+            continue;
+        }
+
+        if (rule.graceMinutes > 0 && state) {
+            if (!state.has(rule.name)) state.set(rule.name, now);
+            if (now - state.get(rule.name) < rule.graceMinutes * 60000) continue;
+        }
+        return { rule, value };
+    }
+    return null;
+};
+
+/**
+ * Human-readable reason, e.g. "low_volume: 5m volume $42.10 < $100".
+ */
+const describeHit = ({ rule, value }, ageHours = null) => {
+    const m = METRICS[rule.metric];
+    let text = `${rule.name}: ${m.label} ${m.format(value)} ${rule.op} ${m.format(rule.threshold)}`;
+    if (rule.minAgeHours > 0 && known(ageHours)) text += `, age ${ageHours.toFixed(1)}h ≥ ${rule.minAgeHours}h`;
+    if (rule.graceMinutes > 0) text += ` for ${rule.graceMinutes}m`;
+    return text;
+};
+
+/**
+ * One-line summary of a rule for listings.
+ */
+const describeRule = (rule) => {
+    const m = METRICS[rule.metric];
+    return `${rule.name} [${rule.scope}${rule.enabled === false ? ', off' : ''}]: ${m ? m.label : rule.metric} ${rule.op} ${m ? m.format(rule.threshold) : rule.threshold}` +
+        `${rule.minAgeHours > 0 ? ` · age ≥ ${rule.minAgeHours}h` : ''}${rule.graceMinutes > 0 ? ` · grace ${rule.graceMinutes}m` : ''}`;
+};
+
+// ── Persistence ───────────────────────────────────────────────────────────────
+
+/**
+ * Record a prune (or a discovery skip) with the rule that triggered it.
+ *
+ * @param {object} prune
+ * @param {string} prune.tokenAddress
+ * @param {string} [prune.symbol]
+ * @param {string} prune.scope           - 'candle' | 'maintenance' | 'discovery'
+ * @param {object} prune.hit             - From evaluatePruneRules()
+ * @param {object} [prune.metrics]       - { marketCap, volume5m, ageHours } at prune time
+ * @returns {Promise<object|null>}
+ */
+const recordPrune = async ({ tokenAddress, symbol = '', scope, hit, metrics = {} }) => {
+    try {
+        return await Prune.create({
+            tokenAddress,
+            symbol,
+            scope,
+            rule: hit.rule.name,
+            metric: hit.rule.metric,
+            op: hit.rule.op,
+            threshold: hit.rule.threshold,
+            value: hit.value,
+            minAgeHours: hit.rule.minAgeHours,
+            graceMinutes: hit.rule.graceMinutes,
+            marketCap: known(metrics.marketCap) ? metrics.marketCap : null,
+            volume5m: known(metrics.volume5m) ? metrics.volume5m : null,
+            ageHours: known(metrics.ageHours) ? metrics.ageHours : null
+        });
+    } catch (err) {
+        console.error('[Prune] Record error:', err.message);
+        return null;
+    }
+};
+
+module.exports = {
+    DEFAULT_PRUNE_RULES,
+    METRICS,
+    OPERATORS,
+    SCOPES,
+    resolveRules,
+    validateRule,
+    rulesFor,
+    evaluatePruneRules,
+    describeHit,
+    describeRule,
+    recordPrune
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveRules, rulesFor, evaluatePruneRules, describeHit } = require('./pruneRules');
+
+test('overrides merge onto the defaults and may add rules', () => {
+    const rules = resolveRules({ low_volume: { threshold: 250 }, too_old: { metric: 'ageHours', op: '>', threshold: 24 } });
+    const byName = Object.fromEntries(rules.map(r => [r.name, r]));
+
+    assert.equal(byName.low_volume.threshold, 250);
+    assert.equal(byName.low_volume.scope, 'maintenance');
+    assert.deepEqual(byName.too_old, {
+        name: 'too_old', metric: 'ageHours', op: '>', threshold: 24,
+        minAgeHours: 0, graceMinutes: 0, scope: 'maintenance', enabled: true
+    });
+});
+
+test('rulesFor keeps enabled, valid rules of one scope', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const overrides = { old_low_mcap: { enabled: false }, bad: { metric: 'holders', op: '<', threshold: 10 } };
+
+    assert.deepEqual(rulesFor('candle', overrides).map(r => r.name), ['low_mcap']);
+    assert.deepEqual(rulesFor('maintenance', overrides).map(r => r.name), ['low_volume']);
+    assert.match(warn.mock.calls[0].arguments[0], /bad: unknown metric "holders"/);
+});
+
+test('a rule with a grace period hits only once the condition has held long enough', () => {
+    const [rule] = resolveRules({ low_mcap: { graceMinutes: 10 } });
+    const state = new Map();
+    const T0 = 1_000_000;
+
+    assert.equal(evaluatePruneRules({ marketCap: 500 }, [rule], { state, now: T0 }), null);
+    assert.equal(state.get('low_mcap'), T0);
+    assert.equal(evaluatePruneRules({ marketCap: 500 }, [rule], { state, now: T0 + 9 * 60000 }), null);
+    assert.deepEqual(evaluatePruneRules({ marketCap: 500 }, [rule], { state, now: T0 + 10 * 60000 }), { rule, value: 500 });
+
+    // Recovering clears the clock
+    assert.equal(evaluatePruneRules({ marketCap: 3000 }, [rule], { state, now: T0 + 11 * 60000 }), null);
+    assert.equal(state.has('low_mcap'), false);
+    assert.equal(evaluatePruneRules({ marketCap: 500 }, [rule], { state, now: T0 + 12 * 60000 }), null);
+
+    // Without state the grace period can't be tracked: hit at once
+    assert.deepEqual(evaluatePruneRules({ marketCap: 500 }, [rule]), { rule, value: 500 });
+});
+
+test('minAgeHours rules skip young tokens and tokens of unknown age', () => {
+    const rule = resolveRules().find(r => r.name === 'old_low_mcap');
+
+    assert.equal(evaluatePruneRules({ marketCap: 3000, ageHours: 1 }, [rule]), null);
+    assert.equal(evaluatePruneRules({ marketCap: 3000 }, [rule]), null);
+    assert.deepEqual(evaluatePruneRules({ marketCap: 3000, ageHours: 3 }, [rule]), { rule, value: 3000 });
+    assert.equal(evaluatePruneRules({ marketCap: 6000, ageHours: 3 }, [rule]), null);
+});
+
+test('an unknown metric never hits', () => {
+    const rule = resolveRules().find(r => r.name === 'low_volume');
+    assert.equal(evaluatePruneRules({ marketCap: 100 }, [rule]), null);
+    assert.equal(evaluatePruneRules({ volume5m: NaN }, [rule]), null);
+});
+
+test('describeHit names the rule, the value, the age and the grace period', () => {
+    const [lowMcap, , oldLowMcap] = resolveRules({ low_mcap: { graceMinutes: 5 } });
+
+    assert.equal(describeHit({ rule: lowMcap, value: 1234.4 }), 'low_mcap: MC $1234 < $2000 for 5m');
+    assert.equal(describeHit({ rule: oldLowMcap, value: 3000 }, 2.5), 'old_low_mcap: MC $3000 < $5000, age 2.5h ≥ 2h');
+    assert.equal(describeHit({ rule: oldLowMcap, value: 3000 }), 'old_low_mcap: MC $3000 < $5000');
+});
@@ -0,0 +1,109 @@
+/**
+ * rateLimiter.js
+ *
+ * Token-bucket limiter for APIs with a per-minute request budget, shared by
+ * every caller of the same API (one bucket per API, created by its service).
+ *
+ *   - Tokens refill continuously at `ratePerMinute`; the bucket holds at most
+ *     `burst` of them, so a cycle of several batches can go out at once.
+ *   - take() resolves when a token is available.
+ *   - pause(ms) empties the bucket and holds every caller back, e.g. for a
+ *     429's Retry-After.
+ *
+ * Also the helpers for retrying: parseRetryAfter() and backoffDelay()
+ * (exponential backoff with jitter).
+ */
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * @param {object} opts
+ * @param {string} opts.name          - For logs
+ * @param {number} opts.ratePerMinute - Sustained request budget
+ * @param {number} [opts.burst]       - Bucket size (default: 15s worth of budget)
+ */
+const createTokenBucket = ({ name, ratePerMinute, burst = null }) => {
+    let rate = ratePerMinute;
+    let capacity = burst ?? Math.max(1, Math.floor(rate / 4));
+    let tokens = capacity;
+    let refilledAt = Date.now();
+    let pausedUntil = 0;
+    const stats = { requests: 0, waitedMs: 0, pauses: 0 };
+
+    const refill = (now) => {
+        tokens = Math.min(capacity, tokens + (now - refilledAt) * rate / 60000);
+        refilledAt = now;
+    };
+
+    /**
+     * Wait for a token and take it.
+     */
+    const take = async () => {
+        const t0 = Date.now();
+        for (;;) {
+            const now = Date.now();
+            if (now < pausedUntil) { await sleep(pausedUntil - now); continue; }
+            refill(now);
+            if (tokens >= 1) {
+                tokens -= 1;
+                stats.requests++;
+                stats.waitedMs += Date.now() - t0;
+                return;
+            }
+            await sleep(Math.ceil((1 - tokens) * 60000 / rate));
+        }
+    };
+
+    /**
+     * Hold every caller back for `ms` and start from an empty bucket afterwards.
+     */
+    const pause = (ms) => {
+        const now = Date.now();
+        pausedUntil = Math.max(pausedUntil, now + ms);
+        tokens = 0;
+        refilledAt = pausedUntil;
+        stats.pauses++;
+        console.warn(`[RateLimit] ${name} paused for ${(ms / 1000).toFixed(1)}s`);
+    };
+
+    /**
+     * Change the budget (e.g. after /set); the burst follows unless it was fixed.
+     */
+    const setRate = (ratePerMinute) => {
+        if (ratePerMinute === rate) return;
+        refill(Date.now());
+        rate = ratePerMinute;
+        if (burst === null) capacity = Math.max(1, Math.floor(rate / 4));
+        tokens = Math.min(tokens, capacity);
+    };
+
+    const getStats = () => ({ ...stats, rate, capacity, tokens, pausedUntil });
+
+    return { take, pause, setRate, getStats };
+};
+
+/**
+ * Milliseconds a Retry-After header asks for (delta-seconds or HTTP date), or null.
+ */
+const parseRetryAfter = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff with jitter: base × 2^attempt, capped, then a random
+ * 50–100% of that so callers that failed together don't retry together.
+ */
+const backoffDelay = (attempt, { baseMs = 1000, maxMs = 30000 } = {}) => {
+    const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+};
+
+module.exports = {
+    createTokenBucket,
+    parseRetryAfter,
+    backoffDelay
+};
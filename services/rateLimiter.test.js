@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenBucket, parseRetryAfter, backoffDelay } = require('./rateLimiter');
+
+test('parseRetryAfter reads seconds and HTTP dates', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter(0.5), 500);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT'), 10000);
+    assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT'), 0); // in the past
+    assert.equal(parseRetryAfter('-5'), 0);
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('backoffDelay doubles per attempt, capped, with 50–100% jitter', (t) => {
+    t.mock.method(Math, 'random', () => 0);
+    assert.deepEqual([0, 1, 2, 3].map(a => backoffDelay(a)), [500, 1000, 2000, 4000]);
+    assert.equal(backoffDelay(10), 15000);
+    assert.equal(backoffDelay(2, { baseMs: 100, maxMs: 250 }), 125);
+
+    Math.random.mock.mockImplementation(() => 0.999999);
+    assert.equal(backoffDelay(0), 1000);
+    assert.equal(backoffDelay(10), 30000);
+});
+
+test('the bucket lets a burst through, then paces to the rate', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    const bucket = createTokenBucket({ name: 'test', ratePerMinute: 60, burst: 2 }); // 1 per second
+    t.mock.method(console, 'warn', () => {});
+
+    await bucket.take();
+    await bucket.take();
+    let third = false;
+    const pending = bucket.take().then(() => { third = true; });
+
+    await Promise.resolve();
+    assert.equal(third, false);
+    t.mock.timers.tick(999);
+    await Promise.resolve();
+    assert.equal(third, false);
+    t.mock.timers.tick(1);
+    await pending;
+    assert.equal(bucket.getStats().requests, 3);
+});
+
+test('pause holds every caller back and restarts from an empty bucket', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    t.mock.method(console, 'warn', () => {});
+    const bucket = createTokenBucket({ name: 'test', ratePerMinute: 60, burst: 5 });
+
+    bucket.pause(5000);
+    let done = false;
+    const pending = bucket.take().then(() => { done = true; });
+
+    t.mock.timers.tick(5500);
+    await Promise.resolve();
+    assert.equal(done, false); // pause over, but the bucket starts empty
+    t.mock.timers.tick(500);
+    await pending;
+    assert.equal(Date.now(), 6000);
+    assert.equal(bucket.getStats().pauses, 1);
+});
+
+test('setRate changes the pace and a derived burst', () => {
+    const bucket = createTokenBucket({ name: 'test', ratePerMinute: 20 });
+    assert.equal(bucket.getStats().capacity, 5);
+    bucket.setRate(600);
+    assert.equal(bucket.getStats().rate, 600);
+    assert.equal(bucket.getStats().capacity, 150);
+});
@@ -1,14 +1,37 @@
 const candleManager = require('./candleManager');
 const Candle = require('../models/Candle');
 const Token = require('../models/Token');
-
-const PUMP_FUN_SUPPLY = 1_000_000_000;
+const { getAlertSummaries } = require('./alerts');
+const { getHitRates, HIT_THRESHOLD_PCT } = require('./outcomeTracker');
+const { getOpenPositions, getClosedPositions, getPnlSummary } = require('./paperTrading');
+const { labelFor } = require('./launchpads');
+const { marketCapOf } = require('./tokenMetadata');
+
+/**
+ * Formats per-horizon alert hit rates for alerts sent in the last `hours`.
+ * Returns '' when no alerts have been scored yet.
+ */
+const formatHitRates = async (hours) => {
+    const rates = await getHitRates({ since: new Date(Date.now() - hours * 60 * 60 * 1000) });
+    const scored = rates.filter(r => r.count > 0);
+    if (scored.length === 0) return '';
+
+    let msg = `🎯 *Alert Hit Rates (Last ${hours >= 48 ? `${hours / 24}d` : `${hours}h`})*\n`;
+    msg += `_Hit = peak ≥ +${HIT_THRESHOLD_PCT}% · Win = close > entry_\n`;
+    for (const r of scored) {
+        const med = r.medianReturn >= 0 ? `+${r.medianReturn.toFixed(1)}%` : `${r.medianReturn.toFixed(1)}%`;
+        msg += `\`${r.horizon.padEnd(3)}\` Hit ${r.hitRate.toFixed(0)}% · Win ${r.winRate.toFixed(0)}% · Med ${med} (n=${r.count})\n`;
+    }
+    return msg;
+};
 
 const generateHourlyReport = async () => {
     try {
         const tokens = await Token.find({ isActive: true }).lean();
         if (tokens.length === 0) return null;
 
+        const alertSummaries = await getAlertSummaries(tokens.map(t => t.address));
+
         // 6 hours ago
         const sixHoursAgo = new Date(Date.now() - 6 * 60 * 60 * 1000);
 
@@ -31,21 +54,23 @@ const generateHourlyReport = async () => {
 
             const pastPrice = pastCandle.open;
             const gain = ((currentPrice - pastPrice) / pastPrice) * 100;
-            const currentMC = currentPrice * PUMP_FUN_SUPPLY;
+            const currentMC = marketCapOf(t, currentPrice);
 
             if (gain > 0) {
                 candidates.push({
                     symbol: t.symbol || '?',
+                    launchpad: labelFor(t.source),
                     address: t.address,
                     poolAddress: t.poolAddress,
                     gain,
                     currentMC,
-                    firstAlertMC: t.firstAlertMarketCap
+                    firstAlertMC: alertSummaries.get(t.address)?.firstMarketCap
                 });
             }
         }
 
-        if (candidates.length === 0) return null;
+        const hitRates = await formatHitRates(24);
+        if (candidates.length === 0) return hitRates || null;
 
         // Top 5 Gainers
         candidates.sort((a, b) => b.gain - a.gain);
@@ -70,9 +95,11 @@ const generateHourlyReport = async () => {
 
             const links = `[Axiom](https://axiom.trade/meme/${item.address}) · [DexS](https://dexscreener.com/solana/${item.address})`;
 
-            msg += `${rank}. *${item.symbol}* (${gainStr}) — ${mcStr}${extra}\n   🔗 ${links}\n\n`;
+            msg += `${rank}. *${item.symbol}* (${gainStr}) — ${mcStr} · ${item.launchpad}${extra}\n   🔗 ${links}\n\n`;
         });
 
+        if (hitRates) msg += hitRates;
+
         return msg;
 
     } catch (err) {
@@ -83,21 +110,26 @@ const generateHourlyReport = async () => {
 
 const getTopCoins = async (limit = 10) => {
     try {
-        const tokens = await Token.find({ isActive: true, firstAlertMarketCap: { $exists: true, $ne: null } }).lean();
-        if (tokens.length === 0) return 'No active tokens with alerts found.';
+        const tokens = await Token.find({ isActive: true }).lean();
+        const alertSummaries = await getAlertSummaries(tokens.map(t => t.address));
+        if (alertSummaries.size === 0) return 'No active tokens with alerts found.';
 
         let candidates = [];
 
         for (const t of tokens) {
+            const summary = alertSummaries.get(t.address);
+            if (!summary) continue;
+
             const currentPrice = candleManager.getLastPrice(t.address);
             if (!currentPrice) continue;
 
-            const currentMC = currentPrice * PUMP_FUN_SUPPLY;
-            const entryMC = t.firstAlertMarketCap;
+            const currentMC = marketCapOf(t, currentPrice);
+            const entryMC = summary.firstMarketCap;
             const gain = ((currentMC - entryMC) / entryMC) * 100;
 
             candidates.push({
                 symbol: t.symbol || '?',
+                launchpad: labelFor(t.source),
                 address: t.address,
                 poolAddress: t.poolAddress,
                 gain,
@@ -122,9 +154,11 @@ const getTopCoins = async (limit = 10) => {
 
             const links = `[Jupiter](https://jup.ag/tokens/${item.address}) · [DexS](https://dexscreener.com/solana/${item.address})`;
 
-            msg += `${rank}. *${item.symbol}* (${gainStr})\n   Entry: ${emcStr} ➡️ Curr: ${cmcStr}\n   🔗 ${links}\n\n`;
+            msg += `${rank}. *${item.symbol}* (${gainStr}) · ${item.launchpad}\n   Entry: ${emcStr} ➡️ Curr: ${cmcStr}\n   🔗 ${links}\n\n`;
         });
 
+        msg += await formatHitRates(7 * 24);
+
         return msg.trim();
 
     } catch (err) {
@@ -133,4 +167,78 @@ const getTopCoins = async (limit = 10) => {
     }
 };
 
-module.exports = { generateHourlyReport, getTopCoins };
+// ── Paper trading ─────────────────────────────────────────────────────────────
+
+const fmtPct = (v) => v === null || v === undefined ? 'N/A' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`;
+const fmtUsd = (v) => `${v < 0 ? '-' : v > 0 ? '+' : ''}$${Math.abs(v).toFixed(2)}`;
+const fmtAge = (ms) => {
+    const mins = Math.floor(ms / 60000);
+    return mins >= 60 ? `${Math.floor(mins / 60)}h ${mins % 60}m` : `${mins}m`;
+};
+
+const formatPositions = async () => {
+    try {
+        const open = await getOpenPositions();
+        if (open.length === 0) return '📂 No open paper positions.';
+
+        let msg = `📂 *Open Paper Positions (${open.length})*
+──────────────────
+`;
+        for (const p of open.slice(0, 30)) {
+            const curMC = p.lastPrice ? `$${(marketCapOf(p, p.lastPrice) / 1000).toFixed(1)}K` : '?';
+            msg += `*${p.symbol || p.tokenAddress.slice(0, 8)}* ${fmtPct(p.unrealizedPct)} (${fmtUsd(p.unrealizedPnl)})
+` +
+                `   $${p.size} @ $${((p.entryMarketCap || 0) / 1000).toFixed(1)}K ➡️ ${curMC} · ${fmtAge(Date.now() - new Date(p.openedAt).getTime())}
+`;
+        }
+        if (open.length > 30) msg += `
+…and ${open.length - 30} more`;
+        return msg.trim();
+    } catch (err) {
+        console.error('[Reports] Error formatting positions:', err.message);
+        return 'Error loading paper positions.';
+    }
+};
+
+const formatPnl = async () => {
+    try {
+        const s = await getPnlSummary();
+        if (s.openCount === 0 && s.closedCount === 0) return '💼 No paper trades yet.';
+
+        return `💼 *Paper Trading PnL*
+──────────────────
+` +
+            `✅ Realized:   ${fmtUsd(s.realized)} (${fmtPct(s.realizedPct)}) over ${s.closedCount} trade(s)
+` +
+            `⏳ Unrealized: ${fmtUsd(s.unrealized)} on ${s.openCount} open ($${s.openSize.toFixed(0)} deployed)
+` +
+            `📊 Total:      ${fmtUsd(s.realized + s.unrealized)}
+` +
+            `🎯 Win rate:   ${s.winRate === null ? 'N/A' : `${s.winRate.toFixed(0)}%`}`;
+    } catch (err) {
+        console.error('[Reports] Error formatting PnL:', err.message);
+        return 'Error computing paper PnL.';
+    }
+};
+
+const formatClosed = async (limit = 15) => {
+    try {
+        const closed = await getClosedPositions(limit);
+        if (closed.length === 0) return '📁 No closed paper positions yet.';
+
+        let msg = `📁 *Last ${closed.length} Closed Paper Positions*
+──────────────────
+`;
+        for (const p of closed) {
+            const held = fmtAge(new Date(p.closedAt).getTime() - new Date(p.openedAt).getTime());
+            msg += `*${p.symbol || p.tokenAddress.slice(0, 8)}* ${fmtPct(p.realizedPct)} (${fmtUsd(p.realizedPnl || 0)}) · ${p.exitReason} · ${held}
+`;
+        }
+        return msg.trim();
+    } catch (err) {
+        console.error('[Reports] Error formatting closed positions:', err.message);
+        return 'Error loading closed paper positions.';
+    }
+};
+
+module.exports = { generateHourlyReport, getTopCoins, formatPositions, formatPnl, formatClosed };
@@ -0,0 +1,385 @@
+/**
+ * settingsStore.js
+ *
+ * Runtime-editable settings backed by the Setting collection.
+ *
+ * config/settings.js stays the one object every module reads. This module:
+ *   - load()  applies the stored overrides onto it at startup
+ *   - set()   parses and validates a new value, saves it, updates the object
+ *             in place and emits 'change' { key, value, previous }
+ *   - reset() drops an override and restores the startup value
+ *
+ * Most readers pick a change up on their next use (candle handler, paper
+ * trader, prune rules). Loops with their own timer — discovery and
+ * maintenance — subscribe with onChange() and reschedule.
+ *
+ * Keys are dotted paths into the settings object (`paperTrading.size`).
+ * Strategy parameters (`strategyParams.<strategy>.<param>`) and timeframes
+ * (`strategyTimeframes.<strategy>`) are validated against the strategy registry;
+ * prune rule fields (`pruneRules.<rule>.threshold`) against services/pruneRules.js.
+ * Launchpad fields (`launchpads.<slug>.enabled`) accept any slug, so a launchpad
+ * Moralis starts supporting can be switched on without a code change.
+ */
+
+const EventEmitter = require('events');
+const Setting = require('../models/Setting');
+const settings = require('../config/settings');
+const { getStrategy, listStrategies, defaultParams, validateParams } = require('./strategies');
+const { DEFAULT_EXIT_PARAMS } = require('./exits');
+const { DEFAULT_PAPER_PARAMS } = require('./paperTrading');
+const { DEFAULT_PRUNE_RULES } = require('./pruneRules');
+const { DEFAULT_LAUNCHPADS, LAUNCHPAD_DEFAULTS, launchpadNames } = require('./launchpads');
+const { priceProviderNames } = require('./priceProviders');
+const { TIMEFRAMES, BASE_TIMEFRAME, isTimeframe } = require('./timeframes');
+
+const events = new EventEmitter();
+
+// Values at startup (defaults + promoted sweeps) — what reset() goes back to
+let baseline = null;
+// key → stored value
+const overrides = new Map();
+
+// ── Schema ────────────────────────────────────────────────────────────────────
+
+const SETTINGS_SCHEMA = {
+    requireVolumeSpike: { type: 'boolean', group: 'Signals', description: 'require a volume spike' },
+    enabledStrategies: { type: 'strategies', group: 'Signals', description: 'comma-separated strategy names' },
+    alertMinMcap: { type: 'number', min: 0, group: 'Signals', description: 'suppress alerts below this MC (USD)' },
+    fillFromBackfill: { type: 'boolean', group: 'Signals', description: 'pad short 15s series with 1m backfill' },
+    alertCharts: { type: 'boolean', group: 'Signals', description: 'attach a chart to alerts' },
+    chartBars: { type: 'integer', min: 10, max: 300, group: 'Signals', description: 'candles drawn on alert charts' },
+
+    discoveryIntervalSec: { type: 'integer', min: 15, max: 3600, group: 'Tracking', description: 'seconds between discovery polls' },
+    discoveryMaxPages: { type: 'integer', min: 1, max: 50, group: 'Tracking', description: 'Moralis pages per discovery poll when catching up (CU budget)' },
+    discoveryRecheckMinutes: { type: 'number', min: 1, max: 1440, group: 'Tracking', description: 'first recheck window for skipped / pruned tokens (doubles per skip)' },
+    'maintenance.intervalMinutes': { type: 'integer', min: 5, max: 1440, group: 'Tracking', description: 'minutes between maintenance runs' },
+
+    'jupiter.tier': { type: 'choice', options: ['free', 'paid'], group: 'Price feed', description: 'Jupiter plan: free (20 req/min) or paid (600 req/min)' },
+    'jupiter.requestsPerMinute': { type: 'integer', min: 1, max: 100000, group: 'Price feed', description: 'Jupiter request budget (default = the tier\'s)' },
+    'priceFeed.providers': { type: 'providers', group: 'Price feed', description: 'price providers, primary first (comma-separated)' },
+    'priceFeed.staleAfterSec': { type: 'integer', min: 20, max: 900, group: 'Price feed', description: 'fail over when the primary has not answered for this long (s)' },
+
+    'carryForward.enabled': { type: 'boolean', group: 'Signals', description: 'flat synthetic candles at the last close when no price arrives' },
+    'carryForward.maxMinutes': { type: 'number', min: 0.25, max: 1440, group: 'Signals', description: 'stop carrying forward this long after the last real tick' },
+
+    'tickFilter.enabled': { type: 'boolean', group: 'Tick filter', description: 'filter outlier price ticks' },
+    'tickFilter.maxDeviationPct': { type: 'number', min: 1, max: 1000, group: 'Tick filter', description: 'outlier = further than this % from the recent median' },
+    'tickFilter.window': { type: 'integer', min: 3, max: 100, group: 'Tick filter', description: 'ticks the median is taken over' },
+    'tickFilter.mode': { type: 'choice', options: ['reject', 'flag'], group: 'Tick filter', description: 'drop outliers, or keep and flag them on the candle' },
+    'tickFilter.confirmJumps': { type: 'boolean', group: 'Tick filter', description: 'hold outliers until a second price source confirms them' },
+    'tickFilter.confirmWithinSec': { type: 'integer', min: 5, max: 600, group: 'Tick filter', description: 'drop a held jump without confirmation after this long' },
+
+    'tradeFeed.enabled': { type: 'boolean', group: 'Trade feed', description: 'real swap volume from the Helius pool-log feed' },
+    'tradeFeed.maxTxPerMinute': { type: 'integer', min: 1, max: 6000, group: 'Trade feed', description: 'getTransaction calls per minute (RPC credits)' },
+
+    'exitParams.takeProfitMultiple': { type: 'number', min: 0, group: 'Exits', description: 'exit at N× entry (0 = off)' },
+    'exitParams.trailingStopPct': { type: 'number', min: 0, max: 100, group: 'Exits', description: 'trailing stop from peak % (0 = off)' },
+    'exitParams.bearishCross': { type: 'boolean', group: 'Exits', description: 'exit on bearish EMA cross' },
+    'exitParams.rsiExitBelow': { type: 'number', min: 0, max: 100, group: 'Exits', description: 'exit when RSI drops below (0 = off)' },
+
+    'paperTrading.enabled': { type: 'boolean', group: 'Paper trading', description: 'open a paper position per alert' },
+    'paperTrading.size': { type: 'number', min: 1, group: 'Paper trading', description: 'position size (USD)' },
+    'paperTrading.takeProfitPct': { type: 'number', min: 0, group: 'Paper trading', description: 'take profit % (0 = off)' },
+    'paperTrading.stopLossPct': { type: 'number', min: 0, max: 100, group: 'Paper trading', description: 'stop loss % (0 = off)' },
+    'paperTrading.timeStopHours': { type: 'number', min: 0, group: 'Paper trading', description: 'close after N hours (0 = off)' },
+};
+
+// Defaults for nested objects that start out empty in config/settings.js
+const IMPLICIT_DEFAULTS = {
+    exitParams: DEFAULT_EXIT_PARAMS,
+    paperTrading: DEFAULT_PAPER_PARAMS,
+    pruneRules: DEFAULT_PRUNE_RULES,
+    launchpads: DEFAULT_LAUNCHPADS,
+};
+
+// Editable fields of every prune rule (`pruneRules.<rule>.<field>`)
+const PRUNE_RULE_FIELDS = {
+    threshold: { type: 'number', description: 'compared against the rule metric' },
+    minAgeHours: { type: 'number', min: 0, description: 'only applies to tokens at least this old (hours)' },
+    graceMinutes: { type: 'number', min: 0, description: 'condition must hold this long before pruning' },
+    enabled: { type: 'boolean', description: 'rule on/off' },
+};
+
+// Editable fields of every launchpad (`launchpads.<slug>.<field>`)
+const LAUNCHPAD_FIELDS = {
+    enabled: { type: 'boolean', description: 'polled by discovery' },
+    supply: { type: 'number', min: 1, description: 'supply assumed for market cap when the real supply is unknown' },
+    alertMinMcap: { type: 'number', min: 0, description: 'alert MC floor for its tokens (default = alertMinMcap)' },
+    strategies: { type: 'strategies', description: 'strategies for its tokens (default = enabledStrategies)' },
+};
+
+const pruneRuleNames = () => [...new Set([...Object.keys(DEFAULT_PRUNE_RULES), ...Object.keys(settings.pruneRules || {})])];
+
+/**
+ * Schema entry for a key, including the ones derived from the strategy registry.
+ * @returns {object|null}
+ */
+const specFor = (key) => {
+    if (SETTINGS_SCHEMA[key]) return SETTINGS_SCHEMA[key];
+
+    const param = key.match(/^strategyParams\.(\w+)\.(\w+)$/);
+    if (param) {
+        const strategy = getStrategy(param[1]);
+        const spec = strategy && strategy.params[param[2]];
+        return spec ? { type: spec.type, min: spec.min, max: spec.max, strategy, param: param[2], group: 'Strategy parameters' } : null;
+    }
+
+    const rule = key.match(/^pruneRules\.(\w+)\.(\w+)$/);
+    if (rule) {
+        const field = PRUNE_RULE_FIELDS[rule[2]];
+        return field && pruneRuleNames().includes(rule[1]) ? { ...field, group: 'Prune rules' } : null;
+    }
+
+    const launchpad = key.match(/^launchpads\.([a-z0-9_]+)\.(\w+)$/);
+    if (launchpad) {
+        const field = LAUNCHPAD_FIELDS[launchpad[2]];
+        return field ? { ...field, group: 'Launchpads' } : null;
+    }
+
+    const tf = key.match(/^strategyTimeframes\.(\w+)$/);
+    if (tf && getStrategy(tf[1])) return { type: 'timeframe', group: 'Strategy timeframes' };
+
+    return null;
+};
+
+// ── Path helpers ──────────────────────────────────────────────────────────────
+
+const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+const getPath = (obj, key) => key.split('.').reduce((o, k) => (o === undefined || o === null ? undefined : o[k]), obj);
+
+const setPath = (obj, key, value) => {
+    const parts = key.split('.');
+    let o = obj;
+    for (const k of parts.slice(0, -1)) {
+        if (typeof o[k] !== 'object' || o[k] === null) o[k] = {};
+        o = o[k];
+    }
+    if (value === undefined) delete o[parts[parts.length - 1]];
+    else o[parts[parts.length - 1]] = value;
+};
+
+/**
+ * Effective value of a key — falls back to the module / schema default when
+ * the settings object leaves it unset (e.g. exitParams = {}).
+ */
+const get = (key) => {
+    const value = getPath(settings, key);
+    if (value !== undefined) return value;
+
+    const spec = specFor(key);
+    if (spec && spec.strategy) return defaultParams(spec.strategy)[spec.param];
+    if (spec && spec.type === 'timeframe') return getStrategy(key.split('.')[1]).timeframe || BASE_TIMEFRAME;
+    const [root, ...rest] = key.split('.');
+    if (root === 'launchpads' && rest.length === 2) return { ...LAUNCHPAD_DEFAULTS, ...(DEFAULT_LAUNCHPADS[rest[0]] || {}) }[rest[1]];
+    return IMPLICIT_DEFAULTS[root] ? getPath(IMPLICIT_DEFAULTS[root], rest.join('.')) : undefined;
+};
+
+// ── Parsing / validation ──────────────────────────────────────────────────────
+
+/**
+ * Parse a raw string from /set into a typed value.
+ * @throws {Error} With a user-facing message when the value is invalid
+ */
+const parseValue = (key, raw) => {
+    const spec = specFor(key);
+    if (!spec) throw new Error(`Unknown setting "${key}" — see /settings`);
+    const s = String(raw).trim();
+
+    switch (spec.type) {
+        case 'boolean': {
+            if (/^(on|true|yes|1)$/i.test(s)) return true;
+            if (/^(off|false|no|0)$/i.test(s)) return false;
+            throw new Error(`${key} must be on/off`);
+        }
+        case 'number':
+        case 'integer': {
+            const v = Number(s);
+            if (s === '' || !Number.isFinite(v)) throw new Error(`${key} must be a number`);
+            if (spec.type === 'integer' && !Number.isInteger(v)) throw new Error(`${key} must be an integer`);
+            if (spec.min !== undefined && v < spec.min) throw new Error(`${key} must be ≥ ${spec.min}`);
+            if (spec.max !== undefined && v > spec.max) throw new Error(`${key} must be ≤ ${spec.max}`);
+            return v;
+        }
+        case 'strategies': {
+            const names = [...new Set(s.split(',').map(n => n.trim()).filter(Boolean))];
+            if (names.length === 0) throw new Error(`${key} needs at least one strategy`);
+            const unknown = names.filter(n => !getStrategy(n));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown strategy ${unknown.join(', ')} — available: ${listStrategies().map(st => st.name).join(', ')}`);
+            }
+            return names;
+        }
+        case 'choice': {
+            if (!spec.options.includes(s)) throw new Error(`${key} must be one of ${spec.options.join(', ')}`);
+            return s;
+        }
+        case 'providers': {
+            const names = [...new Set(s.split(',').map(n => n.trim()).filter(Boolean))];
+            if (names.length === 0) throw new Error(`${key} needs at least one provider`);
+            const unknown = names.filter(n => !priceProviderNames().includes(n));
+            if (unknown.length > 0) throw new Error(`Unknown provider ${unknown.join(', ')} — available: ${priceProviderNames().join(', ')}`);
+            return names;
+        }
+        case 'timeframe': {
+            if (!isTimeframe(s)) throw new Error(`${key} must be one of ${Object.keys(TIMEFRAMES).join(', ')}`);
+            return s;
+        }
+        default:
+            throw new Error(`Unsupported setting type "${spec.type}"`);
+    }
+};
+
+/**
+ * Cross-field checks that a single value can't express (e.g. emaFast < emaSlow).
+ * @throws {Error}
+ */
+const validateCombined = (key, value) => {
+    const spec = specFor(key);
+    if (!spec.strategy) return;
+    const params = { ...defaultParams(spec.strategy), ...(settings.strategyParams[spec.strategy.name] || {}), [spec.param]: value };
+    const errors = validateParams(spec.strategy, params);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+};
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Apply stored overrides onto the settings object. Call once at startup,
+ * after promoted sweep parameters have been merged in.
+ * @returns {Promise<number>} Overrides applied
+ */
+const load = async () => {
+    baseline = clone(settings);
+    const docs = await Setting.find({}).lean();
+    let applied = 0;
+
+    for (const doc of docs) {
+        if (!specFor(doc.key)) {
+            console.warn(`[Settings] Ignoring unknown stored setting "${doc.key}".`);
+            continue;
+        }
+        setPath(settings, doc.key, clone(doc.value));
+        overrides.set(doc.key, doc.value);
+        applied++;
+    }
+    if (applied > 0) console.log(`[Settings] Applied ${applied} stored override(s): ${[...overrides.keys()].join(', ')}`);
+    return applied;
+};
+
+/**
+ * Validate, persist and apply one setting.
+ *
+ * @param {string} key
+ * @param {string} raw - Value as typed (`on`, `5000`, `ema_rsi,breakout`, `5m`)
+ * @returns {Promise<{ key, value, previous }>}
+ * @throws {Error} With a user-facing message when the key or value is invalid
+ */
+const set = async (key, raw) => {
+    const value = parseValue(key, raw);
+    validateCombined(key, value);
+
+    const previous = get(key);
+    await Setting.updateOne({ key }, { $set: { value, updatedAt: new Date() } }, { upsert: true });
+    setPath(settings, key, value);
+    overrides.set(key, value);
+
+    console.log(`[Settings] ${key}: ${JSON.stringify(previous)} → ${JSON.stringify(value)}`);
+    events.emit('change', { key, value, previous });
+    return { key, value, previous };
+};
+
+/**
+ * Remove a stored override and go back to the startup value.
+ * @returns {Promise<{ key, value, previous }>}
+ */
+const reset = async (key) => {
+    if (!specFor(key)) throw new Error(`Unknown setting "${key}" — see /settings`);
+
+    const previous = get(key);
+    await Setting.deleteOne({ key });
+    setPath(settings, key, clone(getPath(baseline || {}, key)));
+    overrides.delete(key);
+
+    const value = get(key);
+    console.log(`[Settings] ${key} reset: ${JSON.stringify(previous)} → ${JSON.stringify(value)}`);
+    events.emit('change', { key, value, previous });
+    return { key, value, previous };
+};
+
+/**
+ * Subscribe to setting changes.
+ * @param {function({ key, value, previous }): void} listener
+ */
+const onChange = (listener) => events.on('change', listener);
+
+/**
+ * Every editable key with its current value, grouped for display.
+ * @returns {{ group, key, value, overridden, description }[]}
+ */
+const list = () => {
+    const keys = [...Object.keys(SETTINGS_SCHEMA)];
+    for (const name of pruneRuleNames()) {
+        for (const field of Object.keys(PRUNE_RULE_FIELDS)) keys.push(`pruneRules.${name}.${field}`);
+    }
+    for (const name of launchpadNames()) {
+        for (const field of Object.keys(LAUNCHPAD_FIELDS)) keys.push(`launchpads.${name}.${field}`);
+    }
+    for (const strategy of listStrategies()) {
+        keys.push(`strategyTimeframes.${strategy.name}`);
+        for (const param of Object.keys(strategy.params)) keys.push(`strategyParams.${strategy.name}.${param}`);
+    }
+    return keys.map(key => {
+        const spec = specFor(key);
+        return { group: spec.group, key, value: get(key), overridden: overrides.has(key), description: spec.description || '' };
+    });
+};
+
+// ── Formatting ────────────────────────────────────────────────────────────────
+
+const formatValue = (v) => (v === null || v === undefined ? '—' : Array.isArray(v) ? v.join(',') : typeof v === 'boolean' ? (v ? 'on' : 'off') : String(v));
+
+/**
+ * One key's current value, type and allowed range (`/set <key>` without a value).
+ */
+const describe = (key) => {
+    const spec = specFor(key);
+    if (!spec) throw new Error(`Unknown setting "${key}" — see /settings`);
+    const range = spec.options ? spec.options.join(', ')
+        : [spec.min !== undefined ? `≥ ${spec.min}` : null, spec.max !== undefined ? `≤ ${spec.max}` : null].filter(Boolean).join(', ');
+    return `\`${key} = ${formatValue(get(key))}\`${overrides.has(key) ? ' ✏️' : ''}\n` +
+        `Type: ${spec.type}${range ? ` (${range})` : ''}${spec.description ? `\n${spec.description}` : ''}`;
+};
+
+/**
+ * Telegram (Markdown) rendering of list(). Overridden keys are marked ✏️.
+ */
+const formatSettings = () => {
+    const groups = new Map();
+    for (const item of list()) {
+        if (!groups.has(item.group)) groups.set(item.group, []);
+        groups.get(item.group).push(item);
+    }
+
+    let msg = '⚙️ *Settings*\n';
+    for (const [group, items] of groups) {
+        msg += `\n*${group}*\n`;
+        for (const i of items) msg += `\`${i.key} = ${formatValue(i.value)}\`${i.overridden ? ' ✏️' : ''}\n`;
+    }
+    msg += '\nChange with `/set <key> <value>`, undo with `/set <key> default`.';
+    return msg;
+};
+
+module.exports = {
+    SETTINGS_SCHEMA,
+    load,
+    get,
+    set,
+    reset,
+    onChange,
+    list,
+    parseValue,
+    formatValue,
+    describe,
+    formatSettings
+};
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Setting = require('../models/Setting');
+const settings = require('../config/settings');
+const settingsStore = require('./settingsStore');
+
+const { parseValue } = settingsStore;
+
+test('parseValue reads booleans, numbers and their bounds', () => {
+    assert.equal(parseValue('requireVolumeSpike', 'on'), true);
+    assert.equal(parseValue('requireVolumeSpike', ' OFF '), false);
+    assert.throws(() => parseValue('requireVolumeSpike', 'maybe'), /must be on\/off/);
+
+    assert.equal(parseValue('alertMinMcap', '5000'), 5000);
+    assert.throws(() => parseValue('alertMinMcap', ''), /must be a number/);
+    assert.throws(() => parseValue('alertMinMcap', '-1'), /must be ≥ 0/);
+    assert.equal(parseValue('chartBars', '120'), 120);
+    assert.throws(() => parseValue('chartBars', '12.5'), /must be an integer/);
+    assert.throws(() => parseValue('chartBars', '500'), /must be ≤ 300/);
+});
+
+test('parseValue checks strategy, provider, choice and timeframe values', () => {
+    assert.deepEqual(parseValue('enabledStrategies', 'ema_rsi, breakout,ema_rsi'), ['ema_rsi', 'breakout']);
+    assert.throws(() => parseValue('enabledStrategies', 'ema_rsi,nope'), /Unknown strategy nope/);
+    assert.throws(() => parseValue('enabledStrategies', ' , '), /at least one strategy/);
+
+    assert.deepEqual(parseValue('priceFeed.providers', 'dexscreener,jupiter'), ['dexscreener', 'jupiter']);
+    assert.throws(() => parseValue('priceFeed.providers', 'birdeye'), /Unknown provider birdeye/);
+
+    assert.equal(parseValue('tickFilter.mode', 'flag'), 'flag');
+    assert.throws(() => parseValue('tickFilter.mode', 'drop'), /must be one of reject, flag/);
+
+    assert.equal(parseValue('strategyTimeframes.ema_rsi', '5m'), '5m');
+    assert.throws(() => parseValue('strategyTimeframes.ema_rsi', '7m'), /must be one of/);
+});
+
+test('parseValue resolves derived keys and rejects unknown ones', () => {
+    assert.equal(parseValue('strategyParams.ema_rsi.emaFast', '12'), 12);
+    assert.throws(() => parseValue('strategyParams.ema_rsi.emaFast', '1'), /must be ≥ 2/);
+    assert.equal(parseValue('pruneRules.low_volume.graceMinutes', '30'), 30);
+    assert.equal(parseValue('launchpads.somenewpad.enabled', 'on'), true);
+
+    assert.throws(() => parseValue('nope', '1'), /Unknown setting "nope"/);
+    assert.throws(() => parseValue('strategyParams.ema_rsi.nope', '1'), /Unknown setting/);
+    assert.throws(() => parseValue('pruneRules.noSuchRule.threshold', '1'), /Unknown setting/);
+    assert.throws(() => parseValue('strategyTimeframes.nope', '5m'), /Unknown setting/);
+});
+
+test('get falls back to module defaults for keys the settings object leaves unset', () => {
+    assert.equal(settingsStore.get('exitParams.takeProfitMultiple'), 3);
+    assert.equal(settingsStore.get('strategyParams.ema_rsi.emaSlow'), 20);
+    assert.equal(settingsStore.get('nope'), undefined);
+});
+
+test('set rejects an emaFast that is not below emaSlow, then set and reset round-trip', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(Setting, 'find', () => ({ lean: async () => [] }));
+    const updates = t.mock.method(Setting, 'updateOne', async () => ({}));
+    const deletes = t.mock.method(Setting, 'deleteOne', async () => ({}));
+    const saved = JSON.parse(JSON.stringify(settings.strategyParams));
+    t.after(() => { settings.strategyParams = saved; });
+
+    await settingsStore.load();
+    await assert.rejects(settingsStore.set('strategyParams.ema_rsi.emaFast', '30'), /invalid parameter combination for ema_rsi/);
+    assert.equal(updates.mock.callCount(), 0);
+
+    const changes = [];
+    const listener = (change) => changes.push(change);
+    settingsStore.onChange(listener);
+
+    const result = await settingsStore.set('strategyParams.ema_rsi.emaFast', '12');
+    assert.deepEqual(result, { key: 'strategyParams.ema_rsi.emaFast', value: 12, previous: 9 });
+    assert.equal(settings.strategyParams.ema_rsi.emaFast, 12);
+    assert.deepEqual(updates.mock.calls[0].arguments[0], { key: 'strategyParams.ema_rsi.emaFast' });
+    assert.equal(settingsStore.list().find(i => i.key === 'strategyParams.ema_rsi.emaFast').overridden, true);
+
+    const undone = await settingsStore.reset('strategyParams.ema_rsi.emaFast');
+    assert.deepEqual(undone, { key: 'strategyParams.ema_rsi.emaFast', value: 9, previous: 12 });
+    assert.equal(deletes.mock.callCount(), 1);
+    assert.deepEqual(changes.map(c => c.value), [12, 9]);
+});
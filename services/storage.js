@@ -1,26 +1,66 @@
 /**
  * storage.js
- * Persists locally-generated 15s candles to MongoDB.
+ * Persists locally-generated candles (15s + rollups) and GeckoTerminal backfill to MongoDB.
  * Also provides helpers to fetch candle history for indicator calculations.
  */
 
 const Candle = require('../models/Candle');
+const { BASE_TIMEFRAME, TIMEFRAMES, intervalSec, rollup, bucketStart, splitCandle } = require('./timeframes');
+
+const BACKFILL_TIMEFRAME = '1m';                 // GeckoTerminal minute OHLCV
+const BACKFILL_ROLLUPS = ['5m', '15m'];          // derived from the backfilled 1m candles
+
+// Pre-timeframe unique index: rejects a rollup or 1m backfill candle sharing its
+// timestamp with a 15s candle, which the saves below would swallow as a duplicate
+const LEGACY_INDEX = 'tokenAddress_1_timestamp_1';
+
+/**
+ * Make sure the Candle collection has the per-timeframe unique index and not the
+ * legacy one. Run at startup, before any candle is saved.
+ */
+const ensureCandleIndexes = async () => {
+    let indexes = [];
+    try {
+        indexes = await Candle.collection.indexes();
+    } catch (err) {
+        if (err.codeName !== 'NamespaceNotFound') throw err; // no collection yet
+    }
+    if (indexes.some(i => i.name === LEGACY_INDEX)) {
+        console.warn(`[Storage] Dropping legacy candle index ${LEGACY_INDEX} (blocked rollups and backfill)`);
+        await Candle.collection.dropIndex(LEGACY_INDEX);
+    }
+    await Candle.createIndexes();
+
+    if (await Candle.exists({ timeframe: { $exists: false } })) {
+        console.warn('[Storage] Candles without a timeframe found — run node scripts/migrate_candle_timeframes.js');
+    }
+};
 
 /**
- * Save a single 15s candle to the database.
- * @param {object} candle - The candle object from CandleManager
+ * Save a single candle to the database.
+ * @param {object} candle - The candle object from CandleManager (any timeframe)
  */
 const saveCandle = async (candle) => {
     try {
         await Candle.create({
             tokenAddress: candle.tokenAddress,
             poolAddress: candle.poolAddress,
+            timeframe: candle.timeframe || BASE_TIMEFRAME,
+            intervalSec: intervalSec(candle.timeframe || BASE_TIMEFRAME),
+            source: candle.source || 'jupiter',
+            launchpad: candle.launchpad || null,
             timestamp: candle.timestamp,
             open: candle.open,
             high: candle.high,
             low: candle.low,
             close: candle.close,
-            volume: candle.volume
+            volume: candle.volume,
+            buyVolume: candle.buyVolume || 0,
+            sellVolume: candle.sellVolume || 0,
+            traderCount: candle.traderCount || 0,
+            tradeCount: candle.tradeCount || 0,
+            flaggedTicks: candle.flaggedTicks || 0,
+            synthetic: !!candle.synthetic
         });
     } catch (err) {
         // Duplicate key is ok — idempotent saves
@@ -32,28 +72,42 @@ const saveCandle = async (candle) => {
 
 /**
  * Saves multiple candles at once (for GeckoTerminal backfill).
+ * The 1m candles are stored as-is and rolled up into 5m / 15m; the bucket holding
+ * the newest candle is left out since the live rollup will complete it.
  * Skips duplicates silently.
  * @param {string} tokenAddress
  * @param {string|null} poolAddress
- * @param {Array} candles - Array of { timestamp, open, high, low, close, volume }
+ * @param {Array} candles - Array of 1m { timestamp, open, high, low, close, volume }, oldest-first
+ * @param {string|null} [launchpad] - Token.source
  */
-const backfillCandles = async (tokenAddress, poolAddress, candles) => {
+const backfillCandles = async (tokenAddress, poolAddress, candles, launchpad = null) => {
     if (!candles || candles.length === 0) return;
 
-    const docs = candles.map(c => ({
+    const series = [{ timeframe: BACKFILL_TIMEFRAME, source: 'gecko', candles }];
+    const newest = candles[candles.length - 1].timestamp;
+    for (const tf of BACKFILL_ROLLUPS) {
+        const open = bucketStart(newest, tf);
+        series.push({ timeframe: tf, source: 'rollup', candles: rollup(candles, tf).filter(c => c.timestamp.getTime() < open) });
+    }
+
+    const docs = series.flatMap(({ timeframe, source, candles: list }) => list.map(c => ({
         tokenAddress,
         poolAddress: poolAddress || null,
+        timeframe,
+        intervalSec: intervalSec(timeframe),
+        source,
+        launchpad,
         timestamp: c.timestamp,
         open: c.open,
         high: c.high,
         low: c.low,
         close: c.close,
         volume: c.volume
-    }));
+    })));
 
     try {
         await Candle.insertMany(docs, { ordered: false });
-        console.log(`[Storage] Backfilled ${docs.length} candles for ${tokenAddress}`);
+        console.log(`[Storage] Backfilled ${candles.length} 1m candles (+${docs.length - candles.length} rollups) for ${tokenAddress}`);
     } catch (err) {
         // ordered: false allows partial success; duplicate key errors are safe to ignore
         if (err.code !== 11000 && err.writeErrors) {
@@ -66,16 +120,42 @@ const backfillCandles = async (tokenAddress, poolAddress, candles) => {
 };
 
 /**
- * Fetch the N most recent candles for a token (for indicator calculation).
- * Returns sorted oldest-first.
+ * Fetch the N most recent candles of one timeframe for a token (for indicator calculation).
+ * Returns sorted oldest-first. The series is always uniform: every candle has the same interval.
+ *
+ * With `fillFromBackfill`, a 15s series shorter than `limit` is padded at the front with
+ * the 1m backfill that precedes it, split into 15s slices (source 'resampled').
+ * Longer timeframes need no padding — backfill already lives in the 1m/5m/15m series.
+ *
+ * @param {string}  tokenAddress
+ * @param {number}  [limit=50]
+ * @param {string}  [timeframe='15s']
+ * @param {object}  [opts]
+ * @param {boolean} [opts.fillFromBackfill=false]
  */
-const getRecentCandles = async (tokenAddress, limit = 50) => {
-    const docs = await Candle.find({ tokenAddress })
+const getRecentCandles = async (tokenAddress, limit = 50, timeframe = BASE_TIMEFRAME, { fillFromBackfill = false } = {}) => {
+    if (!TIMEFRAMES[timeframe]) throw new Error(`Unknown timeframe "${timeframe}"`);
+    const docs = (await Candle.find({ tokenAddress, timeframe })
         .sort({ timestamp: -1 })
         .limit(limit)
-        .lean();
+        .lean())
+        .reverse(); // oldest-first for technicalindicators library
+
+    if (!fillFromBackfill || timeframe !== BASE_TIMEFRAME || docs.length >= limit) return docs;
+
+    const missing = limit - docs.length;
+    const perMinute = TIMEFRAMES[BACKFILL_TIMEFRAME] / TIMEFRAMES[BASE_TIMEFRAME];
+    const before = docs.length > 0 ? docs[0].timestamp : new Date();
+    const backfill = (await Candle.find({ tokenAddress, timeframe: BACKFILL_TIMEFRAME, timestamp: { $lt: before } })
+        .sort({ timestamp: -1 })
+        .limit(Math.ceil(missing / perMinute))
+        .lean())
+        .reverse();
 
-    return docs.reverse(); // oldest-first for technicalindicators library
+    const resampled = backfill
+        .flatMap(c => splitCandle(c, BACKFILL_TIMEFRAME, BASE_TIMEFRAME))
+        .filter(c => c.timestamp < before); // the newest 1m bucket may overlap the live series
+    return [...resampled.slice(-missing), ...docs];
 };
 
 /**
@@ -90,4 +170,4 @@ const getLatestCandleTime = async (tokenAddress) => {
     return doc ? doc.timestamp : null;
 };
 
-module.exports = { saveCandle, backfillCandles, getRecentCandles, getLatestCandleTime };
+module.exports = { LEGACY_INDEX, ensureCandleIndexes, saveCandle, backfillCandles, getRecentCandles, getLatestCandleTime };
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Candle = require('../models/Candle');
+const { saveCandle, backfillCandles, getRecentCandles } = require('./storage');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const MINT = 'Store11111111111111111111111111111111111pump';
+
+const ohlc = (timestamp, price, extra = {}) => ({ timestamp: new Date(timestamp), open: price, high: price, low: price, close: price, volume: 1, ...extra });
+
+// Candle.find stub answering per timeframe, newest-first like the real query
+const mockFind = (t, byTimeframe) => {
+    const queries = [];
+    t.mock.method(Candle, 'find', (query) => {
+        queries.push(query);
+        let rows = (byTimeframe[query.timeframe] || []).filter(c => !query.timestamp || c.timestamp < query.timestamp.$lt);
+        rows = [...rows].sort((a, b) => b.timestamp - a.timestamp);
+        const chain = { sort: () => chain, limit: (n) => { rows = rows.slice(0, n); return chain; }, lean: async () => rows };
+        return chain;
+    });
+    return queries;
+};
+
+test('saveCandle tags timeframe, interval and source', async (t) => {
+    const create = t.mock.method(Candle, 'create', async () => ({}));
+    await saveCandle({ tokenAddress: MINT, ...ohlc(T0, 1) });
+    await saveCandle({ tokenAddress: MINT, timeframe: '5m', source: 'rollup', ...ohlc(T0, 1) });
+
+    const [base, rolled] = create.mock.calls.map(c => c.arguments[0]);
+    assert.deepEqual([base.timeframe, base.intervalSec, base.source], ['15s', 15, 'jupiter']);
+    assert.deepEqual([rolled.timeframe, rolled.intervalSec, rolled.source], ['5m', 300, 'rollup']);
+});
+
+test('saveCandle ignores duplicates', async (t) => {
+    t.mock.method(Candle, 'create', async () => { throw Object.assign(new Error('E11000'), { code: 11000 }); });
+    const error = t.mock.method(console, 'error', () => {});
+    await saveCandle({ tokenAddress: MINT, ...ohlc(T0, 1) });
+    assert.equal(error.mock.callCount(), 0);
+});
+
+test('backfill stores 1m candles and completed 5m / 15m rollups', async (t) => {
+    const insertMany = t.mock.method(Candle, 'insertMany', async () => []);
+    t.mock.method(console, 'log', () => {});
+    const minutes = Array.from({ length: 12 }, (_, i) => ohlc(T0 + i * 60000, 1 + i));
+
+    await backfillCandles(MINT, 'Pool', minutes, 'pumpfun');
+    const docs = insertMany.mock.calls[0].arguments[0];
+    const count = (tf) => docs.filter(d => d.timeframe === tf).length;
+    assert.deepEqual([count('1m'), count('5m'), count('15m')], [12, 2, 0]); // the open 5m and 15m buckets are left out
+    assert.ok(docs.filter(d => d.timeframe === '1m').every(d => d.source === 'gecko' && d.intervalSec === 60 && d.launchpad === 'pumpfun'));
+    assert.deepEqual(docs.filter(d => d.timeframe === '5m').map(d => [d.source, d.open, d.close]), [['rollup', 1, 5], ['rollup', 6, 10]]);
+});
+
+test('getRecentCandles reads one timeframe, oldest first', async (t) => {
+    const queries = mockFind(t, { '1m': [ohlc(T0, 1), ohlc(T0 + 60000, 2), ohlc(T0 + 120000, 3)] });
+    const candles = await getRecentCandles(MINT, 2, '1m');
+    assert.deepEqual(candles.map(c => c.close), [2, 3]);
+    assert.deepEqual(queries, [{ tokenAddress: MINT, timeframe: '1m' }]);
+    await assert.rejects(getRecentCandles(MINT, 2, '2m'), /Unknown timeframe/);
+});
+
+test('a short 15s series is padded with resampled 1m backfill only when asked', async (t) => {
+    const live = [ohlc(T0 + 120000, 10, { source: 'jupiter' }), ohlc(T0 + 135000, 11, { source: 'jupiter' })];
+    mockFind(t, { '15s': live, '1m': [ohlc(T0, 1), ohlc(T0 + 60000, 2)] });
+
+    assert.equal((await getRecentCandles(MINT, 7, '15s')).length, 2);
+
+    const padded = await getRecentCandles(MINT, 7, '15s', { fillFromBackfill: true });
+    assert.equal(padded.length, 7);
+    assert.deepEqual(padded.map(c => c.timestamp.getTime() - T0), [45, 60, 75, 90, 105, 120, 135].map(s => s * 1000));
+    assert.ok(padded.slice(0, 5).every(c => c.timeframe === '15s' && c.source === 'resampled'));
+    assert.deepEqual(padded.slice(-2).map(c => c.close), [10, 11]);
+});
@@ -0,0 +1,66 @@
+/**
+ * breakout.js
+ *
+ * Range breakout: the closed candle finishes above the highest high of the
+ * previous `lookback` candles by at least `minBreakoutPct`.
+ * Optional volume confirmation reuses the global volume-spike setting.
+ */
+
+const DEFAULTS = { lookback: 20, minBreakoutPct: 2, volumeMultiplier: 2 };
+
+module.exports = {
+    name: 'breakout',
+    label: 'Breakout',
+    description: 'Close breaks above the prior N-candle high (optional volume spike).',
+
+    // One outlier tick kept in 'flag' mode is enough to set a false range high or close
+    ignoreFlagged: true,
+
+    params: {
+        lookback: { type: 'integer', default: DEFAULTS.lookback, min: 5, max: 200, sweep: [10, 20, 40] },
+        minBreakoutPct: { type: 'number', default: DEFAULTS.minBreakoutPct, min: 0, max: 100, sweep: [1, 2, 5] },
+        volumeMultiplier: { type: 'number', default: DEFAULTS.volumeMultiplier, min: 1, max: 20, sweep: [1.5, 2, 3], volumeOnly: true },
+    },
+
+    warmup: (params) => params.lookback + 1,
+
+    evaluate: (history, params, opts = {}) => {
+        const { requireVolumeSpike = false } = opts;
+        if (!history || history.length < params.lookback + 1) return null;
+
+        const latest = history[history.length - 1];
+        const prior = history.slice(-(params.lookback + 1), -1);
+
+        const rangeHigh = Math.max(...prior.map(c => c.high));
+        if (!(rangeHigh > 0)) return null;
+
+        const breakoutPct = ((latest.close - rangeHigh) / rangeHigh) * 100;
+        if (breakoutPct < params.minBreakoutPct) return null;
+
+        // Close must also be above the previous close — ignore candles that merely wick up
+        const prevClose = prior[prior.length - 1].close;
+        if (latest.close <= prevClose) return null;
+
+        const avgVolume = prior.reduce((sum, c) => sum + (c.volume || 0), 0) / prior.length;
+        const isVolumeSpike = avgVolume > 0 && latest.volume > avgVolume * params.volumeMultiplier;
+        if (requireVolumeSpike && !isVolumeSpike) return null;
+
+        return {
+            tokenAddress: latest.tokenAddress,
+            symbol: latest.symbol || latest.tokenAddress,
+            volume: latest.volume,
+            avgVolume,
+            volumeSpikeActive: requireVolumeSpike,
+            isVolumeSpike,
+            isSignal: true,
+            price: latest.close,
+            params,
+            indicators: { rangeHigh, breakoutPct },
+        };
+    },
+
+    describe: (signal) => [
+        `📊 *Range high (${signal.params.lookback}):* ${signal.indicators.rangeHigh.toExponential(4)}`,
+        `🚀 *Breakout:* +${signal.indicators.breakoutPct.toFixed(1)}%`,
+    ],
+};
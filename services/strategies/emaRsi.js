@@ -0,0 +1,34 @@
+/**
+ * emaRsi.js
+ *
+ * Registry adapter for the original EMA crossover + RSI strategy (services/strategy.js).
+ */
+
+const { checkStrategy, DEFAULT_PARAMS, minCandles } = require('../strategy');
+
+module.exports = {
+    name: 'ema_rsi',
+    label: 'EMA RSI',
+    description: 'Fast EMA crosses above slow EMA with RSI above threshold (optional volume spike).',
+
+    params: {
+        emaFast: { type: 'integer', default: DEFAULT_PARAMS.emaFast, min: 2, max: 100, sweep: [5, 7, 9, 12] },
+        emaSlow: { type: 'integer', default: DEFAULT_PARAMS.emaSlow, min: 3, max: 200, sweep: [20, 26, 34] },
+        rsiPeriod: { type: 'integer', default: DEFAULT_PARAMS.rsiPeriod, min: 2, max: 100, sweep: [14] },
+        rsiThreshold: { type: 'number', default: DEFAULT_PARAMS.rsiThreshold, min: 0, max: 100, sweep: [45, 50, 55, 60] },
+        volumeMultiplier: { type: 'number', default: DEFAULT_PARAMS.volumeMultiplier, min: 1, max: 20, sweep: [1.5, 2, 3], volumeOnly: true },
+        volumeLookback: { type: 'integer', default: DEFAULT_PARAMS.volumeLookback, min: 2, max: 100, sweep: [10], volumeOnly: true },
+    },
+
+    validate: (params) => params.emaFast < params.emaSlow,
+
+    warmup: (params) => minCandles(params),
+
+    evaluate: (history, params, opts = {}) => checkStrategy(history, { ...opts, params }),
+
+    describe: (signal) => [
+        `📈 *RSI:* ${signal.rsi.toFixed(2)}`,
+        `📐 *EMA ${signal.params.emaFast}:*  ${signal.emaFast.toExponential(4)}`,
+        `📐 *EMA ${signal.params.emaSlow}:* ${signal.emaSlow.toExponential(4)}`,
+    ],
+};
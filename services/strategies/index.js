@@ -0,0 +1,146 @@
+/**
+ * strategies/index.js
+ *
+ * Strategy registry. Every strategy module exports:
+ *   - name         unique id stored on alerts (e.g. 'ema_rsi')
+ *   - label        human name used in Telegram messages
+ *   - params       parameter schema: { key: { type, default, min, max, sweep, volumeOnly } }
+ *   - warmup(p)    candles required before evaluate() can fire
+ *   - evaluate(history, params, opts) → signal object or null
+ *   - describe(signal) → Telegram lines for the alert body
+ *   - validate(p)  optional cross-parameter check
+ *   - timeframe    optional candle timeframe to evaluate on (default '15s', see services/timeframes.js)
+ *   - ignoreSynthetic  optional: evaluate without carry-forward candles (`synthetic`, see
+ *                  settings.carryForward) and never fire on one
+ *   - ignoreFlagged    optional: the same for candles holding outlier ticks the bad-tick
+ *                  filter kept (`flaggedTicks`, settings.tickFilter.mode 'flag')
+ *
+ * The candle handler runs every enabled strategy on each closed candle and
+ * tags the resulting signals with the strategy that fired.
+ */
+
+const { BASE_TIMEFRAME, isTimeframe } = require('../timeframes');
+const emaRsi = require('./emaRsi');
+const breakout = require('./breakout');
+const meanReversion = require('./meanReversion');
+
+const registry = new Map();
+
+/**
+ * Add a strategy to the registry (replaces one with the same name).
+ */
+const register = (strategy) => {
+    for (const key of ['name', 'params', 'warmup', 'evaluate']) {
+        if (!strategy[key]) throw new Error(`Strategy is missing "${key}"`);
+    }
+    registry.set(strategy.name, strategy);
+};
+
+[emaRsi, breakout, meanReversion].forEach(register);
+
+const getStrategy = (name) => registry.get(name) || null;
+
+const listStrategies = () => [...registry.values()];
+
+/**
+ * Default parameter values from a strategy's schema.
+ */
+const defaultParams = (strategy) => {
+    const params = {};
+    for (const [key, spec] of Object.entries(strategy.params)) params[key] = spec.default;
+    return params;
+};
+
+/**
+ * Merge overrides onto the schema defaults.
+ */
+const resolveParams = (strategy, overrides = {}) => ({ ...defaultParams(strategy), ...overrides });
+
+/**
+ * Check a full parameter set against the schema.
+ * @returns {string[]} Error messages (empty = valid)
+ */
+const validateParams = (strategy, params) => {
+    const errors = [];
+    for (const [key, spec] of Object.entries(strategy.params)) {
+        const v = params[key];
+        if (typeof v !== 'number' || isNaN(v)) { errors.push(`${key} must be a number`); continue; }
+        if (spec.type === 'integer' && !Number.isInteger(v)) errors.push(`${key} must be an integer`);
+        if (spec.min !== undefined && v < spec.min) errors.push(`${key} must be ≥ ${spec.min}`);
+        if (spec.max !== undefined && v > spec.max) errors.push(`${key} must be ≤ ${spec.max}`);
+    }
+    if (errors.length === 0 && strategy.validate && !strategy.validate(params)) {
+        errors.push(`invalid parameter combination for ${strategy.name}`);
+    }
+    return errors;
+};
+
+/**
+ * Resolve enabled strategy names into { strategy, params, timeframe } entries.
+ * Unknown names are skipped with a warning.
+ *
+ * @param {string[]} names              - e.g. settings.enabledStrategies
+ * @param {object}   [paramsByName]     - { strategyName: overrides }
+ * @param {object}   [timeframesByName] - { strategyName: '1m' } overrides of strategy.timeframe
+ */
+const getEnabledStrategies = (names, paramsByName = {}, timeframesByName = {}) => {
+    const enabled = [];
+    for (const name of names) {
+        const strategy = getStrategy(name);
+        if (!strategy) {
+            console.warn(`[Strategies] Unknown strategy "${name}" — skipping.`);
+            continue;
+        }
+        const timeframe = timeframesByName[name] || strategy.timeframe || BASE_TIMEFRAME;
+        if (!isTimeframe(timeframe)) {
+            console.warn(`[Strategies] Unknown timeframe "${timeframe}" for "${name}" — skipping.`);
+            continue;
+        }
+        enabled.push({ strategy, params: resolveParams(strategy, paramsByName[name]), timeframe });
+    }
+    return enabled;
+};
+
+/**
+ * Longest warm-up among the enabled strategies.
+ */
+const requiredHistory = (enabled) => {
+    return enabled.reduce((max, e) => Math.max(max, e.strategy.warmup(e.params)), 0);
+};
+
+/**
+ * Whether a strategy wants a candle left out of its history (ignoreSynthetic / ignoreFlagged).
+ */
+const isExcluded = (strategy, candle) =>
+    (strategy.ignoreSynthetic && !!candle.synthetic) || (strategy.ignoreFlagged && candle.flaggedTicks > 0);
+
+/**
+ * Run every enabled strategy against the same history.
+ * @returns {object[]} Signals, each tagged with `strategy`
+ */
+const runStrategies = (history, enabled, opts = {}) => {
+    const signals = [];
+    for (const { strategy, params } of enabled) {
+        let series = history;
+        if (history.some(c => isExcluded(strategy, c))) {
+            if (isExcluded(strategy, history[history.length - 1])) continue; // never fire on one
+            series = history.filter(c => !isExcluded(strategy, c));
+        }
+        if (series.length < strategy.warmup(params)) continue;
+        const signal = strategy.evaluate(series, params, opts);
+        if (signal) signals.push({ ...signal, strategy: strategy.name });
+    }
+    return signals;
+};
+
+module.exports = {
+    register,
+    getStrategy,
+    listStrategies,
+    defaultParams,
+    resolveParams,
+    validateParams,
+    getEnabledStrategies,
+    requiredHistory,
+    runStrategies
+};
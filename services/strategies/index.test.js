@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    register, getStrategy, listStrategies, resolveParams, validateParams, getEnabledStrategies, requiredHistory, runStrategies
+} = require('./index');
+
+const flat = (n, extra = {}) => Array.from({ length: n }, (_, i) => ({
+    tokenAddress: 'Mint', timestamp: new Date(i * 15000), open: 1, high: 1, low: 1, close: 1, volume: 10, ...extra
+}));
+
+test('the built-in strategies are registered', () => {
+    assert.deepEqual(listStrategies().map(s => s.name).sort(), ['breakout', 'ema_rsi', 'mean_reversion']);
+    assert.throws(() => register({ name: 'broken', params: {} }), /missing "warmup"/);
+});
+
+test('parameters resolve onto the schema defaults and are validated', () => {
+    const emaRsi = getStrategy('ema_rsi');
+    const params = resolveParams(emaRsi, { emaFast: 5 });
+    assert.equal(params.emaFast, 5);
+    assert.equal(params.emaSlow, emaRsi.params.emaSlow.default);
+    assert.deepEqual(validateParams(emaRsi, params), []);
+    assert.deepEqual(validateParams(emaRsi, { ...params, emaFast: 2.5, rsiThreshold: 101 }),
+        ['emaFast must be an integer', 'rsiThreshold must be ≤ 100']);
+    assert.deepEqual(validateParams(emaRsi, { ...params, emaFast: 30 }), ['invalid parameter combination for ema_rsi']);
+});
+
+test('enabled strategies skip unknown names and take timeframe overrides', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const enabled = getEnabledStrategies(['ema_rsi', 'nope', 'breakout'], { breakout: { lookback: 40 } }, { breakout: '1m', ema_rsi: '2m' });
+    assert.deepEqual(enabled.map(e => [e.strategy.name, e.timeframe]), [['breakout', '1m']]);
+    assert.equal(enabled[0].params.lookback, 40);
+    assert.equal(requiredHistory(enabled), 41);
+});
+
+test('every strategy runs on the same history and its signal is tagged', () => {
+    const history = [...flat(20), { tokenAddress: 'Mint', timestamp: new Date(20 * 15000), open: 1, high: 1.1, low: 1, close: 1.1, volume: 10 }];
+    const signals = runStrategies(history, getEnabledStrategies(['ema_rsi', 'breakout'], { breakout: { lookback: 10 } }));
+    assert.deepEqual(signals.map(s => s.strategy), ['ema_rsi', 'breakout']);
+    assert.ok(signals.every(s => s.price === 1.1));
+    assert.equal(Math.round(signals[1].indicators.breakoutPct), 10);
+
+    const quiet = runStrategies(flat(21), getEnabledStrategies(['ema_rsi', 'breakout']));
+    assert.deepEqual(quiet, []);
+});
@@ -0,0 +1,68 @@
+/**
+ * meanReversion.js
+ *
+ * Oversold bounce: the previous candle closed below the lower Bollinger band,
+ * the closed candle recovers back inside it, and RSI is still below `rsiMax`.
+ */
+
+const { BollingerBands, RSI } = require('technicalindicators');
+
+const DEFAULTS = { period: 20, stdDev: 2, rsiPeriod: 14, rsiMax: 40 };
+
+module.exports = {
+    name: 'mean_reversion',
+    label: 'Mean Reversion',
+    description: 'Close re-enters the lower Bollinger band from below while RSI is oversold.',
+
+    // Flat carry-forward candles shrink the bands and fake band breaks
+    ignoreSynthetic: true,
+
+    params: {
+        period: { type: 'integer', default: DEFAULTS.period, min: 5, max: 200, sweep: [14, 20, 30] },
+        stdDev: { type: 'number', default: DEFAULTS.stdDev, min: 0.5, max: 5, sweep: [1.5, 2, 2.5] },
+        rsiPeriod: { type: 'integer', default: DEFAULTS.rsiPeriod, min: 2, max: 100, sweep: [14] },
+        rsiMax: { type: 'number', default: DEFAULTS.rsiMax, min: 0, max: 100, sweep: [30, 35, 40, 45] },
+    },
+
+    warmup: (params) => Math.max(params.period, params.rsiPeriod) + 2,
+
+    evaluate: (history, params) => {
+        if (!history || history.length < Math.max(params.period, params.rsiPeriod) + 2) return null;
+
+        const closes = history.map(c => c.close);
+        const bands = BollingerBands.calculate({ period: params.period, stdDev: params.stdDev, values: closes });
+        if (bands.length < 2) return null;
+
+        const currBand = bands[bands.length - 1];
+        const prevBand = bands[bands.length - 2];
+        const currClose = closes[closes.length - 1];
+        const prevClose = closes[closes.length - 2];
+
+        // Re-entry: previous close below the lower band, current close back above it
+        const isReentry = prevClose < prevBand.lower && currClose > currBand.lower;
+        if (!isReentry) return null;
+
+        const rsiResult = RSI.calculate({ period: params.rsiPeriod, values: closes });
+        if (rsiResult.length === 0) return null;
+        const rsi = rsiResult[rsiResult.length - 1];
+        if (rsi >= params.rsiMax) return null;
+
+        const latest = history[history.length - 1];
+        return {
+            tokenAddress: latest.tokenAddress,
+            symbol: latest.symbol || latest.tokenAddress,
+            rsi,
+            volume: latest.volume,
+            isSignal: true,
+            price: latest.close,
+            params,
+            indicators: { lower: currBand.lower, middle: currBand.middle, upper: currBand.upper },
+        };
+    },
+
+    describe: (signal) => [
+        `📈 *RSI:* ${signal.rsi.toFixed(2)}`,
+        `📉 *BB lower:* ${signal.indicators.lower.toExponential(4)}`,
+        `🎯 *BB mid:* ${signal.indicators.middle.toExponential(4)}`,
+    ],
+};
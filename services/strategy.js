@@ -3,7 +3,7 @@
  *
  * Evaluates a closed 15s candle against the strategy conditions.
  *
- * Strategy:
+ * Strategy (defaults — every number is a parameter, see DEFAULT_PARAMS):
  *   Condition 1: EMA 9 > EMA 20 (crossover — was <= on previous candle)
  *   Condition 2: RSI 14 > 50
  *   Condition 3: Volume > 1.5× Average Volume (last 10 candles) [OPTIONAL — see opts]
@@ -12,55 +12,75 @@
 
 const { EMA, RSI } = require('technicalindicators');
 
-// Minimum candles required before evaluating
-const MIN_CANDLES = 21; // enough for EMA 20 warm-up
+const DEFAULT_PARAMS = {
+    emaFast: 9,            // fast EMA period
+    emaSlow: 20,           // slow EMA period
+    rsiPeriod: 14,
+    rsiThreshold: 50,      // RSI must be strictly above this
+    volumeMultiplier: 1.5, // spike = current volume > multiplier × average
+    volumeLookback: 10,    // completed candles averaged for the spike check
+};
+
+/**
+ * Merge partial overrides onto DEFAULT_PARAMS.
+ * @param {object} [overrides]
+ * @returns {object}
+ */
+const resolveParams = (overrides = {}) => ({ ...DEFAULT_PARAMS, ...overrides });
+
+/**
+ * Minimum candles required before evaluating (slow EMA warm-up + 1 for the crossover).
+ */
+const minCandles = (params = DEFAULT_PARAMS) => params.emaSlow + 1;
 
 /**
  * Check the strategy against candle history.
  *
  * @param {object[]} history - Array of candles sorted oldest→newest (min ~50 recommended)
  * @param {object}   [opts]
- * @param {boolean}  [opts.requireVolumeSpike=false] - When true, volume must be > 1.5× avg
+ * @param {boolean}  [opts.requireVolumeSpike=false] - When true, volume must be > multiplier × avg
+ * @param {object}   [opts.params]                   - Partial overrides of DEFAULT_PARAMS
  * @returns {object|null} Signal object if conditions met, null otherwise
  */
 const checkStrategy = (history, opts = {}) => {
     const { requireVolumeSpike = false } = opts;
+    const params = resolveParams(opts.params);
 
-    if (!history || history.length < MIN_CANDLES) return null;
+    if (!history || history.length < minCandles(params)) return null;
 
     const closes = history.map(c => c.close);
     const volumes = history.map(c => c.volume);
 
-    // ── EMA 9 & 20 ───────────────────────────────────────────────────────────
-    const ema9Result = EMA.calculate({ period: 9, values: closes });
-    const ema20Result = EMA.calculate({ period: 20, values: closes });
+    // ── EMA fast & slow ──────────────────────────────────────────────────────
+    const fastResult = EMA.calculate({ period: params.emaFast, values: closes });
+    const slowResult = EMA.calculate({ period: params.emaSlow, values: closes });
 
-    if (ema9Result.length < 2 || ema20Result.length < 2) return null;
+    if (fastResult.length < 2 || slowResult.length < 2) return null;
 
-    const ema9Curr = ema9Result[ema9Result.length - 1];
-    const ema9Prev = ema9Result[ema9Result.length - 2];
-    const ema20Curr = ema20Result[ema20Result.length - 1];
-    const ema20Prev = ema20Result[ema20Result.length - 2];
+    const fastCurr = fastResult[fastResult.length - 1];
+    const fastPrev = fastResult[fastResult.length - 2];
+    const slowCurr = slowResult[slowResult.length - 1];
+    const slowPrev = slowResult[slowResult.length - 2];
 
-    // Crossover: EMA9 was below EMA20, now above
-    const isCrossover = (ema9Prev <= ema20Prev) && (ema9Curr > ema20Curr);
+    // Crossover: fast EMA was below slow EMA, now above
+    const isCrossover = (fastPrev <= slowPrev) && (fastCurr > slowCurr);
     if (!isCrossover) return null;
 
-    // ── RSI 14 ───────────────────────────────────────────────────────────────
-    const rsiResult = RSI.calculate({ period: 14, values: closes });
+    // ── RSI ──────────────────────────────────────────────────────────────────
+    const rsiResult = RSI.calculate({ period: params.rsiPeriod, values: closes });
     if (rsiResult.length === 0) return null;
 
     const rsi = rsiResult[rsiResult.length - 1];
-    const isRsiGood = rsi > 50;
+    const isRsiGood = rsi > params.rsiThreshold;
     if (!isRsiGood) return null;
 
     // ── Volume Spike (optional) ──────────────────────────────────────────────
-    const recentVolumes = volumes.slice(-11, -1); // last 10 completed candles
+    const recentVolumes = volumes.slice(-(params.volumeLookback + 1), -1); // last N completed candles
     const currentVolume = volumes[volumes.length - 1];
-    const avgVolume = recentVolumes.length >= 5
+    const avgVolume = recentVolumes.length >= Math.ceil(params.volumeLookback / 2)
         ? recentVolumes.reduce((a, b) => a + b, 0) / recentVolumes.length
         : 0;
-    const isVolumeSpike = avgVolume > 0 && currentVolume > avgVolume * 1.5;
+    const isVolumeSpike = avgVolume > 0 && currentVolume > avgVolume * params.volumeMultiplier;
 
     if (requireVolumeSpike && !isVolumeSpike) return null;
 
@@ -69,8 +89,8 @@ const checkStrategy = (history, opts = {}) => {
     return {
         tokenAddress: latest.tokenAddress,
         symbol: latest.symbol || latest.tokenAddress,
-        ema9: ema9Curr,
-        ema20: ema20Curr,
+        emaFast: fastCurr,
+        emaSlow: slowCurr,
         rsi,
         volume: currentVolume,
         avgVolume,
@@ -78,7 +98,40 @@ const checkStrategy = (history, opts = {}) => {
         isVolumeSpike,
         isSignal: true, // Marker
         price: latest.close,
+        params,
+    };
+};
+
+/**
+ * Current indicator values on the latest candle, whether or not a signal fires.
+ * Used for inspection (/token); signal logic stays in checkStrategy.
+ *
+ * @param {object[]} history - Candles sorted oldest→newest
+ * @param {object}   [overrides] - Partial overrides of DEFAULT_PARAMS
+ * @returns {{ emaFast, emaSlow, rsi, volume, avgVolume, trend, params }|null} null until warmed up
+ */
+const computeIndicators = (history, overrides = {}) => {
+    const params = resolveParams(overrides);
+    if (!history || history.length < minCandles(params)) return null;
+
+    const closes = history.map(c => c.close);
+    const volumes = history.map(c => c.volume || 0);
+    const fast = EMA.calculate({ period: params.emaFast, values: closes });
+    const slow = EMA.calculate({ period: params.emaSlow, values: closes });
+    const rsi = RSI.calculate({ period: params.rsiPeriod, values: closes });
+    const recent = volumes.slice(-(params.volumeLookback + 1), -1);
+
+    const emaFast = fast[fast.length - 1];
+    const emaSlow = slow[slow.length - 1];
+    return {
+        emaFast,
+        emaSlow,
+        rsi: rsi.length > 0 ? rsi[rsi.length - 1] : null,
+        volume: volumes[volumes.length - 1],
+        avgVolume: recent.length > 0 ? recent.reduce((a, b) => a + b, 0) / recent.length : 0,
+        trend: emaFast > emaSlow ? 'bullish' : 'bearish',
+        params
     };
 };
 
-module.exports = { checkStrategy };
+module.exports = { checkStrategy, computeIndicators, DEFAULT_PARAMS, resolveParams, minCandles };
@@ -0,0 +1,107 @@
+/**
+ * tickFilter.js
+ *
+ * Bad-tick filter for live prices (used by candleManager.addTrade). A tick is
+ * compared with the median of the token's last `window` ticks; one that
+ * deviates by more than `maxDeviationPct` is an outlier and is
+ *
+ *   reject  dropped (mode 'reject', default),
+ *   flag    kept but counted on the candle (`flaggedTicks`, mode 'flag'), or
+ *   hold    parked until a second price source confirms it (confirmJumps).
+ *
+ * The median covers every tick seen, outliers included, so a move that keeps
+ * printing becomes the new median after about window / 2 ticks and is
+ * accepted from then on — a single bad quote never does. With confirmJumps a
+ * held jump is accepted as soon as a tick from a different source lands
+ * within the band of it (the price feed asks another provider, see
+ * services/priceFeed.js), or dropped when that tick sides with the old level
+ * or no confirmation arrives within `confirmWithinSec`.
+ *
+ * Pure functions on a per-token state object, so the live candle manager and
+ * anything replaying ticks share the same rules.
+ */
+
+const MIN_HISTORY = 3; // ticks needed before anything is judged
+
+const createTickState = () => ({
+    recent: [],
+    pending: null,   // { price, source, at } jump waiting for confirmation
+    counts: { accepted: 0, rejected: 0, flagged: 0, held: 0, confirmed: 0, unconfirmed: 0 }
+});
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const deviation = (price, reference) => Math.abs(price - reference) / reference * 100;
+
+const remember = (state, price, window) => {
+    state.recent.push(price);
+    if (state.recent.length > window) state.recent.splice(0, state.recent.length - window);
+};
+
+/**
+ * Judge one tick and update the state.
+ *
+ * @param {object} state  - From createTickState()
+ * @param {number} price
+ * @param {string} source - Price provider of the tick
+ * @param {object} opts   - settings.tickFilter: { maxDeviationPct, window, mode, confirmJumps, confirmWithinSec }
+ * @param {number} [now]
+ * @returns {{ action: 'accept'|'reject'|'flag'|'hold', confirmed?: object, deviationPct?: number }}
+ *   `confirmed` is the held tick this one confirmed (apply it before this one).
+ */
+const checkTick = (state, price, source, opts, now = Date.now()) => {
+    const { maxDeviationPct, window, mode, confirmJumps, confirmWithinSec } = opts;
+
+    // A held jump: expired, confirmed by another source, or contradicted by it
+    if (state.pending && now - state.pending.at > confirmWithinSec * 1000) {
+        state.counts.unconfirmed++;
+        state.pending = null;
+    }
+    if (state.pending && source !== state.pending.source) {
+        const held = state.pending;
+        state.pending = null;
+        if (deviation(price, held.price) <= maxDeviationPct) {
+            state.counts.confirmed++;
+            state.counts.accepted += 2;
+            // Restart the window at the new level, full enough that the next tick is judged
+            state.recent = [...Array(MIN_HISTORY - 1).fill(held.price), price];
+            return { action: 'accept', confirmed: held };
+        }
+        state.counts.unconfirmed++;
+    }
+
+    if (state.recent.length < MIN_HISTORY) {
+        remember(state, price, window);
+        state.counts.accepted++;
+        return { action: 'accept' };
+    }
+
+    const deviationPct = deviation(price, median(state.recent));
+    remember(state, price, window);
+
+    if (deviationPct <= maxDeviationPct) {
+        state.counts.accepted++;
+        return { action: 'accept', deviationPct };
+    }
+    if (confirmJumps) {
+        state.pending = { price, source, at: now };
+        state.counts.held++;
+        return { action: 'hold', deviationPct };
+    }
+    if (mode === 'flag') {
+        state.counts.flagged++;
+        return { action: 'flag', deviationPct };
+    }
+    state.counts.rejected++;
+    return { action: 'reject', deviationPct };
+};
+
+module.exports = {
+    createTickState,
+    checkTick,
+    median
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTickState, checkTick, median } = require('./tickFilter');
+
+const OPTS = { maxDeviationPct: 50, window: 9, mode: 'reject', confirmJumps: false, confirmWithinSec: 30 };
+
+const feed = (state, prices, opts = OPTS, source = 'jupiter') =>
+    prices.map(p => checkTick(state, p, source, opts).action);
+
+test('median of odd and even lengths', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+});
+
+test('accepts anything until there is enough history', () => {
+    const state = createTickState();
+    assert.deepEqual(feed(state, [1, 100, 0.01]), ['accept', 'accept', 'accept']);
+});
+
+test('rejects a single spike and keeps the old level', () => {
+    const state = createTickState();
+    assert.deepEqual(feed(state, [1, 1.1, 0.95, 3, 1.05]), ['accept', 'accept', 'accept', 'reject', 'accept']);
+    assert.equal(checkTick(state, 1.4, 'jupiter', OPTS).action, 'accept'); // 40% is within the band
+    assert.deepEqual(state.counts, { accepted: 5, rejected: 1, flagged: 0, held: 0, confirmed: 0, unconfirmed: 0 });
+});
+
+test('a move that keeps printing is accepted once it becomes the median', () => {
+    const state = createTickState();
+    feed(state, [1, 1, 1]);
+    const actions = feed(state, [3, 3, 3, 3, 3]);
+    assert.deepEqual(actions, ['reject', 'reject', 'reject', 'accept', 'accept']);
+});
+
+test('flag mode keeps the tick and counts it', () => {
+    const state = createTickState();
+    feed(state, [1, 1, 1]);
+    const verdict = checkTick(state, 0.2, 'jupiter', { ...OPTS, mode: 'flag' });
+    assert.equal(verdict.action, 'flag');
+    assert.equal(verdict.deviationPct, 80);
+    assert.equal(state.counts.flagged, 1);
+});
+
+test('a held jump is accepted when another source confirms it', () => {
+    const opts = { ...OPTS, confirmJumps: true };
+    const state = createTickState();
+    feed(state, [1, 1, 1], opts);
+
+    assert.equal(checkTick(state, 3, 'jupiter', opts, 0).action, 'hold');
+    assert.equal(checkTick(state, 3.1, 'jupiter', opts, 1000).action, 'hold'); // same source replaces it
+    const verdict = checkTick(state, 3.2, 'dexscreener', opts, 2000);
+    assert.equal(verdict.action, 'accept');
+    assert.equal(verdict.confirmed.price, 3.1);
+    assert.deepEqual(state.recent, [3.1, 3.1, 3.2]);
+    assert.equal(state.pending, null);
+    assert.equal(state.counts.confirmed, 1);
+});
+
+test('the first tick after a confirmed jump is still checked', () => {
+    const opts = { ...OPTS, confirmJumps: true };
+    const state = createTickState();
+    feed(state, [1, 1, 1], opts);
+
+    checkTick(state, 3, 'jupiter', opts, 0);
+    checkTick(state, 3, 'dexscreener', opts, 1000);
+    assert.equal(checkTick(state, 30, 'jupiter', opts, 2000).action, 'hold');
+    assert.equal(checkTick(state, 3.1, 'jupiter', opts, 3000).action, 'accept');
+});
+
+test('a held jump is dropped when contradicted or not confirmed in time', () => {
+    const opts = { ...OPTS, confirmJumps: true };
+    const state = createTickState();
+    feed(state, [1, 1, 1], opts);
+
+    checkTick(state, 3, 'jupiter', opts, 0);
+    assert.equal(checkTick(state, 1, 'dexscreener', opts, 1000).action, 'accept');
+    assert.equal(state.pending, null);
+    assert.equal(state.counts.unconfirmed, 1);
+
+    checkTick(state, 0.2, 'jupiter', opts, 2000);
+    assert.ok(state.pending);
+    checkTick(state, 1, 'jupiter', opts, 33000);
+    assert.equal(state.pending, null);
+    assert.equal(state.counts.unconfirmed, 2);
+});
@@ -0,0 +1,174 @@
+/**
+ * timeframes.js
+ *
+ * Candle timeframes stored in the Candle collection and the pure maths for
+ * rolling candles of one timeframe up into a longer one.
+ *
+ *   15s — built live by the candle manager from polled prices (and trade feed swaps)
+ *   1m  — rolled up from 15s, or backfilled from GeckoTerminal
+ *   5m  — rolled up from 15s (live) or 1m (backfill)
+ *   15m — rolled up from 15s (live) or 1m (backfill)
+ *
+ * A rolled-up candle is stamped with the start of its bucket, like the 15s candles.
+ *
+ * Every stored candle also records where it came from (`source`):
+ *   jupiter     — live 15s candle whose close came from Jupiter (the primary price provider)
+ *   dexscreener — live 15s candle priced by the DexScreener fallback (services/priceFeed.js)
+ *   gecko       — GeckoTerminal 1m backfill, or a live 15s candle priced by its fallback
+ *   trades      — live 15s candle whose close came from a trade feed swap (services/tradeFeed.js)
+ *   carry       — synthetic flat 15s candle at the last close for a period without ticks
+ *                 (settings.carryForward); `synthetic: true`, also on rollups made only of them
+ *   rollup      — aggregated from shorter candles
+ *   resampled   — a 1m backfill candle split into 15s slices (never stored, see `splitCandle`)
+ */
+
+const TIMEFRAMES = {
+    '15s': 15 * 1000,
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+};
+
+const BASE_TIMEFRAME = '15s';
+const ROLLUP_TIMEFRAMES = ['1m', '5m', '15m'];
+
+const CANDLE_SOURCES = ['jupiter', 'dexscreener', 'gecko', 'trades', 'carry', 'rollup', 'resampled'];
+
+const isTimeframe = (tf) => Object.prototype.hasOwnProperty.call(TIMEFRAMES, tf);
+
+const intervalSec = (tf) => TIMEFRAMES[tf] / 1000;
+
+/**
+ * Start of the bucket (in ms) a timestamp falls in.
+ */
+const bucketStart = (timestamp, timeframe) => {
+    const ms = TIMEFRAMES[timeframe];
+    return Math.floor(new Date(timestamp).getTime() / ms) * ms;
+};
+
+/**
+ * Merge a candle into a rollup accumulator (or start one).
+ * @returns {object} The updated accumulator
+ */
+const mergeCandle = (acc, candle) => {
+    if (!acc) {
+        return {
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            volume: candle.volume || 0,
+            buyVolume: candle.buyVolume || 0,
+            sellVolume: candle.sellVolume || 0,
+            tradeCount: candle.tradeCount || 0,
+            flaggedTicks: candle.flaggedTicks || 0,
+            synthetic: !!candle.synthetic
+        };
+    }
+    acc.high = Math.max(acc.high, candle.high);
+    acc.low = Math.min(acc.low, candle.low);
+    acc.close = candle.close;
+    acc.volume += candle.volume || 0;
+    acc.buyVolume += candle.buyVolume || 0;
+    acc.sellVolume += candle.sellVolume || 0;
+    acc.tradeCount += candle.tradeCount || 0;
+    acc.flaggedTicks += candle.flaggedTicks || 0;
+    acc.synthetic = acc.synthetic && !!candle.synthetic; // synthetic only if every part was
+    return acc;
+};
+
+/**
+ * Roll a sorted (oldest→newest) series of shorter candles into `timeframe` candles.
+ * Buckets without any source candle are skipped.
+ *
+ * @param {object[]} candles
+ * @param {string}   timeframe
+ * @returns {object[]} { timestamp, open, high, low, close, volume, buyVolume, sellVolume, tradeCount, flaggedTicks }
+ */
+const rollup = (candles, timeframe) => {
+    const out = [];
+    let current = null;
+    let currentStart = null;
+
+    for (const c of candles) {
+        const start = bucketStart(c.timestamp, timeframe);
+        if (current && start !== currentStart) {
+            out.push({ timestamp: new Date(currentStart), ...current });
+            current = null;
+        }
+        currentStart = start;
+        current = mergeCandle(current, c);
+    }
+    if (current) out.push({ timestamp: new Date(currentStart), ...current });
+    return out;
+};
+
+/**
+ * Bars covering a lookback given either as a bar count ("120") or a duration
+ * ("30m", "6h", "2d") in the given timeframe. Returns null if unparseable.
+ */
+const barsForLookback = (lookback, timeframe) => {
+    const s = String(lookback).trim().toLowerCase();
+    if (/^\d+$/.test(s)) return parseInt(s, 10);
+    const m = s.match(/^(\d+(?:\.\d+)?)(m|h|d)$/);
+    if (!m) return null;
+    const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[m[2]];
+    return Math.max(1, Math.round((parseFloat(m[1]) * unitMs) / TIMEFRAMES[timeframe]));
+};
+
+/**
+ * Split one candle into equal slices of a shorter timeframe. Prices move linearly
+ * from open to close; the candle's high and low are placed on the slices nearest to
+ * where the move would have reached them, and volume is shared evenly.
+ *
+ * Only an approximation — used to warm up indicators while the live series is short.
+ *
+ * @param {object} candle
+ * @param {string} fromTf - Timeframe of `candle`
+ * @param {string} toTf   - Shorter target timeframe
+ * @returns {object[]}
+ */
+const splitCandle = (candle, fromTf, toTf) => {
+    const n = Math.round(TIMEFRAMES[fromTf] / TIMEFRAMES[toTf]);
+    const start = new Date(candle.timestamp).getTime();
+    const lerp = (k) => candle.open + (candle.close - candle.open) * (k / n);
+    const rising = candle.close >= candle.open;
+
+    const slices = [];
+    for (let k = 0; k < n; k++) {
+        const open = lerp(k);
+        const close = lerp(k + 1);
+        slices.push({
+            ...candle,
+            timestamp: new Date(start + k * TIMEFRAMES[toTf]),
+            timeframe: toTf,
+            intervalSec: intervalSec(toTf),
+            source: 'resampled',
+            open,
+            close,
+            high: Math.max(open, close),
+            low: Math.min(open, close),
+            volume: (candle.volume || 0) / n
+        });
+    }
+    // Wicks: the low comes before the high in a rising candle, after it in a falling one
+    const first = slices[0];
+    const last = slices[n - 1];
+    (rising ? first : last).low = Math.min((rising ? first : last).low, candle.low);
+    (rising ? last : first).high = Math.max((rising ? last : first).high, candle.high);
+    return slices;
+};
+
+module.exports = {
+    TIMEFRAMES,
+    BASE_TIMEFRAME,
+    ROLLUP_TIMEFRAMES,
+    CANDLE_SOURCES,
+    isTimeframe,
+    intervalSec,
+    bucketStart,
+    barsForLookback,
+    mergeCandle,
+    rollup,
+    splitCandle
+};
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bucketStart, barsForLookback, mergeCandle, rollup, splitCandle } = require('./timeframes');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+
+const candle = (i, { open, high, low, close, volume = 1, ...rest }) => ({
+    timestamp: new Date(T0 + i * 15000), open, high, low, close, volume, ...rest
+});
+
+test('bucketStart snaps to the start of the bucket', () => {
+    assert.equal(bucketStart(new Date(T0 + 59999), '1m'), T0);
+    assert.equal(bucketStart(new Date(T0 + 60000), '1m'), T0 + 60000);
+    assert.equal(bucketStart(new Date(T0 + 14 * 60000), '15m'), T0);
+});
+
+test('rollup merges OHLCV per bucket', () => {
+    const candles = [
+        candle(0, { open: 1, high: 2, low: 0.9, close: 1.5, volume: 10, buyVolume: 6, sellVolume: 4, tradeCount: 2 }),
+        candle(1, { open: 1.5, high: 3, low: 1.4, close: 2.5, volume: 5, buyVolume: 5, tradeCount: 1, flaggedTicks: 1 }),
+        candle(2, { open: 2.5, high: 2.6, low: 0.5, close: 0.8, volume: 1 }),
+        candle(3, { open: 0.8, high: 1, low: 0.7, close: 0.9, volume: 1 }),
+        candle(4, { open: 0.9, high: 1.1, low: 0.9, close: 1, volume: 2 })
+    ];
+
+    const [first, second] = rollup(candles, '1m');
+    assert.deepEqual(first, {
+        timestamp: new Date(T0), open: 1, high: 3, low: 0.5, close: 0.9,
+        volume: 17, buyVolume: 11, sellVolume: 4, tradeCount: 3, flaggedTicks: 1, synthetic: false
+    });
+    assert.equal(second.timestamp.getTime(), T0 + 60000);
+    assert.equal(second.open, 0.9);
+    assert.equal(second.volume, 2);
+});
+
+test('rollup skips buckets without candles', () => {
+    const candles = [candle(0, { open: 1, high: 1, low: 1, close: 1 }), candle(12, { open: 2, high: 2, low: 2, close: 2 })];
+    assert.deepEqual(rollup(candles, '1m').map(c => c.timestamp.getTime()), [T0, T0 + 3 * 60000]);
+});
+
+test('a rollup is synthetic only if every part was', () => {
+    const flat = { open: 1, high: 1, low: 1, close: 1, volume: 0 };
+    assert.equal(mergeCandle(mergeCandle(null, { ...flat, synthetic: true }), { ...flat, synthetic: true }).synthetic, true);
+    assert.equal(mergeCandle(mergeCandle(null, { ...flat, synthetic: true }), flat).synthetic, false);
+});
+
+test('barsForLookback reads bar counts and durations', () => {
+    assert.equal(barsForLookback('120', '15s'), 120);
+    assert.equal(barsForLookback('30m', '15s'), 120);
+    assert.equal(barsForLookback('6h', '5m'), 72);
+    assert.equal(barsForLookback('1d', '15m'), 96);
+    assert.equal(barsForLookback('2w', '1m'), null);
+});
+
+test('splitCandle keeps open, close, wicks and volume', () => {
+    const slices = splitCandle({ timestamp: new Date(T0), open: 1, high: 3, low: 0.5, close: 2, volume: 8 }, '1m', '15s');
+    assert.equal(slices.length, 4);
+    assert.deepEqual(slices.map(s => s.timestamp.getTime()), [0, 1, 2, 3].map(k => T0 + k * 15000));
+    assert.equal(slices[0].open, 1);
+    assert.equal(slices[3].close, 2);
+    assert.equal(Math.min(...slices.map(s => s.low)), 0.5);
+    assert.equal(Math.max(...slices.map(s => s.high)), 3);
+    assert.equal(slices[0].low, 0.5);   // rising candle: low first
+    assert.equal(slices[3].high, 3);    // ... high last
+    assert.equal(slices.reduce((s, c) => s + c.volume, 0), 8);
+    assert.ok(slices.every(s => s.timeframe === '15s' && s.source === 'resampled'));
+});
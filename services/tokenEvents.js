@@ -0,0 +1,76 @@
+/**
+ * tokenEvents.js
+ *
+ * Lifecycle log for tokens: why and when a token entered tracking, got its
+ * backfill, and left again. Written by discovery / /track (startTracking),
+ * the backfill queue, the prune paths and /untrack (stopTracking).
+ *
+ * Logging never throws — a failed write only costs the log entry.
+ */
+
+const TokenEvent = require('../models/TokenEvent');
+
+const known = (v) => typeof v === 'number' && !isNaN(v);
+
+/**
+ * @param {string} tokenAddress
+ * @param {string} type                 - See models/TokenEvent.js
+ * @param {object} [details]
+ * @param {string} [details.symbol]
+ * @param {string} [details.source]     - discovery | track | backfill_queue | candle | maintenance
+ * @param {string} [details.reason]
+ * @param {number} [details.marketCap]
+ * @param {number} [details.volume5m]
+ * @returns {Promise<object|null>}
+ */
+const logEvent = async (tokenAddress, type, { symbol = '', source = null, reason = null, marketCap = null, volume5m = null } = {}) => {
+    try {
+        return await TokenEvent.create({
+            tokenAddress,
+            symbol: symbol || '',
+            type,
+            source,
+            reason,
+            marketCap: known(marketCap) ? marketCap : null,
+            volume5m: known(volume5m) ? volume5m : null
+        });
+    } catch (err) {
+        console.error(`[TokenEvents] Failed to log ${type} for ${tokenAddress}:`, err.message);
+        return null;
+    }
+};
+
+/**
+ * Events of one token, newest first.
+ */
+const getEventsFor = async (tokenAddress, limit = 20) => {
+    return TokenEvent.find({ tokenAddress }).sort({ at: -1 }).limit(limit).lean();
+};
+
+/**
+ * Latest events across all tokens, optionally of some types only.
+ * @param {object}   [opts]
+ * @param {string[]} [opts.types]
+ * @param {Date}     [opts.since]
+ * @param {number}   [opts.limit=20]
+ */
+const getRecentEvents = async ({ types = null, since = null, limit = 20 } = {}) => {
+    const query = {};
+    if (types) query.type = { $in: types };
+    if (since) query.at = { $gte: since };
+    return TokenEvent.find(query).sort({ at: -1 }).limit(limit).lean();
+};
+
+/**
+ * Event counts by type since a date.
+ * @returns {Promise<Map<string, number>>}
+ */
+const countEvents = async (since) => {
+    const rows = await TokenEvent.aggregate([
+        { $match: { at: { $gte: since } } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(r => [r._id, r.count]));
+};
+
+module.exports = { logEvent, getEventsFor, getRecentEvents, countEvents };
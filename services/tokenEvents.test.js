@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TokenEvent = require('../models/TokenEvent');
+const { logEvent, getRecentEvents } = require('./tokenEvents');
+
+const MINT = 'Mint1111111111111111111111111111111111pump';
+
+test('logEvent stores unknown metrics as null', async (t) => {
+    const create = t.mock.method(TokenEvent, 'create', async (doc) => doc);
+
+    await logEvent(MINT, 'pruned', { symbol: 'MINT', source: 'maintenance', reason: 'MC < $5k', marketCap: NaN, volume5m: 42 });
+    assert.deepEqual(create.mock.calls[0].arguments[0], {
+        tokenAddress: MINT, symbol: 'MINT', type: 'pruned', source: 'maintenance', reason: 'MC < $5k', marketCap: null, volume5m: 42
+    });
+
+    await logEvent(MINT, 'tracked');
+    assert.deepEqual(create.mock.calls[1].arguments[0], {
+        tokenAddress: MINT, symbol: '', type: 'tracked', source: null, reason: null, marketCap: null, volume5m: null
+    });
+});
+
+test('logEvent never throws', async (t) => {
+    t.mock.method(TokenEvent, 'create', async () => { throw new Error('connection lost'); });
+    t.mock.method(console, 'error', () => {});
+    assert.equal(await logEvent(MINT, 'untracked'), null);
+});
+
+test('getRecentEvents filters by type and time, newest first', async (t) => {
+    const calls = {};
+    const chain = {
+        sort: (s) => { calls.sort = s; return chain; },
+        limit: (n) => { calls.limit = n; return chain; },
+        lean: async () => []
+    };
+    t.mock.method(TokenEvent, 'find', (query) => { calls.query = query; return chain; });
+
+    const since = new Date('2026-01-01T00:00:00Z');
+    await getRecentEvents({ types: ['pruned', 'untracked'], since, limit: 10 });
+    assert.deepEqual(calls, { query: { type: { $in: ['pruned', 'untracked'] }, at: { $gte: since } }, sort: { at: -1 }, limit: 10 });
+});
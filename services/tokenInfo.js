@@ -0,0 +1,187 @@
+/**
+ * tokenInfo.js
+ *
+ * Everything the bot knows about one token, gathered in one place for `/token`
+ * and scripts/inspect_token.js:
+ *   - Token document (pool, launchpad, launch/added time, active/pinned flags)
+ *   - Live tracking state and last price from the candle manager
+ *   - Candle count and coverage per timeframe
+ *   - Backfill queue entry
+ *   - Last prune and the rule behind it, recent lifecycle events
+ *   - Alert history (+ open exit position)
+ *   - Current EMA/RSI values on the 15s series
+ */
+
+const Token = require('../models/Token');
+const Candle = require('../models/Candle');
+const BackfillQueue = require('../models/BackfillQueue');
+const Prune = require('../models/Prune');
+const candleManager = require('./candleManager');
+const exits = require('./exits');
+const { getAlertsFor } = require('./alerts');
+const { getEventsFor } = require('./tokenEvents');
+const { getRecentCandles } = require('./storage');
+const { computeIndicators, minCandles, resolveParams } = require('./strategy');
+const { TIMEFRAMES } = require('./timeframes');
+const { labelFor } = require('./launchpads');
+const { loadMetadata, getMetadata, marketCapOf } = require('./tokenMetadata');
+const { escapeMarkdown } = require('./tokenLookup');
+
+const RECENT_ALERTS = 5;
+const RECENT_EVENTS = 5;
+
+/**
+ * @param {string} address
+ * @param {object} [opts]
+ * @param {object} [opts.strategyParams] - EMA/RSI overrides (settings.strategyParams.ema_rsi)
+ * @param {boolean} [opts.fillFromBackfill]
+ * @returns {Promise<object>}
+ */
+const getTokenDetails = async (address, { strategyParams = {}, fillFromBackfill = false } = {}) => {
+    const params = resolveParams(strategyParams);
+
+    const [token, queue, lastPrune, events, alerts, coverage, history] = await Promise.all([
+        Token.findOne({ address }).lean(),
+        BackfillQueue.findOne({ address }).lean(),
+        Prune.findOne({ tokenAddress: address }).sort({ prunedAt: -1 }).lean(),
+        getEventsFor(address, RECENT_EVENTS),
+        getAlertsFor(address),
+        Candle.aggregate([
+            { $match: { tokenAddress: address } },
+            { $group: { _id: '$timeframe', count: { $sum: 1 }, first: { $min: '$timestamp' }, last: { $max: '$timestamp' } } }
+        ]),
+        getRecentCandles(address, Math.max(60, minCandles(params)), '15s', { fillFromBackfill }),
+        loadMetadata([address])
+    ]);
+
+    const meta = candleManager.tracked.get(address) || null;
+    const livePrice = candleManager.getLastPrice(address);
+    const lastClose = history.length > 0 ? history[history.length - 1].close : null;
+    const price = livePrice || lastClose;
+
+    // Timeframes in canonical order (legacy untagged candles show up as "untagged")
+    const order = Object.keys(TIMEFRAMES);
+    const candles = coverage
+        .map(c => ({ timeframe: c._id || 'untagged', count: c.count, first: c.first, last: c.last }))
+        .sort((a, b) => order.indexOf(a.timeframe) - order.indexOf(b.timeframe));
+
+    return {
+        address,
+        token,
+        tracked: !!meta,
+        meta,
+        price,
+        priceSource: livePrice ? 'live' : (lastClose ? 'candle' : null),
+        marketCap: marketCapOf({ address, source: token?.source || meta?.source }, price),
+        supply: getMetadata(address),
+        ticks: candleManager.getTickStats(address),
+        candles,
+        queue,
+        lastPrune,
+        events,
+        alerts: {
+            count: alerts.length,
+            first: alerts[0] || null,
+            recent: alerts.slice(-RECENT_ALERTS).reverse()
+        },
+        position: exits.getPosition(address),
+        indicators: computeIndicators(history, params)
+    };
+};
+
+// ── Formatting ────────────────────────────────────────────────────────────────
+
+const fmtMc = (v) => (v === null || v === undefined ? '?' : v >= 1000 ? `$${(v / 1000).toFixed(1)}K` : `$${v.toFixed(2)}`);
+
+const fmtSupply = (v) => (v >= 1e9 ? `${(v / 1e9).toFixed(3)}B` : `${(v / 1e6).toFixed(1)}M`);
+
+const fmtAgo = (date) => {
+    if (!date) return '?';
+    const mins = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+    if (mins >= 1440) return `${Math.floor(mins / 1440)}d ${Math.floor((mins % 1440) / 60)}h ago`;
+    if (mins >= 60) return `${Math.floor(mins / 60)}h ${mins % 60}m ago`;
+    return `${mins}m ago`;
+};
+
+const fmtTime = (date) => (date ? new Date(date).toISOString().slice(5, 16).replace('T', ' ') : '?');
+
+/**
+ * Telegram (Markdown) rendering of getTokenDetails().
+ */
+const formatTokenDetails = (d) => {
+    const t = d.token || {};
+    const symbol = t.symbol || d.meta?.symbol || '?';
+    const lines = [];
+
+    lines.push(`🔎 ${escapeMarkdown(symbol)}${t.name ? ` — ${escapeMarkdown(t.name)}` : ''}`);
+    lines.push('──────────────────');
+    lines.push(`\`${d.address}\``);
+    lines.push(`📡 *Tracking:* ${d.tracked ? '🟢 live' : '🔴 not tracked'}${d.token ? ` · DB ${t.isActive ? 'active' : 'inactive'}` : ' · not in DB'}${t.pinned ? ' · 📌 pinned' : ''}`);
+    lines.push(`🏊 *Pool:* ${t.poolAddress || d.meta?.poolAddress ? `\`${t.poolAddress || d.meta.poolAddress}\`` : 'unresolved'}`);
+    lines.push(`🚀 *Launchpad:* ${labelFor(t.source || d.meta?.source)}`);
+    if (t.launchedAt) lines.push(`⏱ *Launched:* ${fmtAgo(t.launchedAt)}`);
+    if (t.addedAt) lines.push(`➕ *Added:* ${fmtAgo(t.addedAt)}`);
+    lines.push(`💰 *Mkt Cap:* ${fmtMc(d.marketCap)}${d.priceSource === 'candle' ? ' (last candle)' : ''}${d.price ? ` · $${d.price.toExponential(4)}` : ''}`);
+    const supply = d.supply?.circulatingSupply || d.supply?.totalSupply;
+    lines.push(`🪙 *Supply:* ${supply ? `${fmtSupply(supply)} (${d.supply.provider}, ${fmtAgo(d.supply.fetchedAt)})` : 'unknown — launchpad default'}`);
+    if (d.ticks) {
+        const k = d.ticks;
+        lines.push(`🧹 *Ticks:* ${k.accepted} accepted · ${k.rejected} rejected · ${k.flagged} flagged` +
+            (k.held > 0 ? ` · ${k.held} held (${k.confirmed} confirmed)` : ''));
+    }
+
+    lines.push('');
+    lines.push('🕯 *Candles*');
+    if (d.candles.length === 0) lines.push('  none stored');
+    for (const c of d.candles) {
+        lines.push(`  \`${c.timeframe.padEnd(4)}\` ${c.count} · ${fmtTime(c.first)} → ${fmtTime(c.last)}`);
+    }
+
+    if (d.queue) {
+        lines.push('');
+        lines.push(`📥 *Backfill:* ${d.queue.status} · ${d.queue.attempts} attempt(s)` +
+            `${d.queue.lastAttempt ? ` · last ${fmtAgo(d.queue.lastAttempt)}` : ''}` +
+            `${d.queue.error ? `\n  ⚠️ ${escapeMarkdown(d.queue.error)}` : ''}`);
+    }
+
+    if (d.lastPrune) {
+        const p = d.lastPrune;
+        lines.push('');
+        lines.push(`✂️ *Pruned:* ${fmtAgo(p.prunedAt)} · ${p.rule.replace(/_/g, ' ')} (${p.metric} ${p.op} ${p.threshold}, was ${p.value.toFixed(0)})`);
+    }
+
+    if (d.events.length > 0) {
+        lines.push('');
+        lines.push('📜 *Lifecycle*');
+        for (const e of d.events) {
+            lines.push(`  ${fmtTime(e.at)} ${e.type.replace(/_/g, ' ')}${e.reason ? ` — ${e.reason.replace(/[_*`]/g, ' ')}` : ''}`);
+        }
+    }
+
+    lines.push('');
+    lines.push(`🚨 *Alerts:* ${d.alerts.count}${d.alerts.first ? ` · first ${fmtMc(d.alerts.first.marketCap)} ${fmtAgo(d.alerts.first.sentAt)}` : ''}`);
+    for (const a of d.alerts.recent) {
+        const oneHour = (a.outcomes || []).find(o => o.horizon === '1h');
+        const ret = oneHour && oneHour.return !== null ? ` · 1h ${oneHour.return >= 0 ? '+' : ''}${oneHour.return.toFixed(1)}%` : '';
+        const status = a.exit ? ` · exit ${a.exit.reason}` : (a.status === 'open' ? ' · open' : '');
+        lines.push(`  ${fmtTime(a.sentAt)} ${a.strategy} @ ${fmtMc(a.marketCap)}${ret}${status}`);
+    }
+    if (d.position) {
+        const peak = ((d.position.peakPrice - d.position.entryPrice) / d.position.entryPrice) * 100;
+        lines.push(`  📂 Open since ${fmtAgo(d.position.openedAt)} · entry ${fmtMc(d.position.entryMarketCap)} · peak +${peak.toFixed(1)}%`);
+    }
+
+    lines.push('');
+    const ind = d.indicators;
+    if (!ind) {
+        lines.push('📈 *Indicators:* not enough 15s candles yet');
+    } else {
+        lines.push(`📈 *Indicators (15s)* — ${ind.trend === 'bullish' ? '🟢 EMA fast > slow' : '🔴 EMA fast < slow'}`);
+        lines.push(`  EMA ${ind.params.emaFast}: ${ind.emaFast.toExponential(4)} · EMA ${ind.params.emaSlow}: ${ind.emaSlow.toExponential(4)}`);
+        lines.push(`  RSI ${ind.params.rsiPeriod}: ${ind.rsi === null ? '?' : ind.rsi.toFixed(1)} · Vol ${ind.volume.toFixed(0)} (avg ${ind.avgVolume.toFixed(0)})`);
+    }
+
+    return lines.join('\n');
+};
+
+module.exports = { getTokenDetails, formatTokenDetails };
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatTokenDetails } = require('./tokenInfo');
+
+const MINT = 'Info11111111111111111111111111111111111pump';
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+
+const details = (overrides = {}) => ({
+    address: MINT,
+    token: { symbol: 'INFO', name: 'Info Token', poolAddress: 'Pool1', source: 'pumpfun', isActive: true, launchedAt: new Date(NOW - 3 * 3600000) },
+    tracked: true,
+    meta: null,
+    price: 0.00005,
+    priceSource: 'live',
+    marketCap: 50000,
+    supply: null,
+    ticks: null,
+    candles: [{ timeframe: '15s', count: 240, first: new Date(NOW - 3600000), last: new Date(NOW) }],
+    queue: null,
+    lastPrune: null,
+    events: [],
+    alerts: { count: 0, first: null, recent: [] },
+    position: null,
+    indicators: null,
+    ...overrides
+});
+
+test('renders the token state', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const text = formatTokenDetails(details());
+    assert.ok(text.startsWith('🔎 INFO — Info Token\n'));
+    assert.ok(text.includes(`\`${MINT}\``));
+    assert.ok(text.includes('📡 *Tracking:* 🟢 live · DB active'));
+    assert.ok(text.includes('💰 *Mkt Cap:* $50.0K · $5.0000e-5'));
+    assert.ok(text.includes('⏱ *Launched:* 3h 0m ago'));
+    assert.ok(text.includes('  `15s ` 240 · 01-01 11:00 → 01-01 12:00'));
+    assert.ok(text.includes('🚨 *Alerts:* 0'));
+    assert.ok(text.includes('📈 *Indicators:* not enough 15s candles yet'));
+});
+
+test('shows alerts, the open position, prune and backfill state', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const alert = { sentAt: new Date(NOW - 7200000), strategy: 'ema_rsi', marketCap: 20000, status: 'open', outcomes: [{ horizon: '1h', return: 12.5 }] };
+    const text = formatTokenDetails(details({
+        tracked: false,
+        priceSource: 'candle',
+        alerts: { count: 1, first: alert, recent: [alert] },
+        position: { openedAt: new Date(NOW - 7200000), entryPrice: 1, peakPrice: 1.5, entryMarketCap: 20000 },
+        lastPrune: { prunedAt: new Date(NOW - 600000), rule: 'low_mcap', metric: 'marketCap', op: '<', threshold: 2000, value: 1500 },
+        queue: { status: 'failed', attempts: 3, lastAttempt: null, error: 'pool_not_found' }
+    }));
+    assert.ok(text.includes('🔴 not tracked'));
+    assert.ok(text.includes('(last candle)'));
+    assert.ok(text.includes('  01-01 10:00 ema_rsi @ $20.0K · 1h +12.5% · open'));
+    assert.ok(text.includes('📂 Open since 2h 0m ago · entry $20.0K · peak +50.0%'));
+    assert.ok(text.includes('✂️ *Pruned:* 10m ago · low mcap (marketCap < 2000, was 1500)'));
+    assert.ok(text.includes('⚠️ pool\\_not\\_found'));
+});
+
+test('escapes Markdown in the symbol and name', () => {
+    const text = formatTokenDetails(details({ token: { symbol: 'A_B', name: '*star*' } }));
+    assert.ok(text.startsWith('🔎 A\\_B — \\*star\\*\n'));
+});
@@ -0,0 +1,105 @@
+/**
+ * tokenLookup.js
+ *
+ * Resolves what a user typed in a Telegram command (`/chart PEPE`, `/chart 7xKX…`)
+ * to a single token.
+ *
+ * Order:
+ *   1. Full mint address — exact match
+ *   2. Ticker (case-insensitive) against tracked tokens and the Token collection
+ *   3. Mint prefix (≥ 6 chars)
+ *
+ * Tickers are not unique; when several tokens share one the caller gets every
+ * candidate (tracked first, then newest) and should ask for the mint instead.
+ */
+
+const Token = require('../models/Token');
+const candleManager = require('./candleManager');
+
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const MIN_PREFIX = 6;
+const MAX_MATCHES = 10;
+
+const isMint = (s) => MINT_RE.test(String(s || '').trim());
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const fromTracked = (address) => {
+    const meta = candleManager.tracked.get(address);
+    return meta ? { address, symbol: meta.symbol, name: meta.name, poolAddress: meta.poolAddress, launchedAt: meta.launchedAt, isActive: true } : null;
+};
+
+/**
+ * Merge tracked and stored candidates, tracked first, one entry per mint.
+ */
+const mergeCandidates = (tracked, stored) => {
+    const byAddress = new Map();
+    for (const t of tracked) byAddress.set(t.address, { ...t, tracked: true });
+    for (const t of stored) {
+        if (byAddress.has(t.address)) byAddress.set(t.address, { ...t, ...byAddress.get(t.address) });
+        else byAddress.set(t.address, { ...t, tracked: candleManager.tracked.has(t.address) });
+    }
+    return [...byAddress.values()].sort((a, b) =>
+        (b.tracked - a.tracked) || (new Date(b.addedAt || 0) - new Date(a.addedAt || 0)));
+};
+
+/**
+ * @param {string} query - Ticker, mint or mint prefix (a leading `$` is ignored)
+ * @returns {Promise<{ token: object|null, matches: object[] }>}
+ *   `token` is set when the query is unambiguous; `matches` lists every candidate.
+ */
+const resolveToken = async (query) => {
+    const q = String(query || '').trim().replace(/^\$/, '');
+    if (!q) return { token: null, matches: [] };
+
+    // 1. Full mint
+    if (isMint(q)) {
+        const doc = await Token.findOne({ address: q }).lean();
+        const tracked = fromTracked(q);
+        const token = doc || tracked ? { ...(doc || {}), ...(tracked || {}), address: q, tracked: !!tracked } : null;
+        return { token, matches: token ? [token] : [] };
+    }
+
+    // 2. Ticker
+    const upper = q.toUpperCase();
+    const trackedBySymbol = [...candleManager.tracked.keys()]
+        .filter(address => (candleManager.tracked.get(address).symbol || '').toUpperCase() === upper)
+        .map(fromTracked);
+    const storedBySymbol = await Token.find({ symbol: new RegExp(`^${escapeRegex(q)}$`, 'i') })
+        .sort({ addedAt: -1 })
+        .limit(MAX_MATCHES)
+        .lean();
+    let matches = mergeCandidates(trackedBySymbol, storedBySymbol);
+
+    // 3. Mint prefix
+    if (matches.length === 0 && q.length >= MIN_PREFIX) {
+        const trackedByPrefix = [...candleManager.tracked.keys()].filter(a => a.startsWith(q)).map(fromTracked);
+        const storedByPrefix = await Token.find({ address: new RegExp(`^${escapeRegex(q)}`) })
+            .limit(MAX_MATCHES)
+            .lean();
+        matches = mergeCandidates(trackedByPrefix, storedByPrefix);
+    }
+
+    matches = matches.slice(0, MAX_MATCHES);
+    return { token: matches.length === 1 ? matches[0] : null, matches };
+};
+
+/**
+ * Escape user-supplied text (queries, tickers, names) for a `parse_mode: 'Markdown'`
+ * message. Telegram only honours the escapes outside entities, so keep the result
+ * out of *bold* and `code`.
+ */
+const escapeMarkdown = (s) => String(s).replace(/[_*`[]/g, '\\$&');
+
+/**
+ * Telegram reply (Markdown) for a query that matched zero or several tokens.
+ */
+const formatAmbiguous = (query, matches) => {
+    const q = escapeMarkdown(query);
+    if (matches.length === 0) return `❓ No token found for "${q}".`;
+    const lines = matches.map((t, i) =>
+        `${i + 1}. ${escapeMarkdown(t.symbol || '?')}${t.tracked ? ' 🟢' : ''} ${t.name ? `(${escapeMarkdown(t.name)})` : ''}\n\`${t.address}\``);
+    return `🔎 "${q}" matches ${matches.length} tokens — use the mint:\n\n${lines.join('\n\n')}`;
+};
+
+module.exports = { resolveToken, formatAmbiguous, escapeMarkdown, isMint };
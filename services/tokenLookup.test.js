@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatAmbiguous, escapeMarkdown, isMint } = require('./tokenLookup');
+
+test('escapeMarkdown escapes the legacy Markdown markers', () => {
+    assert.equal(escapeMarkdown('foo_bar*[x]`y`'), 'foo\\_bar\\*\\[x]\\`y\\`');
+    assert.equal(escapeMarkdown('PEPE'), 'PEPE');
+});
+
+test('formatAmbiguous escapes the query, tickers and names', () => {
+    assert.equal(formatAmbiguous('foo_bar', []), '❓ No token found for "foo\\_bar".');
+
+    const reply = formatAmbiguous('dog_1', [
+        { address: 'Dog11111111111111111111111111111111111pump', symbol: 'DOG_1', name: '*Dog* [one]', tracked: true },
+        { address: 'Dog22222222222222222222222222222222222pump', symbol: 'dog_1' }
+    ]);
+    assert.ok(reply.startsWith('🔎 "dog\\_1" matches 2 tokens'));
+    assert.ok(reply.includes('1. DOG\\_1 🟢 (\\*Dog\\* \\[one])\n`Dog11111111111111111111111111111111111pump`'));
+    assert.ok(reply.includes('2. dog\\_1 \n`Dog22222222222222222222222222222222222pump`'));
+});
+
+test('isMint accepts base58 mints only', () => {
+    assert.equal(isMint('Dog11111111111111111111111111111111111pump'), true);
+    assert.equal(isMint('PEPE'), false);
+    assert.equal(isMint('0OIl1111111111111111111111111111111111pump'), false);
+});
@@ -0,0 +1,174 @@
+/**
+ * tokenMetadata.js
+ *
+ * Real supply and decimals per mint, and the one market cap formula the bot,
+ * the reports and the analysis scripts share:
+ *
+ *   marketCapOf(token, price) = price × circulating supply
+ *
+ * falling back to total supply, then to the launchpad's assumed supply
+ * (services/launchpads.js) for mints whose metadata isn't loaded (yet).
+ *
+ * marketCapOf() is synchronous and only reads the in-memory cache, so callers
+ * load the mints they are about to price first with loadMetadata(): the bot on
+ * startup / tracking and in the maintenance loop, the scripts after their
+ * token query. loadMetadata() reads the TokenMetadata collection (when
+ * MongoDB is connected) and asks the provider for anything missing or older
+ * than REFRESH_AFTER_MS.
+ *
+ * Providers implement `fetchSupplies(addresses) → Map<address, { decimals,
+ * totalSupply, circulatingSupply }>`:
+ *   rpc      Solana `getTokenSupply` (batched JSON-RPC) on SOLANA_RPC_URL,
+ *            Helius when HELIUS_API_KEY is set, else the public endpoint.
+ *            Reports the live supply (burns included) as circulating.
+ *   fixture  a local JSON file { mint: { decimals, totalSupply, circulatingSupply } },
+ *            used when TOKEN_METADATA_FIXTURE is set — no network, for tests and
+ *            offline runs.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const TokenMetadata = require('../models/TokenMetadata');
+const { supplyFor } = require('./launchpads');
+
+const REFRESH_AFTER_MS = 6 * 60 * 60 * 1000;
+const RPC_BATCH_SIZE = 100;
+
+// address → { decimals, totalSupply, circulatingSupply, provider, fetchedAt }
+const cache = new Map();
+
+// ── Providers ─────────────────────────────────────────────────────────────────
+
+const rpcUrl = () => process.env.SOLANA_RPC_URL ||
+    (process.env.HELIUS_API_KEY ? `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}` : 'https://api.mainnet-beta.solana.com');
+
+const rpcProvider = {
+    name: 'rpc',
+    fetchSupplies: async (addresses) => {
+        const result = new Map();
+        for (let i = 0; i < addresses.length; i += RPC_BATCH_SIZE) {
+            const batch = addresses.slice(i, i + RPC_BATCH_SIZE);
+            try {
+                const { data } = await axios.post(rpcUrl(),
+                    batch.map((address, id) => ({ jsonrpc: '2.0', id, method: 'getTokenSupply', params: [address] })),
+                    { timeout: 15000 });
+                for (const res of Array.isArray(data) ? data : []) {
+                    const value = res.result?.value;
+                    if (!value) continue;
+                    const supply = Number(value.uiAmountString ?? value.uiAmount);
+                    if (!Number.isFinite(supply)) continue;
+                    result.set(batch[res.id], { decimals: value.decimals, totalSupply: supply, circulatingSupply: supply });
+                }
+            } catch (err) {
+                console.error('[Metadata] RPC error:', err.response?.data?.error?.message || err.message);
+            }
+        }
+        return result;
+    }
+};
+
+/**
+ * Provider backed by a local JSON file — no network.
+ * @param {string} file - { mint: { decimals, totalSupply, circulatingSupply } }
+ */
+const createFixtureProvider = (file) => {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+        name: 'fixture',
+        fetchSupplies: async (addresses) => new Map(addresses.filter(a => data[a]).map(a => [a, {
+            decimals: data[a].decimals ?? null,
+            totalSupply: data[a].totalSupply ?? null,
+            circulatingSupply: data[a].circulatingSupply ?? null
+        }]))
+    };
+};
+
+let provider = process.env.TOKEN_METADATA_FIXTURE ? createFixtureProvider(process.env.TOKEN_METADATA_FIXTURE) : rpcProvider;
+
+const setProvider = (p) => { provider = p; };
+const getProvider = () => provider;
+
+// ── Cache ─────────────────────────────────────────────────────────────────────
+
+const dbReady = () => mongoose.connection.readyState === 1;
+
+/**
+ * Load supply data for these mints into the cache.
+ *
+ * @param {string[]} addresses
+ * @param {object}   [opts]
+ * @param {boolean}  [opts.fetch=true] - Ask the provider for missing / stale mints
+ *                                       (false = MongoDB cache only, e.g. the backtest)
+ * @returns {Promise<number>} Mints with metadata after loading
+ */
+const loadMetadata = async (addresses, { fetch = true } = {}) => {
+    const unique = [...new Set(addresses.filter(Boolean))];
+    if (unique.length === 0) return 0;
+
+    if (dbReady()) {
+        const missing = unique.filter(a => !cache.has(a));
+        if (missing.length > 0) {
+            const docs = await TokenMetadata.find({ address: { $in: missing } }).lean();
+            for (const d of docs) cache.set(d.address, d);
+        }
+    }
+
+    const now = Date.now();
+    const stale = unique.filter(a => !cache.has(a) || now - new Date(cache.get(a).fetchedAt).getTime() > REFRESH_AFTER_MS);
+    if (fetch && stale.length > 0) {
+        const fetched = await provider.fetchSupplies(stale);
+        for (const [address, meta] of fetched) {
+            const entry = { address, ...meta, provider: provider.name, fetchedAt: new Date(now) };
+            cache.set(address, entry);
+            if (dbReady()) {
+                await TokenMetadata.updateOne({ address }, { $set: entry }, { upsert: true })
+                    .catch(err => console.error('[Metadata] Save error:', err.message));
+            }
+        }
+        if (fetched.size > 0) console.log(`[Metadata] Loaded supply for ${fetched.size}/${stale.length} mint(s) via ${provider.name}.`);
+    }
+
+    return unique.filter(a => cache.has(a)).length;
+};
+
+/**
+ * Cached metadata for a mint, or null.
+ */
+const getMetadata = (address) => cache.get(address) || null;
+
+// ── Market cap ────────────────────────────────────────────────────────────────
+
+const addressOf = (token) => (typeof token === 'string' ? token : token?.address || token?.tokenAddress || null);
+const sourceOf = (token) => (typeof token === 'string' ? null : token?.source || token?.launchpad || null);
+
+/**
+ * Supply used for market cap: circulating, else total, else the launchpad's assumption.
+ * @param {string|object} token - Mint, or { address|tokenAddress, source|launchpad }
+ */
+const supplyOf = (token) => {
+    const meta = cache.get(addressOf(token));
+    return meta?.circulatingSupply || meta?.totalSupply || supplyFor(sourceOf(token));
+};
+
+/**
+ * Market cap in USD, or null when the price is unknown.
+ * @param {string|object} token - Mint, or { address|tokenAddress, source|launchpad }
+ * @param {number|null} price   - USD price per token
+ */
+const marketCapOf = (token, price) => {
+    if (typeof price !== 'number' || !Number.isFinite(price)) return null;
+    return price * supplyOf(token);
+};
+
+module.exports = {
+    REFRESH_AFTER_MS,
+    rpcProvider,
+    createFixtureProvider,
+    setProvider,
+    getProvider,
+    loadMetadata,
+    getMetadata,
+    supplyOf,
+    marketCapOf
+};
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFixtureProvider, setProvider, loadMetadata, supplyOf, marketCapOf } = require('./tokenMetadata');
+const { supplyFor } = require('./launchpads');
+
+const BURNED = 'Burned1111111111111111111111111111111111pump';
+const TOTAL_ONLY = 'TotalOnly11111111111111111111111111111111bonk';
+const UNKNOWN = 'Unknown111111111111111111111111111111111pump';
+
+test.before(async () => {
+    const file = path.join(os.tmpdir(), `token-metadata-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+        [BURNED]: { decimals: 6, totalSupply: 1_000_000_000, circulatingSupply: 400_000_000 },
+        [TOTAL_ONLY]: { decimals: 9, totalSupply: 2_000_000_000, circulatingSupply: null }
+    }));
+    setProvider(createFixtureProvider(file));
+    assert.equal(await loadMetadata([BURNED, TOTAL_ONLY, UNKNOWN]), 2);
+    fs.unlinkSync(file);
+});
+
+test('uses the real circulating supply instead of the launchpad assumption', () => {
+    assert.equal(supplyOf({ address: BURNED, source: 'pumpfun' }), 400_000_000);
+    assert.equal(marketCapOf({ address: BURNED, source: 'pumpfun' }, 0.25), 100_000_000);
+    assert.notEqual(marketCapOf(BURNED, 0.25), 0.25 * supplyFor('pumpfun'));
+});
+
+test('falls back to total supply when circulating is unknown', () => {
+    assert.equal(marketCapOf({ tokenAddress: TOTAL_ONLY, launchpad: 'launchlab' }, 0.25), 500_000_000);
+});
+
+test("falls back to the launchpad's assumed supply for mints without metadata", () => {
+    assert.equal(marketCapOf({ address: UNKNOWN, source: 'pumpfun' }, 0.00001), 0.00001 * supplyFor('pumpfun'));
+    assert.equal(marketCapOf(UNKNOWN, 0.00002), 0.00002 * supplyFor(null));
+});
+
+test('returns null without a usable price', () => {
+    assert.equal(marketCapOf(BURNED, null), null);
+    assert.equal(marketCapOf(BURNED, NaN), null);
+});
@@ -0,0 +1,434 @@
+/**
+ * tradeFeed.js
+ *
+ * Real trades for live candles. Jupiter's Price API has no volume, so without
+ * this every live 15s candle has volume 0 and the volume-spike check can't pass.
+ *
+ * Per tracked pool it holds a Helius `logsSubscribe` (standard WebSocket, free
+ * tier — `transactionSubscribe` needs a paid plan) and, for every swap signature
+ * it is notified of, fetches the transaction with `getTransaction`. The trade
+ * is read from balance changes, which works for any AMM without decoding
+ * program events:
+ *
+ *   base   change of the signer's balance of the tracked mint (> 0 = buy)
+ *   quote  change of the pool's WSOL or USDC vault — the owner whose tracked-mint
+ *          balance moved the other way. Without one, the signer's SOL (native +
+ *          WSOL, with the fee and the rent of accounts the transaction created
+ *          added back) or USDC; that still includes tips and other transfers.
+ *   price  |quote| / |base| in USD (SOL via its Jupiter price)
+ *
+ * and fed into candleManager.addTrade(mint, price, volumeUsd, { side, trader })
+ * with source 'trades'.
+ * Transactions that moved no quote (multi-hop routes) are counted at the last
+ * known price. Trades land in the candle that is open when their transaction
+ * has been fetched, usually a second or two after the block.
+ *
+ * Every fetched transaction costs an RPC credit, so fetches are capped at
+ * settings.tradeFeed.maxTxPerMinute; notifications beyond it are dropped and
+ * counted (`skipped`) — volume then undercounts rather than the bill growing.
+ * Right after the notification the RPC node often doesn't serve the
+ * transaction yet (null result): it is queued again after a short delay, up
+ * to NOT_FOUND_RETRIES times (`retried`), then counted as `missing`.
+ *
+ * Endpoints: TRADE_FEED_WS_URL / TRADE_FEED_RPC_URL, else Helius (HELIUS_API_KEY).
+ * TRADE_FEED_RECORD=<file> appends every notification frame and fetched
+ * transaction as JSON lines; scripts/replay_trade_feed.js replays such a
+ * recording through a local WebSocket / RPC stand-in.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const WebSocket = require('ws');
+const candleManager = require('./candleManager');
+const jupiter = require('./jupiter');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const PING_MS = 30 * 1000;              // Helius drops idle sockets after ~10 min
+const SOL_PRICE_REFRESH_MS = 60 * 1000;
+const MAX_RECONNECT_MS = 60 * 1000;
+const MAX_QUEUE = 500;                  // pending signatures; oldest dropped beyond this
+const TOKEN_ACCOUNT_RENT = 2039280;     // lamports, rent-exempt minimum of a token account
+const SEEN_SIGNATURES = 5000;           // dedupe window (a swap can mention a pool twice)
+const NOT_FOUND_RETRIES = 3;            // re-fetches of a transaction the node didn't return yet
+const NOT_FOUND_DELAY_MS = 1500;        // × attempt
+
+let opts = { maxTxPerMinute: 120 };
+let ws = null;
+let running = false;
+let pingTimer = null;
+let solTimer = null;
+let reconnectTimer = null;
+let reconnectMs = 5000;
+let nextId = 1;
+let solUsd = null;
+let lastUpdate = 0;
+let recordStream = null;
+
+const pools = new Map();          // poolAddress → { mint, subscription }
+const pendingSubs = new Map();    // request id → poolAddress
+const bySubscription = new Map(); // subscription id → poolAddress
+const seen = new Set();
+const queue = [];                 // { signature, mint, pool }
+const fetchTimes = [];            // ms of fetches in the last minute
+const retryTimers = new Set();    // not-yet-served transactions waiting to be queued again
+let working = false;
+
+const stats = { frames: 0, notifications: 0, fetched: 0, trades: 0, skipped: 0, failed: 0, retried: 0, missing: 0 };
+
+const wsUrl = () => process.env.TRADE_FEED_WS_URL ||
+    (process.env.HELIUS_API_KEY ? `wss://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}` : null);
+const rpcUrl = () => process.env.TRADE_FEED_RPC_URL ||
+    (process.env.HELIUS_API_KEY ? `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}` : null);
+
+const getLastUpdate = () => lastUpdate;
+const getStats = () => ({
+    ...stats, pools: pools.size, queued: queue.length, retrying: retryTimers.size, solUsd,
+    connected: !!ws && ws.readyState === WebSocket.OPEN
+});
+
+const record = (entry) => {
+    if (recordStream) recordStream.write(JSON.stringify({ at: Date.now(), ...entry }) + '\n');
+};
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+
+const uiAmount = (b) => Number(b.uiTokenAmount?.uiAmountString ?? b.uiTokenAmount?.uiAmount ?? 0);
+
+const tokenDelta = (meta, owner, mint) => {
+    const sum = (list) => (list || []).filter(b => b.owner === owner && b.mint === mint).reduce((s, b) => s + uiAmount(b), 0);
+    return sum(meta.postTokenBalances) - sum(meta.preTokenBalances);
+};
+
+/**
+ * Owner of the pool's vaults: the account other than the trader whose `mint`
+ * balance moved opposite to the trader's, by the most.
+ */
+const poolOwner = (meta, trader, mint, base) => {
+    const owners = new Set([...(meta.preTokenBalances || []), ...(meta.postTokenBalances || [])]
+        .filter(b => b.mint === mint && b.owner && b.owner !== trader)
+        .map(b => b.owner));
+    let best = null;
+    let bestDelta = 0;
+    for (const owner of owners) {
+        const delta = tokenDelta(meta, owner, mint);
+        if (Math.sign(delta) === -Math.sign(base) && Math.abs(delta) > bestDelta) {
+            best = owner;
+            bestDelta = Math.abs(delta);
+        }
+    }
+    return best;
+};
+
+/**
+ * The signer's SOL change (native + WSOL) without the transaction fee and the
+ * rent of accounts it created (e.g. the token account of a first buy).
+ */
+const signerSol = (meta, trader) => {
+    const pre = meta.preBalances || [];
+    const post = meta.postBalances || [];
+    let rent = 0;
+    for (let i = 1; i < post.length; i++) {
+        if (!pre[i] && post[i] > 0) rent += Math.min(post[i], TOKEN_ACCOUNT_RENT);
+    }
+    const lamports = (post[0] ?? 0) - (pre[0] ?? 0) + (meta.fee || 0) + rent;
+    return lamports / 1e9 + tokenDelta(meta, trader, WSOL_MINT);
+};
+
+/**
+ * The signer's side of a swap of `mint`, or null if the transaction failed or
+ * didn't change the signer's `mint` balance.
+ *
+ * @param {object} tx         - getTransaction result (jsonParsed)
+ * @param {string} mint       - Tracked token
+ * @param {object} prices
+ * @param {number|null} prices.solUsd    - For SOL-quoted trades
+ * @param {number|null} prices.lastPrice - Fallback when no quote moved
+ * @returns {{ signature, mint, side, trader, baseAmount, quoteAmount, quote, price, volumeUsd, timestamp }|null}
+ */
+const parseTrade = (tx, mint, { solUsd: sol = null, lastPrice = null } = {}) => {
+    const meta = tx?.meta;
+    if (!meta || meta.err) return null;
+
+    const keys = tx.transaction?.message?.accountKeys || [];
+    const trader = typeof keys[0] === 'string' ? keys[0] : keys[0]?.pubkey;
+    if (!trader) return null;
+
+    const base = tokenDelta(meta, trader, mint);
+    if (!base) return null;
+
+    // Pool side first (exactly what was swapped), the signer's balances otherwise
+    const pool = poolOwner(meta, trader, mint, base);
+    const sides = [{ usdc: tokenDelta(meta, trader, USDC_MINT), sol: signerSol(meta, trader) }];
+    if (pool) sides.unshift({ usdc: tokenDelta(meta, pool, USDC_MINT), sol: tokenDelta(meta, pool, WSOL_MINT) });
+
+    let quote = null;
+    let quoteAmount = 0;
+    let volumeUsd = null;
+    for (const { usdc, sol: solAmount } of sides) {
+        if (Math.abs(usdc) > 0) {
+            quote = 'USDC'; quoteAmount = usdc; volumeUsd = Math.abs(usdc);
+            break;
+        }
+        if (Math.abs(solAmount) > 0 && sol) {
+            quote = 'SOL'; quoteAmount = solAmount; volumeUsd = Math.abs(solAmount) * sol;
+            break;
+        }
+    }
+
+    let price = volumeUsd ? volumeUsd / Math.abs(base) : null;
+    if (!price || !Number.isFinite(price)) {
+        // Nothing usable moved on the quote side — count it at the last price
+        if (!lastPrice) return null;
+        price = lastPrice;
+        volumeUsd = Math.abs(base) * lastPrice;
+        quote = null;
+    }
+
+    return {
+        signature: tx.transaction?.signatures?.[0] || null,
+        mint,
+        side: base > 0 ? 'buy' : 'sell',
+        trader,
+        baseAmount: Math.abs(base),
+        quoteAmount: Math.abs(quoteAmount),
+        quote,
+        price,
+        volumeUsd,
+        timestamp: tx.blockTime ? tx.blockTime * 1000 : Date.now()
+    };
+};
+
+// ── Transactions ──────────────────────────────────────────────────────────────
+
+const fetchTransaction = async (signature) => {
+    const { data } = await axios.post(rpcUrl(), {
+        jsonrpc: '2.0', id: 1, method: 'getTransaction',
+        params: [signature, { encoding: 'jsonParsed', maxSupportedTransactionVersion: 0, commitment: 'confirmed' }]
+    }, { timeout: 15000 });
+    if (data?.error) throw new Error(data.error.message);
+    return data?.result || null;
+};
+
+const withinBudget = () => {
+    const cutoff = Date.now() - 60000;
+    while (fetchTimes.length > 0 && fetchTimes[0] < cutoff) fetchTimes.shift();
+    return fetchTimes.length < opts.maxTxPerMinute;
+};
+
+/**
+ * Queue a transaction the node returned null for again, or give up on it.
+ */
+const retryLater = (item) => {
+    const attempt = (item.attempt || 0) + 1;
+    if (attempt > NOT_FOUND_RETRIES) { stats.missing++; return; }
+    stats.retried++;
+    const timer = setTimeout(() => {
+        retryTimers.delete(timer);
+        if (!running) return;
+        queue.push({ ...item, attempt });
+        drainQueue();
+    }, NOT_FOUND_DELAY_MS * attempt);
+    retryTimers.add(timer);
+};
+
+const drainQueue = async () => {
+    if (working) return;
+    working = true;
+    try {
+        while (queue.length > 0 && running) {
+            const item = queue.shift();
+            if (!withinBudget()) { stats.skipped++; continue; }
+            fetchTimes.push(Date.now());
+
+            try {
+                const tx = await fetchTransaction(item.signature);
+                if (!tx) { retryLater(item); continue; }
+                stats.fetched++;
+                record({ kind: 'tx', signature: item.signature, solUsd, data: tx });
+
+                const trade = parseTrade(tx, item.mint, { solUsd, lastPrice: candleManager.getLastPrice(item.mint) });
+                if (!trade) continue;
+                candleManager.addTrade(item.mint, trade.price, trade.volumeUsd, { side: trade.side, trader: trade.trader, source: 'trades' });
+                stats.trades++;
+                lastUpdate = Date.now();
+            } catch (err) {
+                stats.failed++;
+                console.error(`[TradeFeed] getTransaction ${item.signature.slice(0, 12)}… failed:`, err.message);
+            }
+        }
+    } finally {
+        working = false;
+    }
+};
+
+// ── WebSocket ─────────────────────────────────────────────────────────────────
+
+const send = (payload) => {
+    if (ws && ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(payload));
+};
+
+const subscribe = (pool) => {
+    const id = nextId++;
+    pendingSubs.set(id, pool);
+    send({ jsonrpc: '2.0', id, method: 'logsSubscribe', params: [{ mentions: [pool] }, { commitment: 'confirmed' }] });
+};
+
+const onMessage = (raw) => {
+    stats.frames++;
+    let msg;
+    try { msg = JSON.parse(raw.toString()); } catch { return; }
+
+    // Subscription confirmed
+    if (msg.id !== undefined && pendingSubs.has(msg.id)) {
+        const pool = pendingSubs.get(msg.id);
+        pendingSubs.delete(msg.id);
+        const entry = pools.get(pool);
+        if (msg.error || !entry) {
+            if (msg.error) console.error(`[TradeFeed] logsSubscribe ${pool.slice(0, 8)} failed:`, msg.error.message);
+            return;
+        }
+        entry.subscription = msg.result;
+        bySubscription.set(msg.result, pool);
+        return;
+    }
+
+    if (msg.method !== 'logsNotification') return;
+    const pool = bySubscription.get(msg.params?.subscription);
+    const value = msg.params?.result?.value;
+    if (!pool || !value || value.err || !value.signature) return;
+
+    stats.notifications++;
+    record({ kind: 'frame', pool, mint: pools.get(pool).mint, data: msg });
+
+    if (seen.has(value.signature)) return;
+    seen.add(value.signature);
+    if (seen.size > SEEN_SIGNATURES) seen.delete(seen.values().next().value);
+
+    queue.push({ signature: value.signature, mint: pools.get(pool).mint, pool });
+    if (queue.length > MAX_QUEUE) { queue.shift(); stats.skipped++; }
+    drainQueue();
+};
+
+// Handlers of a socket that stop()/start() has replaced ignore it, so only the
+// live socket can clear `ws` or schedule a reconnect.
+const connect = () => {
+    const socket = new WebSocket(wsUrl());
+    ws = socket;
+
+    socket.on('open', () => {
+        if (ws !== socket) return;
+        console.log(`[TradeFeed] Connected — subscribing to ${pools.size} pool(s)`);
+        reconnectMs = 5000;
+        bySubscription.clear();
+        pendingSubs.clear();
+        for (const pool of pools.keys()) subscribe(pool);
+    });
+
+    socket.on('message', (raw) => { if (ws === socket) onMessage(raw); });
+
+    socket.on('close', (code) => {
+        if (ws !== socket) return;
+        ws = null;
+        if (!running) return;
+        console.warn(`[TradeFeed] WebSocket closed (${code}) — reconnecting in ${reconnectMs / 1000}s`);
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            if (running) connect();
+        }, reconnectMs);
+        reconnectMs = Math.min(reconnectMs * 2, MAX_RECONNECT_MS);
+    });
+
+    socket.on('error', (err) => console.error('[TradeFeed] WebSocket error:', err.message));
+};
+
+// Through jupiter.js, so it counts against the shared Jupiter rate budget
+const refreshSolPrice = async () => {
+    const price = (await jupiter.getPrices([WSOL_MINT])).get(WSOL_MINT);
+    if (price) solUsd = price;
+};
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Follow trades of a tracked token. No-op without a pool (the backfill queue
+ * calls again once it has resolved one).
+ * @param {string} mint
+ * @param {string} [poolAddress] - Defaults to the pool candleManager knows
+ */
+const track = (mint, poolAddress = candleManager.tracked.get(mint)?.poolAddress) => {
+    if (!poolAddress || pools.has(poolAddress)) return;
+    pools.set(poolAddress, { mint, subscription: null });
+    subscribe(poolAddress);
+};
+
+const untrack = (mint) => {
+    for (const [pool, entry] of pools) {
+        if (entry.mint !== mint) continue;
+        if (entry.subscription !== null) {
+            send({ jsonrpc: '2.0', id: nextId++, method: 'logsUnsubscribe', params: [entry.subscription] });
+            bySubscription.delete(entry.subscription);
+        }
+        pools.delete(pool);
+    }
+};
+
+/**
+ * Connect and keep the feed running.
+ * @param {object} [options]
+ * @param {number} [options.maxTxPerMinute=120] - getTransaction budget
+ * @param {number} [options.solUsd]             - Fixed SOL price (skips the Jupiter lookup, e.g. replays)
+ * @returns {boolean} false when no endpoint is configured
+ */
+const start = (options = {}) => {
+    if (running) return true;
+    if (!wsUrl() || !rpcUrl()) {
+        console.warn('[TradeFeed] No HELIUS_API_KEY / TRADE_FEED_WS_URL — live candles keep volume 0.');
+        return false;
+    }
+    opts = { ...opts, ...options };
+    running = true;
+    if (process.env.TRADE_FEED_RECORD) recordStream = fs.createWriteStream(process.env.TRADE_FEED_RECORD, { flags: 'a' });
+
+    if (options.solUsd) solUsd = options.solUsd;
+    else {
+        refreshSolPrice();
+        solTimer = setInterval(refreshSolPrice, SOL_PRICE_REFRESH_MS);
+    }
+    pingTimer = setInterval(() => { if (ws && ws.readyState === WebSocket.OPEN) ws.ping(); }, PING_MS);
+
+    console.log(`[TradeFeed] Starting (budget ${opts.maxTxPerMinute} tx/min)...`);
+    connect();
+    return true;
+};
+
+const stop = () => {
+    running = false;
+    clearInterval(pingTimer);
+    clearInterval(solTimer);
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    queue.length = 0;
+    for (const timer of retryTimers) clearTimeout(timer);
+    retryTimers.clear();
+    if (ws) {
+        const socket = ws;
+        ws = null;
+        socket.close(1000, 'stopped');
+    }
+    if (recordStream) { recordStream.end(); recordStream = null; }
+    console.log('[TradeFeed] Stopped.');
+};
+
+const setBudget = (maxTxPerMinute) => { opts.maxTxPerMinute = maxTxPerMinute; };
+
+module.exports = {
+    start,
+    stop,
+    track,
+    untrack,
+    setBudget,
+    parseTrade,
+    getStats,
+    getLastUpdate
+};
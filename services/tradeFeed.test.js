@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTrade } = require('./tradeFeed');
+
+const MINT = 'Mint1111111111111111111111111111111111pump';
+const WSOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const TRADER = 'Trader111111111111111111111111111111111111';
+const POOL = 'PoolAuthority1111111111111111111111111111';
+const RENT = 2039280;
+
+const balance = (accountIndex, owner, mint, amount) => ({ accountIndex, owner, mint, uiTokenAmount: { uiAmountString: String(amount) } });
+
+/**
+ * A swap of `base` MINT (> 0 = buy) against `quote` of WSOL or USDC in the pool,
+ * with the trader's native SOL moving by `lamports` (fee already taken).
+ */
+const swap = ({ base, quoteMint = WSOL, quote, lamports = 0, fee = 5000, created = [], err = null, trader = TRADER }) => ({
+    blockTime: 1767225600,
+    transaction: { signatures: ['sig'], message: { accountKeys: [{ pubkey: trader, signer: true }, { pubkey: POOL }] } },
+    meta: {
+        err,
+        fee,
+        preBalances: [10e9, 1e9, ...created.map(() => 0)],
+        postBalances: [10e9 + lamports, 1e9, ...created],
+        preTokenBalances: [balance(2, TRADER, MINT, 5000), balance(3, POOL, MINT, 1e6), balance(4, POOL, quoteMint, 1000)],
+        postTokenBalances: [balance(2, TRADER, MINT, 5000 + base), balance(3, POOL, MINT, 1e6 - base), balance(4, POOL, quoteMint, 1000 + quote)]
+    }
+});
+
+test('small buy: volume from the pool vault, not the signer\'s SOL outlay', () => {
+    // 0.1 SOL swapped; the signer also paid a new token account's rent, a priority fee and a tip
+    const tx = swap({ base: 1000, quote: 0.1, lamports: -(0.1e9 + 0.001e9 + RENT + 0.002e9), fee: 0.001e9, created: [RENT] });
+    const trade = parseTrade(tx, MINT, { solUsd: 200 });
+
+    assert.equal(trade.side, 'buy');
+    assert.equal(trade.trader, TRADER);
+    assert.equal(trade.quote, 'SOL');
+    assert.equal(trade.baseAmount, 1000);
+    assert.ok(Math.abs(trade.volumeUsd - 20) < 1e-9);
+    assert.ok(Math.abs(trade.price - 0.02) < 1e-12);
+    assert.equal(trade.timestamp, 1767225600000);
+});
+
+test('sell against a USDC pool', () => {
+    const trade = parseTrade(swap({ base: -2000, quoteMint: USDC, quote: -50 }), MINT, { solUsd: 200 });
+    assert.equal(trade.side, 'sell');
+    assert.equal(trade.quote, 'USDC');
+    assert.equal(trade.volumeUsd, 50);
+    assert.equal(trade.price, 0.025);
+});
+
+test('without a pool vault, the signer\'s SOL less fee and new-account rent', () => {
+    const tx = swap({ base: 1000, quote: 0, lamports: -(0.1e9 + 5000 + RENT), created: [RENT] });
+    tx.meta.preTokenBalances = tx.meta.preTokenBalances.filter(b => b.owner === TRADER);
+    tx.meta.postTokenBalances = tx.meta.postTokenBalances.filter(b => b.owner === TRADER);
+
+    const trade = parseTrade(tx, MINT, { solUsd: 200 });
+    assert.equal(trade.quote, 'SOL');
+    assert.ok(Math.abs(trade.volumeUsd - 20) < 1e-9);
+});
+
+test('a swap that moved no quote is counted at the last price', () => {
+    const tx = swap({ base: 1000, quote: 0 });
+    tx.meta.fee = 0;
+    assert.equal(parseTrade(tx, MINT, { solUsd: 200 }), null);
+
+    const trade = parseTrade(tx, MINT, { solUsd: 200, lastPrice: 0.03 });
+    assert.equal(trade.quote, null);
+    assert.equal(trade.price, 0.03);
+    assert.equal(trade.volumeUsd, 30);
+});
+
+test('failed transactions and swaps of other mints are ignored', () => {
+    assert.equal(parseTrade(swap({ base: 1000, quote: 0.1, err: { InstructionError: [0, 'Custom'] } }), MINT, { solUsd: 200 }), null);
+    assert.equal(parseTrade(swap({ base: 1000, quote: 0.1 }), 'OtherMint', { solUsd: 200 }), null);
+    assert.equal(parseTrade(null, MINT), null);
+});
+
+test('a stop/start cycle leaves exactly one live socket', async (t) => {
+    const { WebSocketServer } = require('ws');
+    const tradeFeed = require('./tradeFeed');
+    const server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const env = { ...process.env };
+    process.env.TRADE_FEED_WS_URL = `ws://127.0.0.1:${server.address().port}`;
+    process.env.TRADE_FEED_RPC_URL = 'http://127.0.0.1:1';
+    t.after(() => {
+        process.env = env;
+        tradeFeed.stop();
+        for (const client of server.clients) client.terminate();
+        return new Promise(resolve => server.close(resolve));
+    });
+    for (const level of ['log', 'warn', 'error']) t.mock.method(console, level, () => {});
+
+    const connections = [];
+    server.on('connection', (socket) => connections.push(socket));
+    const waitFor = async (check) => {
+        for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 20));
+        assert.ok(check());
+    };
+
+    // Server drops the first socket: a reconnect is pending when the feed is restarted
+    tradeFeed.start({ solUsd: 150 });
+    await waitFor(() => connections.length === 1 && tradeFeed.getStats().connected);
+    connections[0].terminate();
+    await waitFor(() => !tradeFeed.getStats().connected);
+
+    tradeFeed.stop();
+    tradeFeed.start({ solUsd: 150 });
+    await waitFor(() => connections.length === 2 && tradeFeed.getStats().connected);
+
+    // Restart again: the old socket's close must not clear the new one
+    tradeFeed.stop();
+    tradeFeed.start({ solUsd: 150 });
+    await waitFor(() => connections.length === 3 && tradeFeed.getStats().connected);
+    await waitFor(() => connections[1].readyState === connections[1].CLOSED);
+    assert.equal(tradeFeed.getStats().connected, true);
+
+    // The reconnect scheduled before the first restart never fires
+    await new Promise(resolve => setTimeout(resolve, 5500));
+    assert.equal(connections.length, 3);
+});